@@ -1,4 +1,3 @@
 #!/usr/bin/env node
-const ReactNativeFolderScaffolder = require('./scaffolder-script');
-const scaffolder = new ReactNativeFolderScaffolder();
-scaffolder.scaffold();
\ No newline at end of file
+const { run } = require('./lib/cli');
+run(process.argv.slice(2));
@@ -0,0 +1,70 @@
+const path = require('path');
+
+/**
+ * Helpers turning the path aliases of a layout (see layoutAliases in lib/layouts.js) into
+ * tsconfig.json `paths`, the babel `module-resolver` plugin and the Jest `moduleNameMapper`,
+ * so the three never drift apart.
+ */
+
+/**
+ * Aliases with their directories relative to the project root
+ * @param {Array<{alias: string, dir: string}>} aliases
+ * @param {string} srcDir - Source directory, e.g. "src"
+ * @returns {Array<{alias: string, dir: string}>} e.g. [{ alias: "@utils", dir: "src/utils" }]
+ */
+function withSourceDir(aliases, srcDir) {
+    return aliases.map(({ alias, dir }) => ({ alias, dir: path.posix.join(srcDir, dir) }));
+}
+
+/**
+ * Build the tsconfig `compilerOptions.paths` map
+ * @param {Array<{alias: string, dir: string}>} aliases
+ * @param {string} baseUrl - tsconfig baseUrl the paths are relative to
+ * @returns {Object<string, string[]>} e.g. { "@utils/*": ["utils/*"] }
+ */
+function toTsPaths(aliases, baseUrl) {
+    const paths = {};
+    aliases.forEach(({ alias, dir }) => {
+        const relative = posixRelative(baseUrl, dir);
+        paths[`${alias}/*`] = [relative ? `${relative}/*` : '*'];
+    });
+    return paths;
+}
+
+/**
+ * Build the babel module-resolver `alias` map
+ * @param {Array<{alias: string, dir: string}>} aliases
+ * @returns {Object<string, string>} e.g. { "@utils": "./src/utils" }
+ */
+function toBabelAliases(aliases) {
+    const babelAliases = {};
+    aliases.forEach(({ alias, dir }) => {
+        babelAliases[alias] = `./${dir}`;
+    });
+    return babelAliases;
+}
+
+/**
+ * Build the Jest `moduleNameMapper` map. Each pattern matches the alias itself and any path below it.
+ * @param {Array<{alias: string, dir: string}>} aliases
+ * @returns {Object<string, string>} e.g. { "^@utils(/.*)?$": "<rootDir>/src/utils$1" }
+ */
+function toJestModuleNameMapper(aliases) {
+    const mapper = {};
+    aliases.forEach(({ alias, dir }) => {
+        mapper[`^${alias}(/.*)?$`] = `<rootDir>/${dir}$1`;
+    });
+    return mapper;
+}
+
+/**
+ * path.posix.relative that tolerates "./" prefixes
+ * @param {string} from
+ * @param {string} to
+ * @returns {string}
+ */
+function posixRelative(from, to) {
+    return path.posix.relative(path.posix.normalize(from), path.posix.normalize(to));
+}
+
+module.exports = { withSourceDir, toTsPaths, toBabelAliases, toJestModuleNameMapper };
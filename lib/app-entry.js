@@ -0,0 +1,134 @@
+const { addImport } = require('./source-patch');
+
+const WRAPPER_NAME = 'ScaffoldedApp';
+const WRAPPER_COMMENT = '// Added by rn-scaffold: mounts the providers of the scaffolded options around your app (rewritten on each run)';
+
+/**
+ * Providers the app entry needs for a set of options, outermost first
+ * @param {object} options - Same flags as the app/App.tsx template context
+ * @returns {Array<{open: string, close: string, imports: string[]}>}
+ */
+function appProviders({ theme, redux, persist, authProvider, navigationSetup }) {
+    return [
+        theme && {
+            open: '<ThemeProvider>',
+            close: '</ThemeProvider>',
+            imports: ["import { ThemeProvider } from '@theme/index';"]
+        },
+        redux && {
+            open: '<Provider store={store}>',
+            close: '</Provider>',
+            imports: ["import { Provider } from 'react-redux';", `import { ${persist ? 'persistor, store' : 'store'} } from '@store/index';`]
+        },
+        redux && persist && {
+            open: '<PersistGate loading={null} persistor={persistor}>',
+            close: '</PersistGate>',
+            imports: ["import { PersistGate } from 'redux-persist/integration/react';"]
+        },
+        authProvider && {
+            open: '<AuthProvider>',
+            close: '</AuthProvider>',
+            imports: ["import { AuthProvider } from '@context/providers/AuthProvider';"]
+        },
+        navigationSetup && {
+            open: '<NavigationContainer ref={navigationRef}>',
+            close: '</NavigationContainer>',
+            imports: [
+                "import { NavigationContainer } from '@react-navigation/native';",
+                "import { navigationRef } from '@navigation/NavigationRef';"
+            ]
+        }
+    ].filter(Boolean);
+}
+
+/**
+ * Imports that run before anything renders, for a set of options
+ * @param {object} options - Same flags as the app/App.tsx template context
+ * @returns {string[]}
+ */
+function sideEffectImports({ env, i18n }) {
+    return [
+        env && "import '@constants/config';",
+        i18n && "import '@i18n/index';"
+    ].filter(Boolean);
+}
+
+/**
+ * Component that renders an app component inside providers
+ * @param {string} component - Name of the wrapped component, e.g. "App"
+ * @param {Array<{open: string, close: string}>} providers - See appProviders()
+ * @returns {string}
+ */
+function generateAppWrapper(component, providers) {
+    const lines = [
+        ...providers.map((provider, depth) => `${'  '.repeat(depth + 1)}${provider.open}`),
+        `${'  '.repeat(providers.length + 1)}<${component} />`,
+        ...providers.map((provider, depth) => `${'  '.repeat(depth + 1)}${provider.close}`).reverse()
+    ];
+    return `${WRAPPER_COMMENT}\nconst ${WRAPPER_NAME} = () => (\n${lines.join('\n')}\n);\n\nexport default ${WRAPPER_NAME};\n`;
+}
+
+/**
+ * Add an import, merging its named imports into an existing import of the same module
+ * @param {string} source - File content
+ * @param {string} importLine - e.g. "import { store } from '@store/index';"
+ * @returns {string}
+ */
+function addNamedImport(source, importLine) {
+    const [, names, specifier] = importLine.match(/^import \{ (.*) \} from '(.*)';$/) || [];
+    const existing = names && source.match(new RegExp(`^import \\{([^}]*)\\} from '${specifier.replace(/[/.@]/g, '\\$&')}';?$`, 'm'));
+    if (!existing) {
+        return addImport(source, importLine);
+    }
+
+    const merged = new Set([...existing[1].split(','), ...names.split(',')].map(name => name.trim()).filter(Boolean));
+    return source.replace(existing[0], `import { ${Array.from(merged).join(', ')} } from '${specifier}';`);
+}
+
+/**
+ * Wrap the default export of an existing app entry (e.g. the App.tsx of the React Native template)
+ * in the providers of the scaffolded options, and add the imports they need.
+ * A wrapper added by an earlier run is replaced, so re-running with other options updates it.
+ * @param {string} source - Content of the app entry
+ * @param {object} options - Same flags as the app/App.tsx template context
+ * @returns {string|null} Updated content, or null when the default export cannot be found
+ */
+function patchAppEntry(source, options) {
+    const providers = appProviders(options);
+    let updated = source;
+    let component;
+
+    const wrapperStart = updated.indexOf(WRAPPER_COMMENT);
+    if (wrapperStart !== -1) {
+        const exportLine = `export default ${WRAPPER_NAME};`;
+        const wrapperEnd = updated.indexOf(exportLine, wrapperStart);
+        const inner = wrapperEnd === -1 ? null : updated.slice(wrapperStart, wrapperEnd).match(/^\s*<(\w+) \/>$/m);
+        if (!inner) {
+            return null;
+        }
+        component = inner[1];
+        updated = `${updated.slice(0, wrapperStart)}${updated.slice(wrapperEnd + exportLine.length).replace(/^\n/, '')}`;
+    } else {
+        const named = updated.match(/^export default (\w+);?[ \t]*$\n?/m);
+        const declared = updated.match(/^export default ((?:async )?function\*?|class)(?:\s+(\w+))?/m);
+        if (named) {
+            component = named[1];
+            updated = updated.replace(named[0], '');
+        } else if (declared) {
+            component = declared[2] || 'ExistingApp';
+            updated = updated.replace(declared[0], `${declared[1]} ${component}`);
+        } else {
+            return null;
+        }
+    }
+
+    // Providers the component already renders itself are not mounted twice
+    const missing = providers.filter(provider => !updated.includes(provider.open.match(/^<\w+/)[0]));
+    updated = missing.length > 0
+        ? `${updated.replace(/\n*$/, '')}\n\n${generateAppWrapper(component, missing)}`
+        : `${updated.replace(/\n*$/, '')}\n\nexport default ${component};\n`;
+    updated = sideEffectImports(options).reduce(addImport, updated);
+    return missing.flatMap(provider => provider.imports).reduce(addNamedImport, updated);
+}
+
+module.exports = { appProviders, generateAppWrapper, patchAppEntry };
@@ -0,0 +1,548 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { ScaffolderError, reportError } = require('./errors');
+const { ask } = require('./prompt');
+const { FileWriter } = require('./file-writer');
+const { recordRun, generatedHashes } = require('./manifest');
+const { loadProjectConfig } = require('./config');
+const { checkProject, resolveSourceDir } = require('./project');
+const { withLanguageExtension, detectLanguage } = require('./language');
+const { TemplateRenderer, resolveTemplateDirs } = require('./templates');
+const { addObjectEntry } = require('./source-patch');
+const { pascalCase, camelCase } = require('./naming');
+const { loadLayout, layoutPath } = require('./layouts');
+const { addPackagesCommand } = require('./dependencies');
+
+/**
+ * Folders scanned, relative to src/assets, and the collections their files go to.
+ * Keys are the file path below the folder, e.g. "onboarding/step-1.png" => onboardingStep1.
+ */
+const ASSET_FOLDERS = [
+    { dir: 'images/PngAndJpgImages', raster: 'images', svg: 'svgImages' },
+    { dir: 'images/OtherImages', raster: 'images', svg: 'svgImages' },
+    { dir: 'images/SvgImages', raster: 'images', svg: 'svgImages' },
+    { dir: 'icons/imageIcons', raster: 'imageIcons', svg: 'icons' },
+    { dir: 'icons/svgIcons', raster: 'imageIcons', svg: 'icons' },
+    { dir: 'fonts', font: 'fonts' }
+];
+
+/**
+ * Exported name of each collection, used in the report
+ */
+const COLLECTION_NAMES = {
+    images: 'Images',
+    imageIcons: 'ImageIcons',
+    svgImages: 'SvgImages',
+    icons: 'Icons',
+    fonts: 'Fonts'
+};
+
+/**
+ * Image formats React Native can show with <Image>
+ */
+const RASTER_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp'];
+
+/**
+ * Font formats iOS and Android can load from the app bundle
+ */
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+
+/**
+ * Density variant of an image, e.g. "logo@2x" or "logo@1.5x"
+ */
+const SCALE_SUFFIX = /@\d+(\.\d+)?x$/;
+
+/**
+ * File and folder names that make usable keys, and that Android accepts as resource names
+ */
+const VALID_NAME = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+/**
+ * Time to wait for more file changes before regenerating in watch mode
+ */
+const WATCH_DEBOUNCE_MS = 200;
+
+/**
+ * Files below a directory, as posix paths relative to it; hidden files such as .gitkeep are left out
+ * @param {string} dir - Absolute path
+ * @returns {string[]} Sorted
+ */
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.'))
+        .flatMap(entry => entry.isDirectory()
+            ? listFiles(path.join(dir, entry.name)).map(file => `${entry.name}/${file}`)
+            : [entry.name])
+        .sort();
+}
+
+/**
+ * A directory and the directories below it
+ * @param {string} dir - Absolute path
+ * @returns {string[]} Absolute paths; empty when dir does not exist
+ */
+function listDirs(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return [dir, ...fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .flatMap(entry => listDirs(path.join(dir, entry.name)))];
+}
+
+/**
+ * PostScript name of a TrueType or OpenType font (name ID 6), the name iOS loads it by
+ * @param {Buffer} font - Font file
+ * @returns {string|null} null when the font has no readable name table
+ */
+function readPostScriptName(font) {
+    try {
+        const tableCount = font.readUInt16BE(4);
+        for (let table = 0; table < tableCount; table++) {
+            const record = 12 + table * 16;
+            if (font.toString('latin1', record, record + 4) !== 'name') {
+                continue;
+            }
+
+            const start = font.readUInt32BE(record + 8);
+            const count = font.readUInt16BE(start + 2);
+            const strings = start + font.readUInt16BE(start + 4);
+            for (let index = 0; index < count; index++) {
+                const entry = start + 6 + index * 12;
+                if (font.readUInt16BE(entry + 6) !== 6) {
+                    continue;
+                }
+                const offset = strings + font.readUInt16BE(entry + 10);
+                const bytes = font.subarray(offset, offset + font.readUInt16BE(entry + 8));
+                // Macintosh names (platform 1) are single-byte, Unicode and Windows names UTF-16BE
+                const name = font.readUInt16BE(entry) === 1
+                    ? bytes.toString('latin1')
+                    : Buffer.from(bytes).swap16().toString('utf16le');
+                if (name) {
+                    return name;
+                }
+            }
+        }
+    } catch (error) {
+        // A truncated or corrupt file: offsets point past its end
+    }
+    return null;
+}
+
+/**
+ * Minify an SVG for inlining, and draw single-color icons in currentColor so they can be tinted
+ * @param {string} source - SVG file content
+ * @param {boolean} tint - Whether to replace a single color with currentColor
+ * @returns {string|null} null when the content is not an SVG
+ */
+function prepareSvg(source, tint) {
+    const svg = source
+        .replace(/<\?xml[\s\S]*?\?>/g, '')
+        .replace(/<!DOCTYPE[^>]*>/gi, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/>\s+</g, '><')
+        .trim();
+    // The root may also be self-closing: <svg/>, <svg viewBox="0 0 24 24"/>
+    if (!/^<svg[\s>/]/.test(svg)) {
+        return null;
+    }
+    if (!tint) {
+        return svg;
+    }
+
+    const colorPattern = /\b(fill|stroke)(="|\s*:\s*)([^";]+)/g;
+    const colors = new Set(Array.from(svg.matchAll(colorPattern), match => match[3].trim().toLowerCase())
+        .filter(color => !['none', 'transparent', 'inherit', 'currentcolor'].includes(color) && !color.startsWith('url(')));
+    if (colors.size > 1) {
+        return svg;
+    }
+    if (colors.size === 0) {
+        // Shapes without a fill are drawn black
+        return /^<svg[^>]*\sfill=/.test(svg) ? svg : svg.replace(/^<svg(?=[\s>/])/, '<svg fill="currentColor"');
+    }
+    const [color] = colors;
+    return svg.replace(colorPattern, (match, property, separator, value) =>
+        value.trim().toLowerCase() === color ? `${property}${separator}currentColor` : match);
+}
+
+/**
+ * JavaScript string literal, single-quoted unless the text only has single quotes
+ * @param {string} text
+ * @returns {string}
+ */
+function quote(text) {
+    const mark = text.includes('\'') && !text.includes('"') ? '"' : '\'';
+    return `${mark}${text.replace(/\\/g, '\\\\').split(mark).join(`\\${mark}`)}${mark}`;
+}
+
+/**
+ * Generate typed index modules for src/assets: an Images map (with @2x/@3x variants
+ * resolved by Metro), SVG icon components, a Fonts constant and the react-native.config.js
+ * entry that links the fonts. Duplicate and invalid file names are reported and skipped.
+ */
+class AssetIndexer {
+    /**
+     * @param {string} rootPath - Project root
+     * @param {object} options - Parsed command line options (see lib/cli.js)
+     */
+    constructor(rootPath = process.cwd(), options = {}) {
+        this.rootPath = rootPath;
+        this.options = options;
+        this.srcDir = 'src';
+        // Folder layout of the project (see lib/layouts.js)
+        this.layout = loadLayout(rootPath);
+        this.language = null;
+        this.project = null;
+        this.templates = null;
+        this.writer = null;
+    }
+
+    /**
+     * Run `assets`, once or (with --watch) on every change below src/assets
+     * @param {...string} args - Must be empty
+     */
+    async run(...args) {
+        try {
+            if (args.length > 0) {
+                throw new ScaffolderError(`Unexpected arguments: ${args.join(' ')}. Usage: rn-scaffold assets [--watch]`);
+            }
+            if (this.options.watch && this.options.dryRun) {
+                throw new ScaffolderError('--dry-run cannot be combined with --watch.');
+            }
+
+            this.project = checkProject(this.rootPath, { force: this.options.force });
+            const { plugins, resolved } = loadProjectConfig(this.rootPath, this.options, { saved: true });
+            this.srcDir = resolveSourceDir(this.rootPath, resolved.srcDir || this.srcDir);
+            this.layout = loadLayout(this.rootPath, resolved.layout || undefined);
+            this.language = resolved.language || detectLanguage(this.project);
+            this.templates = new TemplateRenderer([
+                ...resolveTemplateDirs(this.rootPath, resolved.templatesDir),
+                ...plugins.filter(plugin => plugin.templates).map(plugin => plugin.templates)
+            ]);
+            if (!fs.existsSync(path.join(this.rootPath, this.assetsPath()))) {
+                throw new ScaffolderError(`Assets directory not found: ${this.assetsPath()}`);
+            }
+        } catch (error) {
+            reportError('Assets', error);
+            return;
+        }
+
+        const ok = await this.generate();
+        if (this.options.watch) {
+            await this.watch();
+        } else if (!ok) {
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Path relative to the project root of a file in the assets folder (src/assets in the layered layout)
+     * @param {string} [relPath] - e.g. "images.ts"
+     * @returns {string}
+     */
+    assetsPath(relPath = '') {
+        return path.posix.join(this.srcDir, layoutPath(this.layout, 'assets'), relPath);
+    }
+
+    /**
+     * Sort the files of ASSET_FOLDERS into collections. Density variants of an image
+     * share one entry; files whose name is invalid or already taken are reported instead.
+     * @returns {{
+     *   collections: Object<string, object[]>,
+     *   invalid: { file: string, reason: string }[],
+     *   duplicates: { file: string, key: string, existing: string }[],
+     *   unsupported: string[]
+     * }}
+     */
+    scan() {
+        const assetsDir = path.join(this.rootPath, this.assetsPath());
+        const collections = Object.fromEntries(Object.keys(COLLECTION_NAMES).map(name => [name, new Map()]));
+        const result = { invalid: [], duplicates: [], unsupported: [] };
+
+        ASSET_FOLDERS.forEach(folder => {
+            listFiles(path.join(assetsDir, folder.dir)).forEach(relPath => {
+                const file = this.assetsPath(`${folder.dir}/${relPath}`);
+                const extension = path.posix.extname(relPath).toLowerCase();
+                const collection = folder.font
+                    ? FONT_EXTENSIONS.includes(extension) && folder.font
+                    : (RASTER_EXTENSIONS.includes(extension) && folder.raster) || (extension === '.svg' && folder.svg);
+                if (!collection) {
+                    result.unsupported.push(file);
+                    return;
+                }
+
+                const baseName = path.posix.basename(relPath, path.posix.extname(relPath));
+                const scaled = collection === folder.raster && SCALE_SUFFIX.test(baseName);
+                const name = scaled ? baseName.replace(SCALE_SUFFIX, '') : baseName;
+                const segments = [...path.posix.dirname(relPath).split('/').filter(segment => segment !== '.'), name];
+                const badSegment = segments.find(segment => !VALID_NAME.test(segment));
+                if (badSegment !== undefined) {
+                    result.invalid.push({
+                        file,
+                        reason: `"${badSegment}" must start with a letter and contain only letters, digits, "-" and "_"`
+                    });
+                    return;
+                }
+
+                const key = camelCase(segments.join('-'));
+                // Metro requires the plain name and resolves @2x/@3x itself
+                const source = `./${folder.dir}/${[...segments.slice(0, -1), `${name}${path.posix.extname(relPath)}`].join('/')}`;
+                const entries = collections[collection];
+                const existing = entries.get(key.toLowerCase());
+                if (existing && existing.source === source) {
+                    return;
+                }
+                if (existing) {
+                    result.duplicates.push({ file, key: `${COLLECTION_NAMES[collection]}.${key}`, existing: existing.file });
+                    return;
+                }
+                entries.set(key.toLowerCase(), { key, file, source });
+            });
+        });
+
+        result.collections = Object.fromEntries(Object.entries(collections).map(([name, entries]) => [name, Array.from(entries.values())]));
+        return result;
+    }
+
+    /**
+     * Template context of the SVG collections; SVGs that cannot be read are reported as invalid
+     * @param {object[]} entries - Scanned SVGs
+     * @param {boolean} tint - Whether single-color SVGs are drawn in currentColor (icons)
+     * @param {object[]} invalid - Invalid files found so far
+     * @returns {object[]}
+     */
+    svgContext(entries, tint, invalid) {
+        return entries.flatMap(entry => {
+            const svg = prepareSvg(fs.readFileSync(path.join(this.rootPath, entry.file), 'utf8'), tint);
+            if (svg === null) {
+                invalid.push({ file: entry.file, reason: 'not an SVG file' });
+                return [];
+            }
+            const component = pascalCase(entry.key);
+            return [{ key: entry.key, xml: quote(svg), component: component.endsWith('Icon') ? component : `${component}Icon` }];
+        });
+    }
+
+    /**
+     * Template context of the fonts: family names, and the PostScript name for iOS where it differs
+     * @param {object[]} entries - Scanned fonts
+     * @returns {object[]}
+     */
+    fontContext(entries) {
+        return entries.map(entry => {
+            const family = path.posix.basename(entry.file, path.posix.extname(entry.file));
+            const postScriptName = readPostScriptName(fs.readFileSync(path.join(this.rootPath, entry.file)));
+            return { key: entry.key, family, ios: postScriptName && postScriptName !== family ? postScriptName : null };
+        });
+    }
+
+    /**
+     * Scan src/assets and write the index modules
+     * @returns {Promise<boolean>} false when files were skipped for invalid or duplicate names, or the run failed
+     */
+    async generate() {
+        this.writer = new FileWriter(this.rootPath, {
+            dryRun: Boolean(this.options.dryRun),
+            conflict: this.options.conflict,
+            ask: question => ask(question, { yes: this.options.yes }),
+            generated: generatedHashes(this.rootPath)
+        });
+
+        try {
+            const { collections, invalid, duplicates, unsupported } = this.scan();
+            const icons = this.svgContext(collections.icons, true, invalid);
+            const svgImages = this.svgContext(collections.svgImages, false, invalid);
+            const fonts = this.fontContext(collections.fonts);
+            const context = {
+                assetsDir: this.assetsPath(),
+                images: collections.images,
+                imageIcons: collections.imageIcons,
+                icons,
+                svgImages,
+                svgs: icons.length + svgImages.length > 0,
+                fonts,
+                platformFonts: fonts.some(font => font.ios)
+            };
+
+            await this.writeModule('images.ts', context);
+            await this.writeModule('fonts.ts', context);
+            const svgModule = this.assetsPath(withLanguageExtension('svgs.tsx', this.language));
+            if (context.svgs) {
+                await this.writeModule('svgs.tsx', context);
+                this.checkSvgDependency();
+            } else if (this.writer.isUnedited(svgModule)) {
+                this.writer.removeFile(svgModule, { label: 'asset index' });
+            }
+            await this.writeModule('index.ts', context);
+            if (fonts.length > 0) {
+                await this.linkFonts();
+            }
+
+            if (this.writer.dryRun) {
+                this.writer.printPlannedTree();
+            } else {
+                recordRun(this.rootPath, 'assets', this.writer.takeChanges());
+            }
+            return this.report(context, { invalid, duplicates, unsupported });
+        } catch (error) {
+            reportError('Assets', error);
+            this.writer.rollback();
+            return false;
+        }
+    }
+
+    /**
+     * Render and write one index module of src/assets
+     * @param {string} name - Template name below templates/assets, in TypeScript, e.g. "images.ts"
+     * @param {object} context
+     */
+    async writeModule(name, context) {
+        const file = withLanguageExtension(name, this.language);
+        await this.writer.writeFile(this.assetsPath(file), this.templates.render(`assets/${file}`, context), {
+            label: 'asset index',
+            color: chalk.cyan
+        });
+    }
+
+    /**
+     * Warn when the project does not depend on react-native-svg, which the SVG components need
+     */
+    checkSvgDependency() {
+        const { packageJson } = this.project;
+        const dependencies = packageJson ? { ...packageJson.devDependencies, ...packageJson.dependencies } : {};
+        if (!dependencies['react-native-svg']) {
+            const command = this.project.isExpo ? 'npx expo install react-native-svg' : addPackagesCommand(this.rootPath, ['react-native-svg']);
+            console.log(chalk.yellow(`⚠️  The SVG components need react-native-svg: ${command}`));
+        }
+    }
+
+    /**
+     * List the fonts folder in the `assets` of react-native.config.js, creating the file if needed
+     */
+    async linkFonts() {
+        if (this.project.isExpo) {
+            console.log(chalk.yellow('⚠️  Expo apps load fonts with expo-font (useFonts), not react-native.config.js'));
+            return;
+        }
+
+        const configPath = 'react-native.config.js';
+        const fullPath = path.join(this.rootPath, configPath);
+        const fontsDir = `./${this.assetsPath('fonts')}/`;
+        let content;
+        if (!fs.existsSync(fullPath)) {
+            content = this.templates.render('assets/react-native.config.js', { fontsDir });
+        } else {
+            const source = fs.readFileSync(fullPath, 'utf8');
+            if (source.includes(fontsDir) || source.includes(fontsDir.slice(0, -1))) {
+                return;
+            }
+            const assetsArray = source.match(/\bassets\s*:\s*\[(\s*\])?/);
+            if (assetsArray) {
+                const insertAt = assetsArray.index + assetsArray[0].length - (assetsArray[1] ? assetsArray[1].length : 0);
+                const entry = assetsArray[1] ? quote(fontsDir) : `${quote(fontsDir)}, `;
+                content = `${source.slice(0, insertAt)}${entry}${source.slice(insertAt)}`;
+            } else {
+                content = addObjectEntry(source, /module\.exports\s*=\s*\{/, 'assets', `[${quote(fontsDir)}]`);
+            }
+            if (content === null) {
+                console.log(chalk.yellow(`⚠️  Add the fonts yourself: no module.exports object found in ${configPath}. Expected: assets: [${quote(fontsDir)}]`));
+                return;
+            }
+        }
+
+        const status = await this.writer.writeFile(configPath, content, { label: 'React Native config', color: chalk.cyan, merge: fs.existsSync(fullPath) });
+        if (['created', 'updated'].includes(status)) {
+            console.log(chalk.cyan('💡 Link the fonts into the native projects with: npx react-native-asset'));
+        }
+    }
+
+    /**
+     * Print what was indexed and the skipped files
+     * @param {object} context - Template context of the run
+     * @param {object} problems - invalid, duplicates and unsupported files from scan()
+     * @returns {boolean} false when files were skipped for invalid or duplicate names
+     */
+    report(context, { invalid, duplicates, unsupported }) {
+        const list = (title, lines, color) => {
+            if (lines.length === 0) {
+                return;
+            }
+            console.log(color(`  ${title} (${lines.length}):`));
+            lines.forEach(line => console.log(color(`    ${line}`)));
+        };
+
+        list('Invalid file names, skipped', invalid.map(({ file, reason }) => `${file}: ${reason}`), chalk.red);
+        list('Duplicate names, skipped', duplicates.map(({ file, key, existing }) => `${file}: ${key} is already ${existing}`), chalk.red);
+        list('Unsupported files, ignored', unsupported, chalk.yellow);
+
+        const counts = [
+            [context.images.length, 'image'],
+            [context.imageIcons.length, 'image icon'],
+            [context.icons.length, 'SVG icon'],
+            [context.svgImages.length, 'SVG image'],
+            [context.fonts.length, 'font']
+        ].map(([count, noun]) => `${count} ${noun}${count === 1 ? '' : 's'}`);
+        const ok = invalid.length === 0 && duplicates.length === 0;
+        const summary = `Indexed ${counts.join(', ')} in ${this.assetsPath()}`;
+        console.log(ok ? chalk.green(`✅ ${summary}.`) : chalk.yellow(`⚠️  ${summary}; rename the skipped files to include them.`));
+        return ok;
+    }
+
+    /**
+     * Regenerate the index modules whenever a file in one of ASSET_FOLDERS changes, until Ctrl+C
+     * @returns {Promise<void>} Resolves when watching stops
+     */
+    watch() {
+        const assetsDir = path.join(this.rootPath, this.assetsPath());
+        const watchers = new Map();
+        let timer = null;
+        let running = Promise.resolve();
+
+        // fs.watch only reports changes inside a directory on every platform, so each folder gets its own watcher
+        const watchFolders = () => {
+            const dirs = ASSET_FOLDERS.flatMap(folder => listDirs(path.join(assetsDir, folder.dir)));
+            dirs.forEach(dir => {
+                if (!watchers.has(dir)) {
+                    const watcher = fs.watch(dir, onChange);
+                    watcher.on('error', () => {
+                        watcher.close();
+                        watchers.delete(dir);
+                    });
+                    watchers.set(dir, watcher);
+                }
+            });
+        };
+
+        const onChange = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                running = running.then(async () => {
+                    console.log(chalk.gray(`\n${new Date().toLocaleTimeString()} Assets changed, regenerating...`));
+                    await this.generate();
+                    watchFolders();
+                });
+            }, WATCH_DEBOUNCE_MS);
+        };
+
+        watchFolders();
+        console.log(chalk.bold.cyan(`👀 Watching ${this.assetsPath()} for changes. Press Ctrl+C to stop.`));
+
+        return new Promise(resolve => {
+            process.once('SIGINT', () => {
+                clearTimeout(timer);
+                watchers.forEach(watcher => watcher.close());
+                running.then(() => {
+                    console.log(chalk.gray('Stopped watching.'));
+                    resolve();
+                });
+            });
+        });
+    }
+}
+
+module.exports = { AssetIndexer, ASSET_FOLDERS, prepareSvg };
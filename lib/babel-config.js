@@ -0,0 +1,234 @@
+/**
+ * Helpers to create or patch babel.config.js with the module-resolver aliases.
+ * babel.config.js is JavaScript, so an existing file is patched as text: missing
+ * aliases are inserted into an existing module-resolver `alias` object, or the
+ * plugin is added to the `plugins` array (creating it after `presets` if needed).
+ * Everything else in the file is left untouched.
+ */
+
+const RESOLVER_PLUGIN = 'module-resolver';
+
+/**
+ * Babel preset of a new babel.config.js, per project kind
+ */
+const BABEL_PRESETS = {
+    bare: 'module:@react-native/babel-preset',
+    expo: 'babel-preset-expo'
+};
+
+/**
+ * Find the index of the bracket closing the one at openIndex, skipping strings and comments
+ * @param {string} source
+ * @param {number} openIndex - Index of "{" or "["
+ * @returns {number} Index of the closing bracket, or -1
+ */
+function findClosingBracket(source, openIndex) {
+    const pairs = { '{': '}', '[': ']', '(': ')' };
+    const stack = [];
+
+    for (let i = openIndex; i < source.length; i++) {
+        const char = source[i];
+
+        if (char === '"' || char === '\'' || char === '`') {
+            i++;
+            while (i < source.length && source[i] !== char) {
+                if (source[i] === '\\') i++;
+                i++;
+            }
+        } else if (char === '/' && source[i + 1] === '/') {
+            while (i < source.length && source[i] !== '\n') i++;
+        } else if (char === '/' && source[i + 1] === '*') {
+            i = source.indexOf('*/', i + 2);
+            if (i === -1) return -1;
+            i++;
+        } else if (pairs[char]) {
+            stack.push(pairs[char]);
+        } else if (char === stack[stack.length - 1]) {
+            stack.pop();
+            if (stack.length === 0) return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Leading whitespace of the line containing index
+ * @param {string} source
+ * @param {number} index
+ * @returns {string}
+ */
+function lineIndent(source, index) {
+    const lineStart = source.lastIndexOf('\n', index) + 1;
+    return source.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Indentation step of a file: its smallest indentation, or two spaces for a flat file
+ * @param {string} source
+ * @returns {string}
+ */
+function indentUnit(source) {
+    const indents = (source.match(/^[ \t]+(?=\S)/gm) || []).sort((a, b) => a.length - b.length);
+    return indents[0] || '  ';
+}
+
+/**
+ * Render alias entries, one per line
+ * @param {Object<string, string>} aliases
+ * @param {string} indent
+ * @returns {string}
+ */
+function formatAliasEntries(aliases, indent) {
+    return Object.entries(aliases)
+        .map(([alias, target]) => `${indent}'${alias}': '${target}',`)
+        .join('\n');
+}
+
+/**
+ * Render the module-resolver plugin entry
+ * @param {Object<string, string>} aliases
+ * @param {string} indent - Indentation of the entry itself
+ * @param {string} root - module-resolver root, e.g. "./src"
+ * @param {string} [unit] - Indentation step, see indentUnit()
+ * @returns {string}
+ */
+function formatResolverPlugin(aliases, indent, root, unit = '  ') {
+    const nested = depth => `${indent}${unit.repeat(depth)}`;
+    return [
+        `${indent}[`,
+        `${nested(1)}'${RESOLVER_PLUGIN}',`,
+        `${nested(1)}{`,
+        `${nested(2)}root: ['${root}'],`,
+        `${nested(2)}alias: {`,
+        formatAliasEntries(aliases, nested(3)),
+        `${nested(2)}},`,
+        `${nested(1)}},`,
+        `${indent}],`
+    ].join('\n');
+}
+
+/**
+ * Content for a new babel.config.js
+ * @param {Object<string, string>} aliases - module-resolver aliases
+ * @param {object} [options]
+ * @param {string} [options.root] - module-resolver root
+ * @param {boolean} [options.expo] - Use the Expo preset instead of the React Native one
+ * @returns {string}
+ */
+function generateBabelConfig(aliases, { root = './src', expo = false } = {}) {
+    return [
+        'module.exports = {',
+        `  presets: ['${expo ? BABEL_PRESETS.expo : BABEL_PRESETS.bare}'],`,
+        '  plugins: [',
+        formatResolverPlugin(aliases, '    ', root),
+        '  ],',
+        '};',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Add the module-resolver aliases to an existing babel.config.js
+ * @param {string} source - Current babel.config.js content
+ * @param {Object<string, string>} aliases - module-resolver aliases
+ * @param {object} [options]
+ * @param {string} [options.root] - module-resolver root, used when the plugin is added
+ * @returns {string|null} Patched content, or null when the file layout is not recognised
+ */
+function mergeBabelConfig(source, aliases, { root = './src' } = {}) {
+    const unit = indentUnit(source);
+    const resolverMatch = source.match(/['"](babel-plugin-)?module-resolver['"]/);
+
+    if (resolverMatch) {
+        const aliasMatch = /alias\s*:\s*\{/g;
+        aliasMatch.lastIndex = resolverMatch.index;
+        const found = aliasMatch.exec(source);
+        if (!found) {
+            return null;
+        }
+
+        const openIndex = found.index + found[0].length - 1;
+        const closeIndex = findClosingBracket(source, openIndex);
+        if (closeIndex === -1) {
+            return null;
+        }
+
+        const body = source.slice(openIndex + 1, closeIndex);
+        const missing = {};
+        Object.entries(aliases).forEach(([alias, target]) => {
+            const keyPattern = new RegExp(`['"]?${alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}['"]?\\s*:`);
+            if (!keyPattern.test(body)) {
+                missing[alias] = target;
+            }
+        });
+
+        if (Object.keys(missing).length === 0) {
+            return source;
+        }
+
+        const trimmedBody = body.replace(/\s+$/, '');
+        const separator = trimmedBody.trim() === '' || /[,{]$/.test(trimmedBody) ? '' : ',';
+        if (!body.includes('\n') && trimmedBody.trim() !== '') {
+            // A single-line alias object stays on one line
+            const added = Object.entries(missing).map(([alias, target]) => `'${alias}': '${target}'`).join(', ');
+            return `${source.slice(0, openIndex + 1)}${trimmedBody}${separator} ${added} ${source.slice(closeIndex)}`;
+        }
+        // New entries line up with the existing ones
+        const entryLine = body.match(/\n([ \t]*)\S/);
+        const entryIndent = entryLine ? entryLine[1] : `${lineIndent(source, found.index)}${unit}`;
+        return source.slice(0, openIndex + 1) +
+            trimmedBody + separator + '\n' +
+            formatAliasEntries(missing, entryIndent) + '\n' +
+            lineIndent(source, found.index) +
+            source.slice(closeIndex);
+    }
+
+    const pluginsMatch = source.match(/plugins\s*:\s*\[/);
+    if (pluginsMatch) {
+        const openIndex = pluginsMatch.index + pluginsMatch[0].length - 1;
+        const closeIndex = findClosingBracket(source, openIndex);
+        if (closeIndex === -1) {
+            return null;
+        }
+
+        const indent = lineIndent(source, pluginsMatch.index);
+        const entries = source.slice(openIndex + 1, closeIndex);
+        const entryLine = entries.match(/^\n([ \t]*)\S/);
+        if (entryLine) {
+            return source.slice(0, openIndex + 1) + '\n' +
+                formatResolverPlugin(aliases, entryLine[1], root, unit) +
+                source.slice(openIndex + 1);
+        }
+
+        // An empty or single-line array, e.g. plugins: ['react-native-reanimated/plugin'], gets one entry per line
+        const entryIndent = `${indent}${unit}`;
+        const inline = entries.trim().replace(/,$/, '');
+        return source.slice(0, openIndex + 1) + '\n' +
+            formatResolverPlugin(aliases, entryIndent, root, unit) + '\n' +
+            (inline === '' ? '' : `${entryIndent}${inline},\n`) +
+            indent +
+            source.slice(closeIndex);
+    }
+
+    const presetsMatch = source.match(/presets\s*:\s*\[/);
+    if (presetsMatch) {
+        const closeIndex = findClosingBracket(source, presetsMatch.index + presetsMatch[0].length - 1);
+        if (closeIndex === -1) {
+            return null;
+        }
+
+        const indent = lineIndent(source, presetsMatch.index);
+        const hasComma = /^\s*,/.test(source.slice(closeIndex + 1));
+        const insertAt = hasComma ? source.indexOf(',', closeIndex) + 1 : closeIndex + 1;
+        return source.slice(0, insertAt) + (hasComma ? '' : ',') + '\n' +
+            `${indent}plugins: [\n` +
+            formatResolverPlugin(aliases, `${indent}${unit}`, root, unit) + '\n' +
+            `${indent}],` +
+            source.slice(insertAt);
+    }
+
+    return null;
+}
+
+module.exports = { generateBabelConfig, mergeBabelConfig, findClosingBracket };
@@ -0,0 +1,279 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { ScaffolderError, reportError } = require('./errors');
+
+/**
+ * Command line options understood by rn-scaffold.
+ * Keys are the flag names as typed on the command line (without the leading --).
+ */
+const CLI_OPTIONS = {
+    'storage': { type: 'string', description: 'Storage solution: async-storage | mmkv | none' },
+    'state': { type: 'string', description: 'State management: redux | zustand | context | none' },
+    'bottom-tabs': { type: 'boolean', description: 'Set up Bottom Tab Navigation (--no-bottom-tabs to skip)' },
+    'tabs': { type: 'string', description: 'Bottom tabs as name[:screen[:icon]], comma separated (e.g. Home,Profile:ProfileScreen:user)' },
+    'navigation': { type: 'boolean', description: 'Set up the navigation structure (--no-navigation to skip)' },
+    'persist': { type: 'boolean', description: 'Save the store to the chosen storage and restore it on launch (--no-persist to skip)' },
+    'persist-keys': { type: 'string', description: 'What to persist, comma separated: reducer keys (Redux) or state fields (Zustand, Context)' },
+    'persist-version': { type: 'string', description: 'Version of the persisted state, for migrations (default: 1)' },
+    'api': { type: 'string', description: 'API client in src/service: fetch | axios | none' },
+    'rtk-query': { type: 'boolean', description: 'Add an RTK Query API slice to the Redux store (--no-rtk-query to skip)' },
+    'media': { type: 'string', description: 'Media picker behind src/utils/MediaHandler: image-picker | crop-picker | none' },
+    'auth': { type: 'boolean', description: 'Add login, register and forgot-password screens with a session store; needs --navigation (--no-auth to skip)' },
+    'i18n': { type: 'boolean', description: 'Set up i18next translations in src/i18n (--no-i18n to skip)' },
+    'theme': { type: 'boolean', description: 'Set up a light/dark theme in src/theme (--no-theme to skip)' },
+    'jest': { type: 'boolean', description: 'Set up Jest with React Native Testing Library, mocks and test-utils (--no-jest to skip)' },
+    'env': { type: 'boolean', description: 'Set up .env.development/.staging/.production files and a Config module validating them (--no-env to skip)' },
+    'theme-tokens': { type: 'string', description: 'Design-tokens JSON (e.g. a Figma export) the theme tokens are imported from' },
+    'design-width': { type: 'string', description: 'Width of the screen the designs are drawn for, in points (default: 375)' },
+    'design-height': { type: 'string', description: 'Height of the screen the designs are drawn for, in points (default: 812)' },
+    'api-base-url': { type: 'string', description: 'Base URL of the RTK Query API slice (default: https://api.example.com)' },
+    'cwd': { type: 'string', description: 'Project root to work in (e.g. apps/mobile in a monorepo); defaults to the current directory' },
+    'language': { type: 'string', description: 'Language of generated files: ts | js (default: detected from the project)' },
+    'src-dir': { type: 'string', description: 'Source directory inside the project (default: src)' },
+    'layout': { type: 'string', description: 'Folder layout: layered | feature-first | atomic, or a JSON/YAML layout file (default: layered)' },
+    'install': { type: 'boolean', description: 'Install the added dependencies with npm, yarn or pnpm (detected from the lockfile)' },
+    'watch': { type: 'boolean', description: 'assets: regenerate the asset index modules whenever src/assets changes' },
+    'dry-run': { type: 'boolean', description: 'Print the planned tree and file diffs without writing anything' },
+    'conflict': { type: 'string', description: 'Existing files: ask | skip | overwrite | new (write <file>.new)' },
+    'templates': { type: 'string', description: 'Directory with template overrides (see "Custom templates" in the README)' },
+    'config': { type: 'string', description: 'Path to a config file (defaults to .rnmakerrc or rn-maker.config.json)' },
+    'force': { type: 'boolean', description: 'Continue even if the directory does not look like a React Native app' },
+    'yes': { type: 'boolean', alias: 'y', description: 'Accept the default answer for every remaining prompt' },
+    'help': { type: 'boolean', alias: 'h', description: 'Show this help' }
+};
+
+/**
+ * Convert a kebab-case flag name to the camelCase key used in parsed options
+ * @param {string} name - Flag name, e.g. "bottom-tabs"
+ * @returns {string}
+ */
+function toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Find the option definition for a flag name or its short alias
+ * @param {string} name - Flag name without dashes
+ * @returns {[string, object] | undefined}
+ */
+function findOption(name) {
+    return Object.entries(CLI_OPTIONS).find(([flag, option]) => flag === name || option.alias === name);
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {{ positionals: string[], options: Object<string, string|boolean> }}
+ */
+function parseArgs(argv) {
+    const positionals = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        let [name, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+        let negated = false;
+
+        if (!findOption(name) && name.startsWith('no-') && findOption(name.slice(3))) {
+            name = name.slice(3);
+            negated = true;
+        }
+
+        const match = findOption(name);
+        if (!match) {
+            throw new ScaffolderError(`Unknown option "${arg}". Run rn-scaffold --help to see the available options.`);
+        }
+
+        const [flag, option] = match;
+        const key = toCamelCase(flag);
+
+        if (option.type === 'boolean') {
+            if (inlineValue === undefined) {
+                options[key] = !negated;
+            } else if (['true', 'false'].includes(inlineValue) && !negated) {
+                options[key] = inlineValue === 'true';
+            } else {
+                throw new ScaffolderError(`Option --${flag} does not take a value (got "${inlineValue}").`);
+            }
+            continue;
+        }
+
+        if (negated) {
+            throw new ScaffolderError(`Option --${flag} cannot be negated.`);
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined || (inlineValue === undefined && value.startsWith('-'))) {
+            throw new ScaffolderError(`Option --${flag} requires a value.`);
+        }
+        options[key] = value;
+    }
+
+    return { positionals, options };
+}
+
+/**
+ * Build the --help text
+ * @returns {string}
+ */
+function formatHelp() {
+    const options = Object.entries(CLI_OPTIONS).map(([flag, option]) => ({
+        names: (option.alias ? `-${option.alias}, ` : '    ') + `--${flag}` + (option.type === 'string' ? ' <value>' : ''),
+        description: option.description
+    }));
+    const width = Math.max(28, ...options.map(({ names }) => names.length + 2));
+    const lines = options.map(({ names, description }) => `  ${names.padEnd(width)}${description}`);
+
+    return [
+        'Usage: rn-scaffold [options]',
+        '       rn-scaffold add <storage|state|navigation|bottom-tabs|api|media|auth|i18n|theme|jest|env> [value] [options]',
+        '       rn-scaffold generate <feature|screen|component|hook> <name> [options]',
+        '       rn-scaffold i18n <add-locale|check> [code] [options]',
+        '       rn-scaffold env check [options]',
+        '       rn-scaffold assets [--watch] [options]',
+        '       rn-scaffold theme import [file] [options]',
+        '       rn-scaffold undo [--dry-run]',
+        '',
+        'Commands:',
+        '  (none)                      Scaffold the project structure',
+        '  add storage <choice>        Set up or switch storage later (async-storage | mmkv)',
+        '  add state <choice>          Set up or switch state management later (redux | zustand | context)',
+        '  add navigation              Add the navigation structure to a scaffolded project',
+        '  add bottom-tabs             Add Bottom Tab Navigation (tabs from --tabs or a prompt)',
+        '  add api <choice>            Set up or switch the API client in src/service (fetch | axios)',
+        '  add media <choice>          Set up or switch the media picker (image-picker | crop-picker)',
+        '  add auth                    Add the auth screens and session to the navigation of a scaffolded project',
+        '  add i18n                    Add i18next translations to a scaffolded project',
+        '  add theme                   Add the light/dark theme (tokens from --theme-tokens or a prompt)',
+        '  add jest                    Set up Jest, or bring its moduleNameMapper and mocks up to date',
+        '  add env                     Set up the env files and Config module, or regenerate the module from env.schema.json',
+        '  generate feature <name>     Feature folder with a screen, barrel and slice/store (e.g. payments)',
+        '  generate screen <f>/<Name>  Screen with styles, test and barrel export (e.g. auth/Login)',
+        '  generate component <c>/<N>  Component with styles, test and index barrel (e.g. global/Button)',
+        '  generate hook <name>        Hook with test (e.g. useDebounce)',
+        '  i18n add-locale <code>      New locale with the keys of en.json, to translate (e.g. es, pt-BR)',
+        '  i18n check                  Report missing, untranslated and unused translation keys',
+        '  env check                   Report env file keys that are missing from or not in env.schema.json, or invalid',
+        '  assets                      Typed Images, Icons and Fonts modules for src/assets (--watch to keep them updated)',
+        '  theme import [file]         Rewrite the theme tokens from a design-tokens JSON (default: the saved one)',
+        '  undo                        Revert the latest run (files edited since are kept)',
+        '',
+        'Options:',
+        ...lines,
+        '',
+        'Options can also be stored in .rnmakerrc or rn-maker.config.json, e.g.',
+        '  { "storage": "mmkv", "state": "redux", "bottomTabs": true, "tabs": ["Home", "Settings"], "navigation": true }'
+    ].join('\n');
+}
+
+/**
+ * Subcommands, keyed by name (and short alias)
+ */
+const COMMANDS = {
+    generate: (args, options, rootPath) => {
+        const { CodeGenerator } = require('./code-generator');
+        return new CodeGenerator(rootPath, options).generate(...args);
+    }
+};
+COMMANDS.g = COMMANDS.generate;
+COMMANDS.add = (args, options, rootPath) => {
+    const ReactNativeProjectScaffolder = require('../scaffolder-script');
+    return new ReactNativeProjectScaffolder(rootPath, options).add(...args);
+};
+COMMANDS.i18n = (args, options, rootPath) => {
+    const { TranslationManager } = require('./i18n');
+    return new TranslationManager(rootPath, options).run(...args);
+};
+COMMANDS.env = (args, options, rootPath) => {
+    const { EnvChecker } = require('./env');
+    return new EnvChecker(rootPath, options).run(...args);
+};
+COMMANDS.assets = (args, options, rootPath) => {
+    const { AssetIndexer } = require('./assets');
+    return new AssetIndexer(rootPath, options).run(...args);
+};
+COMMANDS.theme = (args, options, rootPath) => {
+    const [subcommand, file, ...extra] = args;
+    if (subcommand !== 'import' || extra.length > 0) {
+        reportError('Theme', new ScaffolderError('Usage: rn-scaffold theme import [design-tokens.json]'));
+        return;
+    }
+    const ReactNativeProjectScaffolder = require('../scaffolder-script');
+    return new ReactNativeProjectScaffolder(rootPath, options).importTheme(file);
+};
+COMMANDS.undo = (args, options, rootPath) => {
+    try {
+        if (args.length > 0) {
+            throw new ScaffolderError('undo takes no arguments: it reverts the latest run.');
+        }
+        const { undoLastRun } = require('./manifest');
+        undoLastRun(rootPath, { dryRun: Boolean(options.dryRun) });
+    } catch (error) {
+        reportError('Undo', error);
+    }
+};
+
+/**
+ * Project root from --cwd, resolved against the current directory
+ * @param {string} [cwd] - Value of --cwd
+ * @returns {string} Absolute path
+ */
+function resolveRootPath(cwd) {
+    const rootPath = path.resolve(cwd || '.');
+    if (!fs.existsSync(rootPath) || !fs.statSync(rootPath).isDirectory()) {
+        throw new ScaffolderError(`--cwd: directory not found: ${rootPath}`);
+    }
+    return rootPath;
+}
+
+/**
+ * CLI entry point: parse arguments and run the scaffolder
+ * @param {string[]} argv - Arguments without the node executable and script path
+ * @returns {Promise<void>}
+ */
+async function run(argv) {
+    let parsed;
+    let rootPath;
+    try {
+        parsed = parseArgs(argv);
+        const [command] = parsed.positionals;
+        if (command && !COMMANDS[command]) {
+            throw new ScaffolderError(`Unknown command "${command}". Run rn-scaffold --help for usage.`);
+        }
+        rootPath = resolveRootPath(parsed.options.cwd);
+    } catch (error) {
+        process.exitCode = 1;
+        console.error(chalk.red(`❌ ${error.message}`));
+        return;
+    }
+
+    if (parsed.options.help) {
+        console.log(formatHelp());
+        return;
+    }
+
+    const [command, ...args] = parsed.positionals;
+    if (command) {
+        await COMMANDS[command](args, parsed.options, rootPath);
+        return;
+    }
+
+    // Required lazily so scaffolder-script.js can use this module as its own entry point
+    const ReactNativeProjectScaffolder = require('../scaffolder-script');
+    const scaffolder = new ReactNativeProjectScaffolder(rootPath, parsed.options);
+    await scaffolder.scaffold();
+}
+
+module.exports = { CLI_OPTIONS, parseArgs, formatHelp, run };
@@ -0,0 +1,402 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { ScaffolderError, reportError } = require('./errors');
+const { ask } = require('./prompt');
+const { FileWriter } = require('./file-writer');
+const { recordRun } = require('./manifest');
+const { loadProjectConfig } = require('./config');
+const { checkProject, resolveSourceDir } = require('./project');
+const { LANGUAGES, withLanguageExtension, detectLanguage } = require('./language');
+const { TemplateRenderer, resolveTemplateDirs } = require('./templates');
+const { addRouteType, addStackScreen } = require('./navigation-patch');
+const { addReducer } = require('./source-patch');
+const { pascalCase, camelCase } = require('./naming');
+const { loadLayout, layoutPath, componentCategories } = require('./layouts');
+
+/**
+ * Kinds accepted by `rn-scaffold generate <kind> <name>`
+ */
+const GENERATE_KINDS = ['feature', 'screen', 'component', 'hook'];
+
+/**
+ * Generates single features, screens, components and hooks inside a project
+ * that was scaffolded earlier, following the same folder conventions.
+ */
+class CodeGenerator {
+    /**
+     * @param {string} rootPath - Project root
+     * @param {object} options - Parsed command line options (see lib/cli.js)
+     */
+    constructor(rootPath = process.cwd(), options = {}) {
+        this.rootPath = rootPath;
+        this.options = options;
+        this.srcDir = 'src';
+        this.language = LANGUAGES.ts;
+        // Folder layout of the project (see lib/layouts.js)
+        this.layout = loadLayout(rootPath);
+        // Saved by the scaffold or `add` run (see SAVED_CONFIG_FILE in lib/config.js), if any
+        this.stateManagement = null;
+        this.writer = null;
+        this.templates = null;
+    }
+
+    /**
+     * Run `generate <kind> <name>`
+     * @param {string} kind - One of GENERATE_KINDS
+     * @param {string} name - Name or category/name, e.g. "auth/Login"
+     */
+    async generate(kind, name) {
+        try {
+            if (!GENERATE_KINDS.includes(kind)) {
+                throw new ScaffolderError(`Unknown generate target "${kind || ''}". Use one of: ${GENERATE_KINDS.join(', ')}.`);
+            }
+            if (!name) {
+                throw new ScaffolderError(`Missing name. Usage: rn-scaffold generate ${kind} <name>`);
+            }
+
+            const project = checkProject(this.rootPath, { force: this.options.force });
+            const { plugins, resolved } = loadProjectConfig(this.rootPath, this.options, { saved: true });
+            this.srcDir = resolveSourceDir(this.rootPath, resolved.srcDir || this.srcDir);
+            this.language = resolved.language || detectLanguage(project);
+            this.layout = loadLayout(this.rootPath, resolved.layout || undefined);
+            this.stateManagement = resolved.stateManagement || null;
+            this.templates = new TemplateRenderer([
+                ...resolveTemplateDirs(this.rootPath, resolved.templatesDir),
+                ...plugins.filter(plugin => plugin.templates).map(plugin => plugin.templates)
+            ]);
+            this.writer = new FileWriter(this.rootPath, {
+                dryRun: Boolean(this.options.dryRun),
+                conflict: this.options.conflict,
+                ask: question => this.ask(question)
+            });
+
+            const generators = {
+                feature: () => this.generateFeature(name),
+                screen: () => this.generateScreen(name),
+                component: () => this.generateComponent(name),
+                hook: () => this.generateHook(name)
+            };
+            await generators[kind]();
+
+            if (this.writer.dryRun) {
+                this.writer.printPlannedTree();
+            } else {
+                recordRun(this.rootPath, `generate ${kind} ${name}`, this.writer.takeChanges());
+            }
+        } catch (error) {
+            reportError('Generate', error);
+            if (this.writer) {
+                this.writer.rollback();
+            }
+        }
+    }
+
+    /**
+     * Ask a single question. With --yes the default answer is used instead of prompting.
+     * @param {object} question - inquirer question
+     * @returns {Promise<*>} The answer
+     */
+    async ask(question) {
+        return ask(question, { yes: this.options.yes });
+    }
+
+    /**
+     * Feature folder with a main screen, index barrel and a slice/store for the
+     * project's state management; Redux slices are registered in the root reducer
+     * @param {string} name - Feature name, e.g. "payments"
+     */
+    async generateFeature(name) {
+        const folder = this.validateSegment(name, 'feature');
+
+        this.writer.ensureDir(this.srcPath(`features/${folder}`), { label: 'feature directory' });
+        for (const subfolder of this.layout.featureFolders) {
+            const keep = this.srcPath(`features/${folder}/${subfolder}/.gitkeep`);
+            if (!fs.existsSync(path.join(this.rootPath, keep))) {
+                await this.writer.writeFile(keep, '', { label: '.gitkeep', color: chalk.gray });
+            }
+        }
+        await this.generateScreen(`${folder}/${pascalCase(folder)}`);
+
+        const stateManagement = this.detectStateManagement();
+        if (stateManagement === 'Redux Toolkit') {
+            await this.writer.writeFile(this.srcPath(`store/slices/${camelCase(folder)}Slice.ts`), this.generateSliceContent(folder), {
+                label: 'slice',
+                color: chalk.cyan
+            });
+            await this.registerSlice(camelCase(folder));
+        } else if (stateManagement === 'Zustand') {
+            await this.writer.writeFile(this.srcPath(`store/zustand/${camelCase(folder)}Store.ts`), this.generateZustandStoreContent(folder), {
+                label: 'store',
+                color: chalk.cyan
+            });
+        }
+    }
+
+    /**
+     * Screen with styles, test and barrel export, registered in the navigator
+     * @param {string} name - "<feature>/<Screen>", e.g. "auth/Login"
+     */
+    async generateScreen(name) {
+        const [feature, screenName, ...rest] = name.split('/');
+        if (!screenName || rest.length > 0) {
+            throw new ScaffolderError(`Screens are generated as <feature>/<Screen>, e.g. "auth/Login" (got "${name}").`);
+        }
+
+        const folder = this.validateSegment(feature, 'feature');
+        const routeName = pascalCase(this.validateSegment(screenName, 'screen')).replace(/Screen$/, '') || 'Screen';
+        const screen = `${routeName}Screen`;
+        const featurePath = `features/${folder}`;
+
+        await this.writer.writeFile(this.srcPath(`${featurePath}/${screen}.tsx`), this.generateScreenContent(screen, routeName), { label: 'screen' });
+        await this.writer.writeFile(this.srcPath(`${featurePath}/${screen}.styles.ts`), this.generateStylesContent(), { label: 'styles' });
+        await this.writer.writeFile(this.srcPath(`${featurePath}/__tests__/${screen}.test.tsx`), this.generateScreenTestContent(screen), { label: 'test' });
+        await this.addBarrelExport(this.srcPath(`${featurePath}/index.ts`), `export { default as ${screen} } from './${screen}';`);
+
+        await this.registerScreen(folder, routeName, screen);
+    }
+
+    /**
+     * Component folder with styles, test and index barrel. Without a category the component
+     * goes to the layout's componentCategory, or the category is asked for; it is also
+     * exported from the category barrel when the layout gives the category one.
+     * @param {string} name - "[<category>/]<Component>", e.g. "global/Button"
+     */
+    async generateComponent(name) {
+        const segments = name.split('/');
+        if (segments.length > 2) {
+            throw new ScaffolderError(`Components are generated as <category>/<Component>, e.g. "global/Button" (got "${name}").`);
+        }
+
+        const category = segments.length === 2 ? this.validateSegment(segments[0], 'component category') : await this.promptComponentCategory();
+        const component = pascalCase(this.validateSegment(segments[segments.length - 1], 'component'));
+        const componentPath = `components/${category}/${component}`;
+
+        await this.writer.writeFile(this.srcPath(`${componentPath}/${component}.tsx`), this.generateComponentContent(component), { label: 'component' });
+        await this.writer.writeFile(this.srcPath(`${componentPath}/${component}.styles.ts`), this.generateStylesContent(), { label: 'styles' });
+        await this.writer.writeFile(this.srcPath(`${componentPath}/__tests__/${component}.test.tsx`), this.generateComponentTestContent(component), { label: 'test' });
+        await this.writer.writeFile(this.srcPath(`${componentPath}/index.ts`), `export { default } from './${component}';\n`, { label: 'barrel' });
+
+        const folder = this.layout.folders.find(entry => entry.path === layoutPath(this.layout, `components/${category}`));
+        if (folder && folder.barrel) {
+            await this.addBarrelExport(this.srcPath(`components/${category}/index.ts`), `export { default as ${component} } from './${component}';`);
+        }
+    }
+
+    /**
+     * Category of a component generated without one
+     * @returns {Promise<string>} The layout's componentCategory, its only category, or the one picked
+     */
+    async promptComponentCategory() {
+        if (this.layout.componentCategory) {
+            return this.layout.componentCategory;
+        }
+        const categories = componentCategories(this.layout);
+        if (categories.length <= 1) {
+            return categories[0] || 'global';
+        }
+        return this.ask({
+            type: 'list',
+            name: 'category',
+            message: 'Component category:',
+            choices: categories
+        });
+    }
+
+    /**
+     * Hook with test, exported from the hooks barrel
+     * @param {string} name - Hook name starting with "use", e.g. "useDebounce"
+     */
+    async generateHook(name) {
+        const hook = camelCase(this.validateSegment(name, 'hook'));
+        if (!/^use[A-Z]/.test(hook)) {
+            throw new ScaffolderError(`Hook names must start with "use", e.g. "useDebounce" (got "${name}").`);
+        }
+
+        await this.writer.writeFile(this.srcPath(`hooks/${hook}.ts`), this.generateHookContent(hook), { label: 'hook' });
+        await this.writer.writeFile(this.srcPath(`hooks/__tests__/${hook}.test.tsx`), this.generateHookTestContent(hook), { label: 'test' });
+        await this.addBarrelExport(this.srcPath('hooks/index.ts'), `export { default as ${hook} } from './${hook}';`);
+    }
+
+    /**
+     * Path of a file or folder inside the source directory, in the folder of the layout
+     * holding its kind of code, with .js/.jsx extensions in JavaScript mode
+     * @param {string} relPath - Path in the layered layout, e.g. "hooks/useDebounce.ts"
+     * @returns {string} Path relative to the project root
+     */
+    srcPath(relPath) {
+        return path.posix.join(this.srcDir, layoutPath(this.layout, withLanguageExtension(relPath, this.language)));
+    }
+
+    /**
+     * Render the template of a source file in the project's language
+     * @param {string} name - TypeScript template name, e.g. "generate/Screen.tsx"
+     * @param {object} [context] - Values available to the template
+     * @returns {string}
+     */
+    renderSource(name, context) {
+        return this.templates.render(withLanguageExtension(name, this.language), context);
+    }
+
+    /**
+     * Check a single path segment of a generate name
+     * @param {string} segment
+     * @param {string} what - Used in the error message
+     * @returns {string} The segment
+     */
+    validateSegment(segment, what) {
+        if (!segment || !/^[A-Za-z][A-Za-z0-9_-]*$/.test(segment)) {
+            throw new ScaffolderError(`Invalid ${what} name "${segment || ''}": use letters, digits, "-" and "_", starting with a letter.`);
+        }
+        return segment;
+    }
+
+    /**
+     * State management used by the project: the saved choice, else detected from the
+     * generated store files or the package.json dependencies
+     * @returns {string|null} "Redux Toolkit", "Zustand", another saved choice or null
+     */
+    detectStateManagement() {
+        if (this.stateManagement && this.stateManagement !== 'None') {
+            return this.stateManagement;
+        }
+        if (fs.existsSync(path.join(this.rootPath, this.srcPath('store/slices')))) {
+            return 'Redux Toolkit';
+        }
+        if (fs.existsSync(path.join(this.rootPath, this.srcPath('store/zustand')))) {
+            return 'Zustand';
+        }
+
+        const packageJsonPath = path.join(this.rootPath, 'package.json');
+        if (fs.existsSync(packageJsonPath)) {
+            const { dependencies = {} } = fs.readJsonSync(packageJsonPath, { throws: false }) || {};
+            if (dependencies['@reduxjs/toolkit']) return 'Redux Toolkit';
+            if (dependencies.zustand) return 'Zustand';
+        }
+
+        return null;
+    }
+
+    /**
+     * Append an export line to a barrel file (created when missing). The `export {};` of an
+     * empty layout barrel is dropped with the first export.
+     * @param {string} relPath - Barrel path relative to the project root
+     * @param {string} line - Export statement
+     */
+    async addBarrelExport(relPath, line) {
+        const fullPath = path.join(this.rootPath, relPath);
+        const current = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : '';
+        if (current.split('\n').includes(line)) {
+            return;
+        }
+
+        const existing = current.split('\n').filter(entry => entry !== 'export {};').join('\n');
+
+        const content = `${existing}${existing && !existing.endsWith('\n') ? '\n' : ''}${line}\n`;
+        await this.writer.writeFile(relPath, content, { label: 'barrel', merge: true });
+    }
+
+    /**
+     * Add a route to the matching param list in src/types/navigation.ts and to
+     * its stack in src/navigation/RootNavigator.tsx (.js/.jsx in JavaScript mode). Screens of the auth feature
+     * go to the Auth stack, all others to the App stack.
+     * @param {string} folder - Feature folder
+     * @param {string} routeName - Route name, e.g. "Login"
+     * @param {string} screen - Screen component name, e.g. "LoginScreen"
+     */
+    async registerScreen(folder, routeName, screen) {
+        const stack = folder === 'auth' ? 'Auth' : 'App';
+        const typesPath = this.srcPath('types/navigation.ts');
+        const navigatorPath = this.srcPath('navigation/RootNavigator.tsx');
+
+        const types = this.readProjectFile(typesPath);
+        const updatedTypes = types === null ? null : addRouteType(types, stack, routeName, { language: this.language });
+        if (updatedTypes === null) {
+            console.log(chalk.gray(`Skipped route registration: no ${stack}StackParamList in ${typesPath}`));
+            return;
+        }
+        if (updatedTypes !== types) {
+            await this.writer.writeFile(typesPath, updatedTypes, { label: 'navigation types', color: chalk.magenta, merge: true });
+        }
+
+        const navigator = this.readProjectFile(navigatorPath);
+        const updatedNavigator = navigator === null ? null : addStackScreen(navigator, stack, {
+            routeName,
+            element: `<${stack}Stack.Screen name="${routeName}" component={${screen}} />`,
+            importLine: `import ${screen} from '@features/${folder}/${screen}';`
+        });
+        if (updatedNavigator !== null && updatedNavigator !== navigator) {
+            await this.writer.writeFile(navigatorPath, updatedNavigator, { label: 'navigator', color: chalk.magenta, merge: true });
+        }
+    }
+
+    /**
+     * Add a generated slice to the combineReducers call of the Redux store
+     * @param {string} sliceName - camelCase slice name, also its state key, e.g. "payments"
+     */
+    async registerSlice(sliceName) {
+        const storePath = this.srcPath('store/index.ts');
+        const store = this.readProjectFile(storePath);
+        const updated = store === null
+            ? null
+            : addReducer(store, sliceName, `import ${sliceName}Reducer from './slices/${sliceName}Slice';`);
+        if (updated === null) {
+            console.log(chalk.gray(`Skipped slice registration: no combineReducers in ${storePath}`));
+            return;
+        }
+        if (updated !== store) {
+            await this.writer.writeFile(storePath, updated, { label: 'store', color: chalk.cyan, merge: true });
+        }
+    }
+
+    /**
+     * @param {string} relPath - Path relative to the project root
+     * @returns {string|null} File content, or null when missing
+     */
+    readProjectFile(relPath) {
+        const fullPath = path.join(this.rootPath, relPath);
+        return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+    }
+
+    // Content generation methods
+    generateScreenContent(screen, title) {
+        return this.renderSource('generate/Screen.tsx', { screen, title });
+    }
+
+    generateStylesContent() {
+        return this.renderSource('generate/styles.ts');
+    }
+
+    generateScreenTestContent(screen) {
+        return this.renderSource('generate/Screen.test.tsx', { screen });
+    }
+
+    generateComponentContent(component) {
+        return this.renderSource('generate/Component.tsx', { component });
+    }
+
+    generateComponentTestContent(component) {
+        return this.renderSource('generate/Component.test.tsx', { component });
+    }
+
+    generateHookContent(hook) {
+        return this.renderSource('generate/hook.ts', { hook });
+    }
+
+    generateHookTestContent(hook) {
+        return this.renderSource('generate/hook.test.tsx', { hook });
+    }
+
+    generateSliceContent(folder) {
+        return this.renderSource('generate/slice.ts', {
+            sliceName: camelCase(folder),
+            stateType: `${pascalCase(folder)}State`
+        });
+    }
+
+    generateZustandStoreContent(folder) {
+        return this.renderSource('generate/zustandStore.ts', { pascalName: pascalCase(folder) });
+    }
+}
+
+module.exports = { CodeGenerator, GENERATE_KINDS };
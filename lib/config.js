@@ -0,0 +1,468 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ScaffolderError } = require('./errors');
+const { loadPlugins } = require('./plugins');
+const { LANGUAGES } = require('./language');
+const { MANIFEST_DIR } = require('./manifest');
+const { LAYOUT_PRESETS } = require('./layouts');
+
+/**
+ * Config files looked up in the project root, in order of precedence
+ */
+const CONFIG_FILE_NAMES = ['.rnmakerrc', 'rn-maker.config.json'];
+
+/**
+ * The options a project was scaffolded with, in config file format. Written by every
+ * scaffold and `add` run, read back by `add` and `generate`.
+ */
+const SAVED_CONFIG_FILE = `${MANIFEST_DIR}/config.json`;
+
+/**
+ * Options that can be set from CLI flags or the config file.
+ * `key` is the property on scaffolder.config the option fills in.
+ */
+const CONFIG_OPTIONS = {
+    bottomTabs: {
+        key: 'bottomNavigation',
+        type: 'boolean'
+    },
+    tabs: {
+        key: 'tabs',
+        type: 'tabs'
+    },
+    navigation: {
+        key: 'navigationSetup',
+        type: 'boolean'
+    },
+    storage: {
+        key: 'storageType',
+        type: 'choice',
+        choices: {
+            'async-storage': 'Async Storage',
+            'mmkv': 'React Native MMKV',
+            'none': 'None'
+        }
+    },
+    templates: {
+        key: 'templatesDir',
+        type: 'path'
+    },
+    srcDir: {
+        key: 'srcDir',
+        type: 'path'
+    },
+    layout: {
+        key: 'layout',
+        type: 'layout'
+    },
+    language: {
+        key: 'language',
+        type: 'choice',
+        choices: LANGUAGES
+    },
+    state: {
+        key: 'stateManagement',
+        type: 'choice',
+        choices: {
+            'redux': 'Redux Toolkit',
+            'zustand': 'Zustand',
+            'context': 'Context API',
+            'none': 'None'
+        }
+    },
+    persist: {
+        key: 'persistState',
+        type: 'boolean'
+    },
+    persistKeys: {
+        key: 'persistKeys',
+        type: 'list'
+    },
+    persistVersion: {
+        key: 'persistVersion',
+        type: 'integer'
+    },
+    rtkQuery: {
+        key: 'rtkQuery',
+        type: 'boolean'
+    },
+    apiBaseUrl: {
+        key: 'apiBaseUrl',
+        type: 'url'
+    },
+    api: {
+        key: 'apiClient',
+        type: 'choice',
+        choices: {
+            'fetch': 'Fetch',
+            'axios': 'Axios',
+            'none': 'None'
+        }
+    },
+    media: {
+        key: 'mediaLibrary',
+        type: 'choice',
+        choices: {
+            'image-picker': 'React Native Image Picker',
+            'crop-picker': 'React Native Image Crop Picker',
+            'none': 'None'
+        }
+    },
+    auth: {
+        key: 'auth',
+        type: 'boolean'
+    },
+    i18n: {
+        key: 'i18n',
+        type: 'boolean'
+    },
+    theme: {
+        key: 'theme',
+        type: 'boolean'
+    },
+    jest: {
+        key: 'jest',
+        type: 'boolean'
+    },
+    env: {
+        key: 'env',
+        type: 'boolean'
+    },
+    themeTokens: {
+        key: 'themeTokens',
+        type: 'path'
+    },
+    designWidth: {
+        key: 'designWidth',
+        type: 'integer',
+        min: 1
+    },
+    designHeight: {
+        key: 'designHeight',
+        type: 'integer',
+        min: 1
+    }
+};
+
+/**
+ * Load the project config file
+ * @param {string} rootPath - Project root
+ * @param {string} [explicitPath] - Path given with --config
+ * @returns {{ path: string, data: object } | null}
+ */
+function loadConfigFile(rootPath, explicitPath) {
+    let configPath;
+
+    if (explicitPath) {
+        configPath = path.resolve(rootPath, explicitPath);
+        if (!fs.existsSync(configPath)) {
+            throw new ScaffolderError(`Config file not found: ${configPath}`);
+        }
+    } else {
+        configPath = CONFIG_FILE_NAMES
+            .map(name => path.join(rootPath, name))
+            .find(candidate => fs.existsSync(candidate));
+        if (!configPath) {
+            return null;
+        }
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new ScaffolderError(`Could not parse ${path.basename(configPath)}: ${error.message}`);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ScaffolderError(`${path.basename(configPath)} must contain a JSON object.`);
+    }
+
+    return { path: configPath, data };
+}
+
+/**
+ * Load the options saved by the last scaffold or `add` run
+ * @param {string} rootPath - Project root
+ * @returns {{ path: string, data: object } | null} null for projects scaffolded without one
+ */
+function loadSavedConfig(rootPath) {
+    const savedPath = path.join(rootPath, SAVED_CONFIG_FILE);
+    if (!fs.existsSync(savedPath)) {
+        return null;
+    }
+
+    try {
+        return { path: savedPath, data: JSON.parse(fs.readFileSync(savedPath, 'utf8')) };
+    } catch (error) {
+        throw new ScaffolderError(`Could not parse ${SAVED_CONFIG_FILE}: ${error.message}`);
+    }
+}
+
+/**
+ * Convert scaffolder.config back to config file format, e.g. { storage: "mmkv" }
+ * @param {object} config - scaffolder.config
+ * @param {Array<object>} [plugins] - Loaded plugins, whose options are saved too
+ * @returns {object}
+ */
+function serializeConfig(config, plugins = []) {
+    const saved = {};
+    Object.entries(buildConfigOptions(plugins)).forEach(([name, option]) => {
+        const value = config[option.key];
+        if (value === undefined || value === null || (option.type === 'tabs' && value.length === 0)) {
+            return;
+        }
+
+        if (option.type === 'choice') {
+            saved[name] = Object.keys(option.choices).find(choice => option.choices[choice] === value) || value;
+        } else if (option.type === 'tabs') {
+            saved[name] = value.map(tab => ({ name: tab.name, screen: tab.screen, icon: tab.icon }));
+        } else {
+            saved[name] = value;
+        }
+    });
+    return saved;
+}
+
+/**
+ * Config options extended with the choices and config keys added by plugins
+ * @param {Array<object>} plugins - Loaded plugins (see lib/plugins.js)
+ * @returns {object} Same shape as CONFIG_OPTIONS
+ */
+function buildConfigOptions(plugins) {
+    const configOptions = {};
+    Object.entries(CONFIG_OPTIONS).forEach(([name, option]) => {
+        configOptions[name] = option.choices ? { ...option, choices: { ...option.choices } } : option;
+    });
+
+    plugins.forEach(plugin => {
+        Object.entries(plugin.choices).forEach(([name, labels]) => {
+            labels.forEach(label => {
+                configOptions[name].choices[label.toLowerCase().replace(/\s+/g, '-')] = label;
+            });
+        });
+        Object.keys(plugin.config).forEach(key => {
+            if (configOptions[key]) {
+                throw new ScaffolderError(`Plugin "${plugin.name}" redefines the config option "${key}".`);
+            }
+            configOptions[key] = { key, type: 'any', plugin: plugin.name };
+        });
+    });
+
+    return configOptions;
+}
+
+/**
+ * Validate a single option value and convert it to the value stored on scaffolder.config
+ * @param {object} option - Entry of CONFIG_OPTIONS
+ * @param {string} name - Option name (e.g. "storage")
+ * @param {*} value - Raw value from a flag or the config file
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {*}
+ */
+function normalizeOption(option, name, value, source) {
+    if (option.type === 'any') {
+        return value;
+    }
+
+    if (option.type === 'tabs') {
+        return parseTabs(value, source);
+    }
+
+    if (option.type === 'path') {
+        if (typeof value !== 'string' || value.trim() === '') {
+            throw new ScaffolderError(`Invalid value for "${name}" in ${source}: expected a path.`);
+        }
+        return value;
+    }
+
+    if (option.type === 'layout') {
+        if (typeof value !== 'string' || !(LAYOUT_PRESETS[value.trim()] || /\.(json|ya?ml)$/i.test(value.trim()))) {
+            throw new ScaffolderError(`Invalid value for "${name}" in ${source}: ${JSON.stringify(value)}. Use one of ${Object.keys(LAYOUT_PRESETS).join(', ')}, or the path of a JSON or YAML layout file.`);
+        }
+        return value.trim();
+    }
+
+    if (option.type === 'url') {
+        if (typeof value !== 'string' || !/^https?:\/\/\S+$/.test(value.trim())) {
+            throw new ScaffolderError(`Invalid value for "${name}" in ${source}: expected an http(s) URL, got ${JSON.stringify(value)}.`);
+        }
+        return value.trim().replace(/\/+$/, '');
+    }
+
+    if (option.type === 'list') {
+        const items = typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+        if (!Array.isArray(items) || items.length === 0 || !items.every(item => typeof item === 'string' && /^[A-Za-z_$][\w$]*$/.test(item))) {
+            throw new ScaffolderError(`Invalid value for "${name}" in ${source}: expected a list of identifiers, e.g. "example,settings".`);
+        }
+        return items;
+    }
+
+    if (option.type === 'integer') {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        const min = option.min || 0;
+        if (!Number.isInteger(number) || number < min) {
+            const expected = min > 0 ? `a whole number of at least ${min}` : 'a whole number';
+            throw new ScaffolderError(`Invalid value for "${name}" in ${source}: expected ${expected}, got ${JSON.stringify(value)}.`);
+        }
+        return number;
+    }
+
+    if (option.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+            throw new ScaffolderError(`Invalid value for "${name}" in ${source}: expected true or false, got ${JSON.stringify(value)}.`);
+        }
+        return value;
+    }
+
+    const normalized = String(value).trim().toLowerCase();
+    const match = Object.entries(option.choices)
+        .find(([choice, label]) => choice === normalized || label.toLowerCase() === normalized);
+
+    if (!match) {
+        const allowed = Object.keys(option.choices).join(', ');
+        throw new ScaffolderError(`Invalid value for "${name}" in ${source}: ${JSON.stringify(value)}. Allowed values: ${allowed}.`);
+    }
+
+    return match[1];
+}
+
+/**
+ * Parse the bottom tab list.
+ * Accepts "Home,Search:SearchScreen:search" (name[:screen[:icon]]), an array of such
+ * strings, or an array of { name, screen, icon } objects.
+ * @param {string|Array<string|object>} value - Raw tab list
+ * @param {string} source - Where the value came from, used in error messages
+ * @returns {Array<{name: string, screen: string, icon: string, folder: string}>}
+ */
+function parseTabs(value, source) {
+    const entries = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(entries)) {
+        throw new ScaffolderError(`Invalid value for "tabs" in ${source}: expected a list of tabs.`);
+    }
+
+    const tabs = entries
+        .map(entry => {
+            if (typeof entry === 'string') {
+                const [name, screen, icon] = entry.split(':').map(part => part.trim());
+                return { name, screen, icon };
+            }
+            return entry && typeof entry === 'object' ? { ...entry } : { name: entry };
+        })
+        .filter(tab => tab.name !== '')
+        .map(tab => {
+            if (typeof tab.name !== 'string' || !/^[A-Za-z][A-Za-z0-9]*$/.test(tab.name)) {
+                throw new ScaffolderError(`Invalid tab name ${JSON.stringify(tab.name)} in ${source}: use letters and digits only, starting with a letter.`);
+            }
+
+            const name = tab.name.charAt(0).toUpperCase() + tab.name.slice(1);
+            const screen = tab.screen || `${name}Screen`;
+            if (!/^[A-Z][A-Za-z0-9]*$/.test(screen)) {
+                throw new ScaffolderError(`Invalid screen name ${JSON.stringify(screen)} for tab "${name}" in ${source}: use a PascalCase component name.`);
+            }
+
+            // Written into BottomTabNavigator and the BottomTabIcons keys, and names the image file
+            const icon = tab.icon || name.toLowerCase();
+            if (typeof icon !== 'string' || !/^[A-Za-z][A-Za-z0-9_-]*$/.test(icon)) {
+                throw new ScaffolderError(`Invalid icon name ${JSON.stringify(icon)} for tab "${name}" in ${source}: use letters, digits, "-" and "_", starting with a letter.`);
+            }
+
+            return {
+                name,
+                screen,
+                icon,
+                folder: name.charAt(0).toLowerCase() + name.slice(1)
+            };
+        });
+
+    if (tabs.length === 0) {
+        throw new ScaffolderError(`Invalid value for "tabs" in ${source}: at least one tab is required.`);
+    }
+
+    const duplicate = tabs.find((tab, index) => tabs.findIndex(other => other.name === tab.name) !== index);
+    if (duplicate) {
+        throw new ScaffolderError(`Duplicate tab "${duplicate.name}" in ${source}.`);
+    }
+
+    return tabs;
+}
+
+/**
+ * Merge config file values, saved options and CLI flags (later ones win) into a partial scaffolder config
+ * @param {object} options - Parsed CLI options
+ * @param {{ path: string, data: object } | null} configFile - Loaded config file
+ * @param {Array<object>} [plugins] - Loaded plugins, which may add choices and config keys
+ * @param {{ path: string, data: object } | null} [savedConfig] - Result of loadSavedConfig()
+ * @returns {object} Values keyed by scaffolder.config property; only answered keys are present
+ */
+function resolveConfig(options, configFile, plugins = [], savedConfig = null) {
+    const configOptions = buildConfigOptions(plugins);
+    const resolved = {};
+
+    if (configFile) {
+        const source = path.basename(configFile.path);
+        Object.entries(configFile.data).forEach(([name, value]) => {
+            if (name === 'plugins') {
+                return;
+            }
+            if (!configOptions[name]) {
+                const allowed = ['plugins', ...Object.keys(configOptions)].join(', ');
+                throw new ScaffolderError(`Unknown option "${name}" in ${source}. Allowed options: ${allowed}.`);
+            }
+            resolved[configOptions[name].key] = normalizeOption(configOptions[name], name, value, source);
+        });
+    }
+
+    // What the project was actually set up with wins over the config file
+    if (savedConfig) {
+        Object.entries(savedConfig.data).forEach(([name, value]) => {
+            // Options of plugins removed since are ignored
+            if (configOptions[name]) {
+                resolved[configOptions[name].key] = normalizeOption(configOptions[name], name, value, SAVED_CONFIG_FILE);
+            }
+        });
+    }
+
+    Object.keys(CONFIG_OPTIONS).forEach(name => {
+        if (options[name] !== undefined) {
+            resolved[configOptions[name].key] = normalizeOption(configOptions[name], name, options[name], 'command line flags');
+        }
+    });
+
+    // A tab list implies Bottom Tab Navigation unless it was explicitly turned off
+    if (resolved.tabs && resolved.bottomNavigation === undefined) {
+        resolved.bottomNavigation = true;
+    }
+
+    return resolved;
+}
+
+/**
+ * Load the config file, the plugins it lists and the resolved config values in one go
+ * @param {string} rootPath - Project root
+ * @param {object} options - Parsed CLI options
+ * @param {object} [loadOptions]
+ * @param {boolean} [loadOptions.saved] - Include the options saved by earlier runs (SAVED_CONFIG_FILE)
+ * @returns {{ configFile: object|null, savedConfig: object|null, plugins: Array<object>, resolved: object }}
+ */
+function loadProjectConfig(rootPath, options, { saved = false } = {}) {
+    const configFile = loadConfigFile(rootPath, options.config);
+    const savedConfig = saved ? loadSavedConfig(rootPath) : null;
+    const plugins = loadPlugins(rootPath, configFile ? configFile.data.plugins : []);
+    const resolved = resolveConfig(options, configFile, plugins, savedConfig);
+    return { configFile, savedConfig, plugins, resolved };
+}
+
+module.exports = {
+    CONFIG_FILE_NAMES,
+    CONFIG_OPTIONS,
+    SAVED_CONFIG_FILE,
+    loadConfigFile,
+    loadSavedConfig,
+    serializeConfig,
+    loadProjectConfig,
+    resolveConfig,
+    buildConfigOptions,
+    normalizeOption,
+    parseTabs
+};
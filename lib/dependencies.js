@@ -0,0 +1,323 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ScaffolderError } = require('./errors');
+const { LANGUAGES } = require('./language');
+const { usesPersistence } = require('./persistence');
+
+/**
+ * Packages the generated code needs, per option. Versions are ranges known to
+ * work together with React Native 0.72 - 0.76 and React Navigation 6.
+ */
+const OPTION_DEPENDENCIES = {
+    // Always needed: tsconfig.json extends the RN config, babel.config.js uses module-resolver
+    base: {
+        devDependencies: {
+            'babel-plugin-module-resolver': '^5.0.2'
+        }
+    },
+    bottomNavigation: {
+        dependencies: {
+            '@react-navigation/native': '^6.1.18',
+            '@react-navigation/bottom-tabs': '^6.6.1',
+            'react-native-screens': '^3.34.0',
+            'react-native-safe-area-context': '^4.11.0'
+        }
+    },
+    navigationSetup: {
+        dependencies: {
+            '@react-navigation/native': '^6.1.18',
+            '@react-navigation/native-stack': '^6.11.0',
+            'react-native-screens': '^3.34.0',
+            'react-native-safe-area-context': '^4.11.0'
+        }
+    },
+    storageType: {
+        'Async Storage': {
+            dependencies: {
+                '@react-native-async-storage/async-storage': '^1.24.0'
+            }
+        },
+        'React Native MMKV': {
+            dependencies: {
+                'react-native-mmkv': '^2.12.2'
+            }
+        }
+    },
+    stateManagement: {
+        'Redux Toolkit': {
+            dependencies: {
+                '@reduxjs/toolkit': '^2.2.7',
+                'react-redux': '^9.1.2'
+            }
+        },
+        'Zustand': {
+            dependencies: {
+                'zustand': '^4.5.5'
+            }
+        }
+    },
+    apiClient: {
+        'Axios': {
+            dependencies: {
+                'axios': '^1.7.2'
+            }
+        }
+    },
+    mediaLibrary: {
+        'React Native Image Picker': {
+            dependencies: {
+                'react-native-image-picker': '^7.1.2',
+                'react-native-permissions': '^4.1.5'
+            }
+        },
+        'React Native Image Crop Picker': {
+            dependencies: {
+                'react-native-image-crop-picker': '^0.41.2',
+                'react-native-permissions': '^4.1.5'
+            }
+        }
+    },
+    i18n: {
+        dependencies: {
+            'i18next': '^23.11.5',
+            'react-i18next': '^14.1.2',
+            'react-native-localize': '^3.1.0'
+        }
+    },
+    jest: {
+        devDependencies: {
+            '@testing-library/react-native': '^12.7.2',
+            'jest': '^29.7.0'
+        }
+    }
+};
+
+/**
+ * Packages of persisted state, per state management solution (see lib/persistence.js).
+ * Zustand's persist middleware ships with zustand itself.
+ */
+const PERSIST_DEPENDENCIES = {
+    'Redux Toolkit': {
+        dependencies: {
+            'redux-persist': '^6.0.0'
+        }
+    }
+};
+
+/**
+ * Lockfiles and the package manager that wrote them, checked in order
+ */
+const LOCKFILES = [
+    ['yarn.lock', 'yarn'],
+    ['pnpm-lock.yaml', 'pnpm'],
+    ['bun.lockb', 'bun'],
+    ['bun.lock', 'bun'],
+    ['package-lock.json', 'npm']
+];
+
+const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm', 'bun'];
+
+/**
+ * Merge dependency sets; a later set never replaces a range already collected
+ * @param {...{dependencies?: object, devDependencies?: object}} sets
+ * @returns {{dependencies: object, devDependencies: object}}
+ */
+function mergeDependencySets(...sets) {
+    const merged = { dependencies: {}, devDependencies: {} };
+    sets.filter(Boolean).forEach(set => {
+        ['dependencies', 'devDependencies'].forEach(field => {
+            Object.entries(set[field] || {}).forEach(([name, version]) => {
+                if (!merged[field][name]) {
+                    merged[field][name] = version;
+                }
+            });
+        });
+    });
+    return merged;
+}
+
+/**
+ * Dependencies needed for a scaffolder config
+ * @param {object} config - scaffolder.config
+ * @param {object} [project] - Detected project (see lib/project.js)
+ * @param {string|null} [project.reactNativeVersion] - Version range of react-native in the project
+ * @param {boolean} [project.isExpo] - Expo apps extend expo/tsconfig.base instead
+ * (JavaScript projects get no tsconfig.json at all)
+ * @returns {{dependencies: object, devDependencies: object}}
+ */
+function collectDependencies(config, { reactNativeVersion = null, isExpo = false } = {}) {
+    const sets = [OPTION_DEPENDENCIES.base];
+
+    // tsconfig.json extends @react-native/typescript-config, which is released in step with react-native
+    if (!isExpo && config.language !== LANGUAGES.js) {
+        const rnMinor = reactNativeVersion && reactNativeVersion.match(/(\d+)\.(\d+)/);
+        sets.push({
+            devDependencies: {
+                '@react-native/typescript-config': rnMinor ? `~${rnMinor[1]}.${rnMinor[2]}.0` : 'latest'
+            }
+        });
+    }
+
+    Object.entries(OPTION_DEPENDENCIES).forEach(([key, entry]) => {
+        if (key === 'base' || !config[key]) {
+            return;
+        }
+        // Boolean options map straight to a set, choice options have a set per answer
+        sets.push(entry.dependencies || entry.devDependencies ? entry : entry[config[key]]);
+    });
+
+    if (usesPersistence(config)) {
+        sets.push(PERSIST_DEPENDENCIES[config.stateManagement]);
+    }
+
+    // Types of the Jest globals for TypeScript, and Expo's Jest preset
+    if (config.jest && config.language !== LANGUAGES.js) {
+        sets.push({ devDependencies: { '@types/jest': '^29.5.12' } });
+    }
+    if (config.jest && isExpo) {
+        sets.push({ devDependencies: { 'jest-expo': 'latest' } });
+    }
+    // Expo reads the env files itself, bare apps through react-native-config
+    if (config.env && !isExpo) {
+        sets.push({ dependencies: { 'react-native-config': '^1.5.9' } });
+    }
+
+    return mergeDependencySets(...sets);
+}
+
+/**
+ * Compare wanted dependencies with package.json
+ * @param {object} packageJson - Current package.json
+ * @param {{dependencies: object, devDependencies: object}} wanted
+ * @returns {{added: Array<object>, kept: Array<object>}} kept = already present with another range
+ */
+function diffDependencies(packageJson, wanted) {
+    const added = [];
+    const kept = [];
+
+    ['dependencies', 'devDependencies'].forEach(field => {
+        Object.entries(wanted[field]).forEach(([name, version]) => {
+            const existing = (packageJson.dependencies || {})[name] || (packageJson.devDependencies || {})[name];
+            if (!existing) {
+                added.push({ field, name, version });
+            } else if (existing !== version) {
+                kept.push({ field, name, version: existing, suggested: version });
+            }
+        });
+    });
+
+    return { added, kept };
+}
+
+/**
+ * Package manager named by the "packageManager" field of a package.json, e.g. "yarn@4.1.0"
+ * @param {string} dir - Directory of the package.json
+ * @returns {string|null}
+ */
+function readPackageManagerField(dir) {
+    const packageJson = readJsonIfExists(path.join(dir, 'package.json'));
+    const name = packageJson && typeof packageJson.packageManager === 'string' ? packageJson.packageManager.split('@')[0] : null;
+    return PACKAGE_MANAGERS.includes(name) ? name : null;
+}
+
+/**
+ * Where dependencies of a project are installed, and with what. Walks up from the project
+ * to the nearest lockfile or workspace root, so an app inside a yarn, pnpm or bun workspace
+ * is installed from the workspace root with the workspace's package manager. The walk ends
+ * at the repository root; with nothing found, npm installs in the project itself.
+ * @param {string} rootPath - Project root
+ * @returns {{packageManager: string, installPath: string}} npm | yarn | pnpm | bun, and the directory to run it in
+ */
+function findInstallRoot(rootPath) {
+    let dir = path.resolve(rootPath);
+
+    for (;;) {
+        const lockfile = LOCKFILES.find(([file]) => fs.existsSync(path.join(dir, file)));
+        if (lockfile) {
+            return { packageManager: lockfile[1], installPath: dir };
+        }
+        if (fs.existsSync(path.join(dir, 'pnpm-workspace.yaml'))) {
+            return { packageManager: 'pnpm', installPath: dir };
+        }
+        const packageJson = readJsonIfExists(path.join(dir, 'package.json'));
+        if (packageJson && packageJson.workspaces) {
+            return { packageManager: readPackageManagerField(dir) || 'npm', installPath: dir };
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir || fs.existsSync(path.join(dir, '.git'))) {
+            break;
+        }
+        dir = parent;
+    }
+
+    return { packageManager: readPackageManagerField(rootPath) || 'npm', installPath: path.resolve(rootPath) };
+}
+
+/**
+ * Package manager of a project, from the nearest lockfile or workspace root (see findInstallRoot())
+ * @param {string} rootPath - Project root
+ * @returns {string} npm | yarn | pnpm | bun
+ */
+function detectPackageManager(rootPath) {
+    return findInstallRoot(rootPath).packageManager;
+}
+
+/**
+ * Command that adds packages to a project with its package manager
+ * @param {string} rootPath - Project root
+ * @param {string[]} packages - Package names
+ * @returns {string} e.g. "yarn add react-native-svg"
+ */
+function addPackagesCommand(rootPath, packages) {
+    const packageManager = detectPackageManager(rootPath);
+    return `${packageManager} ${packageManager === 'npm' ? 'install' : 'add'} ${packages.join(' ')}`;
+}
+
+/**
+ * Run `<package manager> install` in the project, or in the root of the workspace it belongs to
+ * @param {string} rootPath - Project root
+ * @returns {{packageManager: string, installPath: string}} The package manager that was used, and where
+ */
+function installDependencies(rootPath) {
+    const { packageManager, installPath } = findInstallRoot(rootPath);
+    const result = spawnSync(packageManager, ['install'], {
+        cwd: installPath,
+        stdio: 'inherit',
+        shell: process.platform === 'win32'
+    });
+
+    if (result.error) {
+        throw new ScaffolderError(`Could not run ${packageManager} install: ${result.error.message}`);
+    }
+    if (result.status !== 0) {
+        throw new ScaffolderError(`${packageManager} install failed with exit code ${result.status}.`);
+    }
+
+    return { packageManager, installPath };
+}
+
+/**
+ * Parsed JSON file, or null when it is missing or not valid JSON
+ * @param {string} filePath
+ * @returns {object|null}
+ */
+function readJsonIfExists(filePath) {
+    try {
+        return fs.readJsonSync(filePath);
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    OPTION_DEPENDENCIES,
+    collectDependencies,
+    mergeDependencySets,
+    diffDependencies,
+    findInstallRoot,
+    detectPackageManager,
+    addPackagesCommand,
+    installDependencies
+};
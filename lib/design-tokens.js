@@ -0,0 +1,372 @@
+const fs = require('fs-extra');
+const { ScaffolderError } = require('./errors');
+
+/**
+ * Design tokens the generated theme starts from (src/theme/tokens). Imported tokens
+ * override these by name and add to them, so the names below are always there.
+ */
+const DEFAULT_TOKENS = {
+    colors: {
+        light: {
+            primary: '#2563EB',
+            onPrimary: '#FFFFFF',
+            secondary: '#7C3AED',
+            background: '#FFFFFF',
+            surface: '#F3F4F6',
+            text: '#111827',
+            textSecondary: '#6B7280',
+            border: '#E5E7EB',
+            success: '#16A34A',
+            warning: '#D97706',
+            error: '#DC2626'
+        },
+        dark: {
+            primary: '#60A5FA',
+            onPrimary: '#0B1220',
+            secondary: '#A78BFA',
+            background: '#0B1220',
+            surface: '#1F2937',
+            text: '#F9FAFB',
+            textSecondary: '#9CA3AF',
+            border: '#374151',
+            success: '#4ADE80',
+            warning: '#FBBF24',
+            error: '#F87171'
+        }
+    },
+    spacing: { none: 0, xs: 4, sm: 8, md: 16, lg: 24, xl: 32, xxl: 48 },
+    radius: { none: 0, sm: 4, md: 8, lg: 16, full: 9999 },
+    typography: {
+        h1: { fontSize: 32, lineHeight: 40, fontWeight: '700' },
+        h2: { fontSize: 24, lineHeight: 32, fontWeight: '700' },
+        h3: { fontSize: 20, lineHeight: 28, fontWeight: '600' },
+        body: { fontSize: 16, lineHeight: 24, fontWeight: '400' },
+        caption: { fontSize: 12, lineHeight: 16, fontWeight: '400' },
+        button: { fontSize: 16, lineHeight: 24, fontWeight: '600' }
+    }
+};
+
+/**
+ * Group names a token path may use for each part of the theme (compared in lower case)
+ */
+const CATEGORY_GROUPS = {
+    colors: ['color', 'colors', 'colour', 'colours', 'palette'],
+    spacing: ['spacing', 'spacings', 'space', 'spaces', 'gap'],
+    radius: ['radius', 'radii', 'borderradius', 'border-radius', 'rounded', 'corner', 'corners'],
+    typography: ['typography', 'font', 'fonts', 'text', 'textstyle', 'textstyles', 'text-styles']
+};
+
+/**
+ * Token types (DTCG "$type" or Tokens Studio "type") that decide the part of the theme by themselves
+ */
+const CATEGORY_TYPES = {
+    color: 'colors',
+    spacing: 'spacing',
+    borderRadius: 'radius',
+    typography: 'typography'
+};
+
+/**
+ * Named font weights of design tools
+ */
+const FONT_WEIGHTS = {
+    thin: '100', hairline: '100', extralight: '200', ultralight: '200', light: '300', regular: '400', normal: '400',
+    book: '400', medium: '500', semibold: '600', demibold: '600', bold: '700', extrabold: '800', ultrabold: '800',
+    black: '900', heavy: '900'
+};
+
+const MODE_SEGMENT = /^(light|dark)([-_ ]?(mode|theme))?$/i;
+const ALIAS = /\{([^{}]+)\}/g;
+
+/**
+ * Collect the tokens of a design-tokens file: objects with a "$value" (W3C format) or
+ * "value" (Tokens Studio), keyed by their dot-separated path
+ * @param {object} node - Parsed JSON
+ * @param {string[]} [trail] - Path of the node
+ * @param {string} [inheritedType] - "$type" set on an enclosing group
+ * @returns {Array<{path: string[], value: *, type: string|undefined}>}
+ */
+function collectTokens(node, trail = [], inheritedType = undefined) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        return [];
+    }
+    const type = node.$type || inheritedType;
+    if ('$value' in node) {
+        return [{ path: trail, value: node.$value, type }];
+    }
+    // A Tokens Studio token, unless "value" is the name of a token in this group
+    if ('value' in node && !(node.value && typeof node.value === 'object' && ('value' in node.value || '$value' in node.value))) {
+        return [{ path: trail, value: node.value, type: node.type || type }];
+    }
+    return Object.entries(node)
+        .filter(([key]) => !key.startsWith('$'))
+        .flatMap(([key, child]) => collectTokens(child, [...trail, key], type));
+}
+
+/**
+ * Replace {path.to.token} references with the referenced values
+ * @param {Array<{path: string[], value: *}>} tokens
+ * @returns {function(*): *} Resolves a token value
+ */
+function createResolver(tokens) {
+    const byPath = new Map();
+    tokens.forEach(token => byPath.set(token.path.join('.'), token));
+    // Tokens Studio references leave out the token set, e.g. {colors.blue} for global.colors.blue
+    tokens.forEach(token => {
+        const withoutSet = token.path.slice(1).join('.');
+        if (withoutSet && !byPath.has(withoutSet)) {
+            byPath.set(withoutSet, token);
+        }
+    });
+
+    const resolve = (value, seen = []) => {
+        if (typeof value === 'string') {
+            const whole = value.match(/^\{([^{}]+)\}$/);
+            if (whole) {
+                return resolve(lookup(whole[1], seen), [...seen, whole[1]]);
+            }
+            return value.replace(ALIAS, (_, ref) => String(resolve(lookup(ref, seen), [...seen, ref])));
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, resolve(nested, seen)]));
+        }
+        return value;
+    };
+    const lookup = (ref, seen) => {
+        if (seen.includes(ref)) {
+            throw new ScaffolderError(`Design tokens: circular reference {${ref}}.`);
+        }
+        const token = byPath.get(ref);
+        if (!token) {
+            throw new ScaffolderError(`Design tokens: {${ref}} does not refer to a token.`);
+        }
+        return token.value;
+    };
+    return resolve;
+}
+
+/**
+ * camelCase name of a token from its path segments, e.g. ["text", "secondary"] -> "textSecondary"
+ * @param {string[]} segments
+ * @returns {string}
+ */
+function tokenName(segments) {
+    return segments
+        .join(' ')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map((word, index) => (index === 0 ? word.charAt(0).toLowerCase() : word.charAt(0).toUpperCase()) + word.slice(1))
+        .join('');
+}
+
+/**
+ * Density-independent pixels of a dimension: 16, "16px", "1rem" (16 px) or { value, unit }
+ * @param {*} value
+ * @returns {number|null} null when it is not a dimension
+ */
+function toPixels(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (value && typeof value === 'object' && typeof value.value === 'number') {
+        return toPixels(`${value.value}${value.unit || 'px'}`);
+    }
+    const match = String(value).trim().match(/^(-?\d*\.?\d+)(px|dp|pt|rem|em)?$/);
+    if (!match) {
+        return null;
+    }
+    const number = Number(match[1]);
+    return ['rem', 'em'].includes(match[2]) ? number * 16 : number;
+}
+
+/**
+ * Color string of a token value: CSS colors as they are, DTCG color objects by their hex
+ * @param {*} value
+ * @returns {string|null}
+ */
+function toColor(value) {
+    if (typeof value === 'string' && value.trim() !== '') {
+        return value.trim();
+    }
+    if (value && typeof value === 'object' && typeof value.hex === 'string') {
+        return value.hex;
+    }
+    return null;
+}
+
+/**
+ * React Native text style of a typography token
+ * @param {*} value - { fontFamily, fontSize, fontWeight, lineHeight, letterSpacing }
+ * @returns {object|null}
+ */
+function toTextStyle(value) {
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+    const style = {};
+    const fontFamily = Array.isArray(value.fontFamily) ? value.fontFamily[0] : value.fontFamily;
+    if (typeof fontFamily === 'string') {
+        style.fontFamily = fontFamily;
+    }
+    const fontSize = toPixels(value.fontSize);
+    if (fontSize !== null) {
+        style.fontSize = fontSize;
+    }
+    if (value.fontWeight !== undefined) {
+        const weight = String(value.fontWeight).toLowerCase().replace(/[\s_-]/g, '');
+        const numeric = FONT_WEIGHTS[weight] || (/^[1-9]00$/.test(weight) ? weight : null);
+        if (numeric) {
+            style.fontWeight = numeric;
+        }
+    }
+    if (value.lineHeight !== undefined) {
+        const percent = String(value.lineHeight).match(/^(\d*\.?\d+)%$/);
+        const lineHeight = percent ? Number(percent[1]) / 100 : toPixels(value.lineHeight);
+        // Unitless line heights (and percentages) are multiples of the font size
+        if (lineHeight !== null && fontSize !== null) {
+            style.lineHeight = lineHeight < 4 ? Math.round(lineHeight * fontSize * 100) / 100 : lineHeight;
+        }
+    }
+    if (value.letterSpacing !== undefined) {
+        const percent = String(value.letterSpacing).match(/^(-?\d*\.?\d+)%$/);
+        const letterSpacing = percent && fontSize !== null
+            ? Math.round(Number(percent[1]) * fontSize) / 100
+            : toPixels(value.letterSpacing);
+        if (letterSpacing !== null) {
+            style.letterSpacing = letterSpacing;
+        }
+    }
+    return Object.keys(style).length > 0 ? style : null;
+}
+
+/**
+ * Read a design-tokens JSON file (W3C Design Tokens format, or a Tokens Studio / Figma
+ * export) and map it onto the theme: colors per light/dark mode, spacing, radius and
+ * typography. References like {color.blue.500} are resolved. Tokens are sorted by the
+ * group they are in (e.g. "color", "spacing") or else by their type; a "light" or "dark"
+ * segment in the path puts a color in that mode only. When the file has mode colors,
+ * colors outside a mode are taken as the palette those refer to and are left out.
+ * @param {string} file - Absolute path of the JSON file
+ * @returns {{tokens: object, counts: object, skipped: string[], warnings: string[]}} Theme tokens
+ * merged over DEFAULT_TOKENS, how many were imported per part, tokens that fit no part
+ */
+function readDesignTokens(file) {
+    if (!fs.existsSync(file)) {
+        throw new ScaffolderError(`Design tokens file not found: ${file}`);
+    }
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ScaffolderError(`Design tokens file is not valid JSON: ${error.message}`);
+    }
+
+    const all = collectTokens(data);
+    if (all.length === 0) {
+        throw new ScaffolderError(`No design tokens found in ${file}: expected objects with a "$value" or "value".`);
+    }
+    const resolve = createResolver(all);
+
+    const imported = { colors: { light: {}, dark: {}, any: {} }, spacing: {}, radius: {}, typography: {} };
+    const skipped = [];
+    const warnings = [];
+
+    all.forEach(token => {
+        const lower = token.path.map(segment => segment.toLowerCase());
+        const category = CATEGORY_TYPES[token.type]
+            || Object.keys(CATEGORY_GROUPS).find(key => lower.some(segment => CATEGORY_GROUPS[key].includes(segment)));
+        // The name is the path after the group, e.g. "textSecondary" for color.light.text.secondary
+        const groupIndex = category ? lower.findIndex(segment => CATEGORY_GROUPS[category].includes(segment)) : -1;
+        const name = tokenName(token.path.slice(groupIndex + 1).filter(segment => !MODE_SEGMENT.test(segment)));
+        const modeSegment = token.path.find(segment => MODE_SEGMENT.test(segment));
+        const mode = modeSegment ? (/^light/i.test(modeSegment) ? 'light' : 'dark') : 'any';
+        const label = token.path.join('.');
+
+        if (!category || !name) {
+            skipped.push(label);
+            return;
+        }
+
+        const value = resolve(token.value);
+        if (category === 'colors') {
+            const color = toColor(value);
+            if (color === null) {
+                warnings.push(`${label}: not a color (${JSON.stringify(value)})`);
+                return;
+            }
+            imported.colors[mode][name] = color;
+        } else if (category === 'typography') {
+            const style = toTextStyle(value);
+            if (style === null) {
+                warnings.push(`${label}: not a typography value (${JSON.stringify(value)})`);
+                return;
+            }
+            imported.typography[name] = style;
+        } else {
+            const pixels = toPixels(value);
+            if (pixels === null) {
+                warnings.push(`${label}: not a dimension (${JSON.stringify(value)})`);
+                return;
+            }
+            imported[category][name] = pixels;
+        }
+    });
+
+    const { light, dark, any } = imported.colors;
+    const hasModes = Object.keys(light).length > 0 || Object.keys(dark).length > 0;
+    const lightColors = hasModes ? light : any;
+    const darkColors = hasModes ? dark : any;
+    // Both modes need the same color names, since components pick them by name
+    Object.keys(lightColors).filter(name => !(name in darkColors)).forEach(name => {
+        warnings.push(`Color "${name}" has no dark value: using the light one`);
+        darkColors[name] = lightColors[name];
+    });
+    Object.keys(darkColors).filter(name => !(name in lightColors)).forEach(name => {
+        warnings.push(`Color "${name}" has no light value: using the dark one`);
+        lightColors[name] = darkColors[name];
+    });
+
+    return {
+        tokens: {
+            colors: {
+                light: { ...DEFAULT_TOKENS.colors.light, ...lightColors },
+                dark: { ...DEFAULT_TOKENS.colors.dark, ...darkColors }
+            },
+            spacing: { ...DEFAULT_TOKENS.spacing, ...imported.spacing },
+            radius: { ...DEFAULT_TOKENS.radius, ...imported.radius },
+            typography: { ...DEFAULT_TOKENS.typography, ...imported.typography }
+        },
+        counts: {
+            colors: Object.keys(lightColors).length,
+            spacing: Object.keys(imported.spacing).length,
+            radius: Object.keys(imported.radius).length,
+            typography: Object.keys(imported.typography).length
+        },
+        skipped,
+        warnings
+    };
+}
+
+/**
+ * Source code of a value as a JavaScript object literal, in the style of the generated code
+ * (unquoted keys where possible, single-quoted strings, trailing commas)
+ * @param {*} value
+ * @param {string} [indent] - Indentation of the line the literal starts on
+ * @returns {string}
+ */
+function toObjectLiteral(value, indent = '') {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const inner = `${indent}  `;
+        const entries = Object.entries(value).map(([key, nested]) => {
+            const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+            return `${inner}${name}: ${toObjectLiteral(nested, inner)},`;
+        });
+        return entries.length > 0 ? `{\n${entries.join('\n')}\n${indent}}` : '{}';
+    }
+    if (typeof value === 'string') {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+    return String(value);
+}
+
+module.exports = { DEFAULT_TOKENS, readDesignTokens, toObjectLiteral };
@@ -0,0 +1,368 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { ScaffolderError, reportError } = require('./errors');
+const { loadProjectConfig } = require('./config');
+const { checkProject, resolveSourceDir } = require('./project');
+const { withLanguageExtension, detectLanguage } = require('./language');
+const { loadLayout, layoutPath } = require('./layouts');
+const { isPlainObject } = require('./json-utils');
+
+/**
+ * Subcommands of `rn-scaffold env <subcommand>`
+ */
+const ENV_COMMANDS = ['check'];
+
+/**
+ * Environments with an env file each (.env.development, ...)
+ */
+const ENVIRONMENTS = ['development', 'staging', 'production'];
+
+/**
+ * Declared env keys, in the project root (see normalizeEnvSchema())
+ */
+const ENV_SCHEMA_FILE = 'env.schema.json';
+
+/**
+ * Types of env values, checked by `env check` and by the Config module when the app starts
+ */
+const ENV_TYPES = ['string', 'url', 'number', 'boolean', 'enum'];
+
+/**
+ * Expo only puts variables with this prefix in the app
+ */
+const EXPO_PREFIX = 'EXPO_PUBLIC_';
+
+/**
+ * .gitignore entries for env files with local overrides and secrets
+ */
+const ENV_GITIGNORE = ['.env', '.env.local', '.env.*.local'];
+
+/**
+ * Schema of a new project: the environment, the API and an example feature flag
+ * @param {string} apiBaseUrl - Value of API_URL in the env files
+ * @returns {object} Contents of env.schema.json
+ */
+function defaultEnvSchema(apiBaseUrl) {
+    return {
+        APP_ENV: { type: 'enum', values: ENVIRONMENTS, description: 'Environment the app was built for' },
+        API_URL: { type: 'url', description: 'Base URL of the API', example: apiBaseUrl },
+        API_TIMEOUT: { type: 'number', default: 15000, description: 'Requests taking longer fail, in milliseconds; 0 disables it' },
+        ENABLE_ANALYTICS: { type: 'boolean', default: false, description: 'Feature flag: send analytics events' }
+    };
+}
+
+/**
+ * Problem with an env value, or null when it fits its key
+ * @param {object} entry - Key of the schema (see normalizeEnvSchema())
+ * @param {string} value - Value as written in the env file
+ * @returns {string|null}
+ */
+function checkEnvValue(entry, value) {
+    switch (entry.type) {
+        case 'url':
+            return /^https?:\/\/\S+$/.test(value) ? null : 'not an http(s) URL';
+        case 'number':
+            return value.trim() !== '' && Number.isFinite(Number(value)) ? null : 'not a number';
+        case 'boolean':
+            return ['true', 'false'].includes(value) ? null : 'not true or false';
+        case 'enum':
+            return entry.values.includes(value) ? null : `not one of ${entry.values.join(', ')}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check env.schema.json. Keys are required unless they have a default or "required": false.
+ * @param {*} data - Parsed schema
+ * @param {string} [source] - Used in error messages
+ * @returns {Array<{
+ *   name: string,
+ *   type: string,
+ *   required: boolean,
+ *   default: *,
+ *   values: string[]|null,
+ *   description: string|null,
+ *   example: string|null
+ * }>}
+ */
+function normalizeEnvSchema(data, source = ENV_SCHEMA_FILE) {
+    if (!isPlainObject(data) || Object.keys(data).length === 0) {
+        throw new ScaffolderError(`${source} must map env keys to their type, e.g. { "API_URL": { "type": "url" } }.`);
+    }
+
+    return Object.entries(data).map(([name, definition]) => {
+        if (!/^[A-Z][A-Z0-9_]*$/.test(name) || name.startsWith(EXPO_PREFIX)) {
+            throw new ScaffolderError(`Invalid env key "${name}" in ${source}: use upper case letters, digits and "_", without the ${EXPO_PREFIX} prefix.`);
+        }
+        if (!isPlainObject(definition) || !ENV_TYPES.includes(definition.type)) {
+            throw new ScaffolderError(`"${name}" in ${source} needs a "type": one of ${ENV_TYPES.join(', ')}.`);
+        }
+        const unknown = Object.keys(definition).find(key => !['type', 'values', 'required', 'default', 'description', 'example'].includes(key));
+        if (unknown) {
+            throw new ScaffolderError(`Unknown field "${unknown}" of "${name}" in ${source}. Fields: type, values, required, default, description, example.`);
+        }
+
+        const entry = {
+            name,
+            type: definition.type,
+            required: definition.required === undefined ? definition.default === undefined : definition.required,
+            default: definition.default === undefined ? null : definition.default,
+            values: null,
+            description: typeof definition.description === 'string' ? definition.description : null,
+            example: definition.example === undefined ? null : String(definition.example)
+        };
+        if (entry.type === 'enum') {
+            if (!Array.isArray(definition.values) || definition.values.length === 0 || !definition.values.every(value => typeof value === 'string' && /^[\w.-]+$/.test(value))) {
+                throw new ScaffolderError(`"${name}" in ${source} is an enum: list its "values", e.g. ["development", "production"].`);
+            }
+            entry.values = definition.values;
+        }
+        if (typeof entry.required !== 'boolean') {
+            throw new ScaffolderError(`"required" of "${name}" in ${source} must be true or false.`);
+        }
+        if (entry.required && entry.default !== null) {
+            throw new ScaffolderError(`"${name}" in ${source} has a default, so it cannot be required.`);
+        }
+        if (entry.default !== null && (!['string', 'number', 'boolean'].includes(typeof entry.default) || checkEnvValue(entry, String(entry.default)))) {
+            throw new ScaffolderError(`The default of "${name}" in ${source} is ${checkEnvValue(entry, String(entry.default)) || 'not a plain value'}.`);
+        }
+        return entry;
+    });
+}
+
+/**
+ * Read and check env.schema.json
+ * @param {string} rootPath - Project root
+ * @returns {object[]} See normalizeEnvSchema()
+ */
+function readEnvSchema(rootPath) {
+    const schemaPath = path.join(rootPath, ENV_SCHEMA_FILE);
+    if (!fs.existsSync(schemaPath)) {
+        throw new ScaffolderError(`${ENV_SCHEMA_FILE} not found. Set up the environment config first with: rn-scaffold add env`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    } catch (error) {
+        throw new ScaffolderError(`${ENV_SCHEMA_FILE} is not valid JSON: ${error.message}`);
+    }
+    return normalizeEnvSchema(data);
+}
+
+/**
+ * Variables of an env file. Blank lines and # comments are skipped, quotes around a value removed.
+ * @param {string} text - File contents
+ * @returns {Map<string, string>}
+ */
+function parseEnvFile(text) {
+    const variables = new Map();
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/);
+        if (match) {
+            variables.set(match[1], match[2].replace(/^(['"])(.*)\1$/, '$2'));
+        }
+    });
+    return variables;
+}
+
+/**
+ * Name of a key in the env files: Expo apps only see variables with the EXPO_PUBLIC_ prefix
+ * @param {string} name - Key of the schema
+ * @param {boolean} expo
+ * @returns {string}
+ */
+function envVariable(name, expo) {
+    return expo ? `${EXPO_PREFIX}${name}` : name;
+}
+
+/**
+ * Template values of an env file: every key of the schema with its value for the environment
+ * @param {object[]} schema - See normalizeEnvSchema()
+ * @param {string} environment - One of ENVIRONMENTS
+ * @param {boolean} expo
+ * @returns {object}
+ */
+function envFileContext(schema, environment, expo) {
+    const value = entry => {
+        if (entry.type === 'enum' && entry.values.includes(environment)) return environment;
+        if (entry.default !== null) return String(entry.default);
+        return entry.example || '';
+    };
+    return {
+        environment,
+        expo,
+        variables: schema.map(entry => ({ variable: envVariable(entry.name, expo), value: value(entry) }))
+    };
+}
+
+/**
+ * Template values of the Config module: the type, parser and env variable of each key
+ * @param {object[]} schema - See normalizeEnvSchema()
+ * @param {boolean} expo
+ * @returns {object}
+ */
+function configContext(schema, expo) {
+    const types = { string: 'string', url: 'string', number: 'number', boolean: 'boolean' };
+    const parsers = { string: 'text', url: 'url', number: 'number', boolean: 'boolean', enum: 'oneOf' };
+    const keys = schema.map(entry => {
+        const type = entry.type === 'enum' ? entry.values.map(value => `'${value}'`).join(' | ') : types[entry.type];
+        const args = [`'${entry.name}'`];
+        if (entry.type === 'enum') args.push(`[${entry.values.map(value => `'${value}'`).join(', ')}]`);
+        if (entry.default !== null) args.push(typeof entry.default === 'string' ? `'${entry.default.replace(/'/g, '\\\'')}'` : String(entry.default));
+        const call = `${parsers[entry.type]}(${args.join(', ')})`;
+        const optional = !entry.required && entry.default === null;
+        return {
+            name: entry.name,
+            variable: envVariable(entry.name, expo),
+            description: entry.description || entry.name,
+            type: optional ? `${type} | undefined` : type,
+            optional,
+            parse: optional ? `optional('${entry.name}', () => ${call})` : call
+        };
+    });
+
+    const uses = type => schema.some(entry => entry.type === type);
+    return {
+        expo,
+        keys,
+        text: uses('string') || uses('url'),
+        url: uses('url'),
+        number: uses('number'),
+        boolean: uses('boolean'),
+        oneOf: uses('enum'),
+        optional: keys.some(key => key.optional)
+    };
+}
+
+/**
+ * Check the env files of a project scaffolded with the environment config against env.schema.json
+ */
+class EnvChecker {
+    /**
+     * @param {string} rootPath - Project root
+     * @param {object} options - Parsed command line options (see lib/cli.js)
+     */
+    constructor(rootPath = process.cwd(), options = {}) {
+        this.rootPath = rootPath;
+        this.options = options;
+        this.srcDir = 'src';
+        // Folder layout of the project (see lib/layouts.js)
+        this.layout = loadLayout(rootPath);
+        this.language = null;
+        this.project = null;
+    }
+
+    /**
+     * Run `env <subcommand>`
+     * @param {string} subcommand - One of ENV_COMMANDS
+     * @param {...string} args - Further command line arguments, which are rejected
+     */
+    async run(subcommand, ...args) {
+        try {
+            if (!ENV_COMMANDS.includes(subcommand)) {
+                throw new ScaffolderError(`Unknown env command "${subcommand || ''}". Use one of: ${ENV_COMMANDS.join(', ')}.`);
+            }
+            if (args.length > 0) {
+                throw new ScaffolderError(`Unexpected arguments: ${args.join(' ')}. Usage: rn-scaffold env check`);
+            }
+
+            this.project = checkProject(this.rootPath, { force: this.options.force });
+            const { resolved } = loadProjectConfig(this.rootPath, this.options, { saved: true });
+            this.srcDir = resolveSourceDir(this.rootPath, resolved.srcDir || this.srcDir);
+            this.layout = loadLayout(this.rootPath, resolved.layout || undefined);
+            this.language = resolved.language || detectLanguage(this.project);
+            this.check();
+        } catch (error) {
+            reportError(['env', subcommand].filter(Boolean).join(' '), error);
+        }
+    }
+
+    /**
+     * Report, per env file, required keys that are missing or empty, keys the schema does
+     * not declare and values of the wrong type; local override files (.env.<environment>.local)
+     * are checked for the last two only. Schema keys the Config module does not read are
+     * warnings. Anything else fails the check.
+     */
+    check() {
+        const schema = readEnvSchema(this.rootPath);
+        const expo = this.project.isExpo;
+        const variables = new Map(schema.map(entry => [envVariable(entry.name, expo), entry]));
+        let problems = 0;
+        let warnings = 0;
+
+        const report = (title, lines, color) => {
+            if (lines.length === 0) {
+                return;
+            }
+            console.log(color(`  ${title} (${lines.length}):`));
+            lines.forEach(line => console.log(color(`    ${line}`)));
+        };
+
+        console.log(chalk.bold(`${ENV_SCHEMA_FILE}: ${schema.length} keys${expo ? ` (read as ${EXPO_PREFIX}<key>)` : ''}`));
+        ENVIRONMENTS.flatMap(environment => [`.env.${environment}`, `.env.${environment}.local`]).forEach(file => {
+            const fullPath = path.join(this.rootPath, file);
+            const local = file.endsWith('.local');
+            if (!fs.existsSync(fullPath)) {
+                if (!local) {
+                    console.log(chalk.red(`${file}: not found`));
+                    problems++;
+                }
+                return;
+            }
+
+            const values = parseEnvFile(fs.readFileSync(fullPath, 'utf8'));
+            const missing = local ? [] : Array.from(variables)
+                .filter(([variable, entry]) => entry.required && !values.get(variable))
+                .map(([variable]) => variable);
+            const extra = Array.from(values.keys()).filter(variable => !variables.has(variable));
+            const invalid = Array.from(values)
+                .filter(([variable, value]) => variables.has(variable) && value !== '' && checkEnvValue(variables.get(variable), value))
+                .map(([variable, value]) => `${variable}=${value} (${checkEnvValue(variables.get(variable), value)})`);
+
+            console.log(chalk.bold(`${file}: ${values.size} keys`));
+            report('Missing', missing, chalk.red);
+            report(`Not in ${ENV_SCHEMA_FILE}`, extra, chalk.red);
+            report('Invalid', invalid, chalk.red);
+            problems += missing.length + extra.length + invalid.length;
+        });
+
+        const configPath = path.posix.join(this.srcDir, layoutPath(this.layout, withLanguageExtension('constants/config.ts', this.language)));
+        const configFullPath = path.join(this.rootPath, configPath);
+        if (fs.existsSync(configFullPath)) {
+            const source = fs.readFileSync(configFullPath, 'utf8');
+            const unread = schema.filter(entry => !new RegExp(`\\b${entry.name}\\b`).test(source)).map(entry => entry.name);
+            console.log(chalk.bold(`${configPath}: ${schema.length - unread.length} keys`));
+            report('Not read (regenerate the module with: rn-scaffold add env)', unread, chalk.yellow);
+            warnings += unread.length;
+        } else {
+            console.log(chalk.yellow(`${configPath}: not found (create it with: rn-scaffold add env)`));
+            warnings++;
+        }
+
+        if (problems > 0) {
+            process.exitCode = 1;
+            console.log(chalk.red(`❌ Missing, unknown or invalid keys: ${problems}, warnings: ${warnings}.`));
+        } else if (warnings > 0) {
+            console.log(chalk.yellow(`⚠️  Env files match the schema, warnings: ${warnings}.`));
+        } else {
+            console.log(chalk.green('✅ Every env file matches the schema.'));
+        }
+    }
+}
+
+module.exports = {
+    EnvChecker,
+    ENV_COMMANDS,
+    ENVIRONMENTS,
+    ENV_SCHEMA_FILE,
+    ENV_GITIGNORE,
+    defaultEnvSchema,
+    normalizeEnvSchema,
+    readEnvSchema,
+    parseEnvFile,
+    envFileContext,
+    configContext
+};
@@ -0,0 +1,32 @@
+const chalk = require('chalk');
+
+/**
+ * Error raised for problems the user can fix (bad flags, invalid config values, ...).
+ * The CLI prints only the message for these instead of a full stack trace.
+ */
+class ScaffolderError extends Error {
+    /**
+     * @param {string} message - Human readable description of the problem
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'ScaffolderError';
+    }
+}
+
+/**
+ * Print a failed command and set a non-zero exit code.
+ * ScaffolderErrors are shown as a single line, anything else with its stack.
+ * @param {string} action - What failed, e.g. "Scaffolding"
+ * @param {Error} error
+ */
+function reportError(action, error) {
+    process.exitCode = 1;
+    if (error instanceof ScaffolderError) {
+        console.error(chalk.red(`❌ ${action} failed: ${error.message}`));
+    } else {
+        console.error(chalk.red(`❌ ${action} failed:`), error);
+    }
+}
+
+module.exports = { ScaffolderError, reportError };
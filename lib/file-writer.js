@@ -0,0 +1,379 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const Diff = require('diff');
+const { ScaffolderError } = require('./errors');
+const { hashContent } = require('./manifest');
+
+/**
+ * How an existing file with different content is handled
+ */
+const CONFLICT_STRATEGIES = ['ask', 'skip', 'overwrite', 'new'];
+
+/**
+ * Log verbs of a write, in the form used for "Would ..." lines in dry-run mode
+ */
+const DRY_RUN_VERBS = { Created: 'create', Updated: 'update', Overwrote: 'overwrite', Wrote: 'write', Removed: 'remove' };
+
+/**
+ * @param {string} relPath - Path using the platform separator
+ * @returns {string} Same path with forward slashes
+ */
+function toPosix(relPath) {
+    return relPath.split(path.sep).join('/');
+}
+
+/**
+ * Writes scaffolded directories and files without clobbering existing work.
+ *
+ * - In dry-run mode nothing touches the disk: planned directories and files are
+ *   collected for a tree summary and every file change is printed as a diff.
+ * - Existing files with different content are skipped, overwritten or written
+ *   next to the original as `<file>.new`, either per file (prompt) or for all files.
+ *   Given the hashes of generated files, unedited ones are replaced without asking.
+ * - Every directory created and file written or removed is kept in `changes`, with the previous
+ *   content of changed files, so a failed run can be rolled back (see lib/manifest.js).
+ */
+class FileWriter {
+    /**
+     * @param {string} rootPath - Project root all paths are relative to
+     * @param {object} options
+     * @param {boolean} [options.dryRun] - Only print what would be written
+     * @param {string} [options.conflict] - One of CONFLICT_STRATEGIES (defaults to "ask")
+     * @param {function(object): Promise<*>} options.ask - Prompts a single inquirer question
+     * @param {Map<string, string>} [options.generated] - Hashes of files as rn-scaffold last wrote them
+     *   (see generatedHashes() in lib/manifest.js). Files still matching are replaced without a conflict check.
+     */
+    constructor(rootPath, { dryRun = false, conflict = 'ask', ask, generated = new Map() }) {
+        if (!CONFLICT_STRATEGIES.includes(conflict)) {
+            throw new ScaffolderError(`Invalid value for --conflict: "${conflict}". Allowed values: ${CONFLICT_STRATEGIES.join(', ')}.`);
+        }
+
+        this.rootPath = rootPath;
+        this.dryRun = dryRun;
+        this.conflict = conflict;
+        this.ask = ask;
+        this.generated = generated;
+        // Paths (relative, posix) planned during a dry run, for the summary tree
+        this.planned = new Map();
+        // Journal of this run: { type: 'dir', path } and { type: 'file', path, previous, content }
+        // (content is null for a removed file)
+        this.changes = [];
+    }
+
+    /**
+     * Make sure a directory exists
+     * @param {string} relPath - Directory relative to the project root
+     * @param {object} [log]
+     * @param {string} [log.label] - Log label, e.g. "directory"
+     * @param {function} [log.color] - chalk color for the log line
+     * @returns {boolean} true when the directory did not exist yet
+     */
+    ensureDir(relPath, { label = 'directory', color = chalk.green } = {}) {
+        const fullPath = path.join(this.rootPath, relPath);
+        if (fs.existsSync(fullPath)) {
+            return false;
+        }
+
+        if (this.dryRun) {
+            this.plan(relPath, 'dir');
+            console.log(color(`Would create ${label}: ${relPath}`));
+            return true;
+        }
+
+        this.createDirs(relPath);
+        console.log(color(`Created ${label}: ${relPath}`));
+        return true;
+    }
+
+    /**
+     * Write a file, resolving conflicts with existing content
+     * @param {string} relPath - File path relative to the project root
+     * @param {string} content - New file content
+     * @param {object} [options]
+     * @param {string} [options.label] - Log label, e.g. "storage file"
+     * @param {function} [options.color] - chalk color for the log line
+     * @param {boolean} [options.merge] - Content already merges the existing file, so no conflict check
+     * @returns {Promise<string>} created | unchanged | updated | overwritten | new | skipped
+     */
+    async writeFile(relPath, content, { label = 'file', color = chalk.yellow, merge = false } = {}) {
+        const fullPath = path.join(this.rootPath, relPath);
+        const exists = fs.existsSync(fullPath);
+        const existing = exists ? fs.readFileSync(fullPath, 'utf8') : null;
+
+        if (existing === content) {
+            console.log(chalk.gray(`Unchanged ${label}: ${relPath}`));
+            return 'unchanged';
+        }
+
+        if (!exists) {
+            return this.commit(relPath, content, null, 'created', `Created ${label}: ${relPath}`, color);
+        }
+
+        if (merge || this.isUnedited(relPath, existing)) {
+            return this.commit(relPath, content, existing, 'updated', `Updated ${label}: ${relPath}`, color);
+        }
+
+        const strategy = await this.resolveConflict(relPath, existing, content);
+
+        if (strategy === 'overwrite') {
+            return this.commit(relPath, content, existing, 'overwritten', `Overwrote ${label}: ${relPath}`, color);
+        }
+
+        if (strategy === 'new') {
+            const newPath = `${relPath}.new`;
+            const newFullPath = path.join(this.rootPath, newPath);
+            const previous = fs.existsSync(newFullPath) ? fs.readFileSync(newFullPath, 'utf8') : null;
+            return this.commit(newPath, content, previous, 'new', `Wrote ${label}: ${newPath} (kept existing ${relPath})`, color);
+        }
+
+        console.log(chalk.gray(`Skipped ${label} (already exists): ${relPath}`));
+        return 'skipped';
+    }
+
+    /**
+     * Remove a file, keeping its content in the journal so rollback and undo can restore it
+     * @param {string} relPath - File path relative to the project root
+     * @param {object} [options]
+     * @param {string} [options.label] - Log label, e.g. "storage file"
+     * @returns {boolean} false when the file does not exist
+     */
+    removeFile(relPath, { label = 'file' } = {}) {
+        const fullPath = path.join(this.rootPath, relPath);
+        if (!fs.existsSync(fullPath)) {
+            return false;
+        }
+
+        const existing = fs.readFileSync(fullPath, 'utf8');
+        if (this.dryRun) {
+            this.plan(relPath, 'removed');
+            console.log(chalk.red(`Would remove ${label}: ${relPath}`));
+            return true;
+        }
+
+        fs.removeSync(fullPath);
+        this.changes.push({ type: 'file', path: toPosix(relPath), previous: existing, content: null });
+        console.log(chalk.red(`Removed ${label}: ${relPath}`));
+        return true;
+    }
+
+    /**
+     * Whether a file still holds the content rn-scaffold last wrote to it
+     * @param {string} relPath - File path relative to the project root
+     * @param {string} [content] - Current content, read from disk when not given
+     * @returns {boolean} false for files rn-scaffold has no record of
+     */
+    isUnedited(relPath, content) {
+        const hash = this.generated.get(toPosix(relPath));
+        const fullPath = path.join(this.rootPath, relPath);
+        if (!hash || (content === undefined && !fs.existsSync(fullPath))) {
+            return false;
+        }
+        return hashContent(content === undefined ? fs.readFileSync(fullPath, 'utf8') : content) === hash;
+    }
+
+    /**
+     * Write (or, in dry-run mode, print) a single file change
+     * @returns {string} The given status
+     */
+    commit(relPath, content, existing, status, message, color) {
+        const fullPath = path.join(this.rootPath, relPath);
+
+        if (this.dryRun) {
+            this.plan(relPath, existing === null ? 'new' : 'changed');
+            const [verb, ...rest] = message.split(' ');
+            console.log(color(`Would ${DRY_RUN_VERBS[verb]} ${rest.join(' ')}`));
+            console.log(this.formatDiff(relPath, existing, content));
+            return status;
+        }
+
+        this.createDirs(path.dirname(relPath));
+        fs.writeFileSync(fullPath, content);
+        this.changes.push({ type: 'file', path: toPosix(relPath), previous: existing, content });
+        console.log(color(message));
+        return status;
+    }
+
+    /**
+     * Create a directory and its missing parents, recording each one in the journal
+     * @param {string} relPath - Directory relative to the project root
+     */
+    createDirs(relPath) {
+        const missing = [];
+        for (let dir = path.normalize(relPath); dir !== '.' && !fs.existsSync(path.join(this.rootPath, dir)); dir = path.dirname(dir)) {
+            missing.unshift(dir);
+        }
+
+        fs.mkdirpSync(path.join(this.rootPath, relPath));
+        missing.forEach(dir => this.changes.push({ type: 'dir', path: toPosix(dir) }));
+    }
+
+    /**
+     * Undo everything written in this run, newest first: created files are removed,
+     * changed and removed files get their previous content back and created directories are
+     * removed when empty
+     * @returns {number} Number of reverted files
+     */
+    rollback() {
+        if (this.changes.length === 0) {
+            return 0;
+        }
+
+        let reverted = 0;
+        [...this.changes].reverse().forEach(change => {
+            const fullPath = path.join(this.rootPath, change.path);
+            if (change.type === 'dir') {
+                if (fs.existsSync(fullPath) && fs.readdirSync(fullPath).length === 0) {
+                    fs.rmdirSync(fullPath);
+                }
+                return;
+            }
+
+            if (change.previous === null) {
+                fs.removeSync(fullPath);
+            } else {
+                fs.writeFileSync(fullPath, change.previous);
+            }
+            reverted++;
+        });
+
+        this.changes = [];
+        console.log(chalk.yellow(`↩️  Rolled back ${reverted} file(s) and the directories created with them`));
+        return reverted;
+    }
+
+    /**
+     * Hand over the journal of this run (e.g. to record it in the manifest) and start a new one.
+     * Changes taken this way are no longer rolled back.
+     * @returns {Array<object>}
+     */
+    takeChanges() {
+        const changes = this.changes;
+        this.changes = [];
+        return changes;
+    }
+
+    /**
+     * Files this run has written so far, or would write in a dry run (removed files excluded)
+     * @returns {string[]} Paths relative to the project root (posix)
+     */
+    writtenFiles() {
+        if (this.dryRun) {
+            return [...this.planned].filter(([, kind]) => kind === 'new' || kind === 'changed').map(([relPath]) => relPath);
+        }
+        return this.changes.filter(change => change.type === 'file' && change.content !== null).map(change => change.path);
+    }
+
+    /**
+     * Decide what to do with an existing file whose content differs
+     * @returns {Promise<string>} skip | overwrite | new
+     */
+    async resolveConflict(relPath, existing, content) {
+        if (this.conflict !== 'ask') {
+            return this.conflict;
+        }
+
+        for (;;) {
+            const answer = await this.ask({
+                type: 'list',
+                name: 'conflict',
+                message: `${relPath} already exists. What should be done?`,
+                default: 'skip',
+                choices: [
+                    { name: 'Skip (keep existing file)', value: 'skip' },
+                    { name: 'Overwrite', value: 'overwrite' },
+                    { name: `Write ${path.basename(relPath)}.new next to it`, value: 'new' },
+                    { name: 'Show diff', value: 'diff' },
+                    new inquirer.Separator(),
+                    { name: 'Skip all remaining conflicts', value: 'skip-all' },
+                    { name: 'Overwrite all remaining conflicts', value: 'overwrite-all' },
+                    { name: 'Write .new for all remaining conflicts', value: 'new-all' }
+                ]
+            });
+
+            if (answer === 'diff') {
+                console.log(this.formatDiff(relPath, existing, content));
+                continue;
+            }
+
+            if (answer.endsWith('-all')) {
+                this.conflict = answer.replace(/-all$/, '');
+                return this.conflict;
+            }
+
+            return answer;
+        }
+    }
+
+    /**
+     * Build a colored unified diff between the current and the new content
+     * @param {string} relPath - File path shown in the diff header
+     * @param {string|null} existing - Current content, or null for a new file
+     * @param {string} content - New content
+     * @returns {string}
+     */
+    formatDiff(relPath, existing, content) {
+        const patch = Diff.createTwoFilesPatch(
+            existing === null ? '/dev/null' : `a/${relPath}`,
+            `b/${relPath}`,
+            existing || '',
+            content
+        );
+
+        return patch
+            .split('\n')
+            .slice(1) // drop the "====" separator line
+            .map(line => {
+                if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+                if (line.startsWith('+')) return chalk.green(line);
+                if (line.startsWith('-')) return chalk.red(line);
+                if (line.startsWith('@@')) return chalk.cyan(line);
+                return line;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Record a planned path for the dry-run summary
+     * @param {string} relPath - Path relative to the project root
+     * @param {string} kind - dir | new | changed | removed
+     */
+    plan(relPath, kind) {
+        this.planned.set(toPosix(relPath), kind);
+    }
+
+    /**
+     * Print the tree of directories and files a dry run would create, change or remove
+     */
+    printPlannedTree() {
+        const root = {};
+        [...this.planned.keys()].sort().forEach(relPath => {
+            let node = root;
+            relPath.split('/').forEach(segment => {
+                node[segment] = node[segment] || {};
+                node = node[segment];
+            });
+        });
+
+        const lines = [];
+        const walk = (node, prefix, parentPath) => {
+            const names = Object.keys(node);
+            names.forEach((name, index) => {
+                const last = index === names.length - 1;
+                const fullName = parentPath ? `${parentPath}/${name}` : name;
+                const kind = this.planned.get(fullName);
+                const marker = kind === 'new' ? chalk.green(' (new)') : kind === 'changed' ? chalk.yellow(' (changed)')
+                    : kind === 'removed' ? chalk.red(' (removed)') : '';
+                lines.push(`${prefix}${last ? '└── ' : '├── '}${name}${marker}`);
+                walk(node[name], prefix + (last ? '    ' : '│   '), fullName);
+            });
+        };
+        walk(root, '', '');
+
+        console.log(chalk.bold('\nPlanned changes (dry run, nothing was written):'));
+        console.log(lines.length > 0 ? lines.join('\n') : chalk.gray('  nothing to do'));
+    }
+}
+
+module.exports = { FileWriter, CONFLICT_STRATEGIES };
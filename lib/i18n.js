@@ -0,0 +1,320 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { ScaffolderError, reportError } = require('./errors');
+const { ask } = require('./prompt');
+const { FileWriter } = require('./file-writer');
+const { recordRun } = require('./manifest');
+const { loadProjectConfig } = require('./config');
+const { checkProject, resolveSourceDir } = require('./project');
+const { withLanguageExtension, detectLanguage } = require('./language');
+const { addImport, addObjectEntry } = require('./source-patch');
+const { loadLayout, layoutPath } = require('./layouts');
+
+/**
+ * Subcommands of `rn-scaffold i18n <subcommand>`
+ */
+const I18N_COMMANDS = ['add-locale', 'check'];
+
+/**
+ * Locale the others copy their keys from (src/i18n/locales/en.json)
+ */
+const BASE_LOCALE = 'en';
+
+/**
+ * Plural forms i18next adds to a key, e.g. "items_one" and "items_other" for t('items', { count })
+ */
+const PLURAL_SUFFIX = /_(zero|one|two|few|many|other)$/;
+
+/**
+ * Source files scanned for translation keys
+ */
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx'];
+
+/**
+ * Flatten nested translations to dot-separated keys
+ * @param {object} messages - Parsed locale file
+ * @param {string} [prefix] - Key of the enclosing object
+ * @returns {Map<string, *>} Key to translation
+ */
+function flattenKeys(messages, prefix = '') {
+    const keys = new Map();
+    Object.entries(messages).forEach(([name, value]) => {
+        const key = prefix ? `${prefix}.${name}` : name;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flattenKeys(value, key).forEach((nested, nestedKey) => keys.set(nestedKey, nested));
+        } else {
+            keys.set(key, value);
+        }
+    });
+    return keys;
+}
+
+/**
+ * Same structure as the given translations, with every string emptied
+ * @param {object} messages - Parsed locale file
+ * @returns {object}
+ */
+function blankCopy(messages) {
+    return Object.fromEntries(Object.entries(messages).map(([name, value]) => [
+        name,
+        value && typeof value === 'object' && !Array.isArray(value) ? blankCopy(value) : ''
+    ]));
+}
+
+/**
+ * Key as t() is called with: plural forms share the key without their suffix
+ * @param {string} key - e.g. "cart.items_one"
+ * @returns {string} e.g. "cart.items"
+ */
+function usageKey(key) {
+    return key.replace(PLURAL_SUFFIX, '');
+}
+
+/**
+ * Translation keys used in a source file: t('key'), i18n.t("key") and <Trans i18nKey="key" />.
+ * Keys built at runtime, e.g. t(`errors.${code}`), cannot be found.
+ * @param {string} source - File content
+ * @returns {string[]}
+ */
+function findUsedKeys(source) {
+    const patterns = [
+        /\bt\(\s*(['"`])([^'"`$\s]+)\1/g,
+        /\bi18nKey=\{?\s*(['"`])([^'"`$\s]+)\1/g
+    ];
+    // The generated setup has a single namespace, "translation"
+    return patterns.flatMap(pattern => Array.from(source.matchAll(pattern), match => match[2].replace(/^translation:/, '')));
+}
+
+/**
+ * Manage the translations of a project scaffolded with i18n: add locales with the base
+ * locale's keys and report keys that are missing, untranslated or unused.
+ */
+class TranslationManager {
+    /**
+     * @param {string} rootPath - Project root
+     * @param {object} options - Parsed command line options (see lib/cli.js)
+     */
+    constructor(rootPath = process.cwd(), options = {}) {
+        this.rootPath = rootPath;
+        this.options = options;
+        this.srcDir = 'src';
+        // Folder layout of the project (see lib/layouts.js)
+        this.layout = loadLayout(rootPath);
+        this.language = null;
+        this.writer = null;
+    }
+
+    /**
+     * Run `i18n <subcommand> [...args]`
+     * @param {string} subcommand - One of I18N_COMMANDS
+     * @param {...string} args - Arguments of the subcommand
+     */
+    async run(subcommand, ...args) {
+        try {
+            if (!I18N_COMMANDS.includes(subcommand)) {
+                throw new ScaffolderError(`Unknown i18n command "${subcommand || ''}". Use one of: ${I18N_COMMANDS.join(', ')}.`);
+            }
+
+            const project = checkProject(this.rootPath, { force: this.options.force });
+            const { resolved } = loadProjectConfig(this.rootPath, this.options, { saved: true });
+            this.srcDir = resolveSourceDir(this.rootPath, resolved.srcDir || this.srcDir);
+            this.layout = loadLayout(this.rootPath, resolved.layout || undefined);
+            this.language = resolved.language || detectLanguage(project);
+
+            if (subcommand === 'add-locale') {
+                if (args.length !== 1) {
+                    throw new ScaffolderError('Usage: rn-scaffold i18n add-locale <code>, e.g. "es" or "pt-BR"');
+                }
+                await this.addLocale(args[0]);
+            } else {
+                if (args.length > 0) {
+                    throw new ScaffolderError(`Unexpected arguments: ${args.join(' ')}. Usage: rn-scaffold i18n check`);
+                }
+                this.check();
+            }
+        } catch (error) {
+            reportError(['i18n', subcommand].filter(Boolean).join(' '), error);
+            if (this.writer) {
+                this.writer.rollback();
+            }
+        }
+    }
+
+    /**
+     * Path of a file in the i18n folder (src/i18n in the layered layout), relative to the project root
+     * @param {string} relPath - e.g. "locales/en.json" or "resources.ts"
+     * @returns {string}
+     */
+    i18nPath(relPath) {
+        return path.posix.join(this.srcDir, layoutPath(this.layout, 'i18n'), withLanguageExtension(relPath, this.language));
+    }
+
+    /**
+     * Read and parse a locale file
+     * @param {string} code - Locale code, e.g. "en"
+     * @returns {object}
+     */
+    readLocale(code) {
+        const file = this.i18nPath(`locales/${code}.json`);
+        const fullPath = path.join(this.rootPath, file);
+        if (!fs.existsSync(fullPath)) {
+            throw new ScaffolderError(code === BASE_LOCALE
+                ? `Base locale not found: ${file}. Set up i18n first with: rn-scaffold add i18n`
+                : `Locale not found: ${file}`);
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        } catch (error) {
+            throw new ScaffolderError(`${file} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Codes of the locale files in src/i18n/locales, base locale first
+     * @returns {string[]}
+     */
+    localeCodes() {
+        const dir = path.join(this.rootPath, this.i18nPath('locales'));
+        const codes = fs.existsSync(dir)
+            ? fs.readdirSync(dir).filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length))
+            : [];
+        return [BASE_LOCALE, ...codes.filter(code => code !== BASE_LOCALE).sort()];
+    }
+
+    /**
+     * Create src/i18n/locales/<code>.json with the keys of the base locale (empty strings,
+     * which fall back to the base locale until translated) and register it in resources
+     * @param {string} code - Locale code, e.g. "es" or "pt-BR"
+     */
+    async addLocale(code) {
+        if (!/^[a-z]{2,3}(-[A-Z][a-z]{3})?(-([A-Z]{2}|\d{3}))?$/.test(code)) {
+            throw new ScaffolderError(`Invalid locale code "${code}". Use a language code such as "es", "pt-BR" or "zh-Hant-TW".`);
+        }
+        const localePath = this.i18nPath(`locales/${code}.json`);
+        if (fs.existsSync(path.join(this.rootPath, localePath))) {
+            throw new ScaffolderError(`Locale already exists: ${localePath}`);
+        }
+
+        const base = this.readLocale(BASE_LOCALE);
+        this.writer = new FileWriter(this.rootPath, {
+            dryRun: Boolean(this.options.dryRun),
+            conflict: this.options.conflict,
+            ask: question => ask(question, { yes: this.options.yes })
+        });
+
+        await this.writer.writeFile(localePath, `${JSON.stringify(blankCopy(base), null, 2)}\n`, { label: 'locale', color: chalk.blue });
+        await this.registerLocale(code);
+
+        if (this.writer.dryRun) {
+            this.writer.printPlannedTree();
+            return;
+        }
+        recordRun(this.rootPath, `i18n add-locale ${code}`, this.writer.takeChanges());
+        console.log(chalk.green(`✅ Added locale ${code}. Keys to translate: ${flattenKeys(base).size}.`));
+    }
+
+    /**
+     * Add a locale to the resources of the generated i18n setup
+     * @param {string} code - Locale code, e.g. "pt-BR"
+     */
+    async registerLocale(code) {
+        const resourcesPath = this.i18nPath('resources.ts');
+        const fullPath = path.join(this.rootPath, resourcesPath);
+        const identifier = code.replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+        const key = /^[a-z]+$/.test(code) ? code : `'${code}'`;
+        const source = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+        const updated = source === null
+            ? null
+            : addObjectEntry(source, /resources = \{/, key, `{ translation: ${identifier} }`);
+        if (updated === null) {
+            console.log(chalk.yellow(`⚠️  Register the locale yourself: no resources object found in ${resourcesPath}`));
+            return;
+        }
+
+        await this.writer.writeFile(resourcesPath, addImport(updated, `import ${identifier} from './locales/${code}.json';`), {
+            label: 'i18n resources',
+            color: chalk.blue,
+            merge: true
+        });
+    }
+
+    /**
+     * Report keys missing from a locale, keys the base locale does not have (obsolete),
+     * empty translations, keys used in the code but missing from the base locale and
+     * base locale keys nothing uses. Missing, obsolete and unknown keys fail the check.
+     */
+    check() {
+        const base = flattenKeys(this.readLocale(BASE_LOCALE));
+        const baseUsageKeys = new Set(Array.from(base.keys(), usageKey));
+        let problems = 0;
+        let warnings = 0;
+
+        const report = (title, keys, color) => {
+            if (keys.length === 0) {
+                return;
+            }
+            console.log(color(`  ${title} (${keys.length}):`));
+            keys.forEach(key => console.log(color(`    ${key}`)));
+        };
+
+        this.localeCodes().forEach(code => {
+            const keys = code === BASE_LOCALE ? base : flattenKeys(this.readLocale(code));
+            // Plural forms differ between languages, so they are compared by their key without suffix
+            const usageKeys = new Set(Array.from(keys.keys(), usageKey));
+            const missing = Array.from(base.keys()).filter(key => !keys.has(key) && !(PLURAL_SUFFIX.test(key) && usageKeys.has(usageKey(key))));
+            const obsolete = Array.from(keys.keys()).filter(key => !base.has(key) && !(PLURAL_SUFFIX.test(key) && baseUsageKeys.has(usageKey(key))));
+            const untranslated = Array.from(keys).filter(([key, value]) => value === '' && base.has(key)).map(([key]) => key);
+
+            console.log(chalk.bold(`${code}${code === BASE_LOCALE ? ' (base)' : ''}: ${keys.size} keys`));
+            report('Missing', missing, chalk.red);
+            report('Not in the base locale', obsolete, chalk.red);
+            report('Untranslated', untranslated, chalk.yellow);
+            problems += missing.length + obsolete.length;
+            warnings += untranslated.length;
+        });
+
+        const used = new Set(this.sourceFiles().flatMap(file => findUsedKeys(fs.readFileSync(file, 'utf8'))));
+        const unknown = Array.from(used).filter(key => !base.has(key) && !baseUsageKeys.has(key)).sort();
+        const unused = Array.from(base.keys()).filter(key => !used.has(key) && !used.has(usageKey(key)));
+
+        console.log(chalk.bold(`Keys used in ${this.srcDir} and the app entry: ${used.size}`));
+        report(`Used but missing from ${BASE_LOCALE}.json`, unknown, chalk.red);
+        report('Unused (keys built at runtime are not detected)', unused, chalk.yellow);
+        problems += unknown.length;
+        warnings += unused.length;
+
+        if (problems > 0) {
+            process.exitCode = 1;
+            console.log(chalk.red(`❌ Missing or unknown keys: ${problems}, warnings: ${warnings}.`));
+        } else if (warnings > 0) {
+            console.log(chalk.yellow(`⚠️  No missing keys, warnings: ${warnings}.`));
+        } else {
+            console.log(chalk.green('✅ All locales have every key, and every key is used.'));
+        }
+    }
+
+    /**
+     * Source files of the app: the source directory and the files in the project root (App.tsx, ...)
+     * @returns {string[]} Absolute paths
+     */
+    sourceFiles() {
+        const isSource = entry => entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name)) && !entry.name.endsWith('.d.ts');
+        const walk = dir => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                return walk(fullPath);
+            }
+            return isSource(entry) ? [fullPath] : [];
+        });
+
+        const srcPath = path.join(this.rootPath, this.srcDir);
+        const rootFiles = fs.readdirSync(this.rootPath, { withFileTypes: true })
+            .filter(isSource)
+            .map(entry => path.join(this.rootPath, entry.name));
+        return [...rootFiles, ...(fs.existsSync(srcPath) ? walk(srcPath) : [])];
+    }
+}
+
+module.exports = { TranslationManager, I18N_COMMANDS };
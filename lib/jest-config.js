@@ -0,0 +1,326 @@
+/**
+ * Helpers to create or patch the Jest config. jest.config.js is JavaScript, so an existing
+ * file is patched as text, like babel.config.js (see lib/babel-config.js): missing options
+ * are added to the exported object, and missing entries to an existing object or array
+ * option (e.g. `moduleNameMapper`). Values already set are kept, except that the
+ * transformIgnorePatterns pattern gets the packages it is missing.
+ */
+const { findClosingBracket } = require('./babel-config');
+const { MANIFEST_DIR } = require('./manifest');
+const { LANGUAGES } = require('./language');
+
+/**
+ * Jest preset of a new config, per project kind
+ */
+const JEST_PRESETS = {
+    bare: 'react-native',
+    expo: 'jest-expo'
+};
+
+/**
+ * Packages Jest has to run through Babel because they ship Flow, JSX or ES modules,
+ * per option. node_modules is not transformed otherwise.
+ */
+const TRANSFORMED_PACKAGES = {
+    base: ['(jest-)?react-native(-.*)?', '@react-native(-community)?'],
+    expo: ['expo(nent)?', '@expo(nent)?/.*', 'expo-.*', '@expo-google-fonts/.*', '@unimodules/.*'],
+    navigation: ['@react-navigation/.*'],
+    redux: ['@reduxjs/.*', 'immer', 'react-redux', 'redux-persist']
+};
+
+/**
+ * Transform of .jsx files, which the react-native preset leaves out (it covers .js, .ts and .tsx)
+ */
+const JSX_TRANSFORM = { '^.+\\.jsx$': 'babel-jest' };
+
+/**
+ * transformIgnorePatterns item as jestOptions() writes it: node_modules except the listed packages
+ */
+const IGNORE_PATTERN = /^node_modules\/\(\?!\((.*)\)\/\)$/;
+
+/**
+ * Comments written above an option when it is added
+ */
+const OPTION_COMMENTS = {
+    moduleNameMapper: 'The path aliases of tsconfig.json and babel.config.js',
+    modulePathIgnorePatterns: `Backups kept by \`rn-scaffold undo\` (${MANIFEST_DIR}) hold copies of source and test files`
+};
+
+/**
+ * Jest options for a scaffolder config
+ * @param {object} options
+ * @param {Object<string, string>} options.moduleNameMapper - See toJestModuleNameMapper in lib/aliases.js
+ * @param {string} options.setupFile - Setup file relative to the project root, e.g. "jest.setup.ts"
+ * @param {object} options.config - scaffolder.config
+ * @param {boolean} [options.expo] - Use the Expo preset
+ * @returns {object}
+ */
+function jestOptions({ moduleNameMapper, setupFile, config, expo = false }) {
+    const packages = [
+        ...TRANSFORMED_PACKAGES.base,
+        ...(expo ? TRANSFORMED_PACKAGES.expo : []),
+        ...(config.navigationSetup || config.bottomNavigation ? TRANSFORMED_PACKAGES.navigation : []),
+        ...(config.stateManagement === 'Redux Toolkit' ? TRANSFORMED_PACKAGES.redux : [])
+    ];
+
+    return {
+        preset: expo ? JEST_PRESETS.expo : JEST_PRESETS.bare,
+        ...(!expo && config.language === LANGUAGES.js ? { transform: JSX_TRANSFORM } : {}),
+        setupFilesAfterEnv: [`<rootDir>/${setupFile}`],
+        moduleNameMapper,
+        transformIgnorePatterns: [transformIgnorePattern(packages)],
+        modulePathIgnorePatterns: [`<rootDir>/${MANIFEST_DIR}/`],
+        testPathIgnorePatterns: ['/node_modules/', `<rootDir>/${MANIFEST_DIR}/`],
+        clearMocks: true
+    };
+}
+
+/**
+ * @param {string[]} packages - Package patterns, see TRANSFORMED_PACKAGES
+ * @returns {string} Pattern ignoring node_modules except these packages
+ */
+function transformIgnorePattern(packages) {
+    return `node_modules/(?!(${packages.join('|')})/)`;
+}
+
+/**
+ * Alternatives of a regular expression, split at the top-level "|"
+ * @param {string} source - e.g. "(jest-)?react-native(-.*)?|immer"
+ * @returns {string[]}
+ */
+function splitAlternatives(source) {
+    const alternatives = [''];
+    let depth = 0;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (char === '\\') {
+            alternatives[alternatives.length - 1] += source.slice(i, i + 2);
+            i++;
+            continue;
+        }
+        depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+        if (char === '|' && depth === 0) {
+            alternatives.push('');
+        } else {
+            alternatives[alternatives.length - 1] += char;
+        }
+    }
+    return alternatives;
+}
+
+/**
+ * Add the packages a transformIgnorePatterns item is missing. Another item would not help:
+ * Jest ignores a file matching any of them, so the existing one would still ignore the packages.
+ * @param {string} pattern - Existing item
+ * @param {string} wanted - Item of jestOptions()
+ * @returns {string} The item with the missing packages, or unchanged when it has another form
+ */
+function addTransformedPackages(pattern, wanted) {
+    const current = pattern.match(IGNORE_PATTERN);
+    const packages = wanted.match(IGNORE_PATTERN);
+    if (!current || !packages) {
+        return pattern;
+    }
+    const alternatives = splitAlternatives(current[1]);
+    const missing = splitAlternatives(packages[1]).filter(item => !alternatives.includes(item));
+    return missing.length > 0 ? transformIgnorePattern([...alternatives, ...missing]) : pattern;
+}
+
+/**
+ * transformIgnorePatterns of an existing config with the packages the scaffolder needs
+ * @param {string[]} existing - Items already set
+ * @param {string[]} wanted - transformIgnorePatterns of jestOptions()
+ * @returns {string[]}
+ */
+function mergeTransformIgnorePatterns(existing, wanted) {
+    return existing.map(pattern => (typeof pattern === 'string' ? addTransformedPackages(pattern, wanted[0]) : pattern));
+}
+
+/**
+ * Render a string, boolean, string array or string map as JavaScript
+ * @param {*} value
+ * @param {string} indent - Indentation of the line the value starts on
+ * @returns {string}
+ */
+function formatValue(value, indent) {
+    if (typeof value === 'string') {
+        return `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(item => formatValue(item, indent)).join(', ')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{\n${formatEntries(value, `${indent}  `)}\n${indent}}`;
+    }
+    return String(value);
+}
+
+/**
+ * Render object entries, one per line
+ * @param {object} entries
+ * @param {string} indent
+ * @returns {string}
+ */
+function formatEntries(entries, indent) {
+    return Object.entries(entries)
+        .map(([key, value]) => `${indent}${formatKey(key)}: ${formatValue(value, indent)},`)
+        .join('\n');
+}
+
+/**
+ * @param {string} key
+ * @returns {string} The key, quoted unless it is an identifier
+ */
+function formatKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : formatValue(key, '');
+}
+
+/**
+ * Render top-level options, with their comment if they have one
+ * @param {object} options
+ * @param {string} indent
+ * @returns {string}
+ */
+function formatOptions(options, indent) {
+    return Object.entries(options)
+        .map(([key, value]) => {
+            const line = `${indent}${key}: ${formatValue(value, indent)},`;
+            return OPTION_COMMENTS[key] ? `${indent}// ${OPTION_COMMENTS[key]}\n${line}` : line;
+        })
+        .join('\n');
+}
+
+/**
+ * Content for a new jest.config.js
+ * @param {object} options - See jestOptions()
+ * @returns {string}
+ */
+function generateJestConfig(options) {
+    return [
+        '/** @type {import(\'jest\').Config} */',
+        'module.exports = {',
+        formatOptions(options, '  '),
+        '};',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Leading whitespace of the line containing index
+ * @param {string} source
+ * @param {number} index
+ * @returns {string}
+ */
+function lineIndent(source, index) {
+    const lineStart = source.lastIndexOf('\n', index) + 1;
+    return source.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Text to insert before the closing bracket at closeIndex, with a comma after the last item if needed
+ * @param {string} source
+ * @param {number} openIndex - Index of the opening bracket
+ * @param {number} closeIndex - Index of the closing bracket
+ * @param {string} lines - Items to add, already indented
+ * @returns {{index: number, end: number, text: string}} Replaces source.slice(index, end) with text
+ */
+function insertBeforeClose(source, openIndex, closeIndex, lines) {
+    const body = source.slice(openIndex + 1, closeIndex);
+    const trimmed = body.replace(/\s+$/, '');
+    const separator = trimmed.trim() === '' || /,$/.test(trimmed) ? '' : ',';
+    return {
+        index: openIndex + 1 + trimmed.length,
+        text: `${separator}\n${lines}\n${lineIndent(source, closeIndex)}`,
+        end: closeIndex
+    };
+}
+
+/**
+ * Add the Jest options to an existing jest.config.js
+ * @param {string} source - Current jest.config.js content
+ * @param {object} options - See jestOptions()
+ * @returns {string|null} Patched content, or null when the file layout is not recognised
+ */
+function mergeJestConfig(source, options) {
+    let found = source.match(/module\.exports\s*=\s*\{/);
+    if (!found) {
+        // const config = { ... }; module.exports = config;
+        const exported = source.match(/module\.exports\s*=\s*([A-Za-z_$][\w$]*)\s*;?/);
+        found = exported && source.match(new RegExp(`(const|let|var)\\s+${exported[1]}(\\s*:[^=]+)?\\s*=\\s*\\{`));
+    }
+    if (!found) {
+        return null;
+    }
+
+    const openIndex = found.index + found[0].length - 1;
+    const closeIndex = findClosingBracket(source, openIndex);
+    if (closeIndex === -1) {
+        return null;
+    }
+
+    const body = source.slice(openIndex, closeIndex);
+    const firstOption = body.slice(1).search(/\S/);
+    const indent = firstOption === -1 || body[firstOption + 1] === '}' ? '  ' : lineIndent(source, openIndex + 1 + firstOption);
+    const edits = [];
+    const missing = {};
+
+    Object.entries(options).forEach(([key, value]) => {
+        const option = new RegExp(`(^|[\\s{,])['"]?${key}['"]?\\s*:\\s*`).exec(body);
+        if (!option) {
+            missing[key] = value;
+            return;
+        }
+        if (key === 'transformIgnorePatterns') {
+            // String items of the array are patched in place
+            const valueIndex = openIndex + option.index + option[0].length;
+            const valueClose = source[valueIndex] === '[' ? findClosingBracket(source, valueIndex) : -1;
+            const literal = /(['"])((?:\\.|(?!\1).)*)\1/g;
+            let item;
+            while (valueClose !== -1 && (item = literal.exec(source.slice(valueIndex, valueClose))) !== null) {
+                const pattern = item[2].replace(/\\(.)/g, '$1');
+                const patched = addTransformedPackages(pattern, value[0]);
+                if (patched !== pattern) {
+                    const index = valueIndex + item.index;
+                    edits.push({ index, end: index + item[0].length, text: formatValue(patched, '') });
+                }
+            }
+            return;
+        }
+
+        // Objects and arrays get the entries they are missing; anything else is kept
+        const valueIndex = openIndex + option.index + option[0].length;
+        const bracket = source[valueIndex];
+        if ((bracket !== '{' || Array.isArray(value) || typeof value !== 'object') && (bracket !== '[' || !Array.isArray(value))) {
+            return;
+        }
+        const valueClose = findClosingBracket(source, valueIndex);
+        if (valueClose === -1) {
+            return;
+        }
+        const current = source.slice(valueIndex, valueClose);
+        const has = item => current.includes(formatValue(item, '')) || current.includes(JSON.stringify(item));
+        if (Array.isArray(value)) {
+            const items = value.filter(item => !has(item));
+            if (items.length > 0) {
+                const trimmed = current.replace(/\s+$/, '');
+                const separator = trimmed.length === 1 ? '' : (/,$/.test(trimmed) ? ' ' : ', ');
+                edits.push({ index: valueIndex + trimmed.length, end: valueIndex + trimmed.length, text: `${separator}${items.map(item => formatValue(item, '')).join(', ')}` });
+            }
+        } else {
+            const entries = Object.fromEntries(Object.entries(value).filter(([entryKey]) => !has(entryKey)));
+            if (Object.keys(entries).length > 0) {
+                edits.push(insertBeforeClose(source, valueIndex, valueClose, formatEntries(entries, `${lineIndent(source, valueIndex)}${indent}`)));
+            }
+        }
+    });
+
+    if (Object.keys(missing).length > 0) {
+        edits.push(insertBeforeClose(source, openIndex, closeIndex, formatOptions(missing, `${lineIndent(source, openIndex)}${indent}`)));
+    }
+
+    return edits
+        .sort((a, b) => b.index - a.index)
+        .reduce((patched, { index, end, text }) => patched.slice(0, index) + text + patched.slice(end), source);
+}
+
+module.exports = { jestOptions, generateJestConfig, mergeJestConfig, mergeTransformIgnorePatterns };
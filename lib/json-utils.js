@@ -0,0 +1,83 @@
+/**
+ * Parse JSON that may contain comments and trailing commas (tsconfig.json, jsconfig.json, ...)
+ * @param {string} text - File contents
+ * @returns {*}
+ */
+function parseJsonc(text) {
+    let output = '';
+    let inString = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const next = text[i + 1];
+
+        if (inString) {
+            output += char;
+            if (char === '\\') {
+                output += next;
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+            output += char;
+        } else if (char === '/' && next === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+            output += '\n';
+        } else if (char === '/' && next === '*') {
+            i += 2;
+            while (i < text.length && !(text[i] === '*' && text[i + 1] === '/')) i++;
+            i++;
+        } else {
+            output += char;
+        }
+    }
+
+    return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge default values into an existing object without overwriting anything already set.
+ * Objects are merged recursively, arrays are combined without duplicates and
+ * existing scalar values always win.
+ * @param {*} existing - Value already on disk
+ * @param {*} defaults - Values the scaffolder wants to add
+ * @returns {*} A new merged value
+ */
+function mergeDefaults(existing, defaults) {
+    if (existing === undefined) {
+        return defaults;
+    }
+
+    if (Array.isArray(existing) && Array.isArray(defaults)) {
+        const merged = [...existing];
+        defaults.forEach(item => {
+            if (!merged.some(current => JSON.stringify(current) === JSON.stringify(item))) {
+                merged.push(item);
+            }
+        });
+        return merged;
+    }
+
+    if (isPlainObject(existing) && isPlainObject(defaults)) {
+        const merged = { ...existing };
+        Object.keys(defaults).forEach(key => {
+            merged[key] = mergeDefaults(existing[key], defaults[key]);
+        });
+        return merged;
+    }
+
+    return existing;
+}
+
+module.exports = { parseJsonc, isPlainObject, mergeDefaults };
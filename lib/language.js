@@ -0,0 +1,30 @@
+/**
+ * Generated code is written in TypeScript by default. In JavaScript mode every
+ * .ts/.tsx file (and template) has a .js/.jsx counterpart with JSDoc types, and
+ * jsconfig.json replaces tsconfig.json.
+ */
+const LANGUAGES = {
+    ts: 'TypeScript',
+    js: 'JavaScript'
+};
+
+/**
+ * Swap the extension of a TypeScript file name for the one of the chosen language
+ * @param {string} file - e.g. "navigation/RootNavigator.tsx" or "__tests__/Button.test.tsx"
+ * @param {string} language - scaffolder.config.language
+ * @returns {string} e.g. "navigation/RootNavigator.jsx" in JavaScript mode
+ */
+function withLanguageExtension(file, language) {
+    return language === LANGUAGES.js ? file.replace(/\.ts(x?)$/, '.js$1') : file;
+}
+
+/**
+ * Language to generate when none was chosen: TypeScript if the project uses it
+ * @param {{ typescript: boolean }} project - Result of inspectProject() (see lib/project.js)
+ * @returns {string}
+ */
+function detectLanguage(project) {
+    return project.typescript ? LANGUAGES.ts : LANGUAGES.js;
+}
+
+module.exports = { LANGUAGES, withLanguageExtension, detectLanguage };
@@ -0,0 +1,371 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { ScaffolderError } = require('./errors');
+const { isPlainObject } = require('./json-utils');
+
+/**
+ * A layout decides where each kind of generated code lives inside the source directory
+ * (its roles), which other folders are created, which folders get a path alias, and which
+ * get a .gitkeep or an index barrel. The built-in presets are below; a custom layout is a
+ * JSON or YAML file in the same format:
+ *
+ *   extends: layered                 # preset to start from (optional)
+ *   roles:                           # where generated code goes
+ *     store: app/store
+ *   folders:                         # folders to create
+ *     - assets/fonts
+ *     - { path: shared/ui/atoms, barrel: true }
+ *     - { path: lib, alias: '@lib', gitkeep: true }
+ *   componentCategory: atoms         # default folder of `generate component`
+ *   featureFolders: [components, hooks] # created in every new feature
+ */
+
+/**
+ * Kinds of generated code, with their folder in the layered layout and their path alias.
+ * Generated code imports through the aliases, so a role keeps its alias wherever a layout
+ * puts it. `dir` is also the path other code uses for the role (see layoutPath()).
+ */
+const LAYOUT_ROLES = {
+    assets: { dir: 'assets', alias: '@assets' },
+    features: { dir: 'features', alias: '@features' },
+    navigation: { dir: 'navigation', alias: '@navigation' },
+    components: { dir: 'components', alias: '@components' },
+    // Form components of the auth screens, imported through the alias of the folder holding them
+    forms: { dir: 'components/forms' },
+    store: { dir: 'store', alias: '@store' },
+    service: { dir: 'service', alias: '@service' },
+    styles: { dir: 'styles', alias: '@styles' },
+    utils: { dir: 'utils', alias: '@utils' },
+    i18n: { dir: 'i18n', alias: '@i18n' },
+    theme: { dir: 'theme', alias: '@theme' },
+    types: { dir: 'types', alias: '@types' },
+    constants: { dir: 'constants', alias: '@constants' },
+    context: { dir: 'context', alias: '@context' },
+    hooks: { dir: 'hooks', alias: '@hooks' }
+};
+
+/**
+ * Asset folders every preset creates, inside the assets role
+ */
+const ASSET_FOLDERS = [
+    'fonts',
+    'icons/imageIcons',
+    'icons/svgIcons',
+    'images/PngAndJpgImages',
+    'images/SvgImages',
+    'images/OtherImages'
+];
+
+/**
+ * Folders of the layered layout besides the assets and components
+ */
+const LAYERED_FOLDERS = [
+    'store',
+    'constants',
+    'hooks',
+    'context',
+    'features/auth',
+    'features/dashboard',
+    'features/settings',
+    'features/chat',
+    'i18n/locales',
+    'service',
+    'styles',
+    'theme',
+    'types',
+    'utils'
+];
+
+/**
+ * Built-in layouts, keyed by the name used with --layout
+ */
+const LAYOUT_PRESETS = {
+    layered: {
+        description: 'Layered: a top-level folder per kind of code (components, store, service, ...)',
+        roles: {},
+        folders: [
+            ...ASSET_FOLDERS.map(folder => `assets/${folder}`),
+            'components/global',
+            'components/forms',
+            ...LAYERED_FOLDERS
+        ],
+        componentCategory: 'global',
+        featureFolders: []
+    },
+    'feature-first': {
+        description: 'Feature-first: code grouped by feature, app-wide setup in app/ and shared code in shared/',
+        roles: {
+            navigation: 'app/navigation',
+            store: 'app/store',
+            context: 'app/context',
+            i18n: 'app/i18n',
+            components: 'shared/components',
+            forms: 'shared/components/forms',
+            hooks: 'shared/hooks',
+            service: 'shared/api',
+            styles: 'shared/styles',
+            theme: 'shared/theme',
+            types: 'shared/types',
+            constants: 'shared/constants',
+            utils: 'shared/utils'
+        },
+        folders: [
+            ...ASSET_FOLDERS.map(folder => ({ path: `assets/${folder}`, gitkeep: true })),
+            { path: 'app', alias: '@app' },
+            { path: 'shared', alias: '@shared' },
+            { path: 'shared/components/common', gitkeep: true },
+            { path: 'features/dashboard/components', gitkeep: true },
+            { path: 'features/dashboard/hooks', gitkeep: true },
+            { path: 'features/settings/components', gitkeep: true },
+            { path: 'features/settings/hooks', gitkeep: true }
+        ],
+        componentCategory: 'common',
+        featureFolders: ['components', 'hooks']
+    },
+    atomic: {
+        description: 'Atomic design: components split into atoms, molecules, organisms and templates',
+        roles: {
+            forms: 'components/molecules'
+        },
+        folders: [
+            ...ASSET_FOLDERS.map(folder => ({ path: `assets/${folder}`, gitkeep: true })),
+            { path: 'components/atoms', barrel: true },
+            { path: 'components/molecules', barrel: true },
+            { path: 'components/organisms', barrel: true },
+            { path: 'components/templates', barrel: true },
+            ...LAYERED_FOLDERS
+        ],
+        componentCategory: null,
+        featureFolders: []
+    }
+};
+
+/**
+ * Layout used when none is chosen
+ */
+const DEFAULT_LAYOUT = 'layered';
+
+/**
+ * Check a folder path of a layout
+ * @param {*} dir
+ * @param {string} what - Used in error messages
+ * @param {string} source - Where the layout came from, used in error messages
+ * @returns {string} The path without leading "./" or trailing "/"
+ */
+function validateDir(dir, what, source) {
+    const normalized = typeof dir === 'string' ? path.posix.normalize(dir.trim()).replace(/\/+$/, '') : '';
+    if (normalized === '' || normalized === '.' || normalized.startsWith('/') || normalized.split('/').includes('..')) {
+        throw new ScaffolderError(`Invalid ${what} ${JSON.stringify(dir)} in ${source}: use a folder path inside the source directory, e.g. "shared/ui".`);
+    }
+    return normalized;
+}
+
+/**
+ * Check a layout definition and fill in the layered roles it does not set
+ * @param {object} data - Preset or parsed layout file
+ * @param {string} name - Preset name or file path
+ * @param {string} [source] - Where the layout came from, used in error messages
+ * @returns {{
+ *   name: string,
+ *   roles: Object<string, string>,
+ *   folders: Array<{path: string, alias: string|null, gitkeep: boolean, barrel: boolean}>,
+ *   componentCategory: string|null,
+ *   featureFolders: string[]
+ * }}
+ */
+function normalizeLayout(data, name, source = name) {
+    if (!isPlainObject(data)) {
+        throw new ScaffolderError(`${source} must contain an object with "roles" and "folders".`);
+    }
+    const unknown = Object.keys(data).filter(key => !['extends', 'description', 'roles', 'folders', 'componentCategory', 'featureFolders'].includes(key));
+    if (unknown.length > 0) {
+        throw new ScaffolderError(`Unknown layout key "${unknown[0]}" in ${source}. Allowed keys: extends, roles, folders, componentCategory, featureFolders.`);
+    }
+
+    let base = { roles: {}, folders: [], componentCategory: null, featureFolders: [] };
+    if (data.extends !== undefined) {
+        if (!LAYOUT_PRESETS[data.extends]) {
+            throw new ScaffolderError(`Unknown layout "${data.extends}" in "extends" of ${source}. Use one of: ${Object.keys(LAYOUT_PRESETS).join(', ')}.`);
+        }
+        base = normalizeLayout(LAYOUT_PRESETS[data.extends], data.extends);
+    }
+
+    const baseRoles = { ...base.roles };
+    Object.entries(LAYOUT_ROLES).forEach(([role, { dir }]) => {
+        if (!baseRoles[role]) {
+            baseRoles[role] = dir;
+        }
+    });
+    if (data.roles !== undefined && !isPlainObject(data.roles)) {
+        throw new ScaffolderError(`"roles" in ${source} must map roles to folders, e.g. { "store": "app/store" }.`);
+    }
+    const roles = { ...baseRoles };
+    Object.entries(data.roles || {}).forEach(([role, dir]) => {
+        if (!LAYOUT_ROLES[role]) {
+            throw new ScaffolderError(`Unknown role "${role}" in ${source}. Roles: ${Object.keys(LAYOUT_ROLES).join(', ')}.`);
+        }
+        roles[role] = validateDir(dir, `folder of role "${role}"`, source);
+    });
+    // Roles not set here move along with the role they are in, e.g. "forms" with "components"
+    Object.keys(roles).filter(role => !Object.prototype.hasOwnProperty.call(data.roles || {}, role)).forEach(role => {
+        const { [role]: own, ...others } = baseRoles;
+        roles[role] = relocate(own, others, roles);
+    });
+
+    if (data.folders !== undefined && !Array.isArray(data.folders)) {
+        throw new ScaffolderError(`"folders" in ${source} must be a list.`);
+    }
+    // Folders of the preset move along with the roles they are in, e.g. "store" to "app/store"
+    const folders = base.folders.map(folder => ({ ...folder, path: relocate(folder.path, base.roles, roles) }));
+    (data.folders || []).forEach(entry => {
+        const folder = typeof entry === 'string' ? { path: entry } : entry;
+        if (!isPlainObject(folder)) {
+            throw new ScaffolderError(`Invalid folder ${JSON.stringify(entry)} in ${source}: use a path or { path, alias, gitkeep, barrel }.`);
+        }
+        const normalized = {
+            path: validateDir(folder.path, 'folder', source),
+            alias: folder.alias === undefined || folder.alias === null ? null : folder.alias,
+            gitkeep: Boolean(folder.gitkeep),
+            barrel: Boolean(folder.barrel)
+        };
+        if (normalized.alias !== null && (typeof normalized.alias !== 'string' || !/^[@~#]?[A-Za-z][\w-]*$/.test(normalized.alias))) {
+            throw new ScaffolderError(`Invalid alias ${JSON.stringify(folder.alias)} for "${normalized.path}" in ${source}: use a name such as "@shared".`);
+        }
+        const existing = folders.findIndex(other => other.path === normalized.path);
+        if (existing === -1) {
+            folders.push(normalized);
+        } else {
+            folders[existing] = normalized;
+        }
+    });
+
+    const aliases = [
+        ...Object.entries(LAYOUT_ROLES).filter(([, role]) => role.alias).map(([, role]) => role.alias),
+        ...folders.filter(folder => folder.alias).map(folder => folder.alias)
+    ];
+    const duplicate = aliases.find((alias, index) => aliases.indexOf(alias) !== index);
+    if (duplicate) {
+        throw new ScaffolderError(`The alias "${duplicate}" is used twice in ${source}. Role aliases (${Object.values(LAYOUT_ROLES).filter(role => role.alias).map(role => role.alias).join(', ')}) cannot be given to other folders.`);
+    }
+
+    const segment = /^[A-Za-z][A-Za-z0-9_-]*$/;
+    const componentCategory = data.componentCategory === undefined ? base.componentCategory : data.componentCategory;
+    if (componentCategory !== null && (typeof componentCategory !== 'string' || !segment.test(componentCategory))) {
+        throw new ScaffolderError(`Invalid "componentCategory" in ${source}: use a folder name such as "global".`);
+    }
+    const featureFolders = data.featureFolders === undefined ? base.featureFolders : data.featureFolders;
+    if (!Array.isArray(featureFolders) || !featureFolders.every(folder => typeof folder === 'string' && segment.test(folder))) {
+        throw new ScaffolderError(`Invalid "featureFolders" in ${source}: use a list of folder names such as ["components", "hooks"].`);
+    }
+
+    const layout = { name, roles, folders, componentCategory, featureFolders };
+    if (moduleSpecifier(layout, roles.forms) === null) {
+        throw new ScaffolderError(`The forms folder "${roles.forms}" in ${source} must be inside a folder with an alias, e.g. the components folder.`);
+    }
+    return layout;
+}
+
+/**
+ * Move a folder from one set of role folders to another
+ * @param {string} dir - Folder relative to the source directory
+ * @param {Object<string, string>} fromRoles - Role folders the path is in
+ * @param {Object<string, string>} toRoles - Role folders to move it to
+ * @returns {string}
+ */
+function relocate(dir, fromRoles, toRoles) {
+    const [role] = Object.keys(fromRoles)
+        .filter(name => dir === fromRoles[name] || dir.startsWith(`${fromRoles[name]}/`))
+        .sort((a, b) => fromRoles[b].length - fromRoles[a].length);
+    return role ? `${toRoles[role]}${dir.slice(fromRoles[role].length)}` : dir;
+}
+
+/**
+ * Load a preset, or a layout file (.json, .yaml or .yml) relative to the project root
+ * @param {string} rootPath - Project root
+ * @param {string} [value] - Preset name or file path (default: DEFAULT_LAYOUT)
+ * @returns {object} See normalizeLayout()
+ */
+function loadLayout(rootPath, value = DEFAULT_LAYOUT) {
+    if (LAYOUT_PRESETS[value]) {
+        return normalizeLayout(LAYOUT_PRESETS[value], value);
+    }
+
+    const filePath = path.resolve(rootPath, value);
+    if (!/\.(json|ya?ml)$/i.test(value) || !fs.existsSync(filePath)) {
+        throw new ScaffolderError(`Unknown layout "${value}". Use one of ${Object.keys(LAYOUT_PRESETS).join(', ')}, or the path of a JSON or YAML layout file.`);
+    }
+
+    const source = path.relative(rootPath, filePath) || value;
+    let data;
+    try {
+        const text = fs.readFileSync(filePath, 'utf8');
+        data = /\.json$/i.test(filePath) ? JSON.parse(text) : YAML.parse(text);
+    } catch (error) {
+        throw new ScaffolderError(`Could not parse ${source}: ${error.message.split('\n')[0]}`);
+    }
+    return normalizeLayout(data, value, source);
+}
+
+/**
+ * Map a path written for the layered layout to the layout's folders, by its role
+ * @param {object} layout - See normalizeLayout()
+ * @param {string} relPath - Path relative to the source directory, e.g. "store/slices/exampleSlice.ts"
+ * @returns {string} e.g. "app/store/slices/exampleSlice.ts" in the feature-first layout
+ */
+function layoutPath(layout, relPath) {
+    const [role] = Object.entries(LAYOUT_ROLES)
+        .filter(([, { dir }]) => relPath === dir || relPath.startsWith(`${dir}/`))
+        .sort(([, a], [, b]) => b.dir.length - a.dir.length)
+        .map(([name]) => name);
+    return role ? `${layout.roles[role]}${relPath.slice(LAYOUT_ROLES[role].dir.length)}` : relPath;
+}
+
+/**
+ * Path aliases of a layout: one per role, then the folder aliases
+ * @param {object} layout - See normalizeLayout()
+ * @returns {Array<{alias: string, dir: string}>} dir is relative to the source directory
+ */
+function layoutAliases(layout) {
+    return [
+        ...Object.entries(LAYOUT_ROLES).filter(([, role]) => role.alias).map(([name, role]) => ({ alias: role.alias, dir: layout.roles[name] })),
+        ...layout.folders.filter(folder => folder.alias).map(folder => ({ alias: folder.alias, dir: folder.path }))
+    ];
+}
+
+/**
+ * Import path of a folder through the alias of the closest aliased folder containing it
+ * @param {object} layout - See normalizeLayout()
+ * @param {string} dir - Folder relative to the source directory, e.g. "components/molecules"
+ * @returns {string|null} e.g. "@components/molecules", or null when no aliased folder contains it
+ */
+function moduleSpecifier(layout, dir) {
+    const [closest] = layoutAliases(layout)
+        .filter(alias => dir === alias.dir || dir.startsWith(`${alias.dir}/`))
+        .sort((a, b) => b.dir.length - a.dir.length);
+    return closest ? `${closest.alias}${dir.slice(closest.dir.length)}` : null;
+}
+
+/**
+ * Folders `generate component` can put a component in: the layout folders directly inside the components role
+ * @param {object} layout - See normalizeLayout()
+ * @returns {string[]} Folder names, e.g. ["atoms", "molecules"]
+ */
+function componentCategories(layout) {
+    const prefix = `${layout.roles.components}/`;
+    return layout.folders
+        .filter(folder => folder.path.startsWith(prefix) && !folder.path.slice(prefix.length).includes('/'))
+        .map(folder => folder.path.slice(prefix.length));
+}
+
+module.exports = {
+    LAYOUT_ROLES,
+    LAYOUT_PRESETS,
+    DEFAULT_LAYOUT,
+    normalizeLayout,
+    loadLayout,
+    layoutPath,
+    layoutAliases,
+    moduleSpecifier,
+    componentCategories
+};
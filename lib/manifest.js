@@ -0,0 +1,264 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { ScaffolderError } = require('./errors');
+
+/**
+ * Every run that writes files is recorded in .rn-maker/manifest.json:
+ *
+ *   {
+ *     "version": 1,
+ *     "runs": [{
+ *       "id": "2024-05-01T10-00-00-000Z",
+ *       "command": "scaffold",
+ *       "date": "2024-05-01T10:00:00.000Z",
+ *       "directories": ["src", "src/utils"],
+ *       "files": [
+ *         { "path": "src/utils/mmkvStorage.ts", "action": "created", "hash": "<sha256>" },
+ *         { "path": "package.json", "action": "changed", "hash": "<sha256>", "backup": "backups/<id>/package.json" },
+ *         { "path": "src/utils/asyncStorage.ts", "action": "removed", "backup": "backups/<id>/src/utils/asyncStorage.ts" }
+ *       ]
+ *     }]
+ *   }
+ *
+ * `hash` is the content rn-scaffold wrote, so `undo` can tell whether a file was
+ * edited since. Changed and removed files keep their original in .rn-maker/<backup>.
+ */
+const MANIFEST_DIR = '.rn-maker';
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+// Local state of the undo history, added to the project's .gitignore by the first recorded run
+const GITIGNORE_ENTRIES = [`${MANIFEST_DIR}/${MANIFEST_FILE}`, `${MANIFEST_DIR}/backups/`];
+
+/**
+ * @param {string} content
+ * @returns {string} sha256 hex digest
+ */
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read the manifest of a project
+ * @param {string} rootPath - Project root
+ * @returns {{ version: number, runs: Array<object> }} An empty manifest when there is none
+ */
+function loadManifest(rootPath) {
+    const manifestPath = path.join(rootPath, MANIFEST_DIR, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+        return { version: MANIFEST_VERSION, runs: [] };
+    }
+
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        if (!Array.isArray(manifest.runs)) {
+            throw new Error('"runs" is missing');
+        }
+        return manifest;
+    } catch (error) {
+        throw new ScaffolderError(`Could not read ${MANIFEST_DIR}/${MANIFEST_FILE}: ${error.message}`);
+    }
+}
+
+/**
+ * Write the manifest, or remove it once no runs are left
+ * @param {string} rootPath - Project root
+ * @param {{ version: number, runs: Array<object> }} manifest
+ */
+function saveManifest(rootPath, manifest) {
+    const manifestDir = path.join(rootPath, MANIFEST_DIR);
+    const manifestPath = path.join(manifestDir, MANIFEST_FILE);
+
+    if (manifest.runs.length > 0) {
+        fs.mkdirpSync(manifestDir);
+        fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+        return;
+    }
+
+    fs.removeSync(manifestPath);
+    removeEmptyDir(path.join(manifestDir, 'backups'));
+    removeEmptyDir(manifestDir);
+}
+
+/**
+ * Add a run to the manifest, saving the originals of changed files as backups
+ * @param {string} rootPath - Project root
+ * @param {string} command - What was run, e.g. "scaffold", "add storage mmkv" or "generate screen auth/Login"
+ * @param {Array<object>} changes - FileWriter#changes
+ * @returns {object|null} The recorded run, or null when nothing was written
+ */
+function recordRun(rootPath, command, changes) {
+    if (changes.length === 0) {
+        return null;
+    }
+
+    const date = new Date();
+    const id = date.toISOString().replace(/[:.]/g, '-');
+
+    // The first run also keeps the manifest and the backups out of git
+    const firstRun = !fs.existsSync(path.join(rootPath, MANIFEST_DIR, MANIFEST_FILE));
+    const gitignoreChange = firstRun ? ignoreManifest(rootPath) : null;
+
+    // A file written twice in one run keeps its first original and its last content
+    const files = new Map();
+    [...changes, gitignoreChange].filter(change => change && change.type === 'file').forEach(change => {
+        const first = files.get(change.path);
+        files.set(change.path, { ...change, previous: first ? first.previous : change.previous });
+    });
+
+    const run = {
+        id,
+        command,
+        date: date.toISOString(),
+        directories: changes.filter(change => change.type === 'dir').map(change => change.path),
+        // A file created and removed again in the same run leaves no trace
+        files: [...files.values()].filter(file => file.previous !== null || file.content !== null).map(file => {
+            const entry = file.content === null
+                ? { path: file.path, action: 'removed' }
+                : { path: file.path, action: file.previous === null ? 'created' : 'changed', hash: hashContent(file.content) };
+            if (file.previous !== null) {
+                entry.backup = path.posix.join('backups', id, file.path);
+                const backupPath = path.join(rootPath, MANIFEST_DIR, entry.backup);
+                fs.mkdirpSync(path.dirname(backupPath));
+                fs.writeFileSync(backupPath, file.previous);
+            }
+            return entry;
+        })
+    };
+
+    const manifest = loadManifest(rootPath);
+    manifest.runs.push(run);
+    saveManifest(rootPath, manifest);
+    return run;
+}
+
+/**
+ * Append the manifest and the backups to the project's .gitignore (creating it if needed)
+ * @param {string} rootPath - Project root
+ * @returns {object|null} The change, as in FileWriter#changes, or null when .gitignore has both
+ */
+function ignoreManifest(rootPath) {
+    const gitignorePath = path.join(rootPath, '.gitignore');
+    const existing = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf8') : null;
+    const lines = (existing || '').split(/\r?\n/).map(line => line.trim());
+    const missing = GITIGNORE_ENTRIES.filter(entry => !lines.includes(entry));
+    if (missing.length === 0) {
+        return null;
+    }
+
+    const separator = !existing ? '' : `${existing.endsWith('\n') ? '' : '\n'}\n`;
+    const content = `${existing || ''}${separator}# rn-scaffold undo history (see rn-scaffold undo)\n${missing.join('\n')}\n`;
+    fs.writeFileSync(gitignorePath, content);
+    console.log(chalk.gray(`${existing === null ? 'Created' : 'Updated'} .gitignore: ${missing.join(', ')}`));
+    return { type: 'file', path: '.gitignore', previous: existing, content };
+}
+
+/**
+ * Revert the latest recorded run. Files edited since they were generated are kept
+ * (with a warning); everything else is removed or restored from its backup.
+ * @param {string} rootPath - Project root
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only print what would be reverted
+ */
+function undoLastRun(rootPath, { dryRun = false } = {}) {
+    const manifest = loadManifest(rootPath);
+    const run = manifest.runs[manifest.runs.length - 1];
+    if (!run) {
+        throw new ScaffolderError(`Nothing to undo: no runs recorded in ${MANIFEST_DIR}/${MANIFEST_FILE}.`);
+    }
+
+    const label = (past, verb) => (dryRun ? `Would ${verb}` : past);
+    const kept = [];
+    let keepBackups = false;
+
+    [...run.files].reverse().forEach(file => {
+        const fullPath = path.join(rootPath, file.path);
+        if (file.action === 'removed') {
+            if (fs.existsSync(fullPath)) {
+                kept.push(file);
+                keepBackups = true;
+            } else {
+                console.log(chalk.blue(`${label('Restored', 'restore')} file: ${file.path}`));
+                if (!dryRun) fs.copySync(path.join(rootPath, MANIFEST_DIR, file.backup), fullPath);
+            }
+            return;
+        }
+
+        if (!fs.existsSync(fullPath)) {
+            console.log(chalk.gray(`Already gone: ${file.path}`));
+            return;
+        }
+
+        if (hashContent(fs.readFileSync(fullPath, 'utf8')) !== file.hash) {
+            kept.push(file);
+            keepBackups = keepBackups || Boolean(file.backup);
+            return;
+        }
+
+        if (file.action === 'created') {
+            console.log(chalk.red(`${label('Removed', 'remove')} file: ${file.path}`));
+            if (!dryRun) fs.removeSync(fullPath);
+        } else {
+            console.log(chalk.blue(`${label('Restored', 'restore')} file: ${file.path}`));
+            if (!dryRun) fs.copySync(path.join(rootPath, MANIFEST_DIR, file.backup), fullPath);
+        }
+    });
+
+    [...run.directories].reverse().forEach(dir => {
+        const fullPath = path.join(rootPath, dir);
+        if (fs.existsSync(fullPath) && fs.readdirSync(fullPath).length === 0) {
+            console.log(chalk.red(`${label('Removed', 'remove')} directory: ${dir}`));
+            if (!dryRun) fs.rmdirSync(fullPath);
+        }
+    });
+
+    kept.forEach(file => {
+        const original = file.backup ? ` (original: ${MANIFEST_DIR}/${file.backup})` : '';
+        const reason = file.action === 'removed' ? 'created again since rn-scaffold removed it' : 'edited since rn-scaffold wrote it';
+        console.log(chalk.yellow(`⚠️  Kept ${file.path}: ${reason}${original}`));
+    });
+
+    if (dryRun) {
+        return;
+    }
+
+    if (!keepBackups) {
+        fs.removeSync(path.join(rootPath, MANIFEST_DIR, 'backups', run.id));
+    }
+    manifest.runs.pop();
+    saveManifest(rootPath, manifest);
+    console.log(chalk.bold.green(`✅ Undid "${run.command}" from ${run.date}`));
+}
+
+/**
+ * Content hash of every file as rn-scaffold last wrote it, across all recorded runs.
+ * A file whose current hash matches was not edited since.
+ * @param {string} rootPath - Project root
+ * @returns {Map<string, string>} Relative posix path => sha256
+ */
+function generatedHashes(rootPath) {
+    const hashes = new Map();
+    loadManifest(rootPath).runs.forEach(run => {
+        run.files.forEach(file => {
+            if (file.action === 'removed') {
+                hashes.delete(file.path);
+            } else {
+                hashes.set(file.path, file.hash);
+            }
+        });
+    });
+    return hashes;
+}
+
+/**
+ * Remove a directory if it exists and is empty
+ * @param {string} dir - Absolute path
+ */
+function removeEmptyDir(dir) {
+    if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+    }
+}
+
+module.exports = { MANIFEST_DIR, hashContent, loadManifest, saveManifest, recordRun, undoLastRun, generatedHashes };
@@ -0,0 +1,32 @@
+/**
+ * Split a name like "user-profile", "user_profile" or "userProfile" into words
+ * @param {string} name
+ * @returns {string[]}
+ */
+function splitWords(name) {
+    return name
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[\s_\-]+/)
+        .filter(Boolean);
+}
+
+/**
+ * @param {string} name
+ * @returns {string} e.g. "UserProfile"
+ */
+function pascalCase(name) {
+    return splitWords(name)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+}
+
+/**
+ * @param {string} name
+ * @returns {string} e.g. "userProfile"
+ */
+function camelCase(name) {
+    const pascal = pascalCase(name);
+    return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+module.exports = { pascalCase, camelCase };
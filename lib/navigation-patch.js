@@ -0,0 +1,75 @@
+const { LANGUAGES } = require('./language');
+const { findClosingBracket } = require('./babel-config');
+const { addImport } = require('./source-patch');
+
+/**
+ * Add a route to a stack param list: a TypeScript type, or a JSDoc typedef in JavaScript mode
+ * @param {string} types - Content of the navigation types file
+ * @param {string} stack - "Auth" or "App"
+ * @param {string} routeName - Route name, e.g. "Login"
+ * @param {object} options
+ * @param {string} options.language - LANGUAGES value of the project
+ * @param {string} [options.paramType] - Type of the route params, in the syntax of that language
+ * @returns {string|null} Updated content (unchanged if the route exists), or null without a param list
+ */
+function addRouteType(types, stack, routeName, { language, paramType = 'undefined' }) {
+    if (language === LANGUAGES.js) {
+        const typedefIndex = types.indexOf(`@typedef {object} ${stack}StackParamList`);
+        const endIndex = typedefIndex === -1 ? -1 : types.indexOf('*/', typedefIndex);
+        if (endIndex === -1) {
+            return null;
+        }
+        if (new RegExp(`@property \\{.*\\} \\[?${routeName}\\b`).test(types.slice(typedefIndex, endIndex))) {
+            return types;
+        }
+        const lineStart = types.lastIndexOf('\n', endIndex) + 1;
+        return `${types.slice(0, lineStart)} * @property {${paramType}} ${routeName}\n${types.slice(lineStart)}`;
+    }
+
+    const paramListMatch = types.match(new RegExp(`export type ${stack}StackParamList = \\{`));
+    if (!paramListMatch) {
+        return null;
+    }
+    const openIndex = paramListMatch.index + paramListMatch[0].length - 1;
+    const closeIndex = findClosingBracket(types, openIndex);
+    if (new RegExp(`^\\s*${routeName}\\??:`, 'm').test(types.slice(openIndex, closeIndex))) {
+        return types;
+    }
+    return `${types.slice(0, closeIndex)}  ${routeName}: ${paramType};\n${types.slice(closeIndex)}`;
+}
+
+/**
+ * Add a screen to one of the stacks in RootNavigator, importing its component
+ * @param {string} navigator - Content of the navigator file
+ * @param {string} stack - "Auth" or "App"
+ * @param {object} screen
+ * @param {string} screen.routeName - Route name, e.g. "Login"
+ * @param {string} screen.element - e.g. '<AuthStack.Screen name="Login" component={LoginScreen} />'
+ * @param {string} screen.importLine - Import of the screen component
+ * @param {boolean} [screen.first] - Add it as the first screen, which makes it the initial route
+ * @returns {string|null} Updated content (unchanged if the route exists), or null without that stack
+ */
+function addStackScreen(navigator, stack, { routeName, element, importLine, first = false }) {
+    const openMatch = navigator.match(new RegExp(`^([ \\t]*)<${stack}Stack\\.Navigator\\b.*$`, 'm'));
+    const closingTag = `</${stack}Stack.Navigator>`;
+    if (!openMatch || !navigator.includes(closingTag)) {
+        return null;
+    }
+    if (navigator.includes(`name="${routeName}"`)) {
+        return navigator;
+    }
+
+    let updated;
+    if (first) {
+        const insertAt = openMatch.index + openMatch[0].length + 1;
+        updated = `${navigator.slice(0, insertAt)}${openMatch[1]}  ${element}\n${navigator.slice(insertAt)}`;
+    } else {
+        const tagIndex = navigator.indexOf(closingTag);
+        const indent = navigator.slice(navigator.lastIndexOf('\n', tagIndex) + 1, tagIndex);
+        updated = `${navigator.slice(0, tagIndex)}  ${element}\n${indent}${navigator.slice(tagIndex)}`;
+    }
+
+    return addImport(updated, importLine);
+}
+
+module.exports = { addRouteType, addStackScreen };
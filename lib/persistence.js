@@ -0,0 +1,77 @@
+/**
+ * When both a storage and a state management solution are chosen, the generated store
+ * can be saved to that storage and restored on launch: redux-persist for Redux Toolkit,
+ * the persist middleware for Zustand, and a rehydrating provider for the Context API.
+ */
+
+/**
+ * Storage solutions persisted state can be saved to: the generated util other files save
+ * their data with, and its module in utils. The adapter (utils/persistStorage) calls the
+ * storage library itself, so writes of the store are not logged and failures reach it.
+ */
+const PERSIST_STORAGES = {
+    'Async Storage': { util: 'StorageUtil', module: './asyncStorage' },
+    'React Native MMKV': { util: 'MMKVStorageUtil', module: './mmkvStorage' }
+};
+
+/**
+ * What is saved when no persistKeys are configured: reducer keys for Redux Toolkit
+ * (whitelist), state fields for Zustand (partialize) and the Context API
+ */
+const DEFAULT_PERSIST_KEYS = {
+    'Redux Toolkit': ['example'],
+    'Zustand': ['value'],
+    'Context API': ['value']
+};
+
+/**
+ * Version persisted state starts at, when no persistVersion is configured
+ */
+const DEFAULT_PERSIST_VERSION = 1;
+
+/**
+ * Whether the chosen storage and state management can be wired together
+ * @param {object} config - scaffolder.config
+ * @returns {boolean}
+ */
+function canPersist(config) {
+    return Boolean(PERSIST_STORAGES[config.storageType] && DEFAULT_PERSIST_KEYS[config.stateManagement]);
+}
+
+/**
+ * Whether persisted state is generated
+ * @param {object} config - scaffolder.config
+ * @returns {boolean}
+ */
+function usesPersistence(config) {
+    return canPersist(config) && Boolean(config.persistState);
+}
+
+/**
+ * Values the state templates need for persistence
+ * @param {object} config - scaffolder.config
+ * @returns {{
+ *   persist: boolean,
+ *   persistKeys: string[],
+ *   persistKeyList: string,
+ *   persistKeyUnion: string,
+ *   persistVersion: number,
+ *   persistMmkv: boolean
+ * }}
+ */
+function persistenceContext(config) {
+    const keys = config.persistKeys || DEFAULT_PERSIST_KEYS[config.stateManagement] || [];
+
+    return {
+        persist: usesPersistence(config),
+        persistKeys: keys,
+        persistKeyList: keys.map(key => `'${key}'`).join(', '),
+        persistKeyUnion: keys.map(key => `'${key}'`).join(' | '),
+        persistVersion: config.persistVersion === null || config.persistVersion === undefined
+            ? DEFAULT_PERSIST_VERSION
+            : config.persistVersion,
+        persistMmkv: config.storageType === 'React Native MMKV'
+    };
+}
+
+module.exports = { PERSIST_STORAGES, DEFAULT_PERSIST_KEYS, canPersist, usesPersistence, persistenceContext };
@@ -0,0 +1,165 @@
+const path = require('path');
+const { ScaffolderError } = require('./errors');
+
+/**
+ * Plugins are listed in the config file under "plugins", either as a module
+ * specifier or as [specifier, options]:
+ *
+ *   { "plugins": ["./tools/rn-maker-analytics", ["@acme/rn-maker-design-system", { "brand": "acme" }]] }
+ *
+ * Relative specifiers resolve from the project root, package names from the
+ * project's node_modules. A plugin module exports an object, or a function
+ * receiving the plugin options and returning one:
+ *
+ *   {
+ *     name: 'analytics',                               // required
+ *     config: { analyticsProvider: 'segment' },        // extra config keys and their defaults
+ *     choices: { storage: ['Expo SecureStore'], state: ['Jotai'] }, // extra answers for built-in prompts
+ *     prompts: [{ type: 'list', name: 'analyticsProvider', ... }], // inquirer questions, `name` is the config key
+ *     directories: ['src/analytics'],                  // added to the base layout
+ *     templates: path.join(__dirname, 'templates'),    // templates usable via api.render()
+ *     generators: [{ name, before, after, when(config), run(api) }]
+ *   }
+ *
+ * Generators run in plugin order after the built-in file steps (but before
+ * package.json dependencies are written), unless `before` or `after` names a
+ * step (see ReactNativeProjectScaffolder#buildSteps).
+ */
+
+/**
+ * Built-in prompts plugins can add choices to, keyed by config option name
+ */
+const EXTENDABLE_CHOICES = ['storage', 'state'];
+
+/**
+ * Load and validate the plugins listed in the config file
+ * @param {string} rootPath - Project root
+ * @param {Array<string|Array>} specs - "plugins" entry of the config file
+ * @returns {Array<object>} Normalized plugins
+ */
+function loadPlugins(rootPath, specs = []) {
+    if (!Array.isArray(specs)) {
+        throw new ScaffolderError('"plugins" in the config file must be a list.');
+    }
+
+    const plugins = specs.map(spec => {
+        const [specifier, options = {}] = Array.isArray(spec) ? spec : [spec];
+        if (typeof specifier !== 'string' || specifier === '') {
+            throw new ScaffolderError(`Invalid plugin entry ${JSON.stringify(spec)}: expected a module name or path.`);
+        }
+
+        let exported;
+        try {
+            const resolved = require.resolve(
+                specifier.startsWith('.') ? path.resolve(rootPath, specifier) : specifier,
+                { paths: [rootPath] }
+            );
+            exported = require(resolved);
+        } catch (error) {
+            throw new ScaffolderError(`Could not load plugin "${specifier}": ${error.message.split('\n')[0]}`);
+        }
+
+        const plugin = typeof exported === 'function' ? exported(options) : exported;
+        return validatePlugin(plugin, specifier);
+    });
+
+    const names = plugins.map(plugin => plugin.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+        throw new ScaffolderError(`Plugin "${duplicate}" is listed more than once.`);
+    }
+
+    return plugins;
+}
+
+/**
+ * Check a plugin's shape and fill in defaults
+ * @param {object} plugin - Object exported by the plugin module
+ * @param {string} specifier - Module specifier, used in error messages
+ * @returns {object}
+ */
+function validatePlugin(plugin, specifier) {
+    const fail = message => {
+        throw new ScaffolderError(`Invalid plugin "${specifier}": ${message}`);
+    };
+
+    if (!plugin || typeof plugin !== 'object') fail('it must export an object or a function returning one.');
+    if (typeof plugin.name !== 'string' || plugin.name === '') fail('"name" is required.');
+
+    const normalized = {
+        name: plugin.name,
+        config: plugin.config || {},
+        choices: plugin.choices || {},
+        prompts: plugin.prompts || [],
+        directories: plugin.directories || [],
+        templates: plugin.templates || null,
+        generators: plugin.generators || []
+    };
+
+    if (typeof normalized.config !== 'object' || Array.isArray(normalized.config)) fail('"config" must be an object of defaults.');
+    Object.keys(normalized.choices).forEach(option => {
+        if (!EXTENDABLE_CHOICES.includes(option)) fail(`"choices" can only extend ${EXTENDABLE_CHOICES.join(', ')} (got "${option}").`);
+        if (!Array.isArray(normalized.choices[option])) fail(`"choices.${option}" must be a list of labels.`);
+    });
+    normalized.prompts.forEach(prompt => {
+        if (!prompt || typeof prompt.name !== 'string') fail('every prompt needs a "name".');
+    });
+    if (!Array.isArray(normalized.directories)) fail('"directories" must be a list.');
+    if (normalized.templates !== null && typeof normalized.templates !== 'string') fail('"templates" must be a directory path.');
+    normalized.generators.forEach(generator => {
+        if (!generator || typeof generator.name !== 'string' || typeof generator.run !== 'function') {
+            fail('every generator needs a "name" and a "run" function.');
+        }
+    });
+
+    return normalized;
+}
+
+/**
+ * Insert plugin generators into the ordered list of scaffold steps
+ * @param {Array<{name: string}>} steps - Built-in steps
+ * @param {Array<object>} plugins
+ * @param {object} [options]
+ * @param {string} [options.defaultBefore] - Step generators without before/after are placed in front of
+ * @returns {Array<object>} New step list
+ */
+function insertPluginSteps(steps, plugins, { defaultBefore } = {}) {
+    const ordered = [...steps];
+
+    plugins.forEach(plugin => {
+        plugin.generators.forEach(generator => {
+            const anchor = generator.before || generator.after;
+            const step = {
+                name: `${plugin.name}:${generator.name}`,
+                plugin,
+                anchor: anchor || null,
+                when: generator.when,
+                run: generator.run
+            };
+
+            if (!anchor) {
+                const defaultIndex = ordered.findIndex(existing => existing.name === defaultBefore);
+                ordered.splice(defaultIndex === -1 ? ordered.length : defaultIndex, 0, step);
+                return;
+            }
+
+            const index = ordered.findIndex(existing => existing.name === anchor);
+            if (index === -1) {
+                throw new ScaffolderError(`Plugin "${plugin.name}": generator "${generator.name}" refers to unknown step "${anchor}". Steps: ${ordered.map(existing => existing.name).join(', ')}.`);
+            }
+            if (generator.before) {
+                ordered.splice(index, 0, step);
+                return;
+            }
+
+            // Keep several generators "after" the same step in declaration order
+            let insertAt = index + 1;
+            while (ordered[insertAt] && ordered[insertAt].after === anchor) insertAt++;
+            ordered.splice(insertAt, 0, { ...step, after: anchor });
+        });
+    });
+
+    return ordered;
+}
+
+module.exports = { loadPlugins, insertPluginSteps, EXTENDABLE_CHOICES };
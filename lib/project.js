@@ -0,0 +1,134 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { ScaffolderError } = require('./errors');
+
+/**
+ * Oldest React Native minor the generated code and dependency ranges are written for
+ */
+const MIN_REACT_NATIVE = [0, 72];
+
+/**
+ * Parse the major and minor version out of a dependency range
+ * @param {string|null} range - e.g. "0.74.5", "^0.73.0", "~51.0.28"
+ * @returns {number[]|null} [major, minor], or null for ranges like "workspace:*" or git URLs
+ */
+function parseVersion(range) {
+    const match = typeof range === 'string' && range.match(/(\d+)\.(\d+)/);
+    return match ? [Number(match[1]), Number(match[2])] : null;
+}
+
+/**
+ * Look at the project in rootPath: its package.json, React Native version,
+ * whether it is an Expo app and whether it uses TypeScript
+ * @param {string} rootPath - Project root
+ * @returns {{
+ *   packageJson: object|null,
+ *   reactNativeVersion: string|null,
+ *   isExpo: boolean,
+ *   expoRouter: boolean,
+ *   typescript: boolean,
+ *   workspaceRoot: boolean
+ * }}
+ */
+function inspectProject(rootPath) {
+    const packageJsonPath = path.join(rootPath, 'package.json');
+    let packageJson = null;
+    if (fs.existsSync(packageJsonPath)) {
+        try {
+            packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        } catch (error) {
+            throw new ScaffolderError(`Could not parse package.json: ${error.message}`);
+        }
+    }
+
+    const dependencies = packageJson ? { ...packageJson.devDependencies, ...packageJson.dependencies } : {};
+
+    return {
+        packageJson,
+        reactNativeVersion: dependencies['react-native'] || null,
+        isExpo: Boolean(dependencies.expo),
+        expoRouter: Boolean(dependencies['expo-router']),
+        typescript: Boolean(dependencies.typescript) || fs.existsSync(path.join(rootPath, 'tsconfig.json')),
+        workspaceRoot: Boolean(packageJson && packageJson.workspaces) || fs.existsSync(path.join(rootPath, 'pnpm-workspace.yaml'))
+    };
+}
+
+/**
+ * Problems that stop scaffolding (errors) or are only worth mentioning (warnings)
+ * @param {string} rootPath - Project root
+ * @param {object} project - Result of inspectProject()
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function findProjectProblems(rootPath, project) {
+    const errors = [];
+    const warnings = [];
+    const monorepoHint = 'In a monorepo, point --cwd at the app folder (e.g. --cwd apps/mobile).';
+
+    if (!project.packageJson) {
+        errors.push(`No package.json in ${rootPath}. Run rn-scaffold from the root of a React Native app. ${monorepoHint}`);
+        return { errors, warnings };
+    }
+
+    if (!project.reactNativeVersion) {
+        const name = project.packageJson.name ? `"${project.packageJson.name}"` : 'This package';
+        errors.push(project.workspaceRoot
+            ? `${name} is a workspace root without react-native. ${monorepoHint}`
+            : `${name} does not depend on react-native. Run rn-scaffold from the root of a React Native app. ${monorepoHint}`);
+        return { errors, warnings };
+    }
+
+    const version = parseVersion(project.reactNativeVersion);
+    if (version && (version[0] < MIN_REACT_NATIVE[0] || (version[0] === MIN_REACT_NATIVE[0] && version[1] < MIN_REACT_NATIVE[1]))) {
+        warnings.push(`react-native ${project.reactNativeVersion} is older than ${MIN_REACT_NATIVE.join('.')}; the generated code and dependency versions may not work with it.`);
+    }
+
+    if (project.expoRouter) {
+        warnings.push('expo-router is installed: it uses the app/ directory as entry point, so the generated App.tsx and RootNavigator are not picked up automatically.');
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Check that rootPath holds a React Native app before anything is written.
+ * Warnings are printed; errors stop the command unless `force` is set.
+ * @param {string} rootPath - Project root
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Print errors as warnings and carry on
+ * @returns {object} Result of inspectProject()
+ */
+function checkProject(rootPath, { force = false } = {}) {
+    const project = inspectProject(rootPath);
+    const { errors, warnings } = findProjectProblems(rootPath, project);
+
+    if (errors.length > 0 && !force) {
+        throw new ScaffolderError(`${errors.join('\n')}\nPass --force to continue anyway.`);
+    }
+
+    if (project.reactNativeVersion) {
+        const kind = [project.isExpo ? 'Expo' : 'bare', project.typescript ? 'TypeScript' : 'JavaScript'].join(', ');
+        console.log(chalk.gray(`Detected react-native ${project.reactNativeVersion} (${kind})`));
+    }
+    [...errors, ...warnings].forEach(message => {
+        console.log(chalk.yellow(`⚠️  ${message}`));
+    });
+
+    return project;
+}
+
+/**
+ * Validate the source directory and normalize it to a relative POSIX path
+ * @param {string} rootPath - Project root
+ * @param {string} srcDir - Directory from --src-dir or the config file, e.g. "src" or "app/src"
+ * @returns {string} e.g. "app/src"
+ */
+function resolveSourceDir(rootPath, srcDir) {
+    const relative = path.relative(rootPath, path.resolve(rootPath, srcDir)).split(path.sep).join('/');
+    if (relative === '' || relative === '..' || relative.startsWith('../') || path.isAbsolute(relative)) {
+        throw new ScaffolderError(`Invalid source directory "${srcDir}": it must be a folder inside the project (${rootPath}).`);
+    }
+    return relative;
+}
+
+module.exports = { inspectProject, findProjectProblems, checkProject, resolveSourceDir, parseVersion };
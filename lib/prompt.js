@@ -0,0 +1,24 @@
+const inquirer = require('inquirer');
+
+/**
+ * Ask a single question. With `yes` the default answer (or the first choice)
+ * is used instead of prompting.
+ * @param {object} question - inquirer question
+ * @param {object} [options]
+ * @param {boolean} [options.yes] - Accept defaults without prompting
+ * @returns {Promise<*>} The answer
+ */
+async function ask(question, { yes = false } = {}) {
+    if (yes) {
+        if (question.default !== undefined) {
+            return question.default;
+        }
+        const [firstChoice] = question.choices || [];
+        return firstChoice && typeof firstChoice === 'object' ? firstChoice.value : firstChoice;
+    }
+
+    const answers = await inquirer.prompt([question]);
+    return answers[question.name];
+}
+
+module.exports = { ask };
@@ -0,0 +1,62 @@
+const { findClosingBracket } = require('./babel-config');
+
+/**
+ * Add an import line after the last import of a source file
+ * @param {string} source - File content
+ * @param {string} importLine - Full import statement
+ * @returns {string} Updated content (unchanged if the import is already there)
+ */
+function addImport(source, importLine) {
+    if (source.includes(importLine)) {
+        return source;
+    }
+
+    const lastImport = source.lastIndexOf('\nimport ');
+    const insertAt = lastImport === -1 && !source.startsWith('import ')
+        ? 0
+        : source.indexOf('\n', lastImport + 1) + 1;
+    return `${source.slice(0, insertAt)}${importLine}\n${source.slice(insertAt)}`;
+}
+
+/**
+ * Add an entry to an object literal, before its closing brace
+ * @param {string} source - File content
+ * @param {RegExp} opening - Matches the code up to and including the object's opening brace
+ * @param {string} key - Property name as written in the source, e.g. "payments" or "'pt-BR'"
+ * @param {string} value - Property value as written in the source
+ * @returns {string|null} Updated content (unchanged if the key exists), or null without the object
+ */
+function addObjectEntry(source, opening, key, value) {
+    const match = source.match(opening);
+    if (!match) {
+        return null;
+    }
+
+    const openIndex = match.index + match[0].length - 1;
+    const closeIndex = findClosingBracket(source, openIndex);
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (new RegExp(`^\\s*${escaped}:`, 'm').test(source.slice(openIndex, closeIndex))) {
+        return source;
+    }
+
+    const lineStart = source.lastIndexOf('\n', closeIndex) + 1;
+    return `${source.slice(0, lineStart)}  ${key}: ${value},\n${source.slice(lineStart)}`;
+}
+
+/**
+ * Register a slice reducer in the `combineReducers({ ... })` call of the generated store
+ * @param {string} store - Content of store/index
+ * @param {string} key - State key, e.g. "payments"
+ * @param {string} importLine - Import of the reducer, e.g. "import paymentsReducer from './slices/paymentsSlice';"
+ * @returns {string|null} Updated content (unchanged if the key exists), or null without combineReducers
+ */
+function addReducer(store, key, importLine) {
+    const reducer = importLine.match(/^import (\w+)/)[1];
+    const updated = addObjectEntry(store, /combineReducers\(\{/, key, reducer);
+    if (updated === null || updated === store) {
+        return updated;
+    }
+    return addImport(updated, importLine);
+}
+
+module.exports = { addImport, addObjectEntry, addReducer };
@@ -0,0 +1,255 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { ScaffolderError } = require('./errors');
+
+/**
+ * Directory holding the templates shipped with the package
+ */
+const BUILT_IN_TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+/**
+ * Template files carry this suffix so editors and tools don't treat them as source
+ */
+const TEMPLATE_EXTENSION = '.tpl';
+
+/**
+ * Tags understood by the template syntax:
+ *
+ *   <%= name %>                 insert a value (dot paths like tab.name work too)
+ *   <% if name %> ... <% else %> ... <% endif %>
+ *   <% unless name %> ... <% endunless %>
+ *   <% each list %> ... <% endeach %>   inside: <%= this %>, <%= field %>, <%= @index %>, <%= @last %>
+ *
+ * `<% %>` never appears in TypeScript or JSX, so generated code can use `{{ }}` freely.
+ * A line holding nothing but a block tag is removed entirely, newline included.
+ */
+const TAG_PATTERN = /<%(=?)\s*([\s\S]*?)\s*%>/g;
+const STANDALONE_TAG_PATTERN = /^[ \t]*(<%(?!=)[\s\S]*?%>)[ \t]*(?:\r?\n|$)/gm;
+const BLOCK_TAGS = { if: 'endif', unless: 'endunless', each: 'endeach' };
+
+/**
+ * Children list new nodes are added to (the else branch once <% else %> was seen)
+ * @param {object} node
+ * @returns {Array<object>}
+ */
+function branchOf(node) {
+    return node.inElse ? node.elseChildren : node.children;
+}
+
+/**
+ * Parse template source into a tree of text, value and block nodes
+ * @param {string} source - Template source
+ * @param {string} name - Template name, used in error messages
+ * @returns {Array<object>}
+ */
+function parseTemplate(source, name) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+
+    const text = source.replace(STANDALONE_TAG_PATTERN, '$1');
+    TAG_PATTERN.lastIndex = 0;
+
+    let match;
+    while ((match = TAG_PATTERN.exec(text)) !== null) {
+        const current = stack[stack.length - 1];
+        const [tag, isValue, body] = match;
+
+        if (match.index > lastIndex) {
+            branchOf(current).push({ type: 'text', value: text.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + tag.length;
+
+        if (isValue) {
+            branchOf(current).push({ type: 'value', path: body });
+            continue;
+        }
+
+        const [keyword, argument] = body.split(/\s+/);
+
+        if (BLOCK_TAGS[keyword]) {
+            if (!argument) {
+                throw new ScaffolderError(`Template "${name}": "${tag}" needs a variable name.`);
+            }
+            const node = { type: keyword, path: argument, children: [], elseChildren: null };
+            branchOf(current).push(node);
+            stack.push(node);
+        } else if (keyword === 'else') {
+            if (current.type !== 'if' && current.type !== 'unless') {
+                throw new ScaffolderError(`Template "${name}": "${tag}" outside of an if/unless block.`);
+            }
+            current.elseChildren = [];
+            current.inElse = true;
+        } else if (Object.values(BLOCK_TAGS).includes(keyword)) {
+            if (BLOCK_TAGS[current.type] !== keyword) {
+                throw new ScaffolderError(`Template "${name}": unexpected "${tag}".`);
+            }
+            stack.pop();
+        } else {
+            throw new ScaffolderError(`Template "${name}": unknown tag "${tag}".`);
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new ScaffolderError(`Template "${name}": "<% ${open.type} ${open.path} %>" is never closed.`);
+    }
+
+    if (lastIndex < text.length) {
+        root.children.push({ type: 'text', value: text.slice(lastIndex) });
+    }
+
+    return root.children;
+}
+
+/**
+ * Look up a dot path in the scope chain, innermost scope first
+ * @param {Array<object>} scopes
+ * @param {string} valuePath - e.g. "tab.name", "this", "@index"
+ * @returns {*}
+ */
+function lookup(scopes, valuePath) {
+    const [head, ...rest] = valuePath.split('.');
+
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        let value;
+        if (head === 'this') {
+            value = scope.this;
+        } else if (scope.vars && Object.prototype.hasOwnProperty.call(scope.vars, head)) {
+            value = scope.vars[head];
+        } else if (head !== '' && scope.this && typeof scope.this === 'object' && head in scope.this) {
+            value = scope.this[head];
+        } else {
+            continue;
+        }
+        return rest.reduce((current, key) => (current == null ? undefined : current[key]), value);
+    }
+
+    return undefined;
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array<object>} nodes
+ * @param {Array<object>} scopes - Scope chain ({ this, vars })
+ * @param {string} name - Template name, used in error messages
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes, name) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return node.value;
+        }
+
+        const value = lookup(scopes, node.path);
+
+        if (node.type === 'value') {
+            if (value === undefined || value === null) {
+                throw new ScaffolderError(`Template "${name}": no value for "${node.path}".`);
+            }
+            return String(value);
+        }
+
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+        if (node.type === 'if' || node.type === 'unless') {
+            const show = node.type === 'if' ? truthy : !truthy;
+            const branch = show ? node.children : node.elseChildren || [];
+            return renderNodes(branch, scopes, name);
+        }
+
+        // each
+        if (value === undefined || value === null) {
+            return '';
+        }
+        if (!Array.isArray(value)) {
+            throw new ScaffolderError(`Template "${name}": "<% each ${node.path} %>" needs a list.`);
+        }
+        return value.map((item, index) => renderNodes(node.children, [...scopes, {
+            this: item,
+            vars: { '@index': index, '@first': index === 0, '@last': index === value.length - 1 }
+        }], name)).join('');
+    }).join('');
+}
+
+/**
+ * Render a template string
+ * @param {string} source - Template source
+ * @param {object} context - Values available to the template
+ * @param {string} [name] - Template name, used in error messages
+ * @returns {string}
+ */
+function renderString(source, context, name = 'inline') {
+    return renderNodes(parseTemplate(source, name), [{ this: context, vars: {} }], name);
+}
+
+/**
+ * Directories searched for template overrides, most specific first:
+ * the configured directory, the project's .rn-maker/templates and ~/.rn-maker/templates
+ * @param {string} rootPath - Project root
+ * @param {string} [templatesDir] - Directory from --templates or the config file
+ * @returns {string[]}
+ */
+function resolveTemplateDirs(rootPath, templatesDir) {
+    const dirs = [];
+
+    if (templatesDir) {
+        const configured = path.resolve(rootPath, templatesDir.replace(/^~(?=$|[\\/])/, os.homedir()));
+        if (!fs.existsSync(configured)) {
+            throw new ScaffolderError(`Templates directory not found: ${configured}`);
+        }
+        dirs.push(configured);
+    }
+
+    dirs.push(path.join(rootPath, '.rn-maker', 'templates'));
+    dirs.push(path.join(os.homedir(), '.rn-maker', 'templates'));
+
+    return dirs.filter((dir, index) => dirs.indexOf(dir) === index && fs.existsSync(dir));
+}
+
+/**
+ * Loads templates by name, letting override directories replace built-in templates.
+ * A template named "storage/mmkvStorage.ts" lives in <dir>/storage/mmkvStorage.ts.tpl.
+ */
+class TemplateRenderer {
+    /**
+     * @param {string[]} [overrideDirs] - Directories checked before the built-in templates
+     */
+    constructor(overrideDirs = []) {
+        this.dirs = [...overrideDirs, BUILT_IN_TEMPLATES_DIR];
+        this.cache = new Map();
+    }
+
+    /**
+     * Find the file for a template name
+     * @param {string} name - Template name, e.g. "storage/mmkvStorage.ts"
+     * @returns {string} Absolute file path
+     */
+    resolve(name) {
+        for (const dir of this.dirs) {
+            const candidate = path.join(dir, `${name}${TEMPLATE_EXTENSION}`);
+            if (fs.existsSync(candidate)) {
+                return candidate;
+            }
+        }
+        throw new ScaffolderError(`Template not found: ${name}${TEMPLATE_EXTENSION}`);
+    }
+
+    /**
+     * Render a template by name
+     * @param {string} name - Template name, e.g. "storage/mmkvStorage.ts"
+     * @param {object} [context] - Values available to the template
+     * @returns {string}
+     */
+    render(name, context = {}) {
+        const file = this.resolve(name);
+        if (!this.cache.has(file)) {
+            this.cache.set(file, parseTemplate(fs.readFileSync(file, 'utf8'), name));
+        }
+        return renderNodes(this.cache.get(file), [{ this: context, vars: {} }], name);
+    }
+}
+
+module.exports = { TemplateRenderer, renderString, resolveTemplateDirs, BUILT_IN_TEMPLATES_DIR };
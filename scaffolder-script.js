@@ -2,21 +2,190 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
-const inquirer = require('inquirer');
+const { ScaffolderError, reportError } = require('./lib/errors');
+const { ask } = require('./lib/prompt');
+const {
+    SAVED_CONFIG_FILE,
+    loadProjectConfig,
+    buildConfigOptions,
+    normalizeOption,
+    serializeConfig,
+    parseTabs
+} = require('./lib/config');
+const { insertPluginSteps } = require('./lib/plugins');
+const {
+    collectDependencies,
+    mergeDependencySets,
+    diffDependencies,
+    installDependencies
+} = require('./lib/dependencies');
+const { FileWriter } = require('./lib/file-writer');
+const { recordRun, generatedHashes } = require('./lib/manifest');
+const { parseJsonc, mergeDefaults } = require('./lib/json-utils');
+const { checkProject, resolveSourceDir } = require('./lib/project');
+const { LANGUAGES, withLanguageExtension, detectLanguage } = require('./lib/language');
+const { withSourceDir, toTsPaths, toBabelAliases, toJestModuleNameMapper } = require('./lib/aliases');
+const { LAYOUT_PRESETS, loadLayout, layoutPath, layoutAliases, moduleSpecifier } = require('./lib/layouts');
+const { generateBabelConfig, mergeBabelConfig } = require('./lib/babel-config');
+const { jestOptions, generateJestConfig, mergeJestConfig, mergeTransformIgnorePatterns } = require('./lib/jest-config');
+const { addRouteType, addStackScreen } = require('./lib/navigation-patch');
+const { addReducer } = require('./lib/source-patch');
+const { appProviders, generateAppWrapper, patchAppEntry } = require('./lib/app-entry');
+const { PERSIST_STORAGES, canPersist, usesPersistence, persistenceContext } = require('./lib/persistence');
+const { TemplateRenderer, resolveTemplateDirs } = require('./lib/templates');
+const { DEFAULT_TOKENS, readDesignTokens, toObjectLiteral } = require('./lib/design-tokens');
+const { camelCase } = require('./lib/naming');
+const {
+    ENVIRONMENTS,
+    ENV_SCHEMA_FILE,
+    ENV_GITIGNORE,
+    defaultEnvSchema,
+    normalizeEnvSchema,
+    readEnvSchema,
+    envFileContext,
+    configContext
+} = require('./lib/env');
+
+/**
+ * App entry files React Native resolves for `import App from './App'`, in order of preference
+ */
+const APP_ENTRY_FILES = ['App.tsx', 'App.jsx', 'App.js', 'App.ts'];
+
+/**
+ * Files Jest reads its config from, besides the "jest" field of package.json
+ */
+const JEST_CONFIG_FILES = ['jest.config.js', 'jest.config.ts', 'jest.config.mjs', 'jest.config.cjs', 'jest.config.json'];
+
+/**
+ * Whether the app entry is generated: it mounts the navigation, the Redux store and the
+ * theme, and loads the translations and the env config
+ * @param {object} config - scaffolder.config
+ * @returns {boolean}
+ */
+function usesAppEntry(config) {
+    return Boolean(config.navigationSetup || config.stateManagement === 'Redux Toolkit' || config.i18n || config.theme || config.env);
+}
+
+/**
+ * Whether the auth feature is generated: its screens live in the Auth stack of the navigation setup
+ * @param {object} config - scaffolder.config
+ * @returns {boolean}
+ */
+function usesAuth(config) {
+    return Boolean(config.auth && config.navigationSetup);
+}
+
+/**
+ * State management choice the session store is written for. Without Redux Toolkit or
+ * Zustand (none, or a plugin's choice) the session lives in an AuthProvider, as with the Context API.
+ * @param {object} config - scaffolder.config
+ * @returns {string} Key of authStateFiles()
+ */
+function authStateChoice(config) {
+    return ['Redux Toolkit', 'Zustand'].includes(config.stateManagement) ? config.stateManagement : 'Context API';
+}
+
+/**
+ * Add files to the file lists of an option's choices (see optionFiles())
+ * @param {Object<string, Array<{path: string, content: string}>>} files - Keyed by choice; updated in place
+ * @param {Object<string, Array<{path: string, content: string}>>} extra - Keyed by choice
+ * @returns {Object<string, Array<{path: string, content: string}>>} files
+ */
+function addChoiceFiles(files, extra) {
+    Object.entries(extra).forEach(([choice, more]) => {
+        files[choice] = [...(files[choice] || []), ...more];
+    });
+    return files;
+}
+
+/**
+ * Base URL of the RTK Query API slice when none is configured
+ */
+const DEFAULT_API_BASE_URL = 'https://api.example.com';
+
+/**
+ * Screen size the designs are drawn for, in points, when none is given (iPhone X to 13 mini)
+ */
+const DEFAULT_DESIGN_BASELINE = { width: 375, height: 812 };
+
+/**
+ * What `rn-scaffold add <target> [value]` can set up in a scaffolded project:
+ * the config option it sets (see lib/config.js) and the scaffold steps it runs.
+ * Plugin generators anchored to one of these steps run as well. Targets with `rerun`
+ * run their steps again when the option is already set.
+ */
+const ADD_TARGETS = {
+    'storage': { option: 'storage', steps: ['storage', 'stateManagement', 'persistence', 'api', 'auth', 'i18n', 'theme', 'appEntry', 'jest', 'dependencies'] },
+    'state': { option: 'state', steps: ['stateManagement', 'persistence', 'auth', 'appEntry', 'jest', 'dependencies'] },
+    'navigation': { option: 'navigation', steps: ['navigation', 'navigationTypes', 'i18n', 'appEntry', 'jest', 'dependencies'] },
+    'bottom-tabs': { option: 'bottomTabs', steps: ['bottomNavigation', 'navigationTypes', 'i18n', 'jest', 'dependencies'] },
+    'api': { option: 'api', steps: ['api', 'auth', 'dependencies'] },
+    'media': { option: 'media', steps: ['media', 'jest', 'dependencies'] },
+    'auth': { option: 'auth', steps: ['auth', 'appEntry', 'jest'] },
+    'i18n': { option: 'i18n', steps: ['i18n', 'appEntry', 'jest', 'dependencies'] },
+    'theme': { option: 'theme', steps: ['theme', 'appEntry', 'jest'] },
+    'jest': { option: 'jest', steps: ['jest', 'dependencies'], rerun: true },
+    'env': { option: 'env', steps: ['stateManagement', 'env', 'api', 'appEntry', 'jest', 'dependencies'], rerun: true }
+};
 
 class ReactNativeProjectScaffolder {
     /**
      * Constructor for the React Native maker
      * @param {string} rootPath - Root path for project scaffolding 
+     * @param {object} options - Parsed command line options (see lib/cli.js)
      */
-    constructor(rootPath = process.cwd()) {
+    constructor(rootPath = process.cwd(), options = {}) {
         this.rootPath = rootPath;
+        this.options = options;
         this.config = {
             bottomNavigation: false,
+            tabs: [],
             storageType: null,
             navigationSetup: false,
-            stateManagement: null
+            stateManagement: null,
+            // Persisted state (see lib/persistence.js); null until asked
+            persistState: null,
+            persistKeys: null,
+            persistVersion: null,
+            // RTK Query API slice, Redux Toolkit only; null until asked
+            rtkQuery: null,
+            apiBaseUrl: null,
+            // API client in src/service: "Fetch", "Axios" or "None"
+            apiClient: null,
+            // Picker library behind utils/MediaHandler: "React Native Image Picker", "React Native Image Crop Picker" or "None"
+            mediaLibrary: null,
+            // Auth feature in features/auth, on top of the navigation setup; null until asked
+            auth: null,
+            // i18next setup in src/i18n; null until asked
+            i18n: null,
+            // Theme in src/theme, and the design-tokens JSON its tokens are imported from
+            theme: null,
+            themeTokens: null,
+            // Screen size the responsive-screen utility scales from; null until asked
+            designWidth: null,
+            designHeight: null,
+            // Jest setup with test-utils and starter tests; null until asked
+            jest: null,
+            // Env files with the Config module reading them (see lib/env.js); null until asked
+            env: null,
+            srcDir: 'src',
+            // Folder layout: a preset name or the path of a layout file (see lib/layouts.js); null until asked
+            layout: null,
+            language: null
         };
+        // The loaded layout generated paths and aliases follow
+        this.layout = loadLayout(rootPath);
+        // Titles of the placeholder screens written in this run, by their key in the base locale
+        this.screenTitles = new Map();
+        // Detected by the pre-flight check (see lib/project.js)
+        this.project = null;
+        // Config keys already answered by CLI flags or the config file
+        this.presetKeys = new Set();
+        this.writer = null;
+        this.templates = null;
+        this.plugins = [];
+        // Dependency sets added by plugins through api.addDependencies()
+        this.extraDependencies = [];
     }
 
     /**
@@ -26,659 +195,2174 @@ class ReactNativeProjectScaffolder {
         console.log(chalk.bold.magenta('🚀 React Native Maker (Project Scaffolder)'));
 
         try {
+            // Make sure this is a React Native app before anything is written
+            this.project = checkProject(this.rootPath, { force: this.options.force });
+
+            // Flags and config file answer prompts up front
+            this.loadConfiguration();
+            this.templates = new TemplateRenderer([
+                ...resolveTemplateDirs(this.rootPath, this.config.templatesDir),
+                ...this.plugins.filter(plugin => plugin.templates).map(plugin => plugin.templates)
+            ]);
+            this.writer = new FileWriter(this.rootPath, {
+                dryRun: Boolean(this.options.dryRun),
+                conflict: this.options.conflict,
+                ask: question => this.ask(question)
+            });
+
             // Interactive prompts
+            await this.promptLayout();
             await this.promptBottomNavigation();
             await this.promptStorageSetup();
             await this.promptNavigationSetup();
             await this.promptStateManagement();
+            await this.promptPersistence();
+            await this.promptApiSlice();
+            await this.promptApiClient();
+            await this.promptEnv();
+            await this.promptAuth();
+            await this.promptMediaLibrary();
+            await this.promptI18n();
+            await this.promptTheme();
+            await this.promptDesignBaseline();
+            await this.promptJest();
+            await this.promptPluginOptions();
+
+            // Create directories and files based on user choices, in order
+            for (const step of this.buildSteps()) {
+                await this.runStep(step);
+            }
+
+            await this.saveConfig();
+            this.finishRun('scaffold', 'Project structure created successfully!');
+        } catch (error) {
+            reportError('Scaffolding', error);
+            if (this.writer) {
+                this.writer.rollback();
+            }
+        }
+    }
+
+    /**
+     * Set up a single option in a project scaffolded earlier, e.g. `rn-scaffold add storage mmkv`.
+     * Only the steps of that option run. When it replaces another choice, what changes is shown
+     * first and the files of the old choice are removed unless they were edited.
+     * @param {string} target - Key of ADD_TARGETS
+     * @param {string} [value] - Choice for storage and state, e.g. "mmkv"
+     * @param {...string} extra - Further command line arguments, which are rejected
+     */
+    async add(target, value, ...extra) {
+        console.log(chalk.bold.magenta('🚀 React Native Maker (Project Scaffolder)'));
 
-            // Create base directories
-            this.createBaseDirectories();
+        try {
+            const addition = ADD_TARGETS[target];
+            if (!addition) {
+                throw new ScaffolderError(`Unknown add target "${target || ''}". Use one of: ${Object.keys(ADD_TARGETS).join(', ')}.`);
+            }
+            if (extra.length > 0) {
+                throw new ScaffolderError(`Unexpected arguments: ${extra.join(' ')}. Usage: rn-scaffold add ${target}${value ? ` ${value}` : ''}`);
+            }
 
-            // Ensure navigation directory exists
-            this.ensureNavigationDirectory();
+            this.project = checkProject(this.rootPath, { force: this.options.force });
+            this.loadConfiguration({ saved: true });
+            if (target === 'auth' && !this.config.navigationSetup) {
+                throw new ScaffolderError('The auth screens need the navigation setup: run `rn-scaffold add navigation` first.');
+            }
 
-            // Conditional directory and file creation based on user choices
-            if (this.config.bottomNavigation) {
-                this.setupBottomNavigation();
+            const option = buildConfigOptions(this.plugins)[addition.option];
+            const wanted = this.parseAddValue(target, option, value);
+            const previous = this.config[option.key];
+            if (previous === wanted && !addition.rerun) {
+                console.log(chalk.gray(`Nothing to add: ${option.type === 'choice' ? `${target} is already ${wanted}` : `${target} is already set up`}.`));
+                return;
             }
 
-            if (this.config.storageType) {
-                this.setupStorage();
+            this.templates = new TemplateRenderer([
+                ...resolveTemplateDirs(this.rootPath, this.config.templatesDir),
+                ...this.plugins.filter(plugin => plugin.templates).map(plugin => plugin.templates)
+            ]);
+            this.writer = new FileWriter(this.rootPath, {
+                dryRun: Boolean(this.options.dryRun),
+                conflict: this.options.conflict,
+                ask: question => this.ask(question),
+                generated: generatedHashes(this.rootPath)
+            });
+
+            let replacement = null;
+            if (option.type === 'choice' && previous && previous !== 'None') {
+                replacement = await this.confirmReplacement(target, option.key, previous, wanted);
+                if (replacement === null) {
+                    console.log(chalk.gray('Nothing changed.'));
+                    return;
+                }
             }
 
-            if (this.config.navigationSetup) {
-                this.setupNavigation();
+            this.config[option.key] = wanted;
+            if (option.key === 'bottomNavigation' && !this.presetKeys.has('tabs')) {
+                await this.promptBottomTabs();
             }
+            if (option.key === 'storageType' || option.key === 'stateManagement') {
+                await this.promptPersistence();
+            }
+            if (option.key === 'stateManagement') {
+                await this.promptApiSlice();
+            }
+            if (option.key === 'apiClient' || option.key === 'env') {
+                await this.promptApiBaseUrl();
+            }
+            if (option.key === 'theme') {
+                await this.promptThemeTokens();
+            }
+            await this.promptPluginOptions();
 
-            if (this.config.stateManagement) {
-                this.setupStateManagement();
+            if (replacement) {
+                replacement.removed.forEach(file => this.writer.removeFile(file, { label: `${target} file` }));
             }
 
-            // Create utility and configuration files
-            this.createUtilityFiles();
-            this.createTsConfig();
+            for (const step of this.buildSteps()) {
+                if (!addition.steps.includes(step.name) && !addition.steps.includes(step.anchor)) {
+                    continue;
+                }
+                // The navigation files may hold routes added by `generate screen`: patch them instead
+                if (step.name === 'navigationTypes' && target === 'bottom-tabs' && this.config.navigationSetup) {
+                    await this.addTabsToNavigation();
+                    continue;
+                }
+                await this.runStep(step);
+            }
+            if (replacement) {
+                this.warnImporters(replacement.files);
+            }
 
-            console.log(chalk.bold.green('✅ Project structure created successfully!'));
+            await this.saveConfig();
+            this.finishRun(['add', target, value].filter(Boolean).join(' '), `${previous === wanted ? 'Updated' : 'Added'} ${target}${option.type === 'choice' ? ` (${wanted})` : ''}`);
         } catch (error) {
-            console.error(chalk.red('❌ Scaffolding failed:'), error);
+            reportError('Add', error);
+            if (this.writer) {
+                this.writer.rollback();
+            }
         }
     }
 
     /**
-     * Prompt user about Bottom Tab Navigation setup
-     * @returns {Promise<void>}
+     * Check the value given to `add`
+     * @param {string} target - Key of ADD_TARGETS
+     * @param {object} option - Entry of the config options
+     * @param {string} [value] - Value from the command line
+     * @returns {*} Value for scaffolder.config
      */
-    async promptBottomNavigation() {
-        const { bottomNav } = await inquirer.prompt([
-            {
-                type: 'confirm',
-                name: 'bottomNav',
-                message: 'Do you want to set up Bottom Tab Navigation?',
-                default: false
+    parseAddValue(target, option, value) {
+        if (option.type === 'boolean') {
+            if (value !== undefined) {
+                throw new ScaffolderError(`add ${target} takes no value (got "${value}").`);
             }
-        ]);
-        this.config.bottomNavigation = bottomNav;
+            return true;
+        }
+
+        const choices = Object.keys(option.choices).filter(choice => option.choices[choice] !== 'None');
+        if (value === undefined) {
+            throw new ScaffolderError(`Missing value. Usage: rn-scaffold add ${target} <${choices.join('|')}>`);
+        }
+        const wanted = normalizeOption(option, target, value, 'the command line');
+        if (wanted === 'None') {
+            throw new ScaffolderError(`Nothing to add for "${value}". Use one of: ${choices.join(', ')}.`);
+        }
+        return wanted;
     }
 
     /**
-     * Prompt user about storage type
-     * @returns {Promise<void>}
+     * Show what switching an option replaces, e.g. AsyncStorage by MMKV, and ask to go on
+     * @param {string} target - Key of ADD_TARGETS
+     * @param {string} key - scaffolder.config property of the option
+     * @param {string} previous - Current choice, e.g. "Async Storage"
+     * @param {string} wanted - New choice, e.g. "React Native MMKV"
+     * @returns {Promise<{removed: string[], files: string[]}|null>} Unedited files of the current choice
+     *   to remove, and all its generated files that exist; null when declined
      */
-    async promptStorageSetup() {
-        const { storageType } = await inquirer.prompt([
-            {
-                type: 'list',
-                name: 'storageType',
-                message: 'Select a storage solution:',
-                choices: [
-                    'Async Storage',
-                    'React Native MMKV',
-                    'None'
-                ]
-            }
-        ]);
-        this.config.storageType = storageType;
+    async confirmReplacement(target, key, previous, wanted) {
+        // Files the new choice writes as well are updated in place instead
+        const rewritten = (this.optionFiles(key)[wanted] || []).map(file => file.path);
+        const files = (this.optionFiles(key)[previous] || [])
+            .map(file => file.path)
+            .filter(file => !rewritten.includes(file) && fs.existsSync(path.join(this.rootPath, file)));
+        const removed = files.filter(file => this.writer.isUnedited(file));
+        const kept = files.filter(file => !removed.includes(file));
+        const before = collectDependencies(this.config, this.project).dependencies;
+        const after = collectDependencies({ ...this.config, [key]: wanted }, this.project).dependencies;
+        const unused = Object.keys(before).filter(name => !after[name]);
+
+        console.log(chalk.bold(`Switching ${target} from ${previous} to ${wanted}:`));
+        removed.forEach(file => console.log(chalk.red(`  - ${file} (removed)`)));
+        kept.forEach(file => console.log(chalk.yellow(`  ! ${file} is kept: edited since rn-scaffold wrote it`)));
+        if (rewritten.length > 0) {
+            console.log(chalk.gray('  generated files shared by both are updated in place'));
+        } else if (files.length === 0) {
+            console.log(chalk.gray(`  no generated ${previous} files found`));
+        }
+        unused.forEach(name => console.log(chalk.yellow(`  ! ${name} stays in package.json: uninstall it once nothing uses it`)));
+
+        const confirmed = await this.ask({
+            type: 'confirm',
+            name: 'replace',
+            message: `Replace ${previous} with ${wanted}?`,
+            default: true
+        });
+        return confirmed ? { removed, files } : null;
     }
 
     /**
-     * Prompt user about navigation setup
-     * @returns {Promise<void>}
+     * Warn about source files that still import files of the replaced choice. Checked once the
+     * steps of `add` ran: files they wrote (the app entry, the persistence adapter, the theme
+     * provider, ...) were rendered for the new choice, so only the others are listed.
+     * @param {string[]} files - Generated files of the replaced choice, relative to the project root
      */
-    async promptNavigationSetup() {
-        const { navigationSetup } = await inquirer.prompt([
-            {
-                type: 'confirm',
-                name: 'navigationSetup',
-                message: 'Do you want to set up a comprehensive navigation structure?',
-                default: false
-            }
-        ]);
-        this.config.navigationSetup = navigationSetup;
+    warnImporters(files) {
+        const written = this.writer.writtenFiles();
+        const importers = this.findImporters(files).filter(file => !written.includes(file));
+        if (importers.length > 0) {
+            console.log(chalk.yellow(`⚠️  Still imported by ${importers.join(', ')}: update these imports`));
+        }
     }
 
     /**
-     * Prompt user about state management
-     * @returns {Promise<void>}
+     * Files generated for each choice of an option
+     * @param {string} key - scaffolder.config property, e.g. "storageType"
+     * @returns {Object<string, Array<{path: string, content: string}>>} Keyed by choice
      */
-    async promptStateManagement() {
-        const { stateManagement } = await inquirer.prompt([
-            {
-                type: 'list',
-                name: 'stateManagement',
-                message: 'Select a state management solution:',
-                choices: [
-                    'Redux Toolkit',
-                    'Zustand',
-                    'Context API',
-                    'None'
-                ]
+    optionFiles(key) {
+        if (key === 'storageType') {
+            return this.config.jest ? addChoiceFiles(this.storageFiles(), this.jestChoiceFiles(key)) : this.storageFiles();
+        }
+        if (key === 'stateManagement') {
+            const files = this.stateManagementFiles();
+            if (usesAuth(this.config)) {
+                addChoiceFiles(files, this.authStateFiles());
             }
-        ]);
-        this.config.stateManagement = stateManagement;
+            return this.config.jest ? addChoiceFiles(files, this.jestChoiceFiles(key)) : files;
+        }
+        if (key === 'apiClient') {
+            return this.apiClientFiles();
+        }
+        if (key === 'mediaLibrary') {
+            return this.mediaFiles();
+        }
+        return {};
     }
 
     /**
-     * Ensure navigation directory exists
+     * Source files (and the app entry) that import one of the given files, matched by module name
+     * @param {string[]} files - Paths relative to the project root
+     * @returns {string[]} Paths relative to the project root
      */
-    ensureNavigationDirectory() {
-        const navigationPath = path.join(this.rootPath, 'src/navigation');
-        fs.mkdirpSync(navigationPath);
-        console.log(chalk.green(`Ensured navigation directory exists: src/navigation`));
+    findImporters(files) {
+        if (files.length === 0) {
+            return [];
+        }
+
+        // "store/index.ts" is imported as "@store", "@store/index" or "../store"
+        const names = files.map(file => {
+            const { dir, name } = path.posix.parse(file);
+            return name === 'index' ? `${path.posix.basename(dir)}(/index)?` : name;
+        });
+        const pattern = new RegExp(`[@/](${names.join('|')})['"]`);
+        const importers = [];
+        const check = relPath => {
+            if (/\.[jt]sx?$/.test(relPath) && !files.includes(relPath) && pattern.test(fs.readFileSync(path.join(this.rootPath, relPath), 'utf8'))) {
+                importers.push(relPath);
+            }
+        };
+        const walk = relDir => {
+            fs.readdirSync(path.join(this.rootPath, relDir), { withFileTypes: true }).forEach(entry => {
+                const relPath = path.posix.join(relDir, entry.name);
+                if (entry.isDirectory()) {
+                    walk(relPath);
+                } else {
+                    check(relPath);
+                }
+            });
+        };
+
+        APP_ENTRY_FILES.filter(file => fs.existsSync(path.join(this.rootPath, file))).forEach(check);
+        if (fs.existsSync(path.join(this.rootPath, this.config.srcDir))) {
+            walk(this.config.srcDir);
+        }
+        return importers;
     }
 
     /**
-     * Create base project directories
+     * Run a scaffold step unless its `when` condition rules it out
+     * @param {object} step - Entry of buildSteps()
      */
-    createBaseDirectories() {
-        const baseDirectories = [
-            // Assets
-            'src/assets/fonts',
-            'src/assets/icons/imageIcons',
-            'src/assets/icons/svgIcons',
+    async runStep(step) {
+        if (step.when && !step.when(this.config)) {
+            return;
+        }
+        await (step.plugin ? step.run(this.createPluginApi(step.plugin)) : step.run());
+    }
 
-            'src/assets/images/PngAndJpgImages',
-            'src/assets/images/SvgImages',
-            'src/assets/images/OtherImages',
+    /**
+     * Record a finished run in the manifest and install dependencies if asked.
+     * A dry run prints the planned tree instead.
+     * @param {string} command - Command recorded in the manifest, e.g. "add storage mmkv"
+     * @param {string} message - Success message
+     */
+    finishRun(command, message) {
+        if (this.writer.dryRun) {
+            this.writer.printPlannedTree();
+            return;
+        }
 
-            // Components
-            'src/components/global', // Global reusable components (e.g., buttons, modals)
-            'src/components/forms',  // Form-related components (e.g., input fields, validations)
+        // Recorded before installing, so a failed install keeps the generated files
+        recordRun(this.rootPath, command, this.writer.takeChanges());
 
-            'src/store', // for state management
+        if (this.options.install) {
+            const { packageManager, installPath } = installDependencies(this.rootPath);
+            const where = installPath === path.resolve(this.rootPath) ? '' : ` in the workspace root ${installPath}`;
+            console.log(chalk.green(`Installed dependencies with ${packageManager}${where}`));
+        }
 
+        console.log(chalk.bold.green(`✅ ${message}`));
+    }
 
-            // Constants
-            'src/constants',
-            'src/hooks', // Custom hooks
-            'src/context', // Context providers and consumers
+    /**
+     * Ordered scaffold steps. Plugin generators are inserted by name with
+     * `before`/`after`, so the step names are part of the plugin API.
+     * @returns {Array<{name: string, when?: function(object): boolean, run: function}>}
+     */
+    buildSteps() {
+        const steps = [
+            {
+                name: 'directories',
+                run: async () => {
+                    await this.createBaseDirectories();
+                    this.ensureNavigationDirectory();
+                }
+            },
+            { name: 'bottomNavigation', when: config => config.bottomNavigation, run: () => this.setupBottomNavigation() },
+            { name: 'storage', when: config => config.storageType, run: () => this.setupStorage() },
+            { name: 'navigation', when: config => config.navigationSetup, run: () => this.setupNavigation() },
+            {
+                name: 'navigationTypes',
+                when: config => config.bottomNavigation || config.navigationSetup,
+                run: () => this.createNavigationTypes()
+            },
+            { name: 'stateManagement', when: config => config.stateManagement, run: () => this.setupStateManagement() },
+            { name: 'persistence', when: config => usesPersistence(config), run: () => this.setupPersistence() },
+            { name: 'env', when: config => config.env, run: () => this.setupEnv() },
+            { name: 'api', when: config => config.apiClient && config.apiClient !== 'None', run: () => this.setupApiClient() },
+            { name: 'auth', when: usesAuth, run: () => this.setupAuth() },
+            { name: 'media', when: config => config.mediaLibrary && config.mediaLibrary !== 'None', run: () => this.setupMedia() },
+            { name: 'i18n', when: config => config.i18n, run: () => this.setupI18n() },
+            { name: 'theme', when: config => config.theme, run: () => this.setupTheme() },
+            { name: 'appEntry', when: usesAppEntry, run: () => this.createAppEntry() },
+            { name: 'utilities', run: () => this.createUtilityFiles() },
+            { name: 'jest', when: config => config.jest, run: () => this.setupJest() },
+            { name: 'tsconfig', run: () => this.createTsConfig() },
+            { name: 'babel', run: () => this.createBabelConfig() },
+            { name: 'dependencies', run: () => this.writeDependencies() }
+        ];
 
-            // Features (Screens by functionality)
-            'src/features/auth',     // Authentication screens (e.g., login, register)
+        return insertPluginSteps(steps, this.plugins, { defaultBefore: 'dependencies' });
+    }
 
-            'src/features/dashboard', // Dashboard screens
-            'src/features/settings',  // Settings and preferences screens
-            'src/features/chat',      // Chat and messaging screens
+    /**
+     * Helpers handed to plugin generators
+     * @param {object} plugin - Plugin owning the generator
+     * @returns {object}
+     */
+    createPluginApi(plugin) {
+        return {
+            config: this.config,
+            rootPath: this.rootPath,
+            srcDir: this.config.srcDir,
+            srcPath: relPath => this.srcPath(relPath),
+            dryRun: this.writer.dryRun,
+            ensureDir: relPath => this.writer.ensureDir(relPath),
+            writeFile: (relPath, content, options) => this.writer.writeFile(relPath, content, options),
+            render: (name, context) => this.templates.render(name, context),
+            addDependencies: set => this.extraDependencies.push(set),
+            updatePackageJson: additions => this.updatePackageJson(additions),
+            log: message => console.log(chalk.gray(`[${plugin.name}] ${message}`))
+        };
+    }
 
-            // Internationalization
-            'src/i18n/locales',      // Localization files (e.g., en.json, es.json)
+    /**
+     * Fill this.config from the config file and CLI flags.
+     * Every key set here is skipped by the matching prompt.
+     * @param {object} [options]
+     * @param {boolean} [options.saved] - Start from the options saved by earlier runs
+     */
+    loadConfiguration({ saved = false } = {}) {
+        const { configFile, savedConfig, plugins, resolved } = loadProjectConfig(this.rootPath, this.options, { saved });
+        if (configFile) {
+            console.log(chalk.gray(`Using config file: ${path.relative(this.rootPath, configFile.path)}`));
+        }
+        if (savedConfig) {
+            console.log(chalk.gray(`Using saved config: ${SAVED_CONFIG_FILE}`));
+        }
 
-            // Services
-            'src/service',           // API services and integrations
+        this.plugins = plugins;
+        plugins.forEach(plugin => {
+            console.log(chalk.gray(`Using plugin: ${plugin.name}`));
+            Object.assign(this.config, plugin.config);
+        });
 
-            // Styles and Theme
-            'src/styles',            // Common styles (e.g., React Native Styles Which Commonly Used, StyleSheet)
-            'src/theme',             // Theme-related files (e.g., colors, typography, dark and light more )
+        Object.entries(resolved).forEach(([key, value]) => {
+            this.config[key] = value;
+            this.presetKeys.add(key);
+        });
 
-            // Types
-            'src/types',             // TypeScript types and interfaces
+        this.config.srcDir = resolveSourceDir(this.rootPath, this.config.srcDir);
+        if (this.config.layout) {
+            this.layout = loadLayout(this.rootPath, this.config.layout);
+        }
 
-            // Utilities
-            'src/utils',             // Utility functions and helpers
-        ];
+        if (!this.config.language) {
+            this.config.language = detectLanguage(this.project);
+            if (this.config.language === LANGUAGES.js) {
+                console.log(chalk.gray('No TypeScript setup found: writing JavaScript files (pass --language ts for TypeScript).'));
+            }
+        }
+    }
 
+    /**
+     * Path of a file or folder inside the source directory, in the folder of the layout
+     * holding its kind of code. File names are given with their TypeScript extension and
+     * get .js/.jsx in JavaScript mode.
+     * @param {string} relPath - Path in the layered layout, e.g. "utils/mmkvStorage.ts"
+     * @returns {string} Path relative to the project root, e.g. "src/utils/mmkvStorage.ts",
+     * or "src/shared/utils/mmkvStorage.ts" in the feature-first layout
+     */
+    srcPath(relPath) {
+        return path.posix.join(this.config.srcDir, layoutPath(this.layout, withLanguageExtension(relPath, this.config.language)));
+    }
 
-        baseDirectories.forEach(dir => {
-            const fullPath = path.join(this.rootPath, dir);
-            fs.mkdirpSync(fullPath);
-            console.log(chalk.green(`Created directory: ${dir}`));
-        });
+    /**
+     * Relative import of one source file from another, for imports that cannot go through an
+     * alias (declaration files and JSON)
+     * @param {string} fromFile - Importing file, as given to srcPath(), e.g. "navigation/RootNavigator.tsx"
+     * @param {string} toModule - Imported module, as given to srcPath(), e.g. "types/navigation"
+     * @returns {string} e.g. "../types/navigation"
+     */
+    relativeImport(fromFile, toModule) {
+        const relative = path.posix.relative(path.posix.dirname(layoutPath(this.layout, fromFile)), layoutPath(this.layout, toModule));
+        return relative.startsWith('.') ? relative : `./${relative}`;
     }
 
     /**
-     * Setup Bottom Tab Navigation specific files and folders
+     * Render the template of a source file in the chosen language
+     * @param {string} name - TypeScript template name, e.g. "storage/mmkvStorage.ts"
+     * @param {object} [context] - Values available to the template
+     * @returns {string}
      */
-    setupBottomNavigation() {
-        const bottomNavDirectories = [
-            'src/assets/icons/BottomTabIcons',
-        ];
+    renderSource(name, context) {
+        return this.templates.render(withLanguageExtension(name, this.config.language), context);
+    }
 
-        const bottomNavFiles = [
-            'src/navigation/BottomTabNavigator.tsx'
-        ];
+    /**
+     * Ask a single question. With --yes the default answer is used instead of prompting.
+     * @param {object} question - inquirer question
+     * @returns {Promise<*>} The answer
+     */
+    async ask(question) {
+        return ask(question, { yes: this.options.yes });
+    }
 
-        // Create directories
-        bottomNavDirectories.forEach(dir => {
-            const fullPath = path.join(this.rootPath, dir);
-            fs.mkdirpSync(fullPath);
-            console.log(chalk.blue(`Created Bottom Nav directory: ${dir}`));
-        });
+    /**
+     * Prompt user about the folder layout: a preset or a layout file
+     * @returns {Promise<void>}
+     */
+    async promptLayout() {
+        if (this.presetKeys.has('layout')) {
+            return;
+        }
 
-        // Create files with basic implementations
-        bottomNavFiles.forEach(file => {
-            const fullPath = path.join(this.rootPath, file);
-            const content = this.generateBottomTabContent(file);
-            fs.writeFileSync(fullPath, content);
-            console.log(chalk.yellow(`Created Bottom Nav file: ${file}`));
+        const custom = 'custom';
+        const choice = await this.ask({
+            type: 'list',
+            name: 'layout',
+            message: 'Select a folder layout:',
+            choices: [
+                ...Object.entries(LAYOUT_PRESETS).map(([name, preset]) => ({ name: preset.description, value: name })),
+                { name: 'Custom: a JSON or YAML layout file', value: custom }
+            ]
         });
+        this.config.layout = choice !== custom ? choice : (await this.ask({
+            type: 'input',
+            name: 'layoutFile',
+            message: 'Layout file (JSON or YAML):',
+            validate: input => {
+                try {
+                    loadLayout(this.rootPath, input.trim());
+                    return true;
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        })).trim();
+        this.layout = loadLayout(this.rootPath, this.config.layout);
     }
 
     /**
-     * Setup Storage solution specific files
+     * Prompt user about Bottom Tab Navigation setup
+     * @returns {Promise<void>}
      */
-    setupStorage() {
-        const storageFiles = {
-            'Async Storage': [
-                {
-                    path: 'src/utils/asyncStorage.ts',
-                    content: this.generateAsyncStorageContent()
-                }
-            ],
-            'React Native MMKV': [
-                {
-                    path: 'src/utils/mmkvStorage.ts',
-                    content: this.generateMMKVStorageContent()
-                }
-            ]
-        };
-
-        const files = storageFiles[this.config.storageType] || [];
-        files.forEach(file => {
-            const fullPath = path.join(this.rootPath, file.path);
-
-            // Ensure directory exists
-            fs.mkdirpSync(path.dirname(fullPath));
+    async promptBottomNavigation() {
+        if (!this.presetKeys.has('bottomNavigation')) {
+            this.config.bottomNavigation = await this.ask({
+                type: 'confirm',
+                name: 'bottomNav',
+                message: 'Do you want to set up Bottom Tab Navigation?',
+                default: false
+            });
+        }
 
-            fs.writeFileSync(fullPath, file.content);
-            console.log(chalk.cyan(`Created storage file: ${file.path}`));
-        });
+        if (this.config.bottomNavigation && !this.presetKeys.has('tabs')) {
+            await this.promptBottomTabs();
+        }
     }
 
     /**
-     * Setup Navigation reference files
+     * Prompt user for the bottom tabs to generate
+     * @returns {Promise<void>}
      */
-    setupNavigation() {
-        const navigationFiles = [
-            {
-                path: 'src/navigation/RootNavigator.tsx',
-                content: this.generateRootNavigatorContent()
-            },
-            {
-                path: 'src/navigation/NavigationRef.ts',
-                content: this.generateNavigationRefContent()
+    async promptBottomTabs() {
+        const tabs = await this.ask({
+            type: 'input',
+            name: 'tabs',
+            message: 'Bottom tabs (comma separated, name[:screen[:icon]]):',
+            default: 'Home,Settings',
+            validate: input => {
+                try {
+                    parseTabs(input, 'the tab list');
+                    return true;
+                } catch (error) {
+                    return error.message;
+                }
             }
-        ];
-
-        navigationFiles.forEach(file => {
-            const fullPath = path.join(this.rootPath, file.path);
-
-            // Ensure directory exists
-            fs.mkdirpSync(path.dirname(fullPath));
-
-            // Write file
-            fs.writeFileSync(fullPath, file.content);
-            console.log(chalk.magenta(`Created navigation file: ${file.path}`));
         });
+        this.config.tabs = parseTabs(tabs, 'the tab list');
     }
 
     /**
-     * Setup State Management solution
+     * Prompt user about storage type
+     * @returns {Promise<void>}
      */
-    setupStateManagement() {
-        const stateManagementFiles = {
-            'Redux Toolkit': [
-                {
-                    path: 'src/store/index.ts',
-                    content: `
-                            import { configureStore } from '@reduxjs/toolkit';
-                            export const store = configureStore({
-                                reducer: {
-                                    // Add your reducers here
-                                },
-                            });
-                            export type RootState = ReturnType<typeof store.getState>;
-                            export type AppDispatch = typeof store.dispatch;
-                            `
-                },
-                {
-                    path: 'src/store/slices/exampleSlice.ts',
-                    content: `
-                            import { createSlice } from '@reduxjs/toolkit';
-                            
-                            const initialState = {
-                                value: 0,
-                            };
-                            
-                            const exampleSlice = createSlice({
-                                name: 'example',
-                                initialState,
-                                reducers: {
-                                    increment: (state) => { state.value += 1; },
-                                    decrement: (state) => { state.value -= 1; }
-                                },
-                            });
-                            
-                            export const { increment, decrement } = exampleSlice.actions;
-                            export default exampleSlice.reducer;
-                                            `
-                }
-            ],
-            'Zustand': [
-                {
-                    path: 'src/store/zustand/exampleStore.ts',
-                    content: `
-                                import create from 'zustand';
-                                
-                                type ExampleState = {
-                                    value: number;
-                                    increment: () => void;
-                                    decrement: () => void;
-                                };
-                                
-                                const useExampleStore = create<ExampleState>((set: any) => ({
-                                    value: 0,
-                                    increment: () => set((state: any) => ({ value: state.value + 1 })),
-                                    decrement: () => set((state: any) => ({ value: state.value - 1 })),
-                                }));
-                                
-                                export default useExampleStore;
-                                                `
-                }
-            ],
-            'Context API': [
-                {
-                    path: 'src/context/providers/ExampleProvider.tsx',
-                    content: `
-                            import React, { createContext, useContext, useState, ReactNode } from 'react';
-                            
-                            type ExampleContextType = {
-                                value: number;
-                                increment: () => void;
-                                decrement: () => void;
-                            };
-                            
-                            const ExampleContext = createContext<ExampleContextType | undefined>(undefined);
-                            
-                            const ExampleProvider = ({ children }: { children: ReactNode }) => {
-                                const [value, setValue] = useState(0);
-                            
-                                const increment = () => setValue((prev) => prev + 1);
-                                const decrement = () => setValue((prev) => prev - 1);
-                            
-                                return (
-                                    <ExampleContext.Provider value={{ value, increment, decrement }}>
-                                        {children}
-                                    </ExampleContext.Provider>
-                                );
-                            };
-                            
-                            const useExampleContext = () => {
-                                const context = useContext(ExampleContext);
-                                if (!context) throw new Error('useExampleContext must be used within an ExampleProvider');
-                                return context;
-                            };
-                            
-                            export { ExampleProvider, useExampleContext };
-                                            `
-                }
-            ]
-        };
-
-        const files = stateManagementFiles[this.config.stateManagement] || [];
-        files.forEach(file => {
-            const fullPath = path.join(this.rootPath, file.path);
-
-            // Ensure directory exists
-            fs.mkdirpSync(path.dirname(fullPath));
+    async promptStorageSetup() {
+        if (this.presetKeys.has('storageType')) {
+            return;
+        }
 
-            fs.writeFileSync(fullPath, file.content);
-            console.log(chalk.cyan(`Created state management file: ${file.path}`));
+        this.config.storageType = await this.ask({
+            type: 'list',
+            name: 'storageType',
+            message: 'Select a storage solution:',
+            choices: [
+                'Async Storage',
+                'React Native MMKV',
+                ...this.pluginChoices('storage'),
+                'None'
+            ]
         });
     }
 
-
     /**
-     * Create utility files
+     * Prompt user about navigation setup
+     * @returns {Promise<void>}
      */
-    createUtilityFiles() {
-        const utilFiles = [
-            {
-                path: 'src/utils/MediaHandler.ts',
-                content: this.generateMediaHandlerContent()
-            },
-            {
-                path: 'src/utils/responsive-screen.ts',
-                content: this.generateResponsiveScreenContent()
-            }
-        ];
-
-        utilFiles.forEach(file => {
-            const fullPath = path.join(this.rootPath, file.path);
-
-            // Ensure directory exists
-            fs.mkdirpSync(path.dirname(fullPath));
+    async promptNavigationSetup() {
+        if (this.presetKeys.has('navigationSetup')) {
+            return;
+        }
 
-            fs.writeFileSync(fullPath, file.content);
-            console.log(chalk.yellow(`Created utility file: ${file.path}`));
+        this.config.navigationSetup = await this.ask({
+            type: 'confirm',
+            name: 'navigationSetup',
+            message: 'Do you want to set up a comprehensive navigation structure?',
+            default: false
         });
     }
 
     /**
-     * Create TypeScript Configuration
+     * Prompt user about state management
+     * @returns {Promise<void>}
      */
-    createTsConfig() {
-        const tsConfigPath = path.join(this.rootPath, 'tsconfig.json');
-        const defaultConfig = {
-            extends: "@react-native/typescript-config/tsconfig.json",
-            compilerOptions: {
-                typeRoots: ["node_modules/@types", "src/types"],
-                types: ["jest"],
-                baseUrl: "./src",
-                paths: {
-                    "@assets/*": ["assets/*"],
-                    "@features/*": ["features/*"],
-                    "@navigation/*": ["navigation/*"],
-                    "@components/*": ["components/*"],
-                    "@state/*": ["state/*"],
-                    "@store/*": ["store/*"],
-                    "@service/*": ["service/*"],
-                    "@styles/*": ["styles/*"],
-                    "@utils/*": ["utils/*"],
-                    "@i18n/*": ["i18n/*"],
-                    "@theme/*": ["theme/*"],
-                    "@types/*": ["types/*"],
-                    "@constants/*": ["constants/*"],
-                    "@context/*": ["context/*"],
-                    "@hooks/*": ["hooks/*"]
-                }
-            }
-        };
-
-        fs.writeJsonSync(tsConfigPath, defaultConfig, { spaces: 2 });
-        console.log(chalk.blue('Created/Updated tsconfig.json'));
-    }
+    async promptStateManagement() {
+        if (this.presetKeys.has('stateManagement')) {
+            return;
+        }
 
-    // Content generation methods
-    generateBottomTabContent() {
-        return `// Bottom Tab Navigation Placeholder`;
+        this.config.stateManagement = await this.ask({
+            type: 'list',
+            name: 'stateManagement',
+            message: 'Select a state management solution:',
+            choices: [
+                'Redux Toolkit',
+                'Zustand',
+                'Context API',
+                ...this.pluginChoices('state'),
+                'None'
+            ]
+        });
     }
 
-    generateAsyncStorageContent() {
-        return `import AsyncStorage from '@react-native-async-storage/async-storage';
-      
-    /**
-     * A utility class for managing AsyncStorage.
-     */
-    class StorageUtil {
     /**
-     * Set a value in AsyncStorage
-     * @param key - The key to store the value under
-     * @param value - The value to store
+     * Prompt user about persisting the store, when both storage and state management are chosen
+     * @returns {Promise<void>}
      */
-    static async setItem(key: string, value: string): Promise<void> {
-        try {
-        await AsyncStorage.setItem(key, value);
-        console.log(\`✅ Successfully saved item with key: \${key}\`);
-        } catch (error) {
-        console.error(\`❌ Error saving item to AsyncStorage with key \${key}:\`, error);
+    async promptPersistence() {
+        if (this.presetKeys.has('persistState') || !canPersist(this.config)) {
+            return;
         }
+
+        this.config.persistState = await this.ask({
+            type: 'confirm',
+            name: 'persistState',
+            message: `Save the ${this.config.stateManagement} state with ${this.config.storageType} and restore it on launch?`,
+            default: true
+        });
     }
-    
+
     /**
-     * Get a value from AsyncStorage
-     * @param key - The key to fetch value from
-     * @returns The value or null if not found
+     * Prompt user about an RTK Query API slice, and its base URL, when Redux Toolkit is chosen
+     * @returns {Promise<void>}
      */
-    static async getItem(key: string): Promise<string | null> {
-        try {
-        const value = await AsyncStorage.getItem(key);
-        console.log(\`✅ Successfully fetched item with key: \${key}\`);
-        return value;
-        } catch (error) {
-        console.error(\`❌ Error fetching item from AsyncStorage with key \${key}:\`, error);
-        return null;
+    async promptApiSlice() {
+        if (this.config.stateManagement !== 'Redux Toolkit') {
+            return;
+        }
+
+        if (!this.presetKeys.has('rtkQuery')) {
+            this.config.rtkQuery = await this.ask({
+                type: 'confirm',
+                name: 'rtkQuery',
+                message: `Add an RTK Query API slice (${this.srcPath('service/api')})?`,
+                default: false
+            });
+        }
+        if (this.config.rtkQuery) {
+            await this.promptApiBaseUrl();
         }
     }
-    
+
     /**
-     * Delete an item from AsyncStorage
-     * @param key - The key to delete
+     * Prompt user about the API client in src/service
+     * @returns {Promise<void>}
      */
-    static async deleteItem(key: string): Promise<void> {
-        try {
-        await AsyncStorage.removeItem(key);
-        console.log(\`✅ Successfully deleted item with key: \${key}\`);
-        } catch (error) {
-        console.error(\`❌ Error deleting item from AsyncStorage with key \${key}:\`, error);
+    async promptApiClient() {
+        if (!this.presetKeys.has('apiClient')) {
+            this.config.apiClient = await this.ask({
+                type: 'list',
+                name: 'apiClient',
+                message: `Set up an API client in ${this.srcPath('service')}?`,
+                choices: ['Fetch', 'Axios', 'None'],
+                default: 'None'
+            });
+        }
+        if (this.config.apiClient !== 'None') {
+            await this.promptApiBaseUrl();
         }
     }
-    
+
+    /**
+     * Prompt user about the env files and the Config module reading them
+     * @returns {Promise<void>}
+     */
+    async promptEnv() {
+        if (!this.presetKeys.has('env')) {
+            this.config.env = await this.ask({
+                type: 'confirm',
+                name: 'env',
+                message: `Set up per-environment settings (.env.development, .env.staging, .env.production and ${this.srcPath('constants/config.ts')})?`,
+                default: false
+            });
+        }
+        if (this.config.env) {
+            await this.promptApiBaseUrl();
+        }
+    }
+
+    /**
+     * Prompt user about the auth feature, which needs the navigation setup
+     * @returns {Promise<void>}
+     */
+    async promptAuth() {
+        if (this.presetKeys.has('auth')) {
+            if (this.config.auth && !this.config.navigationSetup) {
+                console.log(chalk.yellow('⚠️  The auth screens need the navigation setup: skipping auth.'));
+            }
+            return;
+        }
+        if (!this.config.navigationSetup) {
+            return;
+        }
+
+        this.config.auth = await this.ask({
+            type: 'confirm',
+            name: 'auth',
+            message: `Add login, register and forgot-password screens with a session store (${this.srcPath('features/auth')})?`,
+            default: false
+        });
+    }
+
+    /**
+     * Prompt user about the picker library behind the media utility
+     * @returns {Promise<void>}
+     */
+    async promptMediaLibrary() {
+        if (this.presetKeys.has('mediaLibrary')) {
+            return;
+        }
+
+        this.config.mediaLibrary = await this.ask({
+            type: 'list',
+            name: 'mediaLibrary',
+            message: `Which library should pick photos from the camera and gallery (${this.srcPath('utils/MediaHandler')})?`,
+            choices: ['React Native Image Picker', 'React Native Image Crop Picker', 'None'],
+            default: 'None'
+        });
+    }
+
+    /**
+     * Prompt user about internationalization
+     * @returns {Promise<void>}
+     */
+    async promptI18n() {
+        if (this.presetKeys.has('i18n')) {
+            return;
+        }
+
+        this.config.i18n = await this.ask({
+            type: 'confirm',
+            name: 'i18n',
+            message: `Set up internationalization (i18next, ${this.srcPath('i18n')})?`,
+            default: false
+        });
+    }
+
+    /**
+     * Prompt user about the theme, and the design tokens it is made from
+     * @returns {Promise<void>}
+     */
+    async promptTheme() {
+        if (!this.presetKeys.has('theme')) {
+            this.config.theme = await this.ask({
+                type: 'confirm',
+                name: 'theme',
+                message: `Set up a theme with light and dark tokens (${this.srcPath('theme')})?`,
+                default: false
+            });
+        }
+        if (this.config.theme) {
+            await this.promptThemeTokens();
+        }
+    }
+
+    /**
+     * Prompt user about a design-tokens JSON file to import (e.g. a Figma export)
+     * @returns {Promise<void>}
+     */
+    async promptThemeTokens() {
+        if (this.presetKeys.has('themeTokens') || this.config.themeTokens) {
+            return;
+        }
+
+        const file = await this.ask({
+            type: 'input',
+            name: 'themeTokens',
+            message: 'Design tokens JSON to import (leave empty for the built-in tokens):',
+            default: '',
+            validate: input => input.trim() === '' || fs.existsSync(path.resolve(this.rootPath, input.trim())) || 'File not found'
+        });
+        this.config.themeTokens = file.trim() || null;
+    }
+
+    /**
+     * Prompt user about the screen size the designs are drawn for, which responsive-screen scales from.
+     * When one side is given by a flag or a config file, only the other one is asked.
+     * @returns {Promise<void>}
+     */
+    async promptDesignBaseline() {
+        const presetWidth = this.presetKeys.has('designWidth');
+        const presetHeight = this.presetKeys.has('designHeight');
+        if (presetWidth && presetHeight) {
+            return;
+        }
+        if (presetWidth || presetHeight) {
+            const [key, side] = presetWidth ? ['designHeight', 'height'] : ['designWidth', 'width'];
+            const answer = await this.ask({
+                type: 'input',
+                name: key,
+                message: `Screen ${side} of your designs, in points:`,
+                default: String(this.config[key] || DEFAULT_DESIGN_BASELINE[side]),
+                validate: input => /^\s*[1-9]\d*\s*$/.test(input) || 'Enter a whole number of points, such as 812'
+            });
+            this.config[key] = parseInt(answer, 10);
+            return;
+        }
+
+        const width = this.config.designWidth || DEFAULT_DESIGN_BASELINE.width;
+        const height = this.config.designHeight || DEFAULT_DESIGN_BASELINE.height;
+        const answer = await this.ask({
+            type: 'input',
+            name: 'designBaseline',
+            message: 'Screen size of your designs, in points (width x height):',
+            default: `${width}x${height}`,
+            validate: input => /^\s*[1-9]\d*\s*[x×]\s*[1-9]\d*\s*$/i.test(input) || 'Enter a size such as 375x812'
+        });
+        [this.config.designWidth, this.config.designHeight] = answer.split(/[x×]/i).map(side => parseInt(side, 10));
+    }
+
+    /**
+     * Prompt user about the Jest setup
+     * @returns {Promise<void>}
+     */
+    async promptJest() {
+        if (this.presetKeys.has('jest')) {
+            return;
+        }
+
+        this.config.jest = await this.ask({
+            type: 'confirm',
+            name: 'jest',
+            message: 'Set up Jest with React Native Testing Library (mocks, test-utils and starter tests)?',
+            default: false
+        });
+    }
+
+    /**
+     * Prompt user about the base URL shared by the API client and the RTK Query API slice
+     * @returns {Promise<void>}
+     */
+    async promptApiBaseUrl() {
+        if (this.presetKeys.has('apiBaseUrl') || this.config.apiBaseUrl) {
+            return;
+        }
+
+        const baseUrl = await this.ask({
+            type: 'input',
+            name: 'apiBaseUrl',
+            message: 'API base URL:',
+            default: DEFAULT_API_BASE_URL,
+            validate: input => /^https?:\/\/\S+$/.test(input.trim()) || 'Enter an http(s) URL'
+        });
+        this.config.apiBaseUrl = baseUrl.trim().replace(/\/+$/, '');
+    }
+
+    /**
+     * Ask the prompts added by plugins. A prompt's `when(config)` decides whether it is asked.
+     * @returns {Promise<void>}
+     */
+    async promptPluginOptions() {
+        for (const plugin of this.plugins) {
+            for (const { when, ...question } of plugin.prompts) {
+                if (this.presetKeys.has(question.name) || (when && !when(this.config))) {
+                    continue;
+                }
+                this.config[question.name] = await this.ask(question);
+            }
+        }
+    }
+
+    /**
+     * Extra answers plugins add to a built-in prompt
+     * @param {string} option - "storage" or "state"
+     * @returns {string[]}
+     */
+    pluginChoices(option) {
+        return this.plugins.flatMap(plugin => plugin.choices[option] || []);
+    }
+
+    /**
+     * Ensure navigation directory exists
+     */
+    ensureNavigationDirectory() {
+        this.writer.ensureDir(this.srcPath('navigation'), { label: 'navigation directory' });
+    }
+
+    /**
+     * Create the folders of the layout, with their .gitkeep and index barrels, and the plugin directories.
+     * Existing .gitkeep and barrel files are left as they are.
+     */
+    async createBaseDirectories() {
+        for (const folder of this.layout.folders) {
+            const dir = path.posix.join(this.config.srcDir, folder.path);
+            this.writer.ensureDir(dir);
+            const files = [
+                folder.gitkeep && { path: `${dir}/.gitkeep`, content: '', label: '.gitkeep' },
+                folder.barrel && {
+                    path: `${dir}/${withLanguageExtension('index.ts', this.config.language)}`,
+                    content: `// Exports of ${folder.path}, added by \`generate component\`\nexport {};\n`,
+                    label: 'barrel'
+                }
+            ].filter(Boolean);
+            for (const file of files) {
+                if (!fs.existsSync(path.join(this.rootPath, file.path))) {
+                    await this.writer.writeFile(file.path, file.content, { label: file.label, color: chalk.gray });
+                }
+            }
+        }
+
+        // Added by plugins (relative to the project root)
+        this.plugins.flatMap(plugin => plugin.directories).forEach(dir => {
+            this.writer.ensureDir(dir);
+        });
+    }
+
+    /**
+     * Setup Bottom Tab Navigation specific files and folders
+     */
+    async setupBottomNavigation() {
+        const bottomNavDirectories = [
+            this.srcPath('assets/icons/BottomTabIcons'),
+        ];
+
+        const bottomNavFiles = [
+            {
+                path: this.srcPath('navigation/BottomTabNavigator.tsx'),
+                content: this.generateBottomTabContent()
+            },
+            {
+                path: this.srcPath('assets/icons/BottomTabIcons/index.ts'),
+                content: this.generateBottomTabIconsContent()
+            },
+            // Placeholder screen for every tab
+            ...this.config.tabs.map(tab => ({
+                path: this.srcPath(`features/${tab.folder}/${tab.screen}.tsx`),
+                content: this.generatePlaceholderScreenContent(tab.screen, tab.name)
+            }))
+        ];
+
+        // Create directories
+        bottomNavDirectories.forEach(dir => {
+            this.writer.ensureDir(dir, { label: 'Bottom Nav directory', color: chalk.blue });
+        });
+
+        // Create files with basic implementations
+        for (const file of bottomNavFiles) {
+            await this.writer.writeFile(file.path, file.content, { label: 'Bottom Nav file', color: chalk.yellow });
+        }
+    }
+
+    /**
+     * Setup Storage solution specific files
+     */
+    async setupStorage() {
+        const files = this.storageFiles()[this.config.storageType] || [];
+        for (const file of files) {
+            await this.writer.writeFile(file.path, file.content, { label: 'storage file', color: chalk.cyan });
+        }
+    }
+
+    /**
+     * Files of each storage solution
+     * @returns {Object<string, Array<{path: string, content: string}>>}
+     */
+    storageFiles() {
+        return {
+            'Async Storage': [
+                {
+                    path: this.srcPath('utils/asyncStorage.ts'),
+                    content: this.generateAsyncStorageContent()
+                }
+            ],
+            'React Native MMKV': [
+                {
+                    path: this.srcPath('utils/mmkvStorage.ts'),
+                    content: this.generateMMKVStorageContent()
+                }
+            ]
+        };
+    }
+
+    /**
+     * Setup Navigation reference files
+     */
+    async setupNavigation() {
+        const navigationFiles = [
+            {
+                path: this.srcPath('navigation/RootNavigator.tsx'),
+                content: this.generateRootNavigatorContent()
+            },
+            {
+                path: this.srcPath('navigation/NavigationRef.ts'),
+                content: this.generateNavigationRefContent()
+            }
+        ];
+
+        // The auth step writes the real login screen
+        if (!this.config.auth) {
+            navigationFiles.push({
+                path: this.srcPath('features/auth/LoginScreen.tsx'),
+                content: this.generatePlaceholderScreenContent('LoginScreen', 'Login')
+            });
+        }
+
+        // Without bottom tabs the app stack starts on a dashboard screen
+        if (!this.config.bottomNavigation) {
+            navigationFiles.push({
+                path: this.srcPath('features/dashboard/DashboardScreen.tsx'),
+                content: this.generatePlaceholderScreenContent('DashboardScreen', 'Dashboard')
+            });
+        }
+
+        for (const file of navigationFiles) {
+            await this.writer.writeFile(file.path, file.content, { label: 'navigation file', color: chalk.magenta });
+        }
+    }
+
+    /**
+     * Write the typed param lists used by the generated navigators
+     */
+    async createNavigationTypes() {
+        await this.writer.writeFile(this.srcPath('types/navigation.ts'), this.generateNavigationTypesContent(), {
+            label: 'navigation types',
+            color: chalk.magenta
+        });
+    }
+
+    /**
+     * Add bottom tabs to an existing navigation setup: MainTabs becomes the first (initial)
+     * route of the App stack and BottomTabParamList is added to the navigation types.
+     * Both files are patched in place, so routes added with `generate screen` stay.
+     */
+    async addTabsToNavigation() {
+        const typesPath = this.srcPath('types/navigation.ts');
+        const navigatorPath = this.srcPath('navigation/RootNavigator.tsx');
+        const read = relPath => {
+            const fullPath = path.join(this.rootPath, relPath);
+            return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+        };
+        const types = read(typesPath);
+        const navigator = read(navigatorPath);
+
+        const paramType = this.config.language === LANGUAGES.js
+            ? "import('@react-navigation/native').NavigatorScreenParams<BottomTabParamList>"
+            : 'NavigatorScreenParams<BottomTabParamList>';
+        let updatedTypes = types && addRouteType(types, 'App', 'MainTabs', { language: this.config.language, paramType });
+        const updatedNavigator = navigator && addStackScreen(navigator, 'App', {
+            routeName: 'MainTabs',
+            element: '<AppStack.Screen name="MainTabs" component={BottomTabNavigator} options={{ headerShown: false }} />',
+            importLine: "import BottomTabNavigator from './BottomTabNavigator';",
+            first: true
+        });
+        if (!updatedTypes || !updatedNavigator) {
+            console.log(chalk.yellow(`⚠️  No App stack found in ${typesPath} and ${navigatorPath}: render BottomTabNavigator from your navigator yourself.`));
+            return;
+        }
+
+        if (!/(type|\{object\}) BottomTabParamList\b/.test(types)) {
+            // Only the tab part of the template, which comes first
+            const tabTypes = this.renderSource('navigation/navigationTypes.ts', { ...this.config, navigationSetup: false })
+                .replace(/\s*export \{\};\s*$/, '')
+                .trimEnd();
+            const insertAt = updatedTypes.includes('/**') ? updatedTypes.indexOf('/**') : updatedTypes.length;
+            updatedTypes = `${updatedTypes.slice(0, insertAt)}${tabTypes}\n\n${updatedTypes.slice(insertAt)}`;
+        }
+
+        await this.writer.writeFile(typesPath, updatedTypes, { label: 'navigation types', color: chalk.magenta, merge: true });
+        await this.writer.writeFile(navigatorPath, updatedNavigator, { label: 'navigator', color: chalk.magenta, merge: true });
+    }
+
+    /**
+     * Create App.tsx (App.jsx in JavaScript mode) mounting NavigationContainer with the navigation ref
+     * and, for Redux Toolkit, the store's Provider (and PersistGate when the store is persisted).
+     * With i18n it imports the translations first; with a theme it is wrapped in the ThemeProvider.
+     * An existing App file that already has all of them is left alone, unless rn-scaffold wrote it
+     * and it is unedited. Any other (e.g. the App.tsx of the React Native template) gets its default
+     * export wrapped in the missing providers; when that export cannot be found, the wrapper is printed
+     * and the file goes through the usual conflict handling (skip, overwrite or .new), keeping its file name.
+     */
+    async createAppEntry() {
+        const existing = APP_ENTRY_FILES.find(file => fs.existsSync(path.join(this.rootPath, file)));
+        if (existing && !this.writer.isUnedited(existing)) {
+            const content = fs.readFileSync(path.join(this.rootPath, existing), 'utf8');
+            const needed = [
+                this.config.navigationSetup && ['NavigationContainer', '<NavigationContainer'],
+                this.config.stateManagement === 'Redux Toolkit' && ['Provider', '<Provider'],
+                this.config.stateManagement === 'Redux Toolkit' && usesPersistence(this.config) && ['PersistGate', '<PersistGate'],
+                this.config.i18n && ['i18n', '@i18n'],
+                this.config.theme && ['ThemeProvider', '<ThemeProvider'],
+                this.config.env && ['Config', '@constants/config'],
+                usesAuth(this.config) && ['useSession', 'useSession('],
+                usesAuth(this.config) && authStateChoice(this.config) === 'Context API' && ['AuthProvider', '<AuthProvider']
+            ].filter(Boolean);
+            if (needed.every(([, marker]) => content.includes(marker))) {
+                console.log(chalk.gray(`Skipped app entry (already has ${needed.map(([name]) => name).join(', ')}): ${existing}`));
+                return;
+            }
+
+            const patched = patchAppEntry(content, this.appContext());
+            if (patched !== null) {
+                await this.writer.writeFile(existing, patched, { label: 'app entry', color: chalk.magenta, merge: true });
+                this.logAppEntryHints(existing, patched);
+                return;
+            }
+            const providers = appProviders(this.appContext());
+            console.log(chalk.yellow(`⚠️  No default export found in ${existing}: render your app component inside these providers yourself:`));
+            console.log([...providers.flatMap(provider => provider.imports), '', generateAppWrapper('App', providers)].join('\n'));
+        }
+
+        const appFile = existing || withLanguageExtension('App.tsx', this.config.language);
+        await this.writer.writeFile(appFile, this.generateAppContent(), { label: 'app entry', color: chalk.magenta });
+    }
+
+    /**
+     * Tell what a wrapped app entry still has to render itself: the providers are mounted
+     * around the existing component, but the screens are only shown once it renders RootNavigator
+     * @param {string} appFile - Path of the app entry relative to the project root
+     * @param {string} content - Its content after patchAppEntry()
+     */
+    logAppEntryHints(appFile, content) {
+        if (!this.config.navigationSetup || content.includes('<RootNavigator')) {
+            return;
+        }
+        const session = usesAuth(this.config)
+            ? 'with isSignedIn read from useSession() (@features/auth/useAuth)'
+            : 'with your session state as isSignedIn';
+        console.log(chalk.yellow(`⚠️  ${appFile} now mounts NavigationContainer: render <RootNavigator /> (@navigation/RootNavigator) in it ${session} to show the generated screens.`));
+    }
+
+    /**
+     * Setup State Management solution
+     */
+    async setupStateManagement() {
+        const files = this.stateManagementFiles()[this.config.stateManagement] || [];
+        for (const file of files) {
+            const content = file.path === this.srcPath('store/index.ts') ? this.keepRegisteredReducers(file.path, file.content) : file.content;
+            await this.writer.writeFile(file.path, content, { label: 'state management file', color: chalk.cyan });
+        }
+    }
+
+    /**
+     * Carry the slices registered in an existing Redux store (e.g. by `generate feature`)
+     * over to a newly rendered one, so re-running the step does not unregister them
+     * @param {string} storePath - Path of the store relative to the project root
+     * @param {string} content - Newly rendered store
+     * @returns {string}
+     */
+    keepRegisteredReducers(storePath, content) {
+        const fullPath = path.join(this.rootPath, storePath);
+        if (!fs.existsSync(fullPath)) {
+            return content;
+        }
+
+        const existing = fs.readFileSync(fullPath, 'utf8');
+        const entries = existing.matchAll(/^\s*(\w+): (\w+Reducer),$/gm);
+        return Array.from(entries).reduce((updated, [, key, reducer]) => {
+            const importLine = existing.match(new RegExp(`^import ${reducer} from .*$`, 'm'));
+            return importLine ? (addReducer(updated, key, importLine[0]) || updated) : updated;
+        }, content);
+    }
+
+    /**
+     * Files of each state management solution
+     * @returns {Object<string, Array<{path: string, content: string}>>}
+     */
+    stateManagementFiles() {
+        return {
+            'Redux Toolkit': [
+                {
+                    path: this.srcPath('store/index.ts'),
+                    content: this.renderSource('state/redux/store.ts', {
+                        ...persistenceContext(this.config),
+                        rtkQuery: Boolean(this.config.rtkQuery),
+                        auth: usesAuth(this.config)
+                    })
+                },
+                {
+                    path: this.srcPath('store/slices/exampleSlice.ts'),
+                    content: this.renderSource('state/redux/exampleSlice.ts')
+                },
+                {
+                    path: this.srcPath('hooks/redux.ts'),
+                    content: this.renderSource('state/redux/hooks.ts')
+                },
+                ...(this.config.rtkQuery ? [{
+                    path: this.srcPath('service/api.ts'),
+                    content: this.renderSource('state/redux/api.ts', {
+                        apiBaseUrl: this.config.apiBaseUrl || DEFAULT_API_BASE_URL,
+                        env: Boolean(this.config.env)
+                    })
+                }] : [])
+            ],
+            'Zustand': [
+                {
+                    path: this.srcPath('store/zustand/exampleStore.ts'),
+                    content: this.renderSource('state/zustand/exampleStore.ts', persistenceContext(this.config))
+                }
+            ],
+            'Context API': [
+                {
+                    path: this.srcPath('context/providers/ExampleProvider.tsx'),
+                    content: this.renderSource('state/context/ExampleProvider.tsx', persistenceContext(this.config))
+                }
+            ]
+        };
+    }
+
+
+    /**
+     * Write the storage adapter the persisted store is saved with (see lib/persistence.js)
+     */
+    async setupPersistence() {
+        await this.writer.writeFile(this.srcPath('utils/persistStorage.ts'), this.generatePersistStorageContent(), {
+            label: 'persistence file',
+            color: chalk.cyan
+        });
+    }
+
+    /**
+     * Write env.schema.json and an env file per environment when missing, the Config module
+     * generated from the schema, and the .gitignore entries of local env files. Existing
+     * schema and env files are kept, so `add env` regenerates the Config module after the
+     * schema changed.
+     */
+    async setupEnv() {
+        const exists = fs.existsSync(path.join(this.rootPath, ENV_SCHEMA_FILE));
+        const data = exists ? null : defaultEnvSchema(this.config.apiBaseUrl || DEFAULT_API_BASE_URL);
+        if (data) {
+            await this.writer.writeFile(ENV_SCHEMA_FILE, `${JSON.stringify(data, null, 2)}\n`, { label: 'env schema', color: chalk.cyan });
+        }
+        const schema = data ? normalizeEnvSchema(data) : readEnvSchema(this.rootPath);
+        const expo = this.project.isExpo;
+
+        for (const environment of ENVIRONMENTS) {
+            const file = `.env.${environment}`;
+            if (!fs.existsSync(path.join(this.rootPath, file))) {
+                await this.writer.writeFile(file, this.templates.render('env/env', envFileContext(schema, environment, expo)), {
+                    label: 'env file',
+                    color: chalk.cyan
+                });
+            }
+        }
+
+        await this.writer.writeFile(this.srcPath('constants/config.ts'), this.renderSource('env/config.ts', configContext(schema, expo)), {
+            label: 'env config',
+            color: chalk.cyan
+        });
+        await this.addGitignoreEntries(ENV_GITIGNORE, '# Local env files (see env.schema.json)');
+    }
+
+    /**
+     * Append the entries .gitignore does not have yet, under a comment (creating the file if needed)
+     * @param {string[]} entries - Patterns, e.g. ".env.local"
+     * @param {string} comment - Line above the added entries
+     */
+    async addGitignoreEntries(entries, comment) {
+        const fullPath = path.join(this.rootPath, '.gitignore');
+        const existing = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : '';
+        const lines = existing.split(/\r?\n/).map(line => line.trim());
+        const missing = entries.filter(entry => !lines.includes(entry));
+        if (missing.length === 0) {
+            return;
+        }
+
+        const separator = existing === '' ? '' : `${existing.endsWith('\n') ? '' : '\n'}\n`;
+        await this.writer.writeFile('.gitignore', `${existing}${separator}${comment}\n${missing.join('\n')}\n`, {
+            label: '.gitignore',
+            color: chalk.gray,
+            merge: true
+        });
+    }
+
+    /**
+     * Write the API client in src/service
+     */
+    async setupApiClient() {
+        const files = this.apiClientFiles()[this.config.apiClient] || [];
+        for (const file of files) {
+            await this.writer.writeFile(file.path, file.content, { label: 'API service file', color: chalk.blue });
+        }
+    }
+
+    /**
+     * Files of each API client: both share one layout and differ in the transport.
+     * The bearer token is kept with the chosen storage solution, or in memory without one.
+     * @returns {Object<string, Array<{path: string, content: string}>>}
+     */
+    apiClientFiles() {
+        const files = axios => {
+            const context = {
+                axios,
+                apiBaseUrl: this.config.apiBaseUrl || DEFAULT_API_BASE_URL,
+                env: Boolean(this.config.env),
+                ...this.storageContext()
+            };
+            return [
+                ['service/config.ts', 'service/config.ts'],
+                ['service/http/errors.ts', 'service/errors.ts'],
+                ['service/http/client.ts', 'service/client.ts'],
+                ['service/http/tokenStorage.ts', 'service/tokenStorage.ts'],
+                ['service/endpoints/todos.ts', 'service/todos.ts'],
+                ['service/index.ts', 'service/index.ts'],
+                ['service/__tests__/client.test.ts', 'service/client.test.ts']
+            ].map(([file, template]) => ({ path: this.srcPath(file), content: this.renderSource(template, context) }));
+        };
+
+        return {
+            'Fetch': files(false),
+            'Axios': files(true)
+        };
+    }
+
+    /**
+     * Write the auth feature: login, register and forgot-password screens, the form components
+     * they use, and the session, saved with the chosen storage and held in a store of the chosen
+     * state management. An existing navigator and Redux store are patched, so routes added with
+     * `generate screen` and registered slices stay.
+     */
+    async setupAuth() {
+        const files = [...this.authFiles(), ...this.authStateFiles()[authStateChoice(this.config)]];
+        for (const file of files) {
+            await this.writer.writeFile(file.path, file.content, { label: 'auth file', color: chalk.blue });
+        }
+
+        const barrelPath = this.srcPath('features/auth/index.ts');
+        await this.addBarrelExports(barrelPath, [
+            "export { default as LoginScreen } from './LoginScreen';",
+            "export { default as RegisterScreen } from './RegisterScreen';",
+            "export { default as ForgotPasswordScreen } from './ForgotPasswordScreen';",
+            "export { useAuth, useSession } from './useAuth';",
+            ...(this.config.language === LANGUAGES.js ? [] : ["export type { Auth, AuthStatus, Session, User } from './types';"])
+        ]);
+
+        if (this.config.stateManagement === 'Redux Toolkit') {
+            await this.registerAuthReducer();
+        }
+        await this.addAuthRoutes();
+    }
+
+    /**
+     * Files of the auth feature shared by every state management choice
+     * @returns {Array<{path: string, content: string}>}
+     */
+    authFiles() {
+        const context = {
+            apiClient: Boolean(this.config.apiClient && this.config.apiClient !== 'None'),
+            navigationTypes: this.relativeImport('features/auth/LoginScreen.tsx', 'types/navigation'),
+            formsModule: moduleSpecifier(this.layout, this.layout.roles.forms),
+            ...this.storageContext()
+        };
+        const feature = [
+            'types.ts',
+            'authApi.ts',
+            'authStorage.ts',
+            'authService.ts',
+            'validation.ts',
+            'auth.styles.ts',
+            'LoginScreen.tsx',
+            'RegisterScreen.tsx',
+            'ForgotPasswordScreen.tsx'
+        ].map(file => ({ path: this.srcPath(`features/auth/${file}`), content: this.renderSource(`auth/${file}`, context) }));
+        const forms = ['TextField', 'SubmitButton'].flatMap(component => [
+            {
+                path: this.srcPath(`components/forms/${component}/${component}.tsx`),
+                content: this.renderSource(`forms/${component}.tsx`)
+            },
+            {
+                path: this.srcPath(`components/forms/${component}/${component}.styles.ts`),
+                content: this.renderSource(`forms/${component}.styles.ts`)
+            },
+            {
+                path: this.srcPath(`components/forms/${component}/index.ts`),
+                content: `export { default } from './${component}';\n`
+            }
+        ]);
+
+        return [
+            ...feature,
+            {
+                path: this.srcPath('features/auth/__tests__/validation.test.ts'),
+                content: this.renderSource('auth/validation.test.ts')
+            },
+            ...forms
+        ];
+    }
+
+    /**
+     * Auth files of each state management solution: the session store, the useAuth hook
+     * reading it, and the test rendering the screens with it
+     * @returns {Object<string, Array<{path: string, content: string}>>}
+     */
+    authStateFiles() {
+        const files = (flavor, store) => {
+            const context = { redux: flavor === 'redux', zustand: flavor === 'zustand', context: flavor === 'context' };
+            return [
+                { path: this.srcPath(store.path), content: this.renderSource(store.template) },
+                { path: this.srcPath('features/auth/useAuth.ts'), content: this.renderSource('auth/useAuth.ts', context) },
+                { path: this.srcPath('features/auth/__tests__/auth.test.tsx'), content: this.renderSource('auth/auth.test.tsx', context) }
+            ];
+        };
+
+        return {
+            'Redux Toolkit': files('redux', { path: 'store/slices/authSlice.ts', template: 'auth/authSlice.ts' }),
+            'Zustand': files('zustand', { path: 'store/zustand/authStore.ts', template: 'auth/authStore.ts' }),
+            'Context API': files('context', { path: 'context/providers/AuthProvider.tsx', template: 'auth/AuthProvider.tsx' })
+        };
+    }
+
+    /**
+     * Append export lines missing from a barrel file (created when missing)
+     * @param {string} relPath - Barrel path relative to the project root
+     * @param {string[]} lines - Export statements
+     */
+    async addBarrelExports(relPath, lines) {
+        const fullPath = path.join(this.rootPath, relPath);
+        const existing = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : '';
+        const missing = lines.filter(line => !existing.split('\n').includes(line));
+        if (missing.length === 0) {
+            return;
+        }
+
+        const content = `${existing}${existing && !existing.endsWith('\n') ? '\n' : ''}${missing.join('\n')}\n`;
+        await this.writer.writeFile(relPath, content, { label: 'barrel', merge: true });
+    }
+
+    /**
+     * Register the auth slice in an existing Redux store (a newly rendered store has it already)
+     */
+    async registerAuthReducer() {
+        const storePath = this.srcPath('store/index.ts');
+        const fullPath = path.join(this.rootPath, storePath);
+        if (!fs.existsSync(fullPath)) {
+            return;
+        }
+
+        const store = fs.readFileSync(fullPath, 'utf8');
+        const updated = addReducer(store, 'auth', "import authReducer from './slices/authSlice';");
+        if (updated === null) {
+            console.log(chalk.yellow(`⚠️  No combineReducers found in ${storePath}: register the auth reducer (store/slices/authSlice) yourself.`));
+            return;
+        }
+        if (updated !== store) {
+            await this.writer.writeFile(storePath, updated, { label: 'store', color: chalk.cyan, merge: true });
+        }
+    }
+
+    /**
+     * Add the Register and ForgotPassword routes to an existing Auth stack and its param list.
+     * Files rendered in this run have them already; the others are patched in place.
+     */
+    async addAuthRoutes() {
+        const typesPath = this.srcPath('types/navigation.ts');
+        const navigatorPath = this.srcPath('navigation/RootNavigator.tsx');
+        const read = relPath => {
+            const fullPath = path.join(this.rootPath, relPath);
+            return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+        };
+        const types = read(typesPath);
+        const navigator = read(navigatorPath);
+        if (types === null || navigator === null) {
+            return;
+        }
+
+        const routes = [
+            { routeName: 'Register', screen: 'RegisterScreen', title: 'Create account' },
+            { routeName: 'ForgotPassword', screen: 'ForgotPasswordScreen', title: 'Forgot password' }
+        ];
+        let updatedTypes = types;
+        let updatedNavigator = navigator;
+        for (const { routeName, screen, title } of routes) {
+            updatedTypes = updatedTypes && addRouteType(updatedTypes, 'Auth', routeName, { language: this.config.language });
+            updatedNavigator = updatedNavigator && addStackScreen(updatedNavigator, 'Auth', {
+                routeName,
+                element: `<AuthStack.Screen name="${routeName}" component={${screen}} options={{ title: '${title}' }} />`,
+                importLine: `import ${screen} from '@features/auth/${screen}';`
+            });
+        }
+        if (!updatedTypes || !updatedNavigator) {
+            console.log(chalk.yellow(`⚠️  No Auth stack found in ${typesPath} and ${navigatorPath}: add the Register and ForgotPassword screens to your navigator yourself.`));
+            return;
+        }
+
+        if (updatedTypes !== types) {
+            await this.writer.writeFile(typesPath, updatedTypes, { label: 'navigation types', color: chalk.magenta, merge: true });
+        }
+        if (updatedNavigator !== navigator) {
+            await this.writer.writeFile(navigatorPath, updatedNavigator, { label: 'navigator', color: chalk.magenta, merge: true });
+        }
+    }
+
+    /**
+     * Write the media utility with the adapter of the chosen picker library
+     */
+    async setupMedia() {
+        const files = this.mediaFiles()[this.config.mediaLibrary] || [];
+        for (const file of files) {
+            await this.writer.writeFile(file.path, file.content, { label: 'utility file', color: chalk.yellow });
+        }
+    }
+
+    /**
+     * Files of each media picker library: MediaHandler and the permission flow are shared,
+     * the adapter wraps the library
+     * @returns {Object<string, Array<{path: string, content: string}>>}
+     */
+    mediaFiles() {
+        const files = adapter => {
+            const context = { adapter, cropPicker: adapter === 'cropPickerAdapter' };
+            return [
+                'utils/permissions.ts',
+                'utils/media/types.ts',
+                `utils/media/${adapter}.ts`,
+                'utils/MediaHandler.ts'
+            ].map(file => ({ path: this.srcPath(file), content: this.renderSource(file, context) }));
+        };
+
+        return {
+            'React Native Image Picker': files('imagePickerAdapter'),
+            'React Native Image Crop Picker': files('cropPickerAdapter')
+        };
+    }
+
+    /**
+     * Template values of the generated storage util that other files save their data with
+     * (null without a storage solution)
+     * @returns {{storageUtil: string|null, storageImport: string|null}}
+     */
+    storageContext() {
+        const storage = PERSIST_STORAGES[this.config.storageType];
+        return {
+            storageUtil: storage ? storage.util : null,
+            storageImport: storage ? storage.module.replace('./', '@utils/') : null
+        };
+    }
+
+    /**
+     * Write the i18next setup in src/i18n. The base locale and the list of locales hold the
+     * app's translations, so existing ones are kept; the setup itself follows the storage choice.
+     */
+    async setupI18n() {
+        await this.writeBaseLocale(this.srcPath('i18n/locales/en.json'));
+
+        const keep = [this.srcPath('i18n/resources.ts')];
+        const files = [
+            {
+                path: this.srcPath('i18n/resources.ts'),
+                content: this.renderSource('i18n/resources.ts')
+            },
+            {
+                path: this.srcPath('i18n/index.ts'),
+                content: this.renderSource('i18n/index.ts', this.storageContext())
+            },
+            {
+                // A declaration file in either language, for type-safe keys in the editor
+                path: path.posix.join(this.config.srcDir, layoutPath(this.layout, 'types/i18next.d.ts')),
+                content: this.templates.render('i18n/i18next.d.ts', { enLocale: this.relativeImport('types/i18next.d.ts', 'i18n/locales/en.json') })
+            }
+        ];
+
+        for (const file of files) {
+            if (keep.includes(file.path) && fs.existsSync(path.join(this.rootPath, file.path))) {
+                console.log(chalk.gray(`Kept existing translations file: ${file.path}`));
+                continue;
+            }
+            await this.writer.writeFile(file.path, file.content, { label: 'i18n file', color: chalk.blue });
+        }
+    }
+
     /**
-     * Clear all items in AsyncStorage
+     * Write the base locale, or add the titles of placeholder screens written in this run
+     * (e.g. by `add bottom-tabs`) to the existing one, keeping its translations
+     * @param {string} localePath - Path relative to the project root
      */
-    static async clearAll(): Promise<void> {
+    async writeBaseLocale(localePath) {
+        const fullPath = path.join(this.rootPath, localePath);
+        if (!fs.existsSync(fullPath)) {
+            await this.writer.writeFile(localePath, this.generateBaseLocaleContent(), { label: 'i18n file', color: chalk.blue });
+            return;
+        }
+
+        let locale;
         try {
-        await AsyncStorage.clear();
-        console.log('✅ Successfully cleared all AsyncStorage items');
+            locale = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
         } catch (error) {
-        console.error('❌ Error clearing AsyncStorage:', error);
+            throw new ScaffolderError(`${localePath} is not valid JSON: ${error.message}`);
         }
+        const added = [...this.screenTitles].filter(([key]) => {
+            const [group, name] = key.split('.');
+            return !(locale[group] && typeof locale[group] === 'object' && name in locale[group]);
+        });
+        if (added.length === 0 || (locale.screens !== undefined && typeof locale.screens !== 'object')) {
+            console.log(chalk.gray(`Kept existing translations file: ${localePath}`));
+            return;
+        }
+
+        added.forEach(([key, title]) => {
+            const [group, name] = key.split('.');
+            locale[group] = { ...locale[group], [name]: title };
+        });
+        await this.writer.writeFile(localePath, `${JSON.stringify(locale, null, 2)}\n`, { label: 'i18n file', color: chalk.blue, merge: true });
     }
-    }
-    
-    export default StorageUtil;
-      `;
+
+    /**
+     * Write the theme in src/theme. Existing tokens are kept, since they may be edited or
+     * imported; `rn-scaffold theme import` rewrites them from the design-tokens file.
+     */
+    async setupTheme() {
+        const tokensPath = this.srcPath('theme/tokens.ts');
+        if (fs.existsSync(path.join(this.rootPath, tokensPath))) {
+            console.log(chalk.gray(`Kept existing theme tokens: ${tokensPath}`));
+        } else {
+            await this.writer.writeFile(tokensPath, this.generateThemeTokensContent(), { label: 'theme file', color: chalk.magenta });
+        }
+
+        const files = [
+            ['theme/themes.ts', 'theme/themes.ts', {}],
+            ['theme/ThemeProvider.tsx', 'theme/ThemeProvider.tsx', this.storageContext()],
+            ['theme/makeStyles.ts', 'theme/makeStyles.ts', {}],
+            ['theme/index.ts', 'theme/index.ts', {}]
+        ];
+        for (const [file, template, context] of files) {
+            await this.writer.writeFile(this.srcPath(file), this.renderSource(template, context), { label: 'theme file', color: chalk.magenta });
+        }
     }
 
-    generateMMKVStorageContent() {
-        return `import { MMKV } from 'react-native-mmkv';
-        
-        /**
-         * A utility class for managing MMKV storage.
-         */
-        const storage = new MMKV();
-        
-        class MMKVStorageUtil {
-            /**
-             * Set a value in MMKV storage.
-             * @param key - The key to store the value under.
-             * @param value - The value to store.
-             */
-            static setItem(key: string, value: string): void {
-            try {
-                storage.set(key, value);
-                console.log(\`✅ Successfully saved item with key: \${key}\`);
-            } catch (error) {
-                console.error(\`❌ Error saving item to MMKV with key \${key}:\`, error);
+    /**
+     * Re-import the theme tokens from a design-tokens JSON file, e.g. after the designers
+     * exported it again: `rn-scaffold theme import [file]`
+     * @param {string} [file] - JSON file relative to the project root; defaults to the saved themeTokens
+     */
+    async importTheme(file) {
+        console.log(chalk.bold.magenta('🚀 React Native Maker (Project Scaffolder)'));
+
+        try {
+            this.project = checkProject(this.rootPath, { force: this.options.force });
+            this.loadConfiguration({ saved: true });
+            if (!this.config.theme) {
+                throw new ScaffolderError('No theme set up yet. Add it with: rn-scaffold add theme');
             }
+            if (file) {
+                this.config.themeTokens = file;
             }
-        
-            /**
-             * Get a value from MMKV storage.
-             * @param key - The key to fetch value from.
-             * @returns The value or null if not found.
-             */
-            static getItem(key: string): string | null {
-            try {
-                const value = storage.getString(key);
-                console.log(\`✅ Successfully fetched item with key: \${key}\`);
-                return value;
-            } catch (error) {
-                console.error(\`❌ Error fetching item from MMKV with key \${key}:\`, error);
-                return null;
+            if (!this.config.themeTokens) {
+                throw new ScaffolderError('Missing file. Usage: rn-scaffold theme import <design-tokens.json>');
             }
+
+            this.templates = new TemplateRenderer([
+                ...resolveTemplateDirs(this.rootPath, this.config.templatesDir),
+                ...this.plugins.filter(plugin => plugin.templates).map(plugin => plugin.templates)
+            ]);
+            this.writer = new FileWriter(this.rootPath, {
+                dryRun: Boolean(this.options.dryRun),
+                conflict: this.options.conflict,
+                ask: question => this.ask(question),
+                generated: generatedHashes(this.rootPath)
+            });
+
+            await this.writer.writeFile(this.srcPath('theme/tokens.ts'), this.generateThemeTokensContent(), { label: 'theme file', color: chalk.magenta });
+            await this.saveConfig();
+            this.finishRun(`theme import ${this.config.themeTokens}`, `Imported the theme tokens from ${this.config.themeTokens}`);
+        } catch (error) {
+            reportError('Theme import', error);
+            if (this.writer) {
+                this.writer.rollback();
             }
-        
-            /**
-             * Delete an item from MMKV storage.
-             * @param key - The key to delete.
-             */
-            static deleteItem(key: string): void {
-            try {
-                storage.delete(key);
-                console.log(\`✅ Successfully deleted item with key: \${key}\`);
-            } catch (error) {
-                console.error(\`❌ Error deleting item from MMKV with key \${key}:\`, error);
+        }
+    }
+
+    /**
+     * Create utility files
+     */
+    async createUtilityFiles() {
+        const utilFiles = [
+            {
+                path: this.srcPath('utils/responsive-screen.ts'),
+                content: this.generateResponsiveScreenContent()
+            },
+            {
+                path: this.srcPath('utils/__tests__/responsive-screen.test.tsx'),
+                content: this.renderSource('utils/responsive-screen.test.tsx')
+            }
+        ];
+
+        for (const file of utilFiles) {
+            await this.writer.writeFile(file.path, file.content, { label: 'utility file', color: chalk.yellow });
+        }
+    }
+
+    /**
+     * Set up Jest: jest.config.js with the path aliases, the setup file mocking the native modules
+     * of the chosen options, test-utils with renderWithProviders, and starter tests for the
+     * storage utility and the store. Re-running it (`rn-scaffold add jest`) adds aliases and
+     * mocks of options added since.
+     */
+    async setupJest() {
+        const files = [
+            ...this.jestSupportFiles(),
+            ...(this.jestChoiceFiles('storageType')[this.config.storageType] || []),
+            ...(this.jestChoiceFiles('stateManagement')[this.config.stateManagement] || [])
+        ];
+        // Each choice list holds the shared files as well
+        const unique = files.filter((file, index) => files.findIndex(other => other.path === file.path) === index);
+        for (const file of unique) {
+            await this.writer.writeFile(file.path, file.content, { label: 'test file', color: chalk.green });
+        }
+
+        await this.createJestConfig();
+    }
+
+    /**
+     * Files every Jest setup has: the setup file and test-utils
+     * @returns {Array<{path: string, content: string}>}
+     */
+    jestSupportFiles() {
+        const context = this.jestContext();
+        return [
+            { path: withLanguageExtension('jest.setup.ts', this.config.language), content: this.renderSource('jest/jest.setup.ts', context) },
+            { path: this.srcPath('utils/test-utils/index.tsx'), content: this.renderSource('jest/test-utils.tsx', context) },
+            ...(context.navigation ? [{
+                path: this.srcPath('utils/test-utils/navigation.ts'),
+                content: this.renderSource('jest/navigation.ts')
+            }] : [])
+        ];
+    }
+
+    /**
+     * Starter tests of each storage or state management choice, with the files shared by all
+     * choices, which render differently for each
+     * @param {string} key - "storageType" or "stateManagement"
+     * @returns {Object<string, Array<{path: string, content: string}>>} Keyed by choice
+     */
+    jestChoiceFiles(key) {
+        const tests = key === 'storageType' ? {
+            'Async Storage': [['utils/__tests__/asyncStorage.test.ts', 'jest/asyncStorage.test.ts']],
+            'React Native MMKV': [['utils/__tests__/mmkvStorage.test.ts', 'jest/mmkvStorage.test.ts']]
+        } : {
+            'Redux Toolkit': [['store/__tests__/store.test.tsx', 'jest/store.test.tsx']],
+            'Zustand': [['store/zustand/__tests__/exampleStore.test.ts', 'jest/exampleStore.test.ts']],
+            'Context API': [['context/providers/__tests__/ExampleProvider.test.tsx', 'jest/ExampleProvider.test.tsx']]
+        };
+
+        const files = {};
+        Object.entries(tests).forEach(([choice, entries]) => {
+            files[choice] = [
+                ...this.jestSupportFiles(),
+                ...entries.map(([file, template]) => ({ path: this.srcPath(file), content: this.renderSource(template) }))
+            ];
+        });
+        // Zustand stores are reset after every test by a mock of the package, next to node_modules
+        if (files['Zustand']) files['Zustand'].push({
+            path: withLanguageExtension('__mocks__/zustand.ts', this.config.language),
+            content: this.renderSource('jest/zustand.ts')
+        });
+        return files;
+    }
+
+    /**
+     * Template values of the Jest files: what to mock and which providers to render with
+     * @returns {object}
+     */
+    jestContext() {
+        const redux = this.config.stateManagement === 'Redux Toolkit';
+        const theme = Boolean(this.config.theme);
+        return {
+            asyncStorage: this.config.storageType === 'Async Storage',
+            mmkv: this.config.storageType === 'React Native MMKV',
+            navigation: Boolean(this.config.navigationSetup || this.config.bottomNavigation),
+            redux,
+            reduxPersist: redux && usesPersistence(this.config),
+            rtkQuery: redux && Boolean(this.config.rtkQuery),
+            context: this.config.stateManagement === 'Context API',
+            authProvider: usesAuth(this.config) && authStateChoice(this.config) === 'Context API',
+            theme,
+            i18n: Boolean(this.config.i18n),
+            media: Boolean(this.config.mediaLibrary && this.config.mediaLibrary !== 'None'),
+            env: Boolean(this.config.env),
+            expo: this.project.isExpo,
+            providerOptions: redux || theme
+        };
+    }
+
+    /**
+     * Create jest.config.js with the Jest options, or add them to the existing Jest config
+     * (jest.config.js or the "jest" field of package.json). Options already set are kept,
+     * except that missing path aliases are added to moduleNameMapper, and the packages Babel
+     * has to transform for the chosen options to transformIgnorePatterns.
+     */
+    async createJestConfig() {
+        const options = jestOptions({
+            moduleNameMapper: toJestModuleNameMapper(withSourceDir(layoutAliases(this.layout), this.config.srcDir)),
+            setupFile: withLanguageExtension('jest.setup.ts', this.config.language),
+            config: this.config,
+            expo: this.project.isExpo
+        });
+        const configFile = JEST_CONFIG_FILES.find(file => fs.existsSync(path.join(this.rootPath, file)));
+        const packageJson = this.readPackageJson();
+
+        if (configFile === 'jest.config.js') {
+            const merged = mergeJestConfig(fs.readFileSync(path.join(this.rootPath, configFile), 'utf8'), options);
+            if (merged !== null) {
+                await this.writer.writeFile(configFile, merged, { label: 'Jest config', color: chalk.green, merge: true });
+                return;
             }
+        } else if (!configFile && packageJson && packageJson.jest) {
+            const patterns = packageJson.jest.transformIgnorePatterns;
+            await this.updatePackageJson({ jest: options }, merged => {
+                if (Array.isArray(patterns)) {
+                    merged.jest.transformIgnorePatterns = mergeTransformIgnorePatterns(patterns, options.transformIgnorePatterns);
+                }
+            });
+            return;
+        } else if (!configFile) {
+            await this.writer.writeFile('jest.config.js', generateJestConfig(options), { label: 'Jest config', color: chalk.green });
+            return;
+        }
+
+        console.log(chalk.yellow(`⚠️  Could not update ${configFile} automatically. Add these options to it:`));
+        console.log(generateJestConfig(options));
+    }
+
+    /**
+     * Save the chosen options for later `add` and `generate` runs (see SAVED_CONFIG_FILE in lib/config.js)
+     */
+    async saveConfig() {
+        const saved = serializeConfig(this.config, this.plugins);
+        await this.writer.writeFile(SAVED_CONFIG_FILE, `${JSON.stringify(saved, null, 2)}\n`, {
+            label: 'saved config',
+            color: chalk.gray,
+            merge: true
+        });
+    }
+
+    /**
+     * Create TypeScript Configuration (jsconfig.json with the same path aliases in JavaScript mode)
+     */
+    async createTsConfig() {
+        const javascript = this.config.language === LANGUAGES.js;
+        const configFile = javascript ? 'jsconfig.json' : 'tsconfig.json';
+        const configPath = path.join(this.rootPath, configFile);
+        const baseUrl = `./${this.config.srcDir}`;
+        const paths = toTsPaths(withSourceDir(layoutAliases(this.layout), this.config.srcDir), baseUrl);
+        const defaultConfig = javascript ? {
+            compilerOptions: {
+                target: "esnext",
+                module: "esnext",
+                moduleResolution: "node",
+                // Metro imports JSON files, e.g. the locales in src/i18n
+                resolveJsonModule: true,
+                jsx: "react-native",
+                baseUrl,
+                paths
+            },
+            exclude: ["node_modules", "android", "ios"]
+        } : {
+            extends: this.project.isExpo ? "expo/tsconfig.base" : "@react-native/typescript-config/tsconfig.json",
+            compilerOptions: {
+                typeRoots: ["node_modules/@types", this.srcPath('types')],
+                types: ["jest"],
+                baseUrl,
+                paths
             }
-        
-            /**
-             * Clear all data in MMKV storage.
-             */
-            static clearAll(): void {
+        };
+
+        let config = defaultConfig;
+        if (fs.existsSync(configPath)) {
+            let existing;
             try {
-                storage.clearAll();
-                console.log('✅ Successfully cleared all MMKV storage items');
+                existing = parseJsonc(fs.readFileSync(configPath, 'utf8'));
             } catch (error) {
-                console.error('❌ Error clearing MMKV storage:', error);
-            }
+                throw new ScaffolderError(`Could not parse the existing ${configFile}: ${error.message}`);
             }
+            // Keep the project's own compilerOptions, includes and excludes; only add what is missing
+            config = mergeDefaults(existing, this.rebaseTsPaths(defaultConfig, existing));
         }
-        
-        export default MMKVStorageUtil;
-      `;
+
+        await this.writer.writeFile(configFile, `${JSON.stringify(config, null, 2)}\n`, {
+            label: javascript ? 'JavaScript config' : 'TypeScript config',
+            color: chalk.blue,
+            merge: true
+        });
     }
 
+    /**
+     * Create babel.config.js with module-resolver aliases, or add them to the existing one
+     */
+    async createBabelConfig() {
+        const babelConfigPath = path.join(this.rootPath, 'babel.config.js');
+        const aliases = toBabelAliases(withSourceDir(layoutAliases(this.layout), this.config.srcDir));
+        const options = { root: `./${this.config.srcDir}`, expo: this.project.isExpo };
 
-    generateRootNavigatorContent() {
-        return `// Root Navigator Placeholder`;
+        if (!fs.existsSync(babelConfigPath)) {
+            await this.writer.writeFile('babel.config.js', generateBabelConfig(aliases, options), { label: 'Babel config', color: chalk.blue });
+        } else {
+            const merged = mergeBabelConfig(fs.readFileSync(babelConfigPath, 'utf8'), aliases, options);
+            if (merged === null) {
+                console.log(chalk.yellow('⚠️  Could not update babel.config.js automatically. Add this plugin to it:'));
+                console.log(generateBabelConfig(aliases, options));
+            } else {
+                await this.writer.writeFile('babel.config.js', merged, { label: 'Babel config', color: chalk.blue, merge: true });
+            }
+        }
     }
 
-    generateNavigationRefContent() {
-        return `import { NavigationContainerRef, createNavigationContainerRef } from '@react-navigation/native';
-      
-      /**
-       * Create a navigation reference to use outside of React components.
-       */
-      export const navigationRef: NavigationContainerRef = createNavigationContainerRef();
-      
-      /**
-       * Navigate to a specific route.
-       * @param routeName - The name of the route to navigate to.
-       * @param params - The params to pass to the route.
-       */
-      export function navigate(routeName: string, params?: Record<string, any>): void {
-        if (navigationRef.isReady()) {
-          navigationRef.navigate(routeName, params);
-        } else {
-          console.error('Navigation is not ready');
-        }
-      }
-      
-      /**
-       * Go back to the previous route.
-       */
-      export function goBack(): void {
-        if (navigationRef.canGoBack()) {
-          navigationRef.goBack();
-        } else {
-          console.error('No routes to go back to');
-        }
-      }
-      
-      /**
-       * Reset the navigation stack to a new route.
-       * @param routes - The list of routes to reset to.
-       */
-      export function resetNavigationStack(routes: Array<{ name: string; params?: Record<string, any> }>): void {
-        if (navigationRef.isReady()) {
-          navigationRef.reset({
-            index: routes.length - 1,
-            routes,
-          });
+    /**
+     * Add the packages required by the chosen options to package.json and print what changed.
+     * Ranges already in package.json are kept.
+     */
+    async writeDependencies() {
+        const packageJson = this.readPackageJson();
+        const wanted = mergeDependencySets(
+            collectDependencies(this.config, this.project),
+            ...this.extraDependencies
+        );
+
+        if (!packageJson) {
+            const list = [...Object.entries(wanted.dependencies), ...Object.entries(wanted.devDependencies)]
+                .map(([name, version]) => `${name}@${version}`);
+            console.log(chalk.yellow('⚠️  No package.json found, install these yourself:'), list.join(' '));
+            return;
+        }
+
+        const { added, kept } = diffDependencies(packageJson, wanted);
+        if (added.length === 0) {
+            console.log(chalk.gray('All required dependencies are already in package.json'));
         } else {
-          console.error('Navigation is not ready');
+            const additions = {};
+            added.forEach(({ field, name, version }) => {
+                additions[field] = { ...additions[field], [name]: version };
+            });
+            await this.updatePackageJson(additions);
+
+            ['dependencies', 'devDependencies'].forEach(field => {
+                const names = added.filter(entry => entry.field === field).map(({ name, version }) => `${name}@${version}`);
+                if (names.length > 0) {
+                    console.log(chalk.blue(`  + ${field}: ${names.join(', ')}`));
+                }
+            });
+        }
+
+        kept.forEach(({ name, version, suggested }) => {
+            console.log(chalk.gray(`  = kept ${name}@${version} (scaffolder suggests ${suggested})`));
+        });
+
+        if (added.length > 0 && !this.options.install) {
+            console.log(chalk.yellow('Run your package manager\'s install command (or re-run with --install) to fetch the new dependencies.'));
+        }
+        if (added.length > 0 && this.project.isExpo) {
+            console.log(chalk.yellow('Expo project: run `npx expo install --fix` afterwards to align native package versions with your Expo SDK.'));
+        }
+    }
+
+    /**
+     * Read the project's package.json
+     * @returns {object|null} null when the project has none
+     */
+    readPackageJson() {
+        const packageJsonPath = path.join(this.rootPath, 'package.json');
+        if (!fs.existsSync(packageJsonPath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+        } catch (error) {
+            throw new ScaffolderError(`Could not parse package.json: ${error.message}`);
         }
-      }
-      `;
     }
 
+    /**
+     * Merge entries into the project's package.json without changing existing values.
+     * Dependency maps are kept sorted, like package managers write them.
+     * @param {object} additions - e.g. { devDependencies: { name: version } }
+     * @param {function(object): void} [edit] - Changes existing values of the merged package.json
+     */
+    async updatePackageJson(additions, edit) {
+        const packageJson = this.readPackageJson();
+        if (!packageJson) {
+            console.log(chalk.yellow('⚠️  No package.json found, add these yourself:'), JSON.stringify(additions));
+            return;
+        }
 
-    generateMediaHandlerContent() {
-        return `// Media Handler Utility Placeholder`;
+        const source = fs.readFileSync(path.join(this.rootPath, 'package.json'), 'utf8');
+        const indent = (source.match(/^[ \t]+(?=")/m) || ['  '])[0];
+        const merged = mergeDefaults(packageJson, additions);
+        if (edit) {
+            edit(merged);
+        }
+        ['dependencies', 'devDependencies', 'peerDependencies'].forEach(field => {
+            if (additions[field] && merged[field]) {
+                merged[field] = Object.fromEntries(Object.entries(merged[field]).sort(([a], [b]) => a.localeCompare(b)));
+            }
+        });
+        await this.writer.writeFile('package.json', `${JSON.stringify(merged, null, indent)}\n`, {
+            label: 'dependencies',
+            color: chalk.blue,
+            merge: true
+        });
     }
 
-    generateResponsiveScreenContent() {
-        return `// Responsive Screen Utility Placeholder`;
+    /**
+     * Express the default path aliases relative to the baseUrl of an existing tsconfig.
+     * Without a baseUrl, TypeScript resolves existing paths from the tsconfig directory,
+     * so no baseUrl is added in that case.
+     * @param {object} defaultConfig - tsconfig/jsconfig generated by the scaffolder (baseUrl ./<srcDir>)
+     * @param {object} existing - tsconfig/jsconfig already in the project
+     * @returns {object} defaultConfig with paths valid for the existing baseUrl
+     */
+    rebaseTsPaths(defaultConfig, existing) {
+        const existingOptions = existing.compilerOptions || {};
+        const existingBaseUrl = existingOptions.baseUrl || (existingOptions.paths ? '.' : null);
+
+        if (existingBaseUrl === null || path.posix.normalize(existingBaseUrl) === this.config.srcDir) {
+            return defaultConfig;
+        }
+
+        const { baseUrl, paths, ...compilerOptions } = defaultConfig.compilerOptions;
+        const rebasedPaths = {};
+        Object.entries(paths).forEach(([alias, targets]) => {
+            rebasedPaths[alias] = targets.map(target =>
+                path.posix.relative(existingBaseUrl, path.posix.join(baseUrl, target)) || '.'
+            );
+        });
+
+        // baseUrl is left out: the existing one is kept (or stays absent)
+        return {
+            ...defaultConfig,
+            compilerOptions: { ...compilerOptions, paths: rebasedPaths }
+        };
+    }
+
+    // Content generation methods
+    generateBottomTabContent() {
+        return this.renderSource('navigation/BottomTabNavigator.tsx', {
+            navigationTypes: this.relativeImport('navigation/BottomTabNavigator.tsx', 'types/navigation'),
+            tabs: this.config.tabs,
+            initialTab: this.config.tabs[0].name
+        });
+    }
+
+    generateBottomTabIconsContent() {
+        const icons = [...new Set(this.config.tabs.map(tab => tab.icon))]
+            .map(icon => (/^[A-Za-z_$][\w$]*$/.test(icon) ? icon : `'${icon}'`));
+
+        return this.renderSource('navigation/BottomTabIcons.ts', { icons });
+    }
+
+    /**
+     * Placeholder screen showing its title. With i18n the title is a translation, which the
+     * i18n step adds to the base locale.
+     * @param {string} screen - Component name, e.g. "DashboardScreen"
+     * @param {string} title - e.g. "Dashboard"
+     * @returns {string}
+     */
+    generatePlaceholderScreenContent(screen, title) {
+        const titleKey = this.config.i18n ? `screens.${camelCase(screen.replace(/Screen$/, '') || screen)}` : null;
+        if (titleKey) {
+            this.screenTitles.set(titleKey, title);
+        }
+        return this.renderSource('screens/PlaceholderScreen.tsx', { screen, title, titleKey });
+    }
+
+    /**
+     * Base locale holding the texts the generated code translates, so `i18n check` finds
+     * every key in use: the Home placeholder of an app without navigation, and the titles
+     * of the placeholder screens written in this run
+     * @returns {string}
+     */
+    generateBaseLocaleContent() {
+        const screens = [...this.screenTitles].map(([key, title]) => ({ key: key.split('.')[1], title }));
+        return this.templates.render('i18n/en.json', {
+            home: !this.config.navigationSetup,
+            screens,
+            hasScreens: screens.length > 0
+        });
+    }
+
+    generateAsyncStorageContent() {
+        return this.renderSource('storage/asyncStorage.ts');
+    }
+
+    generateMMKVStorageContent() {
+        return this.renderSource('storage/mmkvStorage.ts');
     }
 
+    generatePersistStorageContent() {
+        return this.renderSource('storage/persistStorage.ts', persistenceContext(this.config));
+    }
+
+    generateNavigationTypesContent() {
+        return this.renderSource('navigation/navigationTypes.ts', this.config);
+    }
+
+    generateRootNavigatorContent() {
+        return this.renderSource('navigation/RootNavigator.tsx', {
+            ...this.config,
+            navigationTypes: this.relativeImport('navigation/RootNavigator.tsx', 'types/navigation')
+        });
+    }
+
+    generateNavigationRefContent() {
+        return this.renderSource('navigation/NavigationRef.ts', {
+            navigationTypes: this.relativeImport('navigation/NavigationRef.ts', 'types/navigation')
+        });
+    }
+
+    generateAppContent() {
+        return this.renderSource('app/App.tsx', this.appContext());
+    }
+
+    /**
+     * Options the app entry mounts providers and imports for
+     * @returns {object} Context of the app/App.tsx template
+     */
+    appContext() {
+        const redux = this.config.stateManagement === 'Redux Toolkit';
+        const auth = usesAuth(this.config);
+        return {
+            navigationSetup: this.config.navigationSetup,
+            redux,
+            persist: redux && usesPersistence(this.config),
+            auth,
+            authProvider: auth && authStateChoice(this.config) === 'Context API',
+            i18n: Boolean(this.config.i18n),
+            theme: Boolean(this.config.theme),
+            env: Boolean(this.config.env)
+        };
+    }
+
+    /**
+     * Theme tokens: the built-in ones, merged with those of the design-tokens file if there is one
+     * @returns {string}
+     */
+    generateThemeTokensContent() {
+        let tokens = DEFAULT_TOKENS;
+        if (this.config.themeTokens) {
+            const imported = readDesignTokens(path.resolve(this.rootPath, this.config.themeTokens));
+            tokens = imported.tokens;
+            const counts = Object.entries(imported.counts).map(([part, count]) => `${count} ${part}`).join(', ');
+            console.log(chalk.magenta(`Design tokens from ${this.config.themeTokens}: ${counts}`));
+            imported.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+            if (imported.skipped.length > 0) {
+                const examples = imported.skipped.slice(0, 5).join(', ');
+                console.log(chalk.gray(`Skipped tokens that are no color, spacing, radius or typography (${imported.skipped.length}): ${examples}${imported.skipped.length > 5 ? ', ...' : ''}`));
+            }
+        }
+
+        return this.renderSource('theme/tokens.ts', {
+            source: this.config.themeTokens,
+            lightColors: toObjectLiteral(tokens.colors.light),
+            darkColors: toObjectLiteral(tokens.colors.dark),
+            spacing: toObjectLiteral(tokens.spacing),
+            radius: toObjectLiteral(tokens.radius),
+            typography: toObjectLiteral(tokens.typography),
+            // Typed without `satisfies`, which needs a newer TypeScript than React Native 0.72 ships
+            typographyVariants: Object.keys(tokens.typography).map(name => toObjectLiteral(name)).join(' | ') || 'string'
+        });
+    }
 
+    generateResponsiveScreenContent() {
+        return this.renderSource('utils/responsive-screen.ts', {
+            designWidth: this.config.designWidth || DEFAULT_DESIGN_BASELINE.width,
+            designHeight: this.config.designHeight || DEFAULT_DESIGN_BASELINE.height
+        });
+    }
 }
 
+module.exports = ReactNativeProjectScaffolder;
+
 // CLI entry point
 if (require.main === module) {
-    const scaffolder = new ReactNativeProjectScaffolder();
-    scaffolder.scaffold().catch(console.error);
-}
-
-module.exports = ReactNativeProjectScaffolder;
\ No newline at end of file
+    require('./lib/cli').run(process.argv.slice(2));
+}
\ No newline at end of file
@@ -0,0 +1,230 @@
+import React from 'react';
+<% if env %>
+// Checks the env config before anything renders: a missing or invalid value throws here
+import '@constants/config';
+<% endif %>
+<% if i18n %>
+// Sets up the translations before anything renders
+import '@i18n/index';
+<% endif %>
+<% if navigationSetup %>
+import { NavigationContainer } from '@react-navigation/native';
+<% else %>
+import { <% unless theme %>StyleSheet, <% endunless %>Text, View } from 'react-native';
+<% if i18n %>
+import { useTranslation } from 'react-i18next';
+<% endif %>
+<% endif %>
+<% if redux %>
+import { Provider } from 'react-redux';
+<% if persist %>
+import { PersistGate } from 'redux-persist/integration/react';
+<% endif %>
+<% endif %>
+<% if theme %>
+import { <% unless navigationSetup %>makeStyles, <% endunless %>ThemeProvider<% if navigationSetup %>, useTheme<% endif %> } from '@theme/index';
+<% endif %>
+<% if navigationSetup %>
+import RootNavigator from '@navigation/RootNavigator';
+import { navigationRef } from '@navigation/NavigationRef';
+<% if auth %>
+import { useSession } from '@features/auth/useAuth';
+<% endif %>
+<% if authProvider %>
+import { AuthProvider } from '@context/providers/AuthProvider';
+<% endif %>
+<% endif %>
+<% if redux %>
+<% if persist %>
+import { persistor, store } from '@store/index';
+<% else %>
+import { store } from '@store/index';
+<% endif %>
+<% endif %>
+
+<% unless navigationSetup %>
+<% if theme %>
+const useStyles = makeStyles((theme) => ({
+  container: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: theme.colors.background,
+  },
+  text: {
+    ...theme.typography.body,
+    color: theme.colors.text,
+  },
+}));
+
+<% endif %>
+<% if i18n %>
+const Home = () => {
+  const { t } = useTranslation();
+<% if theme %>
+  const styles = useStyles();
+<% endif %>
+
+  return (
+    <View style={styles.container}>
+      <Text<% if theme %> style={styles.text}<% endif %>>{t('home.placeholder')}</Text>
+    </View>
+  );
+};
+<% else %>
+<% if theme %>
+const Home = () => {
+  const styles = useStyles();
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.text}>Render your first screen here</Text>
+    </View>
+  );
+};
+<% else %>
+const Home = () => (
+  <View style={styles.container}>
+    <Text>Render your first screen here</Text>
+  </View>
+);
+<% endif %>
+<% endif %>
+
+<% endunless %>
+<% if auth %>
+/**
+ * The Auth or the App stack, for the user's session
+ */
+const Navigation = () => {
+  const { isRestoring, isSignedIn } = useSession();
+<% if theme %>
+  const { theme } = useTheme();
+  const navigationTheme = {
+    dark: theme.dark,
+    colors: {
+      primary: theme.colors.primary,
+      background: theme.colors.background,
+      card: theme.colors.surface,
+      text: theme.colors.text,
+      border: theme.colors.border,
+      notification: theme.colors.error,
+    },
+  };
+<% endif %>
+
+  // Nothing is drawn while the saved session is read, so the login screen never flashes by
+  if (isRestoring) {
+    return null;
+  }
+
+  return (
+    <NavigationContainer ref={navigationRef}<% if theme %> theme={navigationTheme}<% endif %>>
+      <RootNavigator isSignedIn={isSignedIn} />
+    </NavigationContainer>
+  );
+};
+
+<% endif %>
+<% if theme %>
+// Inside ThemeProvider, so it can use the theme
+const AppContent = () => {
+<% else %>
+const App = () => {
+<% endif %>
+<% if navigationSetup %>
+<% unless auth %>
+  // Replace with your session state (e.g. a token read from storage)
+  const isSignedIn = false;
+<% if theme %>
+  const { theme } = useTheme();
+  const navigationTheme = {
+    dark: theme.dark,
+    colors: {
+      primary: theme.colors.primary,
+      background: theme.colors.background,
+      card: theme.colors.surface,
+      text: theme.colors.text,
+      border: theme.colors.border,
+      notification: theme.colors.error,
+    },
+  };
+<% endif %>
+
+<% endunless %>
+<% endif %>
+  return (
+<% if redux %>
+    <Provider store={store}>
+<% if persist %>
+      {/* Renders once the saved state is restored */}
+      <PersistGate loading={null} persistor={persistor}>
+<% if auth %>
+        <Navigation />
+<% else %>
+<% if navigationSetup %>
+        <NavigationContainer ref={navigationRef}<% if theme %> theme={navigationTheme}<% endif %>>
+          <RootNavigator isSignedIn={isSignedIn} />
+        </NavigationContainer>
+<% else %>
+        <Home />
+<% endif %>
+<% endif %>
+      </PersistGate>
+<% else %>
+<% if auth %>
+      <Navigation />
+<% else %>
+<% if navigationSetup %>
+      <NavigationContainer ref={navigationRef}<% if theme %> theme={navigationTheme}<% endif %>>
+        <RootNavigator isSignedIn={isSignedIn} />
+      </NavigationContainer>
+<% else %>
+      <Home />
+<% endif %>
+<% endif %>
+<% endif %>
+    </Provider>
+<% else %>
+<% if authProvider %>
+    <AuthProvider>
+      <Navigation />
+    </AuthProvider>
+<% else %>
+<% if auth %>
+    <Navigation />
+<% else %>
+<% if navigationSetup %>
+    <NavigationContainer ref={navigationRef}<% if theme %> theme={navigationTheme}<% endif %>>
+      <RootNavigator isSignedIn={isSignedIn} />
+    </NavigationContainer>
+<% else %>
+    <Home />
+<% endif %>
+<% endif %>
+<% endif %>
+<% endif %>
+  );
+};
+<% if theme %>
+
+const App = () => (
+  <ThemeProvider>
+    <AppContent />
+  </ThemeProvider>
+);
+<% endif %>
+<% unless navigationSetup %>
+<% unless theme %>
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+});
+<% endunless %>
+<% endunless %>
+
+export default App;
@@ -0,0 +1,19 @@
+// Generated by `rn-scaffold assets` from <%= assetsDir %>. Do not edit: add, rename or remove
+// files there and run the command again.
+<% if platformFonts %>
+import { Platform } from 'react-native';
+<% endif %>
+
+// Font family names for `fontFamily`. iOS looks fonts up by their PostScript name,
+// Android by their file name, so fonts where the two differ are picked per platform.
+export const Fonts = {
+<% each fonts %>
+<% if ios %>
+  <%= key %>: Platform.select({ ios: '<%= ios %>', default: '<%= family %>' }),
+<% else %>
+  <%= key %>: '<%= family %>',
+<% endif %>
+<% endeach %>
+} as const;
+
+export type FontName = keyof typeof Fonts;
@@ -0,0 +1,23 @@
+// Generated by `rn-scaffold assets` from <%= assetsDir %>. Do not edit: add, rename or remove
+// files there and run the command again.
+
+// Metro picks the @2x/@3x variant matching the screen density
+const images = {
+<% each images %>
+  <%= key %>: require('<%= source %>'),
+<% endeach %>
+};
+
+const imageIcons = {
+<% each imageIcons %>
+  <%= key %>: require('<%= source %>'),
+<% endeach %>
+};
+
+/** @typedef {keyof typeof images} ImageName */
+/** @typedef {keyof typeof imageIcons} ImageIconName */
+
+/** @type {Record<ImageName, import('react-native').ImageSourcePropType>} */
+export const Images = images;
+/** @type {Record<ImageIconName, import('react-native').ImageSourcePropType>} */
+export const ImageIcons = imageIcons;
@@ -0,0 +1,22 @@
+// Generated by `rn-scaffold assets` from <%= assetsDir %>. Do not edit: add, rename or remove
+// files there and run the command again.
+import type { ImageSourcePropType } from 'react-native';
+
+// Metro picks the @2x/@3x variant matching the screen density
+const images = {
+<% each images %>
+  <%= key %>: require('<%= source %>'),
+<% endeach %>
+};
+
+const imageIcons = {
+<% each imageIcons %>
+  <%= key %>: require('<%= source %>'),
+<% endeach %>
+};
+
+export type ImageName = keyof typeof images;
+export type ImageIconName = keyof typeof imageIcons;
+
+export const Images: Record<ImageName, ImageSourcePropType> = images;
+export const ImageIcons: Record<ImageIconName, ImageSourcePropType> = imageIcons;
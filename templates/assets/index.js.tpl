@@ -0,0 +1,6 @@
+// Generated by `rn-scaffold assets`. Do not edit.
+export * from './images';
+export * from './fonts';
+<% if svgs %>
+export * from './svgs';
+<% endif %>
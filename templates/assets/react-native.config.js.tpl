@@ -0,0 +1,8 @@
+module.exports = {
+  project: {
+    ios: {},
+    android: {},
+  },
+  // Linked into the native projects by `npx react-native-asset`
+  assets: ['<%= fontsDir %>'],
+};
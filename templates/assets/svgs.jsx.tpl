@@ -0,0 +1,62 @@
+// Generated by `rn-scaffold assets` from <%= assetsDir %>. Do not edit: add, rename or remove
+// files there and run the command again.
+import React from 'react';
+import { SvgXml } from 'react-native-svg';
+
+/** @typedef {import('react-native-svg').SvgProps} SvgProps */
+
+/**
+ * @typedef {Omit<SvgProps, 'width' | 'height'> & { size?: number }} IconProps
+ * size: width and height, in points (default: 24)
+ */
+
+<% if icons %>
+// Single-color icons are drawn in currentColor, so the `color` prop tints them
+/** @param {string} xml */
+const createIcon = (xml) =>
+  /** @param {IconProps} props */
+  function SvgIcon({ size = 24, ...props }) {
+    return <SvgXml xml={xml} width={size} height={size} {...props} />;
+  };
+
+<% endif %>
+<% if svgImages %>
+/** @param {string} xml */
+const createSvgImage = (xml) =>
+  /** @param {SvgProps} props */
+  function SvgImage(props) {
+    return <SvgXml xml={xml} {...props} />;
+  };
+
+<% endif %>
+<% each icons %>
+export const <%= component %> = createIcon(<%= xml %>);
+<% endeach %>
+<% if icons %>
+
+<% endif %>
+export const Icons = {
+<% each icons %>
+  <%= key %>: <%= component %>,
+<% endeach %>
+};
+
+export const SvgImages = {
+<% each svgImages %>
+  <%= key %>: createSvgImage(<%= xml %>),
+<% endeach %>
+};
+
+/** @typedef {keyof typeof Icons} IconName */
+/** @typedef {keyof typeof SvgImages} SvgImageName */
+<% if icons %>
+
+/**
+ * Icon by name, e.g. <Icon name="search" size={20} color={colors.text} />
+ * @param {IconProps & { name: IconName }} props
+ */
+export function Icon({ name, ...props }) {
+  const Component = Icons[name];
+  return <Component {...props} />;
+}
+<% endif %>
@@ -0,0 +1,56 @@
+// Generated by `rn-scaffold assets` from <%= assetsDir %>. Do not edit: add, rename or remove
+// files there and run the command again.
+import React from 'react';
+import { SvgXml } from 'react-native-svg';
+import type { SvgProps } from 'react-native-svg';
+
+export interface IconProps extends Omit<SvgProps, 'width' | 'height'> {
+  /** Width and height, in points (default: 24) */
+  size?: number;
+}
+
+<% if icons %>
+// Single-color icons are drawn in currentColor, so the `color` prop tints them
+const createIcon = (xml: string) =>
+  function SvgIcon({ size = 24, ...props }: IconProps) {
+    return <SvgXml xml={xml} width={size} height={size} {...props} />;
+  };
+
+<% endif %>
+<% if svgImages %>
+const createSvgImage = (xml: string) =>
+  function SvgImage(props: SvgProps) {
+    return <SvgXml xml={xml} {...props} />;
+  };
+
+<% endif %>
+<% each icons %>
+export const <%= component %> = createIcon(<%= xml %>);
+<% endeach %>
+<% if icons %>
+
+<% endif %>
+export const Icons = {
+<% each icons %>
+  <%= key %>: <%= component %>,
+<% endeach %>
+};
+
+export const SvgImages = {
+<% each svgImages %>
+  <%= key %>: createSvgImage(<%= xml %>),
+<% endeach %>
+};
+
+export type IconName = keyof typeof Icons;
+export type SvgImageName = keyof typeof SvgImages;
+<% if icons %>
+
+/**
+ * Icon by name, e.g. <Icon name="search" size={20} color={colors.text} />
+ */
+export function Icon({ name, ...props }: IconProps & { name: IconName }) {
+  const Component = Icons[name];
+  return <Component {...props} />;
+}
+<% endif %>
@@ -0,0 +1,52 @@
+import React, { createContext, useCallback, useMemo, useState } from 'react';
+import * as authService from '@features/auth/authService';
+
+/** @typedef {import('@features/auth/types').Auth} Auth */
+/** @typedef {import('@features/auth/types').AuthState} AuthState */
+
+/**
+ * The session. Screens read it with useAuth() (features/auth).
+ */
+const AuthContext = createContext(/** @type {Auth | undefined} */ (undefined));
+
+/**
+ * @param {{ children: import('react').ReactNode }} props
+ */
+const AuthProvider = ({ children }) => {
+  const [state, setState] = useState(/** @type {AuthState} */ ({ status: 'restoring', user: null }));
+
+  const restoreSession = useCallback(async () => {
+    const user = await authService.restoreSession();
+    setState({ status: user ? 'signedIn' : 'signedOut', user });
+  }, []);
+
+  const signIn = useCallback(
+    /** @param {import('@features/auth/types').SignInInput} input */
+    async (input) => {
+      setState({ status: 'signedIn', user: await authService.signIn(input) });
+    },
+    [],
+  );
+
+  const register = useCallback(
+    /** @param {import('@features/auth/types').RegisterInput} input */
+    async (input) => {
+      setState({ status: 'signedIn', user: await authService.register(input) });
+    },
+    [],
+  );
+
+  const signOut = useCallback(async () => {
+    await authService.signOut();
+    setState({ status: 'signedOut', user: null });
+  }, []);
+
+  const value = useMemo(
+    () => ({ ...state, restoreSession, signIn, register, requestPasswordReset: authService.requestPasswordReset, signOut }),
+    [state, restoreSession, signIn, register, signOut],
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export { AuthContext, AuthProvider };
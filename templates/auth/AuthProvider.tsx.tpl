@@ -0,0 +1,39 @@
+import React, { createContext, useCallback, useMemo, useState, ReactNode } from 'react';
+import * as authService from '@features/auth/authService';
+import type { Auth, AuthState, RegisterInput, SignInInput } from '@features/auth/types';
+
+/**
+ * The session. Screens read it with useAuth() (features/auth).
+ */
+const AuthContext = createContext<Auth | undefined>(undefined);
+
+const AuthProvider = ({ children }: { children: ReactNode }) => {
+  const [state, setState] = useState<AuthState>({ status: 'restoring', user: null });
+
+  const restoreSession = useCallback(async () => {
+    const user = await authService.restoreSession();
+    setState({ status: user ? 'signedIn' : 'signedOut', user });
+  }, []);
+
+  const signIn = useCallback(async (input: SignInInput) => {
+    setState({ status: 'signedIn', user: await authService.signIn(input) });
+  }, []);
+
+  const register = useCallback(async (input: RegisterInput) => {
+    setState({ status: 'signedIn', user: await authService.register(input) });
+  }, []);
+
+  const signOut = useCallback(async () => {
+    await authService.signOut();
+    setState({ status: 'signedOut', user: null });
+  }, []);
+
+  const value = useMemo(
+    () => ({ ...state, restoreSession, signIn, register, requestPasswordReset: authService.requestPasswordReset, signOut }),
+    [state, restoreSession, signIn, register, signOut],
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export { AuthContext, AuthProvider };
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { KeyboardAvoidingView, Platform, Pressable, ScrollView, Text } from 'react-native';
+import SubmitButton from '<%= formsModule %>/SubmitButton';
+import TextField from '<%= formsModule %>/TextField';
+import styles from './auth.styles';
+import { authErrorMessage } from './authService';
+import { useAuth } from './useAuth';
+import { validateEmail } from './validation';
+
+/**
+ * @typedef {import('@react-navigation/native-stack').NativeStackScreenProps<
+ *   import('<%= navigationTypes %>').AuthStackParamList,
+ *   'ForgotPassword'
+ * >} ForgotPasswordScreenProps
+ */
+
+/**
+ * @param {ForgotPasswordScreenProps} props
+ */
+const ForgotPasswordScreen = ({ navigation }) => {
+  const { requestPasswordReset } = useAuth();
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState(/** @type {string | null} */ (null));
+  const [formError, setFormError] = useState(/** @type {string | null} */ (null));
+  const [submitting, setSubmitting] = useState(false);
+  const [sentTo, setSentTo] = useState(/** @type {string | null} */ (null));
+
+  const submit = async () => {
+    const address = email.trim();
+    const found = validateEmail(address);
+    setError(found);
+    setFormError(null);
+    if (found) return;
+
+    setSubmitting(true);
+    try {
+      await requestPasswordReset(address);
+      setSentTo(address);
+    } catch (requestError) {
+      setFormError(authErrorMessage(requestError));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView style={styles.flex} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+        <Text style={styles.title}>Reset your password</Text>
+        {sentTo ? (
+          <Text style={styles.subtitle} testID="forgot-password-sent">
+            If an account exists for {sentTo}, you will get an email with a link to reset your password.
+          </Text>
+        ) : (
+          <>
+            <Text style={styles.subtitle}>Enter your email and we will send you a link to reset your password.</Text>
+            {formError ? <Text style={styles.formError} testID="forgot-password-error">{formError}</Text> : null}
+            <TextField
+              label="Email"
+              value={email}
+              onChangeText={setEmail}
+              error={error}
+              autoCapitalize="none"
+              autoComplete="email"
+              keyboardType="email-address"
+              textContentType="emailAddress"
+              returnKeyType="send"
+              onSubmitEditing={submit}
+              testID="forgot-password-email"
+            />
+            <SubmitButton title="Send reset link" onPress={submit} loading={submitting} testID="forgot-password-submit" />
+          </>
+        )}
+        <Pressable style={styles.link} onPress={() => navigation.navigate('Login')} testID="forgot-password-login">
+          <Text style={styles.linkText}>Back to sign in</Text>
+        </Pressable>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+export default ForgotPasswordScreen;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { KeyboardAvoidingView, Platform, Pressable, ScrollView, Text } from 'react-native';
+import SubmitButton from '<%= formsModule %>/SubmitButton';
+import TextField from '<%= formsModule %>/TextField';
+import styles from './auth.styles';
+import { authErrorMessage } from './authService';
+import { useAuth } from './useAuth';
+import { hasErrors, validateSignIn } from './validation';
+
+/**
+ * @typedef {import('@react-navigation/native-stack').NativeStackScreenProps<
+ *   import('<%= navigationTypes %>').AuthStackParamList,
+ *   'Login'
+ * >} LoginScreenProps
+ */
+
+/**
+ * @param {LoginScreenProps} props
+ */
+const LoginScreen = ({ navigation }) => {
+  const { signIn } = useAuth();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [errors, setErrors] = useState(/** @type {import('./validation').FieldErrors<import('./types').SignInInput>} */ ({}));
+  const [formError, setFormError] = useState(/** @type {string | null} */ (null));
+  const [submitting, setSubmitting] = useState(false);
+
+  const submit = async () => {
+    const input = { email: email.trim(), password };
+    const found = validateSignIn(input);
+    setErrors(found);
+    setFormError(null);
+    if (hasErrors(found)) return;
+
+    setSubmitting(true);
+    try {
+      // Once signed in, RootNavigator swaps this stack for the App stack
+      await signIn(input);
+    } catch (error) {
+      setFormError(authErrorMessage(error));
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView style={styles.flex} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+        <Text style={styles.title}>Welcome back</Text>
+        <Text style={styles.subtitle}>Sign in to your account</Text>
+        {formError ? <Text style={styles.formError} testID="login-error">{formError}</Text> : null}
+        <TextField
+          label="Email"
+          value={email}
+          onChangeText={setEmail}
+          error={errors.email}
+          autoCapitalize="none"
+          autoComplete="email"
+          keyboardType="email-address"
+          textContentType="emailAddress"
+          testID="login-email"
+        />
+        <TextField
+          label="Password"
+          value={password}
+          onChangeText={setPassword}
+          error={errors.password}
+          secureTextEntry
+          autoComplete="password"
+          textContentType="password"
+          returnKeyType="go"
+          onSubmitEditing={submit}
+          testID="login-password"
+        />
+        <SubmitButton title="Sign in" onPress={submit} loading={submitting} testID="login-submit" />
+        <Pressable style={styles.link} onPress={() => navigation.navigate('ForgotPassword')} testID="login-forgot-password">
+          <Text style={styles.linkText}>Forgot your password?</Text>
+        </Pressable>
+        <Pressable style={styles.link} onPress={() => navigation.navigate('Register')} testID="login-register">
+          <Text style={styles.linkText}>Create an account</Text>
+        </Pressable>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+export default LoginScreen;
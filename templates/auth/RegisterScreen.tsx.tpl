@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { KeyboardAvoidingView, Platform, Pressable, ScrollView, Text } from 'react-native';
+import type { NativeStackScreenProps } from '@react-navigation/native-stack';
+import SubmitButton from '<%= formsModule %>/SubmitButton';
+import TextField from '<%= formsModule %>/TextField';
+import type { AuthStackParamList } from '<%= navigationTypes %>';
+import styles from './auth.styles';
+import { authErrorMessage } from './authService';
+import { useAuth } from './useAuth';
+import { MIN_PASSWORD_LENGTH, hasErrors, validateRegistration } from './validation';
+import type { FieldErrors, RegisterForm } from './validation';
+
+type RegisterScreenProps = NativeStackScreenProps<AuthStackParamList, 'Register'>;
+
+const RegisterScreen = ({ navigation }: RegisterScreenProps) => {
+  const { register } = useAuth();
+  const [form, setForm] = useState<RegisterForm>({ name: '', email: '', password: '', confirmPassword: '' });
+  const [errors, setErrors] = useState<FieldErrors<RegisterForm>>({});
+  const [formError, setFormError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const setField = (field: keyof RegisterForm) => (value: string) => setForm((current) => ({ ...current, [field]: value }));
+
+  const submit = async () => {
+    const found = validateRegistration(form);
+    setErrors(found);
+    setFormError(null);
+    if (hasErrors(found)) return;
+
+    setSubmitting(true);
+    try {
+      // Once registered, RootNavigator swaps this stack for the App stack
+      await register({ name: form.name.trim(), email: form.email.trim(), password: form.password });
+    } catch (error) {
+      setFormError(authErrorMessage(error));
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView style={styles.flex} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+      <ScrollView contentContainerStyle={styles.container} keyboardShouldPersistTaps="handled">
+        <Text style={styles.title}>Create an account</Text>
+        {formError ? <Text style={styles.formError} testID="register-error">{formError}</Text> : null}
+        <TextField
+          label="Name"
+          value={form.name}
+          onChangeText={setField('name')}
+          error={errors.name}
+          autoComplete="name"
+          textContentType="name"
+          testID="register-name"
+        />
+        <TextField
+          label="Email"
+          value={form.email}
+          onChangeText={setField('email')}
+          error={errors.email}
+          autoCapitalize="none"
+          autoComplete="email"
+          keyboardType="email-address"
+          textContentType="emailAddress"
+          testID="register-email"
+        />
+        <TextField
+          label="Password"
+          value={form.password}
+          onChangeText={setField('password')}
+          error={errors.password}
+          placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+          secureTextEntry
+          autoComplete="new-password"
+          textContentType="newPassword"
+          testID="register-password"
+        />
+        <TextField
+          label="Confirm password"
+          value={form.confirmPassword}
+          onChangeText={setField('confirmPassword')}
+          error={errors.confirmPassword}
+          secureTextEntry
+          autoComplete="new-password"
+          textContentType="newPassword"
+          returnKeyType="go"
+          onSubmitEditing={submit}
+          testID="register-confirm-password"
+        />
+        <SubmitButton title="Create account" onPress={submit} loading={submitting} testID="register-submit" />
+        <Pressable style={styles.link} onPress={() => navigation.navigate('Login')} testID="register-login">
+          <Text style={styles.linkText}>Already have an account? Sign in</Text>
+        </Pressable>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+export default RegisterScreen;
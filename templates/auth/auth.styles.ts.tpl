@@ -0,0 +1,40 @@
+import { StyleSheet } from 'react-native';
+
+// Shared by the login, register and forgot-password screens
+const styles = StyleSheet.create({
+  flex: {
+    flex: 1,
+  },
+  container: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 24,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#6B6B6B',
+    marginBottom: 24,
+  },
+  formError: {
+    color: '#D93025',
+    fontSize: 14,
+    marginBottom: 16,
+  },
+  link: {
+    alignSelf: 'center',
+    marginTop: 16,
+    padding: 4,
+  },
+  linkText: {
+    color: '#1A73E8',
+    fontSize: 15,
+    fontWeight: '500',
+  },
+});
+
+export default styles;
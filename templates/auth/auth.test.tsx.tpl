@@ -0,0 +1,238 @@
+import React from 'react';
+import { Text<% if zustand %>, View<% endif %> } from 'react-native';
+import renderer, { act } from 'react-test-renderer';
+import type { ReactTestRenderer } from 'react-test-renderer';
+<% if redux %>
+import { configureStore } from '@reduxjs/toolkit';
+import { Provider } from 'react-redux';
+import authReducer from '@store/slices/authSlice';
+<% endif %>
+<% if zustand %>
+import useAuthStore from '@store/zustand/authStore';
+<% endif %>
+<% if context %>
+import { AuthProvider } from '@context/providers/AuthProvider';
+<% endif %>
+import ForgotPasswordScreen from '../ForgotPasswordScreen';
+import LoginScreen from '../LoginScreen';
+import RegisterScreen from '../RegisterScreen';
+import { authApi } from '../authApi';
+import { authStorage } from '../authStorage';
+import type { Session } from '../types';
+import { useAuth, useSession } from '../useAuth';
+
+// No backend and no device storage: the API calls are mocks and the session is saved in memory
+jest.mock('../authApi', () => ({
+  authApi: {
+    signIn: jest.fn(),
+    register: jest.fn(),
+    requestPasswordReset: jest.fn(),
+    signOut: jest.fn(() => Promise.resolve()),
+  },
+}));
+
+jest.mock('../authStorage', () => {
+  let saved: unknown = null;
+  return {
+    authStorage: {
+      load: jest.fn(() => Promise.resolve(saved)),
+      save: jest.fn((session: unknown) => {
+        saved = session;
+        return Promise.resolve();
+      }),
+      clear: jest.fn(() => {
+        saved = null;
+        return Promise.resolve();
+      }),
+    },
+  };
+});
+
+const api = jest.mocked(authApi);
+
+const session: Session = {
+  user: { id: '1', email: 'ada@example.com', name: 'Ada' },
+  tokens: { accessToken: 'access-token', refreshToken: 'refresh-token' },
+};
+
+const navigation = { navigate: jest.fn() };
+
+// Unmounted after each test, so no earlier screen reacts to the next test's session
+let mounted: ReactTestRenderer[] = [];
+
+/**
+ * Renders next to the screens, to read and drive the session
+ */
+const SessionProbe = () => {
+  const { isRestoring, isSignedIn } = useSession();
+  const { user, signOut } = useAuth();
+  return (
+    <Text testID="session" onPress={signOut}>
+      {isRestoring ? 'restoring' : isSignedIn ? `signed in as ${user?.email}` : 'signed out'}
+    </Text>
+  );
+};
+
+const render = async (screen?: React.ReactElement) => {
+<% if redux %>
+  const store = configureStore({ reducer: { auth: authReducer } });
+<% endif %>
+  let tree!: ReactTestRenderer;
+  await act(async () => {
+    tree = renderer.create(
+<% if redux %>
+      <Provider store={store}>
+        <SessionProbe />
+        {screen}
+      </Provider>,
+<% endif %>
+<% if zustand %>
+      <View>
+        <SessionProbe />
+        {screen}
+      </View>,
+<% endif %>
+<% if context %>
+      <AuthProvider>
+        <SessionProbe />
+        {screen}
+      </AuthProvider>,
+<% endif %>
+    );
+  });
+  mounted.push(tree);
+  return tree;
+};
+
+const byTestId = (tree: ReactTestRenderer, testID: string) =>
+  tree.root.findAll((node) => node.props.testID === testID && typeof node.type !== 'string')[0];
+
+const type = (tree: ReactTestRenderer, testID: string, text: string) =>
+  act(async () => {
+    byTestId(tree, testID).props.onChangeText(text);
+  });
+
+const press = (tree: ReactTestRenderer, testID: string) =>
+  act(async () => {
+    await byTestId(tree, testID).props.onPress();
+  });
+
+const sessionText = (tree: ReactTestRenderer) => byTestId(tree, 'session').props.children;
+
+const screenProps = <T,>() => ({ navigation, route: {} }) as unknown as T;
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await authStorage.clear();
+<% if zustand %>
+  useAuthStore.setState({ status: 'restoring', user: null });
+<% endif %>
+});
+
+afterEach(() => {
+  act(() => {
+    mounted.forEach((tree) => tree.unmount());
+  });
+  mounted = [];
+});
+
+describe('session', () => {
+  it('starts signed out without a saved session', async () => {
+    const tree = await render();
+    expect(sessionText(tree)).toBe('signed out');
+  });
+
+  it('restores the saved session on launch', async () => {
+    await authStorage.save(session);
+    const tree = await render();
+    expect(sessionText(tree)).toBe('signed in as ada@example.com');
+  });
+
+  it('signs out and forgets the saved session', async () => {
+    await authStorage.save(session);
+    const tree = await render();
+    await press(tree, 'session');
+    expect(sessionText(tree)).toBe('signed out');
+    expect(api.signOut).toHaveBeenCalled();
+    expect(await authStorage.load()).toBeNull();
+  });
+});
+
+describe('LoginScreen', () => {
+  const renderLogin = () => render(<LoginScreen {...screenProps<React.ComponentProps<typeof LoginScreen>>()} />);
+
+  it('shows what is missing without calling the API', async () => {
+    const tree = await renderLogin();
+    await press(tree, 'login-submit');
+    expect(byTestId(tree, 'login-email-error').props.children).toBe('Enter your email address.');
+    expect(byTestId(tree, 'login-password-error').props.children).toBe('Enter your password.');
+    expect(api.signIn).not.toHaveBeenCalled();
+  });
+
+  it('signs in and saves the session', async () => {
+    api.signIn.mockResolvedValue(session);
+    const tree = await renderLogin();
+    await type(tree, 'login-email', ' ada@example.com ');
+    await type(tree, 'login-password', 'correct-horse');
+    await press(tree, 'login-submit');
+    expect(api.signIn).toHaveBeenCalledWith({ email: 'ada@example.com', password: 'correct-horse' });
+    expect(authStorage.save).toHaveBeenCalledWith(session);
+    expect(sessionText(tree)).toBe('signed in as ada@example.com');
+  });
+
+  it('shows why signing in failed', async () => {
+    api.signIn.mockRejectedValue(new Error('Incorrect email or password.'));
+    const tree = await renderLogin();
+    await type(tree, 'login-email', 'ada@example.com');
+    await type(tree, 'login-password', 'wrong');
+    await press(tree, 'login-submit');
+    expect(byTestId(tree, 'login-error').props.children).toBe('Incorrect email or password.');
+    expect(sessionText(tree)).toBe('signed out');
+  });
+
+  it('links to registration and the password reset', async () => {
+    const tree = await renderLogin();
+    await press(tree, 'login-register');
+    await press(tree, 'login-forgot-password');
+    expect(navigation.navigate).toHaveBeenCalledWith('Register');
+    expect(navigation.navigate).toHaveBeenCalledWith('ForgotPassword');
+  });
+});
+
+describe('RegisterScreen', () => {
+  const renderRegister = () => render(<RegisterScreen {...screenProps<React.ComponentProps<typeof RegisterScreen>>()} />);
+
+  it('checks that the passwords match', async () => {
+    const tree = await renderRegister();
+    await type(tree, 'register-name', 'Ada');
+    await type(tree, 'register-email', 'ada@example.com');
+    await type(tree, 'register-password', 'correct-horse');
+    await type(tree, 'register-confirm-password', 'correct-horsy');
+    await press(tree, 'register-submit');
+    expect(byTestId(tree, 'register-confirm-password-error').props.children).toBe('The passwords do not match.');
+    expect(api.register).not.toHaveBeenCalled();
+  });
+
+  it('registers and signs in', async () => {
+    api.register.mockResolvedValue(session);
+    const tree = await renderRegister();
+    await type(tree, 'register-name', 'Ada');
+    await type(tree, 'register-email', 'ada@example.com');
+    await type(tree, 'register-password', 'correct-horse');
+    await type(tree, 'register-confirm-password', 'correct-horse');
+    await press(tree, 'register-submit');
+    expect(api.register).toHaveBeenCalledWith({ name: 'Ada', email: 'ada@example.com', password: 'correct-horse' });
+    expect(sessionText(tree)).toBe('signed in as ada@example.com');
+  });
+});
+
+describe('ForgotPasswordScreen', () => {
+  it('asks for a reset link', async () => {
+    api.requestPasswordReset.mockResolvedValue(undefined);
+    const tree = await render(<ForgotPasswordScreen {...screenProps<React.ComponentProps<typeof ForgotPasswordScreen>>()} />);
+    await type(tree, 'forgot-password-email', 'ada@example.com');
+    await press(tree, 'forgot-password-submit');
+    expect(api.requestPasswordReset).toHaveBeenCalledWith('ada@example.com');
+    expect(byTestId(tree, 'forgot-password-sent')).toBeTruthy();
+  });
+});
@@ -0,0 +1,47 @@
+<% if apiClient %>
+import { apiClient } from '@service/index';
+
+<% endif %>
+/** @typedef {import('./types').RegisterInput} RegisterInput */
+/** @typedef {import('./types').Session} Session */
+/** @typedef {import('./types').SignInInput} SignInInput */
+
+/**
+ * Calls to the backend's auth endpoints
+ * @typedef {object} AuthApi
+ * @property {(input: SignInInput) => Promise<Session>} signIn
+ * @property {(input: RegisterInput) => Promise<Session>} register
+ * @property {(email: string) => Promise<void>} requestPasswordReset
+ * @property {() => Promise<void>} signOut
+ */
+
+<% if apiClient %>
+/**
+ * Auth endpoints on top of the API client. Adjust the paths to your backend: sign-in and
+ * registration are expected to answer with { user, tokens }.
+ * @param {import('@service/http/client').HttpClient} client
+ * @returns {AuthApi}
+ */
+export const createAuthApi = (client) => ({
+  signIn: (input) => client.post('/auth/login', input, { skipAuth: true }),
+  register: (input) => client.post('/auth/register', input, { skipAuth: true }),
+  requestPasswordReset: (email) => client.post('/auth/forgot-password', { email }, { skipAuth: true }),
+  signOut: () => client.post('/auth/logout'),
+});
+
+export const authApi = createAuthApi(apiClient);
+<% else %>
+const notConnected = () => Promise.reject(new Error('Sign-in is not connected to a backend yet.'));
+
+/**
+ * Connect these calls to your backend. Sign-in and registration resolve with the session:
+ * the user and their tokens. `rn-scaffold add api fetch` sets up an API client they can use.
+ * @type {AuthApi}
+ */
+export const authApi = {
+  signIn: notConnected,
+  register: notConnected,
+  requestPasswordReset: notConnected,
+  signOut: () => Promise.resolve(),
+};
+<% endif %>
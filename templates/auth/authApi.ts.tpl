@@ -0,0 +1,43 @@
+<% if apiClient %>
+import { apiClient } from '@service/index';
+import type { HttpClient } from '@service/http/client';
+<% endif %>
+import type { RegisterInput, Session, SignInInput } from './types';
+
+/**
+ * Calls to the backend's auth endpoints
+ */
+export interface AuthApi {
+  signIn: (input: SignInInput) => Promise<Session>;
+  register: (input: RegisterInput) => Promise<Session>;
+  requestPasswordReset: (email: string) => Promise<void>;
+  signOut: () => Promise<void>;
+}
+
+<% if apiClient %>
+/**
+ * Auth endpoints on top of the API client. Adjust the paths to your backend: sign-in and
+ * registration are expected to answer with { user, tokens }.
+ */
+export const createAuthApi = (client: HttpClient): AuthApi => ({
+  signIn: (input) => client.post<Session>('/auth/login', input, { skipAuth: true }),
+  register: (input) => client.post<Session>('/auth/register', input, { skipAuth: true }),
+  requestPasswordReset: (email) => client.post<void>('/auth/forgot-password', { email }, { skipAuth: true }),
+  signOut: () => client.post<void>('/auth/logout'),
+});
+
+export const authApi = createAuthApi(apiClient);
+<% else %>
+const notConnected = () => Promise.reject(new Error('Sign-in is not connected to a backend yet.'));
+
+/**
+ * Connect these calls to your backend. Sign-in and registration resolve with the session:
+ * the user and their tokens. `rn-scaffold add api fetch` sets up an API client they can use.
+ */
+export const authApi: AuthApi = {
+  signIn: notConnected,
+  register: notConnected,
+  requestPasswordReset: notConnected,
+  signOut: () => Promise.resolve(),
+};
+<% endif %>
@@ -0,0 +1,77 @@
+<% if apiClient %>
+import { ApiError } from '@service/http/errors';
+<% endif %>
+import { authApi } from './authApi';
+import { authStorage } from './authStorage';
+
+/** @typedef {import('./types').RegisterInput} RegisterInput */
+/** @typedef {import('./types').SignInInput} SignInInput */
+/** @typedef {import('./types').User} User */
+
+// What every auth store does, whichever holds the session: call the backend and keep the
+// saved session in step. Failed calls throw the backend's error; see authErrorMessage.
+
+/**
+ * The user of the saved session, or null. A session that cannot be read counts as signed out.
+ * @returns {Promise<User | null>}
+ */
+export async function restoreSession() {
+  try {
+    const session = await authStorage.load();
+    return session ? session.user : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {SignInInput} input
+ * @returns {Promise<User>}
+ */
+export async function signIn(input) {
+  const session = await authApi.signIn(input);
+  await authStorage.save(session);
+  return session.user;
+}
+
+/**
+ * @param {RegisterInput} input
+ * @returns {Promise<User>}
+ */
+export async function register(input) {
+  const session = await authApi.register(input);
+  await authStorage.save(session);
+  return session.user;
+}
+
+/**
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+export function requestPasswordReset(email) {
+  return authApi.requestPasswordReset(email);
+}
+
+/**
+ * Signs out on the device even when the backend cannot be told
+ * @returns {Promise<void>}
+ */
+export async function signOut() {
+  await authApi.signOut().catch(() => undefined);
+  await authStorage.clear();
+}
+
+/**
+ * Message to show for a failed auth call
+ * @param {unknown} error
+ * @returns {string}
+ */
+export function authErrorMessage(error) {
+<% if apiClient %>
+  if (error instanceof ApiError) {
+    if (error.kind === 'unauthorized') return 'Incorrect email or password.';
+    if (error.kind === 'network' || error.kind === 'timeout') return 'Could not reach the server. Check your connection and try again.';
+  }
+<% endif %>
+  return error instanceof Error && error.message ? error.message : 'Something went wrong. Please try again.';
+}
@@ -0,0 +1,58 @@
+<% if apiClient %>
+import { ApiError } from '@service/http/errors';
+<% endif %>
+import { authApi } from './authApi';
+import { authStorage } from './authStorage';
+import type { RegisterInput, SignInInput, User } from './types';
+
+// What every auth store does, whichever holds the session: call the backend and keep the
+// saved session in step. Failed calls throw the backend's error; see authErrorMessage.
+
+/**
+ * The user of the saved session, or null. A session that cannot be read counts as signed out.
+ */
+export async function restoreSession(): Promise<User | null> {
+  try {
+    const session = await authStorage.load();
+    return session ? session.user : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function signIn(input: SignInInput): Promise<User> {
+  const session = await authApi.signIn(input);
+  await authStorage.save(session);
+  return session.user;
+}
+
+export async function register(input: RegisterInput): Promise<User> {
+  const session = await authApi.register(input);
+  await authStorage.save(session);
+  return session.user;
+}
+
+export function requestPasswordReset(email: string): Promise<void> {
+  return authApi.requestPasswordReset(email);
+}
+
+/**
+ * Signs out on the device even when the backend cannot be told
+ */
+export async function signOut(): Promise<void> {
+  await authApi.signOut().catch(() => undefined);
+  await authStorage.clear();
+}
+
+/**
+ * Message to show for a failed auth call
+ */
+export function authErrorMessage(error: unknown): string {
+<% if apiClient %>
+  if (error instanceof ApiError) {
+    if (error.kind === 'unauthorized') return 'Incorrect email or password.';
+    if (error.kind === 'network' || error.kind === 'timeout') return 'Could not reach the server. Check your connection and try again.';
+  }
+<% endif %>
+  return error instanceof Error && error.message ? error.message : 'Something went wrong. Please try again.';
+}
@@ -0,0 +1,42 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+/** @typedef {import('@features/auth/types').AuthState} AuthState */
+/** @typedef {import('@features/auth/types').User} User */
+
+/** @type {AuthState} */
+const initialState = {
+  status: 'restoring',
+  user: null,
+};
+
+// Only the outcome of the auth calls lands here: useAuth (features/auth) makes the calls
+const authSlice = createSlice({
+  name: 'auth',
+  initialState,
+  reducers: {
+    /**
+     * The user of the saved session, or null when there is none
+     * @param {AuthState} state
+     * @param {import('@reduxjs/toolkit').PayloadAction<User | null>} action
+     */
+    sessionRestored: (state, action) => {
+      state.status = action.payload ? 'signedIn' : 'signedOut';
+      state.user = action.payload;
+    },
+    /**
+     * @param {AuthState} state
+     * @param {import('@reduxjs/toolkit').PayloadAction<User>} action
+     */
+    signedIn: (state, action) => {
+      state.status = 'signedIn';
+      state.user = action.payload;
+    },
+    signedOut: (state) => {
+      state.status = 'signedOut';
+      state.user = null;
+    },
+  },
+});
+
+export const { sessionRestored, signedIn, signedOut } = authSlice.actions;
+export default authSlice.reducer;
@@ -0,0 +1,32 @@
+import { createSlice } from '@reduxjs/toolkit';
+import type { PayloadAction } from '@reduxjs/toolkit';
+import type { AuthState, User } from '@features/auth/types';
+
+const initialState: AuthState = {
+  status: 'restoring',
+  user: null,
+};
+
+// Only the outcome of the auth calls lands here: useAuth (features/auth) makes the calls
+const authSlice = createSlice({
+  name: 'auth',
+  initialState,
+  reducers: {
+    // The user of the saved session, or null when there is none
+    sessionRestored: (state, action: PayloadAction<User | null>) => {
+      state.status = action.payload ? 'signedIn' : 'signedOut';
+      state.user = action.payload;
+    },
+    signedIn: (state, action: PayloadAction<User>) => {
+      state.status = 'signedIn';
+      state.user = action.payload;
+    },
+    signedOut: (state) => {
+      state.status = 'signedOut';
+      state.user = null;
+    },
+  },
+});
+
+export const { sessionRestored, signedIn, signedOut } = authSlice.actions;
+export default authSlice.reducer;
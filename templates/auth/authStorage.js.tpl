@@ -0,0 +1,105 @@
+<% if apiClient %>
+import { tokenStorage } from '@service/index';
+<% endif %>
+<% if storageUtil %>
+import <%= storageUtil %> from '<%= storageImport %>';
+<% endif %>
+<% if apiClient %>
+
+<% else %>
+<% if storageUtil %>
+
+<% endif %>
+<% endif %>
+/** @typedef {import('./types').Session} Session */
+
+<% if apiClient %>
+const USER_KEY = 'auth.user';
+<% else %>
+const SESSION_KEY = 'auth.session';
+<% endif %>
+
+<% if storageUtil %>
+const storage = <%= storageUtil %>;
+<% else %>
+// Without a storage solution the session is kept in memory and ends when the app is closed.
+// `rn-scaffold add storage mmkv` keeps users signed in across restarts.
+/** @type {Map<string, string>} */
+const values = new Map();
+const storage = {
+  /** @param {string} key */
+  getItem: (key) => values.get(key) ?? null,
+  /**
+   * @param {string} key
+   * @param {string} value
+   */
+  setItem: (key, value) => {
+    values.set(key, value);
+  },
+  /** @param {string} key */
+  deleteItem: (key) => {
+    values.delete(key);
+  },
+};
+<% endif %>
+
+/**
+ * @param {string} key
+ * @returns {Promise<any>}
+ */
+async function readJson(key) {
+  const value = await storage.getItem(key);
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The session saved on the device, read on launch so a signed-in user skips the login screen.
+<% if apiClient %>
+ * The tokens are the API client's (tokenStorage), which also saves the refreshed ones; the
+ * user is saved next to them.
+<% endif %>
+ */
+export const authStorage = {
+  /**
+   * @returns {Promise<Session | null>}
+   */
+  async load() {
+<% if apiClient %>
+    const [user, accessToken, refreshToken] = await Promise.all([
+      readJson(USER_KEY),
+      tokenStorage.getAccessToken(),
+      tokenStorage.getRefreshToken(),
+    ]);
+    return user && accessToken ? { user, tokens: { accessToken, refreshToken } } : null;
+<% else %>
+    /** @type {Session | null} */
+    const session = await readJson(SESSION_KEY);
+    return session?.user && session.tokens?.accessToken ? session : null;
+<% endif %>
+  },
+
+  /**
+   * @param {Session} session
+   */
+  async save(session) {
+<% if apiClient %>
+    await tokenStorage.setTokens(session.tokens);
+    await storage.setItem(USER_KEY, JSON.stringify(session.user));
+<% else %>
+    await storage.setItem(SESSION_KEY, JSON.stringify(session));
+<% endif %>
+  },
+
+  async clear() {
+<% if apiClient %>
+    await tokenStorage.clearTokens();
+    await storage.deleteItem(USER_KEY);
+<% else %>
+    await storage.deleteItem(SESSION_KEY);
+<% endif %>
+  },
+};
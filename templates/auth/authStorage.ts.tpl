@@ -0,0 +1,80 @@
+<% if apiClient %>
+import { tokenStorage } from '@service/index';
+<% endif %>
+<% if storageUtil %>
+import <%= storageUtil %> from '<%= storageImport %>';
+<% endif %>
+import type { Session<% if apiClient %>, User<% endif %> } from './types';
+
+<% if apiClient %>
+const USER_KEY = 'auth.user';
+<% else %>
+const SESSION_KEY = 'auth.session';
+<% endif %>
+
+<% if storageUtil %>
+const storage = <%= storageUtil %>;
+<% else %>
+// Without a storage solution the session is kept in memory and ends when the app is closed.
+// `rn-scaffold add storage mmkv` keeps users signed in across restarts.
+const values = new Map<string, string>();
+const storage = {
+  getItem: (key: string) => values.get(key) ?? null,
+  setItem: (key: string, value: string) => {
+    values.set(key, value);
+  },
+  deleteItem: (key: string) => {
+    values.delete(key);
+  },
+};
+<% endif %>
+
+async function readJson<T>(key: string): Promise<T | null> {
+  const value = await storage.getItem(key);
+  try {
+    return value ? (JSON.parse(value) as T) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The session saved on the device, read on launch so a signed-in user skips the login screen.
+<% if apiClient %>
+ * The tokens are the API client's (tokenStorage), which also saves the refreshed ones; the
+ * user is saved next to them.
+<% endif %>
+ */
+export const authStorage = {
+  async load(): Promise<Session | null> {
+<% if apiClient %>
+    const [user, accessToken, refreshToken] = await Promise.all([
+      readJson<User>(USER_KEY),
+      tokenStorage.getAccessToken(),
+      tokenStorage.getRefreshToken(),
+    ]);
+    return user && accessToken ? { user, tokens: { accessToken, refreshToken } } : null;
+<% else %>
+    const session = await readJson<Session>(SESSION_KEY);
+    return session?.user && session.tokens?.accessToken ? session : null;
+<% endif %>
+  },
+
+  async save(session: Session): Promise<void> {
+<% if apiClient %>
+    await tokenStorage.setTokens(session.tokens);
+    await storage.setItem(USER_KEY, JSON.stringify(session.user));
+<% else %>
+    await storage.setItem(SESSION_KEY, JSON.stringify(session));
+<% endif %>
+  },
+
+  async clear(): Promise<void> {
+<% if apiClient %>
+    await tokenStorage.clearTokens();
+    await storage.deleteItem(USER_KEY);
+<% else %>
+    await storage.deleteItem(SESSION_KEY);
+<% endif %>
+  },
+};
@@ -0,0 +1,28 @@
+import { create } from 'zustand';
+import * as authService from '@features/auth/authService';
+import type { Auth } from '@features/auth/types';
+
+/**
+ * The session. Screens read it with useAuth() (features/auth), which returns this store.
+ */
+const useAuthStore = create<Auth>()((set) => ({
+  status: 'restoring',
+  user: null,
+  restoreSession: async () => {
+    const user = await authService.restoreSession();
+    set({ status: user ? 'signedIn' : 'signedOut', user });
+  },
+  signIn: async (input) => {
+    set({ status: 'signedIn', user: await authService.signIn(input) });
+  },
+  register: async (input) => {
+    set({ status: 'signedIn', user: await authService.register(input) });
+  },
+  requestPasswordReset: authService.requestPasswordReset,
+  signOut: async () => {
+    await authService.signOut();
+    set({ status: 'signedOut', user: null });
+  },
+}));
+
+export default useAuthStore;
@@ -0,0 +1,51 @@
+/**
+ * @typedef {object} User
+ * @property {string} id
+ * @property {string} email
+ * @property {string | null} [name]
+ */
+
+/**
+ * @typedef {object} AuthTokens
+ * @property {string} accessToken
+ * @property {string | null} [refreshToken]
+ */
+
+/**
+ * What the backend answers to sign-in and registration, and what is saved on the device
+ * @typedef {object} Session
+ * @property {User} user
+ * @property {AuthTokens} tokens
+ */
+
+/**
+ * @typedef {object} SignInInput
+ * @property {string} email
+ * @property {string} password
+ */
+
+/** @typedef {SignInInput & { name: string }} RegisterInput */
+
+/**
+ * restoring: the saved session is read on launch, and the navigator waits for it
+ * @typedef {'restoring' | 'signedOut' | 'signedIn'} AuthStatus
+ */
+
+/**
+ * @typedef {object} AuthState
+ * @property {AuthStatus} status
+ * @property {User | null} user
+ */
+
+/**
+ * What useAuth() returns, whichever store holds the session
+ * @typedef {AuthState & {
+ *   restoreSession: () => Promise<void>,
+ *   signIn: (input: SignInInput) => Promise<void>,
+ *   register: (input: RegisterInput) => Promise<void>,
+ *   requestPasswordReset: (email: string) => Promise<void>,
+ *   signOut: () => Promise<void>,
+ * }} Auth
+ */
+
+export {};
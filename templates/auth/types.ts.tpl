@@ -0,0 +1,48 @@
+export interface User {
+  id: string;
+  email: string;
+  name?: string | null;
+}
+
+export interface AuthTokens {
+  accessToken: string;
+  refreshToken?: string | null;
+}
+
+/**
+ * What the backend answers to sign-in and registration, and what is saved on the device
+ */
+export interface Session {
+  user: User;
+  tokens: AuthTokens;
+}
+
+export interface SignInInput {
+  email: string;
+  password: string;
+}
+
+export interface RegisterInput extends SignInInput {
+  name: string;
+}
+
+/**
+ * restoring: the saved session is read on launch, and the navigator waits for it
+ */
+export type AuthStatus = 'restoring' | 'signedOut' | 'signedIn';
+
+export interface AuthState {
+  status: AuthStatus;
+  user: User | null;
+}
+
+/**
+ * What useAuth() returns, whichever store holds the session
+ */
+export interface Auth extends AuthState {
+  restoreSession: () => Promise<void>;
+  signIn: (input: SignInInput) => Promise<void>;
+  register: (input: RegisterInput) => Promise<void>;
+  requestPasswordReset: (email: string) => Promise<void>;
+  signOut: () => Promise<void>;
+}
@@ -0,0 +1,76 @@
+<% if redux %>
+import { useCallback, useEffect, useMemo } from 'react';
+import { useAppDispatch, useAppSelector } from '@hooks/redux';
+import { sessionRestored, signedIn, signedOut } from '@store/slices/authSlice';
+import * as authService from './authService';
+import type { Auth, RegisterInput, SignInInput } from './types';
+
+/**
+ * The session and the auth actions, from the Redux store
+ */
+export function useAuth(): Auth {
+  const dispatch = useAppDispatch();
+  const state = useAppSelector((root) => root.auth);
+
+  const restoreSession = useCallback(async () => {
+    dispatch(sessionRestored(await authService.restoreSession()));
+  }, [dispatch]);
+
+  const signIn = useCallback(async (input: SignInInput) => {
+    dispatch(signedIn(await authService.signIn(input)));
+  }, [dispatch]);
+
+  const register = useCallback(async (input: RegisterInput) => {
+    dispatch(signedIn(await authService.register(input)));
+  }, [dispatch]);
+
+  const signOut = useCallback(async () => {
+    await authService.signOut();
+    dispatch(signedOut());
+  }, [dispatch]);
+
+  return useMemo(
+    () => ({ ...state, restoreSession, signIn, register, requestPasswordReset: authService.requestPasswordReset, signOut }),
+    [state, restoreSession, signIn, register, signOut],
+  );
+}
+<% endif %>
+<% if zustand %>
+import { useEffect } from 'react';
+import useAuthStore from '@store/zustand/authStore';
+import type { Auth } from './types';
+
+/**
+ * The session and the auth actions, from the Zustand store
+ */
+export const useAuth = (): Auth => useAuthStore();
+<% endif %>
+<% if context %>
+import { useContext, useEffect } from 'react';
+import { AuthContext } from '@context/providers/AuthProvider';
+import type { Auth } from './types';
+
+/**
+ * The session and the auth actions, from AuthProvider
+ */
+export function useAuth(): Auth {
+  const auth = useContext(AuthContext);
+  if (!auth) throw new Error('useAuth must be used within an AuthProvider');
+  return auth;
+}
+<% endif %>
+
+/**
+ * Session state for the navigator. Restores the saved session on first use.
+ */
+export function useSession() {
+  const { status, restoreSession } = useAuth();
+
+  useEffect(() => {
+    if (status === 'restoring') {
+      restoreSession();
+    }
+  }, [status, restoreSession]);
+
+  return { isRestoring: status === 'restoring', isSignedIn: status === 'signedIn' };
+}
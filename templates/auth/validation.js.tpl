@@ -0,0 +1,60 @@
+/** @typedef {import('./types').RegisterInput} RegisterInput */
+/** @typedef {import('./types').SignInInput} SignInInput */
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Error message per invalid field; empty when the form is valid
+ * @template T
+ * @typedef {Partial<Record<keyof T, string>>} FieldErrors
+ */
+
+/** @typedef {RegisterInput & { confirmPassword: string }} RegisterForm */
+
+/**
+ * @param {FieldErrors<object>} errors
+ * @returns {boolean}
+ */
+export const hasErrors = (errors) => Object.keys(errors).length > 0;
+
+/**
+ * @param {string} email
+ * @returns {string | null}
+ */
+export function validateEmail(email) {
+  if (!email.trim()) return 'Enter your email address.';
+  return EMAIL_PATTERN.test(email.trim()) ? null : 'Enter a valid email address.';
+}
+
+/**
+ * @param {SignInInput} input
+ * @returns {FieldErrors<SignInInput>}
+ */
+export function validateSignIn({ email, password }) {
+  /** @type {FieldErrors<SignInInput>} */
+  const errors = {};
+  const emailError = validateEmail(email);
+  if (emailError) errors.email = emailError;
+  if (!password) errors.password = 'Enter your password.';
+  return errors;
+}
+
+/**
+ * @param {RegisterForm} form
+ * @returns {FieldErrors<RegisterForm>}
+ */
+export function validateRegistration({ name, email, password, confirmPassword }) {
+  /** @type {FieldErrors<RegisterForm>} */
+  const errors = {};
+  if (!name.trim()) errors.name = 'Enter your name.';
+  const emailError = validateEmail(email);
+  if (emailError) errors.email = emailError;
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Use at least ${MIN_PASSWORD_LENGTH} characters.`;
+  } else if (confirmPassword !== password) {
+    errors.confirmPassword = 'The passwords do not match.';
+  }
+  return errors;
+}
@@ -0,0 +1,29 @@
+import { hasErrors, validateEmail, validateRegistration, validateSignIn } from '../validation';
+
+describe('auth validation', () => {
+  it('checks the email address', () => {
+    expect(validateEmail('')).toBe('Enter your email address.');
+    expect(validateEmail('ada@')).toBe('Enter a valid email address.');
+    expect(validateEmail(' ada@example.com ')).toBeNull();
+  });
+
+  it('needs an email and a password to sign in', () => {
+    expect(validateSignIn({ email: '', password: '' })).toEqual({
+      email: 'Enter your email address.',
+      password: 'Enter your password.',
+    });
+    expect(hasErrors(validateSignIn({ email: 'ada@example.com', password: 'secret' }))).toBe(false);
+  });
+
+  it('checks the registration form', () => {
+    const form = { name: 'Ada', email: 'ada@example.com', password: 'correct-horse', confirmPassword: 'correct-horse' };
+    expect(validateRegistration(form)).toEqual({});
+    expect(validateRegistration({ ...form, name: ' ' })).toEqual({ name: 'Enter your name.' });
+    expect(validateRegistration({ ...form, password: 'short', confirmPassword: 'short' })).toEqual({
+      password: 'Use at least 8 characters.',
+    });
+    expect(validateRegistration({ ...form, confirmPassword: 'different' })).toEqual({
+      confirmPassword: 'The passwords do not match.',
+    });
+  });
+});
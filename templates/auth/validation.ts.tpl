@@ -0,0 +1,40 @@
+import type { RegisterInput, SignInInput } from './types';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Error message per invalid field; empty when the form is valid
+ */
+export type FieldErrors<T> = Partial<Record<keyof T, string>>;
+
+export type RegisterForm = RegisterInput & { confirmPassword: string };
+
+export const hasErrors = (errors: FieldErrors<object>): boolean => Object.keys(errors).length > 0;
+
+export function validateEmail(email: string): string | null {
+  if (!email.trim()) return 'Enter your email address.';
+  return EMAIL_PATTERN.test(email.trim()) ? null : 'Enter a valid email address.';
+}
+
+export function validateSignIn({ email, password }: SignInInput): FieldErrors<SignInInput> {
+  const errors: FieldErrors<SignInInput> = {};
+  const emailError = validateEmail(email);
+  if (emailError) errors.email = emailError;
+  if (!password) errors.password = 'Enter your password.';
+  return errors;
+}
+
+export function validateRegistration({ name, email, password, confirmPassword }: RegisterForm): FieldErrors<RegisterForm> {
+  const errors: FieldErrors<RegisterForm> = {};
+  if (!name.trim()) errors.name = 'Enter your name.';
+  const emailError = validateEmail(email);
+  if (emailError) errors.email = emailError;
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Use at least ${MIN_PASSWORD_LENGTH} characters.`;
+  } else if (confirmPassword !== password) {
+    errors.confirmPassword = 'The passwords do not match.';
+  }
+  return errors;
+}
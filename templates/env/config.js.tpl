@@ -0,0 +1,170 @@
+<% unless expo %>
+import NativeConfig from 'react-native-config';
+
+<% endunless %>
+/**
+ * Settings of the environment the app was built for, read from its env file and checked when
+ * the app starts: a missing or invalid value throws right away instead of failing later.
+<% if expo %>
+ * Expo loads .env.development with `expo start` and .env.production for release builds.
+<% else %>
+ * The env file is picked at build time, e.g. ENVFILE=.env.staging npx react-native run-android
+<% endif %>
+ *
+ * Generated from env.schema.json: after changing the schema, run `rn-scaffold add env`.
+ *
+ * @typedef {object} AppConfig
+<% each keys %>
+ * @property {<%= type %>} <% if optional %>[<%= name %>]<% else %><%= name %><% endif %> - <%= description %>
+<% endeach %>
+ */
+
+/** @typedef {keyof AppConfig} EnvKey */
+
+<% if expo %>
+// Each variable is read by name: Expo only inlines process.env.EXPO_PUBLIC_* written out in full
+<% else %>
+// Values of the env file, as strings
+<% endif %>
+/** @type {Record<EnvKey, string | undefined>} */
+const raw = {
+<% each keys %>
+<% if expo %>
+  <%= name %>: process.env.<%= variable %>,
+<% else %>
+  <%= name %>: NativeConfig.<%= variable %>,
+<% endif %>
+<% endeach %>
+};
+
+/** @type {string[]} */
+const problems = [];
+
+/**
+ * @param {EnvKey} key
+ * @returns {string | undefined}
+ */
+const read = (key) => {
+  const value = raw[key]?.trim();
+  return value ? value : undefined;
+};
+
+/**
+ * @template T
+ * @param {EnvKey} key
+ * @param {T | undefined} fallback
+ * @param {T} empty
+ * @returns {T}
+ */
+const missing = (key, fallback, empty) => {
+  if (fallback === undefined) {
+    problems.push(`${key} is missing`);
+    return empty;
+  }
+  return fallback;
+};
+<% if optional %>
+
+/**
+ * @template T
+ * @param {EnvKey} key
+ * @param {() => T} parse
+ * @returns {T | undefined}
+ */
+const optional = (key, parse) => (read(key) === undefined ? undefined : parse());
+<% endif %>
+<% if text %>
+
+/**
+ * @param {EnvKey} key
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+const text = (key, fallback) => read(key) ?? missing(key, fallback, '');
+<% endif %>
+<% if url %>
+
+/**
+ * @param {EnvKey} key
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+const url = (key, fallback) => {
+  const value = text(key, fallback);
+  if (value && !/^https?:\/\/\S+$/.test(value)) {
+    problems.push(`${key} is not an http(s) URL: "${value}"`);
+  }
+  return value;
+};
+<% endif %>
+<% if number %>
+
+/**
+ * @param {EnvKey} key
+ * @param {number} [fallback]
+ * @returns {number}
+ */
+const number = (key, fallback) => {
+  const value = read(key);
+  if (value === undefined) {
+    return missing(key, fallback, 0);
+  }
+  if (!Number.isFinite(Number(value))) {
+    problems.push(`${key} is not a number: "${value}"`);
+  }
+  return Number(value);
+};
+<% endif %>
+<% if boolean %>
+
+/**
+ * @param {EnvKey} key
+ * @param {boolean} [fallback]
+ * @returns {boolean}
+ */
+const boolean = (key, fallback) => {
+  const value = read(key);
+  if (value === undefined) {
+    return missing(key, fallback, false);
+  }
+  if (value !== 'true' && value !== 'false') {
+    problems.push(`${key} is not true or false: "${value}"`);
+  }
+  return value === 'true';
+};
+<% endif %>
+<% if oneOf %>
+
+/**
+ * @template {string} T
+ * @param {EnvKey} key
+ * @param {readonly T[]} values
+ * @param {T} [fallback]
+ * @returns {T}
+ */
+const oneOf = (key, values, fallback) => {
+  const value = read(key);
+  if (value === undefined) {
+    return missing(key, fallback, values[0]);
+  }
+  if (!values.includes(/** @type {T} */ (value))) {
+    problems.push(`${key} is not one of ${values.join(', ')}: "${value}"`);
+  }
+  return /** @type {T} */ (value);
+};
+<% endif %>
+
+/** @type {Readonly<AppConfig>} */
+export const Config = Object.freeze({
+<% each keys %>
+  <%= name %>: <%= parse %>,
+<% endeach %>
+});
+
+if (problems.length > 0) {
+  throw new Error(
+    `Invalid environment config (rn-scaffold env check lists the problems of every env file):\n  ${problems.join('\n  ')}`,
+  );
+}
+
+export default Config;
@@ -0,0 +1,124 @@
+<% unless expo %>
+import NativeConfig from 'react-native-config';
+
+<% endunless %>
+/**
+ * Settings of the environment the app was built for, read from its env file and checked when
+ * the app starts: a missing or invalid value throws right away instead of failing later.
+<% if expo %>
+ * Expo loads .env.development with `expo start` and .env.production for release builds.
+<% else %>
+ * The env file is picked at build time, e.g. ENVFILE=.env.staging npx react-native run-android
+<% endif %>
+ *
+ * Generated from env.schema.json: after changing the schema, run `rn-scaffold add env`.
+ */
+export interface AppConfig {
+<% each keys %>
+  /** <%= description %> */
+  <%= name %><% if optional %>?<% endif %>: <%= type %>;
+<% endeach %>
+}
+
+type EnvKey = keyof AppConfig;
+
+<% if expo %>
+// Each variable is read by name: Expo only inlines process.env.EXPO_PUBLIC_* written out in full
+<% else %>
+// Values of the env file, as strings
+<% endif %>
+const raw: Record<EnvKey, string | undefined> = {
+<% each keys %>
+<% if expo %>
+  <%= name %>: process.env.<%= variable %>,
+<% else %>
+  <%= name %>: NativeConfig.<%= variable %>,
+<% endif %>
+<% endeach %>
+};
+
+const problems: string[] = [];
+
+const read = (key: EnvKey): string | undefined => {
+  const value = raw[key]?.trim();
+  return value ? value : undefined;
+};
+
+const missing = <T>(key: EnvKey, fallback: T | undefined, empty: T): T => {
+  if (fallback === undefined) {
+    problems.push(`${key} is missing`);
+    return empty;
+  }
+  return fallback;
+};
+<% if optional %>
+
+const optional = <T>(key: EnvKey, parse: () => T): T | undefined => (read(key) === undefined ? undefined : parse());
+<% endif %>
+<% if text %>
+
+const text = (key: EnvKey, fallback?: string): string => read(key) ?? missing(key, fallback, '');
+<% endif %>
+<% if url %>
+
+const url = (key: EnvKey, fallback?: string): string => {
+  const value = text(key, fallback);
+  if (value && !/^https?:\/\/\S+$/.test(value)) {
+    problems.push(`${key} is not an http(s) URL: "${value}"`);
+  }
+  return value;
+};
+<% endif %>
+<% if number %>
+
+const number = (key: EnvKey, fallback?: number): number => {
+  const value = read(key);
+  if (value === undefined) {
+    return missing(key, fallback, 0);
+  }
+  if (!Number.isFinite(Number(value))) {
+    problems.push(`${key} is not a number: "${value}"`);
+  }
+  return Number(value);
+};
+<% endif %>
+<% if boolean %>
+
+const boolean = (key: EnvKey, fallback?: boolean): boolean => {
+  const value = read(key);
+  if (value === undefined) {
+    return missing(key, fallback, false);
+  }
+  if (value !== 'true' && value !== 'false') {
+    problems.push(`${key} is not true or false: "${value}"`);
+  }
+  return value === 'true';
+};
+<% endif %>
+<% if oneOf %>
+
+const oneOf = <T extends string>(key: EnvKey, values: readonly T[], fallback?: T): T => {
+  const value = read(key);
+  if (value === undefined) {
+    return missing(key, fallback, values[0]);
+  }
+  if (!values.includes(value as T)) {
+    problems.push(`${key} is not one of ${values.join(', ')}: "${value}"`);
+  }
+  return value as T;
+};
+<% endif %>
+
+export const Config: Readonly<AppConfig> = Object.freeze({
+<% each keys %>
+  <%= name %>: <%= parse %>,
+<% endeach %>
+});
+
+if (problems.length > 0) {
+  throw new Error(
+    `Invalid environment config (rn-scaffold env check lists the problems of every env file):\n  ${problems.join('\n  ')}`,
+  );
+}
+
+export default Config;
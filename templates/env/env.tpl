@@ -0,0 +1,12 @@
+<% if expo %>
+# Settings of the <%= environment %> build, loaded by Expo. Keys are declared in env.schema.json
+# (check with: rn-scaffold env check) and carry the EXPO_PUBLIC_ prefix Expo needs.
+<% else %>
+# Settings of the <%= environment %> build, read by react-native-config when building with
+# ENVFILE=.env.<%= environment %>. Keys are declared in env.schema.json (check with: rn-scaffold env check).
+<% endif %>
+# The values end up in the app, which anyone can unpack: no secrets. Local variants go in
+# .env.<%= environment %>.local, which git ignores.
+<% each variables %>
+<%= variable %>=<%= value %>
+<% endeach %>
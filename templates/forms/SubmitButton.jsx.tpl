@@ -0,0 +1,34 @@
+import React from 'react';
+import { ActivityIndicator, Pressable, Text } from 'react-native';
+import styles from './SubmitButton.styles';
+
+/**
+ * @typedef {object} SubmitButtonProps
+ * @property {string} title
+ * @property {() => void} onPress
+ * @property {boolean} [loading] - Shows a spinner and ignores presses, e.g. while the form is sent
+ * @property {boolean} [disabled]
+ * @property {string} [testID]
+ */
+
+/**
+ * @param {SubmitButtonProps} props
+ */
+const SubmitButton = ({ title, onPress, loading = false, disabled = false, testID }) => {
+  const inactive = loading || disabled;
+
+  return (
+    <Pressable
+      accessibilityRole="button"
+      accessibilityState={{ disabled: inactive, busy: loading }}
+      disabled={inactive}
+      onPress={onPress}
+      style={({ pressed }) => [styles.button, pressed && styles.pressed, inactive && styles.inactive]}
+      testID={testID}
+    >
+      {loading ? <ActivityIndicator color="#FFFFFF" /> : <Text style={styles.title}>{title}</Text>}
+    </Pressable>
+  );
+};
+
+export default SubmitButton;
@@ -0,0 +1,25 @@
+import { StyleSheet } from 'react-native';
+
+const styles = StyleSheet.create({
+  button: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: 48,
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    backgroundColor: '#1A73E8',
+  },
+  pressed: {
+    opacity: 0.8,
+  },
+  inactive: {
+    opacity: 0.6,
+  },
+  title: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default styles;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { ActivityIndicator, Pressable, Text } from 'react-native';
+import styles from './SubmitButton.styles';
+
+export type SubmitButtonProps = {
+  title: string;
+  onPress: () => void;
+  /** Shows a spinner and ignores presses, e.g. while the form is sent */
+  loading?: boolean;
+  disabled?: boolean;
+  testID?: string;
+};
+
+const SubmitButton = ({ title, onPress, loading = false, disabled = false, testID }: SubmitButtonProps) => {
+  const inactive = loading || disabled;
+
+  return (
+    <Pressable
+      accessibilityRole="button"
+      accessibilityState={{ disabled: inactive, busy: loading }}
+      disabled={inactive}
+      onPress={onPress}
+      style={({ pressed }) => [styles.button, pressed && styles.pressed, inactive && styles.inactive]}
+      testID={testID}
+    >
+      {loading ? <ActivityIndicator color="#FFFFFF" /> : <Text style={styles.title}>{title}</Text>}
+    </Pressable>
+  );
+};
+
+export default SubmitButton;
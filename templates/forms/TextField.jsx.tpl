@@ -0,0 +1,38 @@
+import React from 'react';
+import { Text, TextInput, View } from 'react-native';
+import styles from './TextField.styles';
+
+/**
+ * @typedef {import('react-native').TextInputProps & {
+ *   label: string,
+ *   error?: string | null,
+ * }} TextFieldProps
+ * error: shown under the input, which gets a red border
+ */
+
+/**
+ * Labelled text input with its validation message. Other props go to the TextInput;
+ * the message gets the testID `<testID>-error`.
+ * @param {TextFieldProps} props
+ */
+const TextField = ({ label, error, style, testID, ...inputProps }) => {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        accessibilityLabel={label}
+        placeholderTextColor="#8E8E93"
+        style={[styles.input, error ? styles.inputError : null, style]}
+        testID={testID}
+        {...inputProps}
+      />
+      {error ? (
+        <Text style={styles.error} testID={testID ? `${testID}-error` : undefined}>
+          {error}
+        </Text>
+      ) : null}
+    </View>
+  );
+};
+
+export default TextField;
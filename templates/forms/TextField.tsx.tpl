@@ -0,0 +1,36 @@
+import React from 'react';
+import { Text, TextInput, View } from 'react-native';
+import type { TextInputProps } from 'react-native';
+import styles from './TextField.styles';
+
+export type TextFieldProps = TextInputProps & {
+  label: string;
+  /** Shown under the input, which gets a red border */
+  error?: string | null;
+};
+
+/**
+ * Labelled text input with its validation message. Other props go to the TextInput;
+ * the message gets the testID `<testID>-error`.
+ */
+const TextField = ({ label, error, style, testID, ...inputProps }: TextFieldProps) => {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        accessibilityLabel={label}
+        placeholderTextColor="#8E8E93"
+        style={[styles.input, error ? styles.inputError : null, style]}
+        testID={testID}
+        {...inputProps}
+      />
+      {error ? (
+        <Text style={styles.error} testID={testID ? `${testID}-error` : undefined}>
+          {error}
+        </Text>
+      ) : null}
+    </View>
+  );
+};
+
+export default TextField;
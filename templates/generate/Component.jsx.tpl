@@ -0,0 +1,21 @@
+import React from 'react';
+import { Text, View } from 'react-native';
+import styles from './<%= component %>.styles';
+
+/**
+ * @typedef {object} <%= component %>Props
+ * @property {string} [title]
+ */
+
+/**
+ * @param {<%= component %>Props} props
+ */
+const <%= component %> = ({ title = '<%= component %>' }) => {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{title}</Text>
+    </View>
+  );
+};
+
+export default <%= component %>;
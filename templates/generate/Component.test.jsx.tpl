@@ -0,0 +1,10 @@
+import React from 'react';
+import renderer from 'react-test-renderer';
+import <%= component %> from '../<%= component %>';
+
+describe('<%= component %>', () => {
+  it('renders the given title', () => {
+    const tree = renderer.create(<<%= component %> title="Hello" />);
+    expect(tree.root.findByProps({ children: 'Hello' })).toBeTruthy();
+  });
+});
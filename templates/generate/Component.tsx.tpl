@@ -0,0 +1,17 @@
+import React from 'react';
+import { Text, View } from 'react-native';
+import styles from './<%= component %>.styles';
+
+export type <%= component %>Props = {
+  title?: string;
+};
+
+const <%= component %> = ({ title = '<%= component %>' }: <%= component %>Props) => {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{title}</Text>
+    </View>
+  );
+};
+
+export default <%= component %>;
@@ -0,0 +1,10 @@
+import React from 'react';
+import renderer from 'react-test-renderer';
+import <%= screen %> from '../<%= screen %>';
+
+describe('<%= screen %>', () => {
+  it('renders without crashing', () => {
+    const tree = renderer.create(<<%= screen %> />);
+    expect(tree.toJSON()).toBeTruthy();
+  });
+});
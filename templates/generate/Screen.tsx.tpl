@@ -0,0 +1,13 @@
+import React from 'react';
+import { Text, View } from 'react-native';
+import styles from './<%= screen %>.styles';
+
+const <%= screen %> = () => {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}><%= title %></Text>
+    </View>
+  );
+};
+
+export default <%= screen %>;
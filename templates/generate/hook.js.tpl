@@ -0,0 +1,17 @@
+import { useCallback, useState } from 'react';
+
+/**
+ * <%= hook %>
+ * @template T
+ * @param {T} initialValue - Starting value
+ * @returns {{ value: T, setValue: (value: T) => void, reset: () => void }}
+ */
+const <%= hook %> = (initialValue) => {
+  const [value, setValue] = useState(initialValue);
+
+  const reset = useCallback(() => setValue(initialValue), [initialValue]);
+
+  return { value, setValue, reset };
+};
+
+export default <%= hook %>;
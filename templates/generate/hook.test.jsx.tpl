@@ -0,0 +1,22 @@
+import React from 'react';
+import renderer, { act } from 'react-test-renderer';
+import <%= hook %> from '../<%= hook %>';
+
+describe('<%= hook %>', () => {
+  it('returns the initial value and can update it', () => {
+    /** @type {{ value: number, setValue: (value: number) => void } | undefined} */
+    let result;
+    const Probe = () => {
+      result = <%= hook %>(1);
+      return null;
+    };
+
+    act(() => {
+      renderer.create(<Probe />);
+    });
+    expect(result?.value).toBe(1);
+
+    act(() => result?.setValue(2));
+    expect(result?.value).toBe(2);
+  });
+});
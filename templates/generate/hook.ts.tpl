@@ -0,0 +1,15 @@
+import { useCallback, useState } from 'react';
+
+/**
+ * <%= hook %>
+ * @param initialValue - Starting value
+ */
+const <%= hook %> = <T,>(initialValue: T) => {
+  const [value, setValue] = useState<T>(initialValue);
+
+  const reset = useCallback(() => setValue(initialValue), [initialValue]);
+
+  return { value, setValue, reset };
+};
+
+export default <%= hook %>;
@@ -0,0 +1,31 @@
+import { createSlice } from '@reduxjs/toolkit';
+
+/**
+ * @typedef {object} <%= stateType %>
+ * @property {boolean} loading
+ * @property {string | null} error
+ */
+
+/** @type {<%= stateType %>} */
+const initialState = {
+  loading: false,
+  error: null,
+};
+
+const <%= sliceName %>Slice = createSlice({
+  name: '<%= sliceName %>',
+  initialState,
+  reducers: {
+    /** @param {import('@reduxjs/toolkit').PayloadAction<boolean>} action */
+    setLoading: (state, action) => {
+      state.loading = action.payload;
+    },
+    /** @param {import('@reduxjs/toolkit').PayloadAction<string | null>} action */
+    setError: (state, action) => {
+      state.error = action.payload;
+    },
+  },
+});
+
+export const { setLoading, setError } = <%= sliceName %>Slice.actions;
+export default <%= sliceName %>Slice.reducer;
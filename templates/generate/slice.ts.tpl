@@ -0,0 +1,27 @@
+import { createSlice, PayloadAction } from '@reduxjs/toolkit';
+
+export type <%= stateType %> = {
+  loading: boolean;
+  error: string | null;
+};
+
+const initialState: <%= stateType %> = {
+  loading: false,
+  error: null,
+};
+
+const <%= sliceName %>Slice = createSlice({
+  name: '<%= sliceName %>',
+  initialState,
+  reducers: {
+    setLoading: (state, action: PayloadAction<boolean>) => {
+      state.loading = action.payload;
+    },
+    setError: (state, action: PayloadAction<string | null>) => {
+      state.error = action.payload;
+    },
+  },
+});
+
+export const { setLoading, setError } = <%= sliceName %>Slice.actions;
+export default <%= sliceName %>Slice.reducer;
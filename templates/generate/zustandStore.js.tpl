@@ -0,0 +1,19 @@
+import { create } from 'zustand';
+
+/**
+ * @typedef {object} <%= pascalName %>State
+ * @property {boolean} loading
+ * @property {string | null} error
+ * @property {(loading: boolean) => void} setLoading
+ * @property {(error: string | null) => void} setError
+ */
+
+/** @type {import('zustand').UseBoundStore<import('zustand').StoreApi<<%= pascalName %>State>>} */
+const use<%= pascalName %>Store = create((set) => ({
+  loading: false,
+  error: null,
+  setLoading: (loading) => set({ loading }),
+  setError: (error) => set({ error }),
+}));
+
+export default use<%= pascalName %>Store;
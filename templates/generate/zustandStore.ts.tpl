@@ -0,0 +1,17 @@
+import { create } from 'zustand';
+
+type <%= pascalName %>State = {
+  loading: boolean;
+  error: string | null;
+  setLoading: (loading: boolean) => void;
+  setError: (error: string | null) => void;
+};
+
+const use<%= pascalName %>Store = create<<%= pascalName %>State>()((set) => ({
+  loading: false,
+  error: null,
+  setLoading: (loading) => set({ loading }),
+  setError: (error) => set({ error }),
+}));
+
+export default use<%= pascalName %>Store;
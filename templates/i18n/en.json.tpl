@@ -0,0 +1,14 @@
+{
+<% if home %>
+  "home": {
+    "placeholder": "Render your first screen here"
+  }<% if hasScreens %>,<% endif %>
+<% endif %>
+<% if hasScreens %>
+  "screens": {
+<% each screens %>
+    "<%= key %>": "<%= title %>"<% unless @last %>,<% endunless %>
+<% endeach %>
+  }
+<% endif %>
+}
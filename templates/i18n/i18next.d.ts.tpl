@@ -0,0 +1,12 @@
+import 'i18next';
+import type en from '<%= enLocale %>';
+
+// Type-safe t(): keys are checked against the base locale (src/i18n/locales/en.json)
+declare module 'i18next' {
+  interface CustomTypeOptions {
+    defaultNS: 'translation';
+    resources: {
+      translation: typeof en;
+    };
+  }
+}
@@ -0,0 +1,84 @@
+import i18n from 'i18next';
+import { initReactI18next } from 'react-i18next';
+import { getLocales } from 'react-native-localize';
+<% if storageUtil %>
+import <%= storageUtil %> from '<%= storageImport %>';
+<% endif %>
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, resources } from './resources';
+
+/** @typedef {import('./resources').Language} Language */
+
+<% if storageUtil %>
+const LANGUAGE_KEY = 'settings.language';
+
+<% endif %>
+/**
+ * @param {string | null | undefined} language
+ * @returns {language is Language}
+ */
+const isSupported = (language) => Boolean(language) && /** @type {string[]} */ (SUPPORTED_LANGUAGES).includes(/** @type {string} */ (language));
+
+/**
+ * The first of the device's preferred languages the app has translations for
+ * @returns {Language}
+ */
+export const getDeviceLanguage = () => {
+  for (const { languageTag, languageCode } of getLocales()) {
+    if (isSupported(languageTag)) return languageTag;
+    if (isSupported(languageCode)) return languageCode;
+  }
+  return DEFAULT_LANGUAGE;
+};
+
+<% if storageUtil %>
+/**
+ * The language saved with <%= storageUtil %>, else the device language.
+ * Every language change is saved, so it is restored on the next launch.
+ * @type {import('i18next').LanguageDetectorAsyncModule}
+ */
+const languageDetector = {
+  type: 'languageDetector',
+  async: true,
+  detect: async () => {
+    const saved = await Promise.resolve(<%= storageUtil %>.getItem(LANGUAGE_KEY));
+    return isSupported(saved) ? saved : getDeviceLanguage();
+  },
+  cacheUserLanguage: async (language) => {
+    await <%= storageUtil %>.setItem(LANGUAGE_KEY, language);
+  },
+};
+<% else %>
+/**
+ * The device language. Choose a storage solution (`rn-scaffold add storage`)
+ * to keep a language picked in the app across restarts.
+ * @type {import('i18next').LanguageDetectorModule}
+ */
+const languageDetector = {
+  type: 'languageDetector',
+  detect: () => getDeviceLanguage(),
+};
+<% endif %>
+
+i18n
+  .use(languageDetector)
+  .use(initReactI18next)
+  .init({
+    resources,
+    fallbackLng: DEFAULT_LANGUAGE,
+    supportedLngs: SUPPORTED_LANGUAGES,
+    // Untranslated (empty) strings fall back to the base locale
+    returnEmptyString: false,
+    interpolation: {
+      // React already escapes rendered values
+      escapeValue: false,
+    },
+  });
+
+/**
+ * Switch the app language<% if storageUtil %>; it is saved and restored on the next launch<% endif %>
+ * @param {Language} language
+ */
+export const changeLanguage = (language) => i18n.changeLanguage(language);
+
+export { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES };
+export default i18n;
@@ -0,0 +1,82 @@
+import i18n from 'i18next';
+<% if storageUtil %>
+import type { LanguageDetectorAsyncModule } from 'i18next';
+<% else %>
+import type { LanguageDetectorModule } from 'i18next';
+<% endif %>
+import { initReactI18next } from 'react-i18next';
+import { getLocales } from 'react-native-localize';
+<% if storageUtil %>
+import <%= storageUtil %> from '<%= storageImport %>';
+<% endif %>
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, resources } from './resources';
+import type { Language } from './resources';
+
+<% if storageUtil %>
+const LANGUAGE_KEY = 'settings.language';
+
+<% endif %>
+const isSupported = (language: string | null | undefined): language is Language =>
+  Boolean(language) && (SUPPORTED_LANGUAGES as string[]).includes(language as string);
+
+/**
+ * The first of the device's preferred languages the app has translations for
+ */
+export const getDeviceLanguage = (): Language => {
+  for (const { languageTag, languageCode } of getLocales()) {
+    if (isSupported(languageTag)) return languageTag;
+    if (isSupported(languageCode)) return languageCode;
+  }
+  return DEFAULT_LANGUAGE;
+};
+
+<% if storageUtil %>
+/**
+ * The language saved with <%= storageUtil %>, else the device language.
+ * Every language change is saved, so it is restored on the next launch.
+ */
+const languageDetector: LanguageDetectorAsyncModule = {
+  type: 'languageDetector',
+  async: true,
+  detect: async () => {
+    const saved = await Promise.resolve(<%= storageUtil %>.getItem(LANGUAGE_KEY));
+    return isSupported(saved) ? saved : getDeviceLanguage();
+  },
+  cacheUserLanguage: async (language: string) => {
+    await <%= storageUtil %>.setItem(LANGUAGE_KEY, language);
+  },
+};
+<% else %>
+/**
+ * The device language. Choose a storage solution (`rn-scaffold add storage`)
+ * to keep a language picked in the app across restarts.
+ */
+const languageDetector: LanguageDetectorModule = {
+  type: 'languageDetector',
+  detect: () => getDeviceLanguage(),
+};
+<% endif %>
+
+i18n
+  .use(languageDetector)
+  .use(initReactI18next)
+  .init({
+    resources,
+    fallbackLng: DEFAULT_LANGUAGE,
+    supportedLngs: SUPPORTED_LANGUAGES,
+    // Untranslated (empty) strings fall back to the base locale
+    returnEmptyString: false,
+    interpolation: {
+      // React already escapes rendered values
+      escapeValue: false,
+    },
+  });
+
+/**
+ * Switch the app language<% if storageUtil %>; it is saved and restored on the next launch<% endif %>
+ */
+export const changeLanguage = (language: Language) => i18n.changeLanguage(language);
+
+export type { Language };
+export { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES };
+export default i18n;
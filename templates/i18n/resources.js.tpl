@@ -0,0 +1,18 @@
+import en from './locales/en.json';
+
+/**
+ * Translations per language. `rn-scaffold i18n add-locale <code>` adds new locales here.
+ */
+export const resources = {
+  en: { translation: en },
+};
+
+/** @typedef {keyof typeof resources} Language */
+
+/**
+ * The base locale: other locales follow its keys and fall back to it
+ * @type {Language}
+ */
+export const DEFAULT_LANGUAGE = 'en';
+
+export const SUPPORTED_LANGUAGES = /** @type {Language[]} */ (Object.keys(resources));
@@ -0,0 +1,15 @@
+import en from './locales/en.json';
+
+/**
+ * Translations per language. `rn-scaffold i18n add-locale <code>` adds new locales here.
+ */
+export const resources = {
+  en: { translation: en },
+};
+
+export type Language = keyof typeof resources;
+
+// The base locale: other locales follow its keys and fall back to it
+export const DEFAULT_LANGUAGE: Language = 'en';
+
+export const SUPPORTED_LANGUAGES = Object.keys(resources) as Language[];
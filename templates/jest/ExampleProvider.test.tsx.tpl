@@ -0,0 +1,44 @@
+import React from 'react';
+import { Pressable, Text, View } from 'react-native';
+import { fireEvent, render, renderWithProviders, screen } from '@utils/test-utils';
+import { useExampleContext } from '../ExampleProvider';
+
+const Counter = () => {
+  const { value, increment, decrement } = useExampleContext();
+
+  return (
+    <View>
+      <Text>{`Count: ${value}`}</Text>
+      <Pressable onPress={increment}>
+        <Text>+</Text>
+      </Pressable>
+      <Pressable onPress={decrement}>
+        <Text>-</Text>
+      </Pressable>
+    </View>
+  );
+};
+
+describe('ExampleProvider', () => {
+  it('provides the value and the actions updating it', async () => {
+    // renderWithProviders wraps the UI in ExampleProvider, as App does
+    await renderWithProviders(<Counter />);
+
+    expect(screen.getByText('Count: 0')).toBeOnTheScreen();
+
+    fireEvent.press(screen.getByText('+'));
+    fireEvent.press(screen.getByText('+'));
+    fireEvent.press(screen.getByText('-'));
+
+    expect(screen.getByText('Count: 1')).toBeOnTheScreen();
+  });
+
+  it('throws when used outside the provider', () => {
+    // React logs the error it rethrows
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => render(<Counter />)).toThrow('useExampleContext must be used within an ExampleProvider');
+
+    jest.mocked(console.error).mockRestore();
+  });
+});
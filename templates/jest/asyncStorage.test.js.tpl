@@ -0,0 +1,58 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import StorageUtil from '../asyncStorage';
+
+// AsyncStorage is the in-memory mock of jest.setup
+describe('StorageUtil (AsyncStorage)', () => {
+  beforeAll(() => {
+    // Every call logs its outcome
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.mocked(console.log).mockRestore();
+    jest.mocked(console.error).mockRestore();
+  });
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+  });
+
+  it('reads back a saved value', async () => {
+    await StorageUtil.setItem('token', 'abc');
+
+    await expect(StorageUtil.getItem('token')).resolves.toBe('abc');
+  });
+
+  it('resolves with null for a missing key', async () => {
+    await expect(StorageUtil.getItem('missing')).resolves.toBeNull();
+  });
+
+  it('deletes a value', async () => {
+    await StorageUtil.setItem('token', 'abc');
+    await StorageUtil.deleteItem('token');
+
+    await expect(StorageUtil.getItem('token')).resolves.toBeNull();
+  });
+
+  it('clears every value', async () => {
+    await StorageUtil.setItem('a', '1');
+    await StorageUtil.setItem('b', '2');
+    await StorageUtil.clearAll();
+
+    await expect(AsyncStorage.getAllKeys()).resolves.toEqual([]);
+  });
+
+  it('logs a failed write instead of throwing', async () => {
+    jest.mocked(AsyncStorage.setItem).mockRejectedValueOnce(new Error('Disk full'));
+
+    await expect(StorageUtil.setItem('token', 'abc')).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('token'), expect.any(Error));
+  });
+
+  it('resolves with null when a read fails', async () => {
+    jest.mocked(AsyncStorage.getItem).mockRejectedValueOnce(new Error('Unavailable'));
+
+    await expect(StorageUtil.getItem('token')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,31 @@
+import { act, renderHook } from '@utils/test-utils';
+import useExampleStore from '../exampleStore';
+
+describe('useExampleStore', () => {
+  it('starts at 0', () => {
+    expect(useExampleStore.getState().value).toBe(0);
+  });
+
+  it('increments and decrements', () => {
+    const { increment, decrement } = useExampleStore.getState();
+
+    increment();
+    increment();
+    decrement();
+
+    expect(useExampleStore.getState().value).toBe(1);
+  });
+
+  it('is back to its initial state in the next test', () => {
+    // Reset by __mocks__/zustand after the previous test
+    expect(useExampleStore.getState().value).toBe(0);
+  });
+
+  it('re-renders the components using it', () => {
+    const { result } = renderHook(() => useExampleStore((state) => state.value));
+
+    act(() => useExampleStore.getState().increment());
+
+    expect(result.current).toBe(1);
+  });
+});
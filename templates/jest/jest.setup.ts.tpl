@@ -0,0 +1,68 @@
+// Runs before every test file (setupFilesAfterEnv in jest.config.js). Native modules do not
+// exist in Jest, so the ones the app uses are replaced with in-memory or no-op versions here.
+import '@testing-library/react-native/extend-expect';
+<% if asyncStorage %>
+
+// Every test file starts with an empty storage
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+<% endif %>
+<% if mmkv %>
+
+// react-native-mmkv needs no mock: under Jest, new MMKV() returns an in-memory instance
+<% endif %>
+<% if reduxPersist %>
+
+// redux-persist gives up on the saved state after persistConfig.timeout with a timer nothing
+// clears, which keeps Jest from exiting. Storage is in memory here, so the timeout is off.
+jest.mock('redux-persist', () => {
+  const actual = jest.requireActual<typeof import('redux-persist')>('redux-persist');
+  const persistReducer: typeof actual.persistReducer = (config, reducer) =>
+    actual.persistReducer({ ...config, timeout: 0 }, reducer);
+  return { ...actual, persistReducer };
+});
+<% endif %>
+<% if navigation %>
+
+jest.mock('react-native-safe-area-context', () => require('react-native-safe-area-context/jest/mock').default);
+
+// Inside a navigator, useNavigation() and useRoute() work as usual. A screen rendered on its
+// own gets mockNavigation and mockRoute (see utils/test-utils/navigation) instead of an error.
+jest.mock('@react-navigation/native', () => {
+  const actual = jest.requireActual('@react-navigation/native');
+  const { useContext } = jest.requireActual('react');
+  const { mockNavigation, mockRoute } = jest.requireActual('@utils/test-utils/navigation');
+  return {
+    ...actual,
+    useNavigation: () => useContext(actual.NavigationContext) ?? mockNavigation,
+    useRoute: () => useContext(actual.NavigationRouteContext) ?? mockRoute,
+  };
+});
+<% endif %>
+<% if i18n %>
+
+jest.mock('react-native-localize', () => require('react-native-localize/mock'));
+<% endif %>
+<% if media %>
+
+// check() and request() resolve with "granted"; change it per test with jest.mocked(check).mockResolvedValueOnce(...)
+jest.mock('react-native-permissions', () => require('react-native-permissions/mock'));
+<% endif %>
+<% if env %>
+
+// The Config module (@constants/config) reads the values of .env.development, as in a debug build
+const mockEnv: Record<string, string> = Object.fromEntries(
+  require('fs')
+    .readFileSync(require('path').join(__dirname, '.env.development'), 'utf8')
+    .split(/\r?\n/)
+    .map((line: string) => line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/))
+    .filter(Boolean)
+    .map(([, key, value]: string[]) => [key, value.replace(/^(['"])(.*)\1$/, '$2')]),
+);
+<% if expo %>
+Object.assign(process.env, mockEnv);
+<% else %>
+jest.mock('react-native-config', () => mockEnv);
+<% endif %>
+<% endif %>
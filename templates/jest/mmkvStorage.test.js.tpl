@@ -0,0 +1,50 @@
+import MMKVStorageUtil from '../mmkvStorage';
+
+// Under Jest, react-native-mmkv stores values in memory
+describe('MMKVStorageUtil', () => {
+  beforeAll(() => {
+    // Every call logs its outcome
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.mocked(console.log).mockRestore();
+  });
+
+  beforeEach(() => {
+    MMKVStorageUtil.clearAll();
+  });
+
+  it('reads back a saved value', () => {
+    MMKVStorageUtil.setItem('token', 'abc');
+
+    expect(MMKVStorageUtil.getItem('token')).toBe('abc');
+  });
+
+  it('returns null for a missing key', () => {
+    expect(MMKVStorageUtil.getItem('missing')).toBeNull();
+  });
+
+  it('overwrites a value', () => {
+    MMKVStorageUtil.setItem('token', 'abc');
+    MMKVStorageUtil.setItem('token', 'def');
+
+    expect(MMKVStorageUtil.getItem('token')).toBe('def');
+  });
+
+  it('deletes a value', () => {
+    MMKVStorageUtil.setItem('token', 'abc');
+    MMKVStorageUtil.deleteItem('token');
+
+    expect(MMKVStorageUtil.getItem('token')).toBeNull();
+  });
+
+  it('clears every value', () => {
+    MMKVStorageUtil.setItem('a', '1');
+    MMKVStorageUtil.setItem('b', '2');
+    MMKVStorageUtil.clearAll();
+
+    expect(MMKVStorageUtil.getItem('a')).toBeNull();
+    expect(MMKVStorageUtil.getItem('b')).toBeNull();
+  });
+});
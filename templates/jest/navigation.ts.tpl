@@ -0,0 +1,30 @@
+// What useNavigation() and useRoute() return in a screen rendered outside a navigator (see
+// jest.setup). Its functions are jest.fn(), cleared before every test (clearMocks in jest.config.js):
+//   expect(mockNavigation.navigate).toHaveBeenCalledWith('Details', { id: '42' });
+
+export const mockNavigation = {
+  navigate: jest.fn(),
+  goBack: jest.fn(),
+  canGoBack: jest.fn(() => false),
+  push: jest.fn(),
+  pop: jest.fn(),
+  popToTop: jest.fn(),
+  replace: jest.fn(),
+  reset: jest.fn(),
+  dispatch: jest.fn(),
+  setParams: jest.fn(),
+  setOptions: jest.fn(),
+  isFocused: jest.fn(() => true),
+  getParent: jest.fn(),
+  getState: jest.fn(),
+  getId: jest.fn(),
+  // Returns the unsubscribe function, like the real one
+  addListener: jest.fn(() => jest.fn()),
+  removeListener: jest.fn(),
+};
+
+export const mockRoute = {
+  key: 'MockRoute',
+  name: 'MockRoute',
+  params: undefined,
+};
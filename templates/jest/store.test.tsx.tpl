@@ -0,0 +1,46 @@
+import React from 'react';
+import { Pressable, Text } from 'react-native';
+import { useAppDispatch, useAppSelector } from '@hooks/redux';
+import { createTestStore, fireEvent, renderWithProviders, screen } from '@utils/test-utils';
+import { store } from '../index';
+import { decrement, increment } from '../slices/exampleSlice';
+
+const Counter = () => {
+  const value = useAppSelector((state) => state.example.value);
+  const dispatch = useAppDispatch();
+
+  return (
+    <Pressable onPress={() => dispatch(increment())}>
+      <Text>{`Count: ${value}`}</Text>
+    </Pressable>
+  );
+};
+
+describe('store', () => {
+  it('has the reducers of the test store', () => {
+    expect(Object.keys(store.getState())).toEqual(expect.arrayContaining(Object.keys(createTestStore().getState())));
+  });
+
+  it('starts the example slice at 0', () => {
+    expect(createTestStore().getState().example.value).toBe(0);
+  });
+
+  it('updates the example slice', () => {
+    const testStore = createTestStore();
+
+    testStore.dispatch(increment());
+    testStore.dispatch(increment());
+    testStore.dispatch(decrement());
+
+    expect(testStore.getState().example.value).toBe(1);
+  });
+
+  it('renders components with the preloaded state', async () => {
+    const { store: testStore } = await renderWithProviders(<Counter />, { preloadedState: { example: { value: 41 } } });
+
+    fireEvent.press(screen.getByText('Count: 41'));
+
+    expect(screen.getByText('Count: 42')).toBeOnTheScreen();
+    expect(testStore.getState().example.value).toBe(42);
+  });
+});
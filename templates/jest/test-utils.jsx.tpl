@@ -0,0 +1,126 @@
+import React from 'react';
+import { act, render } from '@testing-library/react-native';
+<% if navigation %>
+import { NavigationContainer } from '@react-navigation/native';
+<% endif %>
+<% if redux %>
+import { configureStore } from '@reduxjs/toolkit';
+import { Provider } from 'react-redux';
+<% if rtkQuery %>
+import { api } from '@service/api';
+<% endif %>
+import { rootReducer } from '@store/index';
+<% endif %>
+<% if context %>
+import { ExampleProvider } from '@context/providers/ExampleProvider';
+<% endif %>
+<% if authProvider %>
+import { AuthProvider } from '@context/providers/AuthProvider';
+<% endif %>
+<% if theme %>
+import { ThemeProvider } from '@theme/index';
+<% endif %>
+<% if i18n %>
+import '@i18n/index';
+<% endif %>
+
+export * from '@testing-library/react-native';
+<% if navigation %>
+export { mockNavigation, mockRoute } from './navigation';
+<% endif %>
+<% if redux %>
+
+/** @typedef {ReturnType<typeof rootReducer>} TestState */
+
+/**
+ * A store with the app's reducers, without persistence, starting from the given state
+ * @param {Partial<TestState>} [preloadedState]
+ */
+export const createTestStore = (preloadedState) =>
+  configureStore({
+    reducer: rootReducer,
+    preloadedState,
+<% if rtkQuery %>
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(api.middleware),
+<% endif %>
+  });
+
+/** @typedef {ReturnType<typeof createTestStore>} TestStore */
+<% endif %>
+
+<% if providerOptions %>
+/**
+ * @typedef {import('@testing-library/react-native').RenderOptions & {
+<% if redux %>
+ *   preloadedState?: Partial<TestState>,
+ *   store?: TestStore,
+<% endif %>
+<% if theme %>
+ *   themeMode?: import('@theme/index').ThemeMode,
+<% endif %>
+ * }} ProviderOptions
+<% if redux %>
+ * preloadedState: state the test store starts from; store: store to render with instead of
+ * a new one, e.g. to dispatch to it from the test
+<% endif %>
+<% if theme %>
+ * themeMode: theme mode (default: light, whatever the appearance of the machine running the tests)
+<% endif %>
+ */
+<% else %>
+/** @typedef {import('@testing-library/react-native').RenderOptions} ProviderOptions */
+<% endif %>
+
+/**
+ * Render UI inside the providers App wraps it in, so components using the store, the theme
+ * or the navigation hooks render as in the app. Resolves once the providers restored their
+ * saved state, which is why it is awaited even where nothing is saved:
+ *   await renderWithProviders(<Counter />);
+ *   fireEvent.press(screen.getByText('+'));
+ * @param {React.ReactElement} ui
+ * @param {ProviderOptions} [options]
+ */
+export async function renderWithProviders(
+  ui,
+  {
+<% if redux %>
+    preloadedState,
+    store = createTestStore(preloadedState),
+<% endif %>
+<% if theme %>
+    themeMode = 'light',
+<% endif %>
+    ...options
+  } = {},
+) {
+  // Built from the inside out: the navigation container is innermost, as in App
+  /** @param {{ children: React.ReactNode }} props */
+  const Providers = ({ children }) => {
+    let tree = <>{children}</>;
+<% if navigation %>
+    tree = <NavigationContainer>{tree}</NavigationContainer>;
+<% endif %>
+<% if authProvider %>
+    tree = <AuthProvider>{tree}</AuthProvider>;
+<% endif %>
+<% if context %>
+    tree = <ExampleProvider>{tree}</ExampleProvider>;
+<% endif %>
+<% if theme %>
+    tree = <ThemeProvider initialMode={themeMode}>{tree}</ThemeProvider>;
+<% endif %>
+<% if redux %>
+    tree = <Provider store={store}>{tree}</Provider>;
+<% endif %>
+    return tree;
+  };
+
+  const result = render(ui, { wrapper: Providers, ...options });
+  // An async act() waits for the pending promises, e.g. a saved theme mode being read
+  await act(async () => {});
+<% if redux %>
+  return { ...result, store };
+<% else %>
+  return result;
+<% endif %>
+}
@@ -0,0 +1,119 @@
+import React from 'react';
+import type { ReactElement, ReactNode } from 'react';
+import { act, render } from '@testing-library/react-native';
+import type { RenderOptions } from '@testing-library/react-native';
+<% if navigation %>
+import { NavigationContainer } from '@react-navigation/native';
+<% endif %>
+<% if redux %>
+import { configureStore } from '@reduxjs/toolkit';
+import { Provider } from 'react-redux';
+<% if rtkQuery %>
+import { api } from '@service/api';
+<% endif %>
+import { rootReducer } from '@store/index';
+<% endif %>
+<% if context %>
+import { ExampleProvider } from '@context/providers/ExampleProvider';
+<% endif %>
+<% if authProvider %>
+import { AuthProvider } from '@context/providers/AuthProvider';
+<% endif %>
+<% if theme %>
+import { ThemeProvider } from '@theme/index';
+import type { ThemeMode } from '@theme/index';
+<% endif %>
+<% if i18n %>
+import '@i18n/index';
+<% endif %>
+
+export * from '@testing-library/react-native';
+<% if navigation %>
+export { mockNavigation, mockRoute } from './navigation';
+<% endif %>
+<% if redux %>
+
+export type TestState = ReturnType<typeof rootReducer>;
+
+/**
+ * A store with the app's reducers, without persistence, starting from the given state
+ */
+export const createTestStore = (preloadedState?: Partial<TestState>) =>
+  configureStore({
+    reducer: rootReducer,
+    preloadedState,
+<% if rtkQuery %>
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(api.middleware),
+<% endif %>
+  });
+
+export type TestStore = ReturnType<typeof createTestStore>;
+<% endif %>
+
+<% if providerOptions %>
+export type ProviderOptions = RenderOptions & {
+<% if redux %>
+  /** State the test store starts from */
+  preloadedState?: Partial<TestState>;
+  /** Store to render with instead of a new one, e.g. to dispatch to it from the test */
+  store?: TestStore;
+<% endif %>
+<% if theme %>
+  /** Theme mode (default: light, whatever the appearance of the machine running the tests) */
+  themeMode?: ThemeMode;
+<% endif %>
+};
+<% else %>
+export type ProviderOptions = RenderOptions;
+<% endif %>
+
+/**
+ * Render UI inside the providers App wraps it in, so components using the store, the theme
+ * or the navigation hooks render as in the app. Resolves once the providers restored their
+ * saved state, which is why it is awaited even where nothing is saved:
+ *   await renderWithProviders(<Counter />);
+ *   fireEvent.press(screen.getByText('+'));
+ */
+export async function renderWithProviders(
+  ui: ReactElement,
+  {
+<% if redux %>
+    preloadedState,
+    store = createTestStore(preloadedState),
+<% endif %>
+<% if theme %>
+    themeMode = 'light',
+<% endif %>
+    ...options
+  }: ProviderOptions = {},
+) {
+  // Built from the inside out: the navigation container is innermost, as in App
+  const Providers = ({ children }: { children: ReactNode }) => {
+    let tree = <>{children}</>;
+<% if navigation %>
+    tree = <NavigationContainer>{tree}</NavigationContainer>;
+<% endif %>
+<% if authProvider %>
+    tree = <AuthProvider>{tree}</AuthProvider>;
+<% endif %>
+<% if context %>
+    tree = <ExampleProvider>{tree}</ExampleProvider>;
+<% endif %>
+<% if theme %>
+    tree = <ThemeProvider initialMode={themeMode}>{tree}</ThemeProvider>;
+<% endif %>
+<% if redux %>
+    tree = <Provider store={store}>{tree}</Provider>;
+<% endif %>
+    return tree;
+  };
+
+  const result = render(ui, { wrapper: Providers, ...options });
+  // An async act() waits for the pending promises, e.g. a saved theme mode being read
+  await act(async () => {});
+<% if redux %>
+  return { ...result, store };
+<% else %>
+  return result;
+<% endif %>
+}
@@ -0,0 +1,47 @@
+// Jest uses this file instead of zustand (a mock next to node_modules replaces the package in
+// every test). Stores work as usual, and all of them are reset to their initial state before
+// each test, so no test sees the state an earlier one left behind.
+import { act } from '@testing-library/react-native';
+
+export * from 'zustand';
+
+/** @type {typeof import('zustand')} */
+const { create: actualCreate, createStore: actualCreateStore } = jest.requireActual('zustand');
+
+/** @type {Set<() => void>} */
+const storeResets = new Set();
+
+/**
+ * @template {import('zustand').StoreApi<any>} S
+ * @param {S} store
+ * @returns {S}
+ */
+const withReset = (store) => {
+  const initialState = store.getInitialState();
+  storeResets.add(() => store.setState(initialState, true));
+  return store;
+};
+
+/**
+ * create or createStore, registering every store it makes for the reset. Both are called
+ * either with the state creator or curried: create()(stateCreator).
+ * @param {(stateCreator: any) => import('zustand').StoreApi<any>} actual
+ * @returns {any}
+ */
+const resettable = (actual) =>
+  /** @param {any} [stateCreator] */
+  (stateCreator) =>
+    stateCreator ? withReset(actual(stateCreator)) : (/** @type {any} */ curried) => withReset(actual(curried));
+
+/** @type {typeof import('zustand').create} */
+export const create = resettable(actualCreate);
+/** @type {typeof import('zustand').createStore} */
+export const createStore = resettable(actualCreateStore);
+
+// Before each test rather than after: this hook would run ahead of a test file's own afterEach,
+// and re-render components the file has not unmounted yet, whose effects then finish outside act
+beforeEach(() => {
+  act(() => {
+    storeResets.forEach((reset) => reset());
+  });
+});
@@ -0,0 +1,38 @@
+// Jest uses this file instead of zustand (a mock next to node_modules replaces the package in
+// every test). Stores work as usual, and all of them are reset to their initial state before
+// each test, so no test sees the state an earlier one left behind.
+import { act } from '@testing-library/react-native';
+import type * as Zustand from 'zustand';
+
+export * from 'zustand';
+
+const { create: actualCreate, createStore: actualCreateStore } = jest.requireActual<typeof Zustand>('zustand');
+
+const storeResets = new Set<() => void>();
+
+const withReset = <S extends Zustand.StoreApi<unknown>>(store: S): S => {
+  const initialState = store.getInitialState();
+  storeResets.add(() => store.setState(initialState, true));
+  return store;
+};
+
+/**
+ * create or createStore, registering every store it makes for the reset. Both are called
+ * either with the state creator or, in TypeScript, curried: create<State>()(stateCreator).
+ */
+const resettable = <T>(actual: (stateCreator: Zustand.StateCreator<unknown>) => Zustand.StoreApi<unknown>) =>
+  ((stateCreator?: Zustand.StateCreator<unknown>) =>
+    stateCreator
+      ? withReset(actual(stateCreator))
+      : (curried: Zustand.StateCreator<unknown>) => withReset(actual(curried))) as T;
+
+export const create = resettable<typeof Zustand.create>(actualCreate);
+export const createStore = resettable<typeof Zustand.createStore>(actualCreateStore);
+
+// Before each test rather than after: this hook would run ahead of a test file's own afterEach,
+// and re-render components the file has not unmounted yet, whose effects then finish outside act
+beforeEach(() => {
+  act(() => {
+    storeResets.forEach((reset) => reset());
+  });
+});
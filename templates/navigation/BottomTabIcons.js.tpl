@@ -0,0 +1,12 @@
+/**
+ * Bottom tab icons, keyed by the icon name used in BottomTabNavigator.
+ * Add an image to this folder and replace null with require('./<name>.png').
+ * @type {Record<string, import('react-native').ImageSourcePropType | null>}
+ */
+const BottomTabIcons = {
+<% each icons %>
+  <%= this %>: null,
+<% endeach %>
+};
+
+export default BottomTabIcons;
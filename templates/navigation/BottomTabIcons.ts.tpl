@@ -0,0 +1,13 @@
+import { ImageSourcePropType } from 'react-native';
+
+/**
+ * Bottom tab icons, keyed by the icon name used in BottomTabNavigator.
+ * Add an image to this folder and replace null with require('./<name>.png').
+ */
+const BottomTabIcons: Record<string, ImageSourcePropType | null> = {
+<% each icons %>
+  <%= this %>: null,
+<% endeach %>
+};
+
+export default BottomTabIcons;
@@ -0,0 +1,40 @@
+import React from 'react';
+import { Image, Text } from 'react-native';
+import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
+import BottomTabIcons from '@assets/icons/BottomTabIcons';
+<% each tabs %>
+import <%= screen %> from '@features/<%= folder %>/<%= screen %>';
+<% endeach %>
+
+const Tab = createBottomTabNavigator();
+
+/**
+ * Render the icon registered in BottomTabIcons, or the first letter of its name
+ * until an image has been added.
+ * @param {string} icon - Key of BottomTabIcons
+ */
+const renderTabIcon = (icon) =>
+  /** @param {{ focused: boolean, color: string, size: number }} props */
+  ({ color, size }) => {
+    const source = BottomTabIcons[icon];
+    if (source) {
+      return <Image source={source} style={{ width: size, height: size, tintColor: color }} />;
+    }
+    return <Text style={{ color, fontSize: size * 0.8 }}>{icon.charAt(0).toUpperCase()}</Text>;
+  };
+
+const BottomTabNavigator = () => {
+  return (
+    <Tab.Navigator initialRouteName="<%= initialTab %>" screenOptions={{ headerShown: false }}>
+<% each tabs %>
+      <Tab.Screen
+        name="<%= name %>"
+        component={<%= screen %>}
+        options={{ tabBarIcon: renderTabIcon('<%= icon %>') }}
+      />
+<% endeach %>
+    </Tab.Navigator>
+  );
+};
+
+export default BottomTabNavigator;
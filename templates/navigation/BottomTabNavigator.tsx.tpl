@@ -0,0 +1,41 @@
+import React from 'react';
+import { Image, Text } from 'react-native';
+import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
+import BottomTabIcons from '@assets/icons/BottomTabIcons';
+import type { BottomTabParamList } from '<%= navigationTypes %>';
+<% each tabs %>
+import <%= screen %> from '@features/<%= folder %>/<%= screen %>';
+<% endeach %>
+
+const Tab = createBottomTabNavigator<BottomTabParamList>();
+
+type TabIconProps = { focused: boolean; color: string; size: number };
+
+/**
+ * Render the icon registered in BottomTabIcons, or the first letter of its name
+ * until an image has been added.
+ */
+const renderTabIcon = (icon: keyof typeof BottomTabIcons) =>
+  ({ color, size }: TabIconProps) => {
+    const source = BottomTabIcons[icon];
+    if (source) {
+      return <Image source={source} style={{ width: size, height: size, tintColor: color }} />;
+    }
+    return <Text style={{ color, fontSize: size * 0.8 }}>{icon.charAt(0).toUpperCase()}</Text>;
+  };
+
+const BottomTabNavigator = () => {
+  return (
+    <Tab.Navigator initialRouteName="<%= initialTab %>" screenOptions={{ headerShown: false }}>
+<% each tabs %>
+      <Tab.Screen
+        name="<%= name %>"
+        component={<%= screen %>}
+        options={{ tabBarIcon: renderTabIcon('<%= icon %>') }}
+      />
+<% endeach %>
+    </Tab.Navigator>
+  );
+};
+
+export default BottomTabNavigator;
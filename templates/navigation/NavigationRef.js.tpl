@@ -0,0 +1,46 @@
+import { createNavigationContainerRef } from '@react-navigation/native';
+
+/**
+ * Create a navigation reference to use outside of React components.
+ * @type {import('@react-navigation/native').NavigationContainerRefWithCurrent<import('<%= navigationTypes %>').RootStackParamList>}
+ */
+export const navigationRef = createNavigationContainerRef();
+
+/**
+ * Navigate to a specific route.
+ * @param {keyof import('<%= navigationTypes %>').RootStackParamList} routeName - The name of the route to navigate to.
+ * @param {object} [params] - The params to pass to the route.
+ */
+export function navigate(routeName, params) {
+  if (navigationRef.isReady()) {
+    navigationRef.navigate(routeName, params);
+  } else {
+    console.error('Navigation is not ready');
+  }
+}
+
+/**
+ * Go back to the previous route.
+ */
+export function goBack() {
+  if (navigationRef.isReady() && navigationRef.canGoBack()) {
+    navigationRef.goBack();
+  } else {
+    console.error('No routes to go back to');
+  }
+}
+
+/**
+ * Reset the navigation stack to a new route.
+ * @param {Array<{ name: keyof import('<%= navigationTypes %>').RootStackParamList, params?: object }>} routes - The list of routes to reset to.
+ */
+export function resetNavigationStack(routes) {
+  if (navigationRef.isReady()) {
+    navigationRef.reset({
+      index: routes.length - 1,
+      routes,
+    });
+  } else {
+    console.error('Navigation is not ready');
+  }
+}
@@ -0,0 +1,56 @@
+import { createNavigationContainerRef } from '@react-navigation/native';
+import type { RootStackParamList } from '<%= navigationTypes %>';
+
+/**
+ * Create a navigation reference to use outside of React components.
+ */
+export const navigationRef = createNavigationContainerRef<RootStackParamList>();
+
+type NavigateArgs<RouteName extends keyof RootStackParamList> =
+  undefined extends RootStackParamList[RouteName]
+    ? [routeName: RouteName, params?: RootStackParamList[RouteName]]
+    : [routeName: RouteName, params: RootStackParamList[RouteName]];
+
+/**
+ * Navigate to a specific route.
+ * @param routeName - The name of the route to navigate to.
+ * @param params - The params to pass to the route.
+ */
+export function navigate<RouteName extends keyof RootStackParamList>(...args: NavigateArgs<RouteName>): void {
+  if (navigationRef.isReady()) {
+    // The tuple type above already enforces the route/params pairing
+    navigationRef.navigate(...(args as [any, any]));
+  } else {
+    console.error('Navigation is not ready');
+  }
+}
+
+/**
+ * Go back to the previous route.
+ */
+export function goBack(): void {
+  if (navigationRef.isReady() && navigationRef.canGoBack()) {
+    navigationRef.goBack();
+  } else {
+    console.error('No routes to go back to');
+  }
+}
+
+type RootRoute = {
+  [RouteName in keyof RootStackParamList]: { name: RouteName; params?: RootStackParamList[RouteName] };
+}[keyof RootStackParamList];
+
+/**
+ * Reset the navigation stack to a new route.
+ * @param routes - The list of routes to reset to.
+ */
+export function resetNavigationStack(routes: RootRoute[]): void {
+  if (navigationRef.isReady()) {
+    navigationRef.reset({
+      index: routes.length - 1,
+      routes,
+    });
+  } else {
+    console.error('Navigation is not ready');
+  }
+}
@@ -0,0 +1,62 @@
+import React from 'react';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+<% if auth %>
+import ForgotPasswordScreen from '@features/auth/ForgotPasswordScreen';
+<% endif %>
+import LoginScreen from '@features/auth/LoginScreen';
+<% if auth %>
+import RegisterScreen from '@features/auth/RegisterScreen';
+<% endif %>
+<% if bottomNavigation %>
+import BottomTabNavigator from './BottomTabNavigator';
+<% else %>
+import DashboardScreen from '@features/dashboard/DashboardScreen';
+<% endif %>
+
+const RootStack = createNativeStackNavigator();
+const AuthStack = createNativeStackNavigator();
+const AppStack = createNativeStackNavigator();
+
+const AuthNavigator = () => {
+  return (
+    <AuthStack.Navigator>
+      <AuthStack.Screen name="Login" component={LoginScreen} />
+<% if auth %>
+      <AuthStack.Screen name="Register" component={RegisterScreen} options={{ title: 'Create account' }} />
+      <AuthStack.Screen name="ForgotPassword" component={ForgotPasswordScreen} options={{ title: 'Forgot password' }} />
+<% endif %>
+    </AuthStack.Navigator>
+  );
+};
+
+const AppNavigator = () => {
+  return (
+    <AppStack.Navigator>
+<% if bottomNavigation %>
+      <AppStack.Screen name="MainTabs" component={BottomTabNavigator} options={{ headerShown: false }} />
+<% else %>
+      <AppStack.Screen name="Dashboard" component={DashboardScreen} />
+<% endif %>
+    </AppStack.Navigator>
+  );
+};
+
+/**
+ * Switches between the Auth and App stacks. Changing isSignedIn swaps the stack
+ * and resets the history, so the back button never returns to the login screen.
+ * @param {object} props
+ * @param {boolean} props.isSignedIn - Show the App stack when true, the Auth stack otherwise
+ */
+const RootNavigator = ({ isSignedIn }) => {
+  return (
+    <RootStack.Navigator screenOptions={{ headerShown: false }}>
+      {isSignedIn ? (
+        <RootStack.Screen name="App" component={AppNavigator} />
+      ) : (
+        <RootStack.Screen name="Auth" component={AuthNavigator} />
+      )}
+    </RootStack.Navigator>
+  );
+};
+
+export default RootNavigator;
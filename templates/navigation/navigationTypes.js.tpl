@@ -0,0 +1,42 @@
+<% if bottomNavigation %>
+/**
+ * Screens of the bottom tab navigator and the params each one accepts.
+ * @typedef {object} BottomTabParamList
+<% each tabs %>
+ * @property {undefined} <%= name %>
+<% endeach %>
+ */
+<% endif %>
+<% if navigationSetup %>
+<% if bottomNavigation %>
+
+<% endif %>
+/**
+ * Screens shown while the user is signed out.
+ * @typedef {object} AuthStackParamList
+ * @property {undefined} Login
+<% if auth %>
+ * @property {undefined} Register
+ * @property {undefined} ForgotPassword
+<% endif %>
+ */
+
+/**
+ * Screens shown once the user is signed in.
+ * @typedef {object} AppStackParamList
+<% if bottomNavigation %>
+ * @property {import('@react-navigation/native').NavigatorScreenParams<BottomTabParamList>} MainTabs
+<% else %>
+ * @property {undefined} Dashboard
+<% endif %>
+ */
+
+/**
+ * Top level routes. RootNavigator renders either the Auth or the App stack.
+ * @typedef {object} RootStackParamList
+ * @property {import('@react-navigation/native').NavigatorScreenParams<AuthStackParamList>} Auth
+ * @property {import('@react-navigation/native').NavigatorScreenParams<AppStackParamList>} App
+ */
+<% endif %>
+
+export {};
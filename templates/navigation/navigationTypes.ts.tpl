@@ -0,0 +1,55 @@
+<% if navigationSetup %>
+import type { NavigatorScreenParams } from '@react-navigation/native';
+
+<% endif %>
+<% if bottomNavigation %>
+/**
+ * Screens of the bottom tab navigator and the params each one accepts.
+ */
+export type BottomTabParamList = {
+<% each tabs %>
+  <%= name %>: undefined;
+<% endeach %>
+};
+<% endif %>
+<% if navigationSetup %>
+<% if bottomNavigation %>
+
+<% endif %>
+/**
+ * Screens shown while the user is signed out.
+ */
+export type AuthStackParamList = {
+  Login: undefined;
+<% if auth %>
+  Register: undefined;
+  ForgotPassword: undefined;
+<% endif %>
+};
+
+/**
+ * Screens shown once the user is signed in.
+ */
+export type AppStackParamList = {
+<% if bottomNavigation %>
+  MainTabs: NavigatorScreenParams<BottomTabParamList>;
+<% else %>
+  Dashboard: undefined;
+<% endif %>
+};
+
+/**
+ * Top level routes. RootNavigator renders either the Auth or the App stack.
+ */
+export type RootStackParamList = {
+  Auth: NavigatorScreenParams<AuthStackParamList>;
+  App: NavigatorScreenParams<AppStackParamList>;
+};
+
+// Type useNavigation(), Link and friends against RootStackParamList
+declare global {
+  namespace ReactNavigation {
+    interface RootParamList extends RootStackParamList {}
+  }
+}
+<% endif %>
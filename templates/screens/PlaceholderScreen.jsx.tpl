@@ -0,0 +1,35 @@
+import React from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+<% if titleKey %>
+import { useTranslation } from 'react-i18next';
+<% endif %>
+
+const <%= screen %> = () => {
+<% if titleKey %>
+  const { t } = useTranslation();
+
+<% endif %>
+  return (
+    <View style={styles.container}>
+<% if titleKey %>
+      <Text style={styles.title}>{t('<%= titleKey %>')}</Text>
+<% else %>
+      <Text style={styles.title}><%= title %></Text>
+<% endif %>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+  },
+});
+
+export default <%= screen %>;
@@ -0,0 +1,441 @@
+<% if axios %>
+import axios from 'axios';
+<% endif %>
+import { ApiError, <% unless axios %>httpError, <% endunless %>normalizeError } from './errors';
+
+/**
+ * @typedef {object} Tokens
+ * @property {string} accessToken
+ * @property {string | null} [refreshToken]
+ */
+
+/**
+ * Where the client reads the bearer token from and saves refreshed tokens to
+ * @typedef {object} TokenStore
+ * @property {() => Promise<string | null>} getAccessToken
+ * @property {() => Promise<string | null>} getRefreshToken
+ * @property {(tokens: Tokens) => Promise<void>} setTokens
+ * @property {() => Promise<void>} clearTokens
+ */
+
+/**
+ * @typedef {object} HttpClientOptions
+ * @property {string} baseUrl
+ * @property {number} [timeout] - Milliseconds before a request fails with kind "timeout"; 0 waits forever
+ * @property {TokenStore} [tokenStore]
+ * @property {(refreshToken: string) => Promise<Tokens>} [refreshTokens] - Exchange the refresh token for new tokens; without it a 401 is final
+ * @property {() => void} [onUnauthorized] - Called once the session cannot be refreshed, e.g. to go back to the login screen
+ */
+
+<% if axios %>
+/**
+ * @typedef {import('axios').AxiosRequestConfig & { skipAuth?: boolean }} RequestConfig
+ * skipAuth sends the request without the bearer token, e.g. sign in and the refresh call
+ */
+
+/**
+ * @template T
+ * @typedef {import('axios').AxiosResponse<T>} ApiResponse
+ */
+
+/** @typedef {Omit<RequestConfig, 'url' | 'method' | 'data'>} MethodConfig */
+
+/**
+ * Create an API client on top of an axios instance: bearer token from the token store,
+ * one token refresh at a time for any number of failing requests, and ApiError for
+ * every failure. Add interceptors with client.interceptors.request/response.use().
+ * @param {HttpClientOptions} options
+ */
+export function createHttpClient({ baseUrl, timeout = 0, tokenStore, refreshTokens, onUnauthorized }) {
+  const instance = axios.create({ baseURL: baseUrl, timeout, headers: { Accept: 'application/json' } });
+  /** @type {Promise<string | null> | null} */
+  let refreshing = null;
+
+  /**
+   * Requests failing with 401 while a refresh runs wait for it instead of starting their own
+   * @returns {Promise<string | null>} The new access token, or null when the session is over
+   */
+  const refreshAccessToken = () => {
+    if (refreshing) {
+      return refreshing;
+    }
+    refreshing = (async () => {
+      const refreshToken = await tokenStore?.getRefreshToken();
+      try {
+        if (!refreshToken || !refreshTokens) throw new Error('No refresh token');
+        const tokens = await refreshTokens(refreshToken);
+        await tokenStore?.setTokens(tokens);
+        return tokens.accessToken;
+      } catch {
+        await tokenStore?.clearTokens();
+        onUnauthorized?.();
+        return null;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+    return refreshing;
+  };
+
+  instance.interceptors.request.use(async (config) => {
+    if (/** @type {RequestConfig} */ (config).skipAuth || !tokenStore) {
+      return config;
+    }
+    // Wait for a running refresh rather than sending the token it replaces
+    if (refreshing) await refreshing;
+    const token = await tokenStore.getAccessToken();
+    if (token) {
+      config.headers.set('Authorization', `Bearer ${token}`);
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(undefined, async (error) => {
+    const apiError = normalizeError(error);
+    /** @type {(import('axios').InternalAxiosRequestConfig & { retried?: boolean }) | undefined} */
+    const config = axios.isAxiosError(error) ? error.config : undefined;
+    const sentToken = String(config?.headers.get('Authorization') ?? '').replace(/^Bearer /, '');
+    if (apiError.kind !== 'unauthorized' || !config || config.retried || !sentToken || !tokenStore) {
+      throw apiError;
+    }
+
+    // Another request may have refreshed the token already
+    const current = await tokenStore.getAccessToken();
+    const fresh = current && current !== sentToken ? current : await refreshAccessToken();
+    if (!fresh) {
+      throw apiError;
+    }
+    config.retried = true;
+    return instance.request(config);
+  });
+
+  /**
+   * @template T
+   * @param {RequestConfig} config
+   * @returns {Promise<ApiResponse<T>>}
+   */
+  const request = (config) => instance.request(config);
+
+  return {
+    instance,
+    interceptors: instance.interceptors,
+    request,
+    /**
+     * @template T
+     * @param {string} url
+     * @param {MethodConfig} [config]
+     * @returns {Promise<T>}
+     */
+    get: (url, config) => request({ ...config, url, method: 'GET' }).then((response) => /** @type {T} */ (response.data)),
+    /**
+     * @template T
+     * @param {string} url
+     * @param {unknown} [body]
+     * @param {MethodConfig} [config]
+     * @returns {Promise<T>}
+     */
+    post: (url, body, config) => request({ ...config, url, method: 'POST', data: body }).then((response) => /** @type {T} */ (response.data)),
+    /**
+     * @template T
+     * @param {string} url
+     * @param {unknown} [body]
+     * @param {MethodConfig} [config]
+     * @returns {Promise<T>}
+     */
+    put: (url, body, config) => request({ ...config, url, method: 'PUT', data: body }).then((response) => /** @type {T} */ (response.data)),
+    /**
+     * @template T
+     * @param {string} url
+     * @param {unknown} [body]
+     * @param {MethodConfig} [config]
+     * @returns {Promise<T>}
+     */
+    patch: (url, body, config) => request({ ...config, url, method: 'PATCH', data: body }).then((response) => /** @type {T} */ (response.data)),
+    /**
+     * @template T
+     * @param {string} url
+     * @param {MethodConfig} [config]
+     * @returns {Promise<T>}
+     */
+    delete: (url, config) => request({ ...config, url, method: 'DELETE' }).then((response) => /** @type {T} */ (response.data)),
+  };
+}
+<% else %>
+/** @typedef {'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE'} HttpMethod */
+
+/**
+ * @typedef {object} RequestConfig
+ * @property {string} url - Path relative to the base URL, or an absolute URL
+ * @property {HttpMethod} [method]
+ * @property {Record<string, string | number | boolean | null | undefined>} [params]
+ * @property {unknown} [body] - Sent as JSON, unless it is FormData or a string
+ * @property {Record<string, string>} [headers]
+ * @property {AbortSignal} [signal] - Abort it to cancel the request
+ * @property {number} [timeout]
+ * @property {boolean} [skipAuth] - Send the request without the bearer token, e.g. sign in and the refresh call
+ */
+
+/**
+ * @template T
+ * @typedef {object} ApiResponse
+ * @property {T} data
+ * @property {number} status
+ * @property {Headers} headers
+ */
+
+/** @typedef {Omit<RequestConfig, 'url' | 'method' | 'body'>} MethodConfig */
+
+/**
+ * Interceptors run in the order they are added, like promise handlers: `fulfilled` gets
+ * the request config (or response), `rejected` the ApiError of an earlier step.
+ * use() returns a function that removes the interceptor again.
+ * @template V
+ */
+class Interceptors {
+  constructor() {
+    /** @type {Array<{ fulfilled?: (value: V) => V | Promise<V>, rejected?: (error: ApiError) => V | Promise<V> }>} */
+    this.handlers = [];
+  }
+
+  /**
+   * @param {(value: V) => V | Promise<V>} [fulfilled]
+   * @param {(error: ApiError) => V | Promise<V>} [rejected]
+   * @returns {() => void}
+   */
+  use(fulfilled, rejected) {
+    const handler = { fulfilled, rejected };
+    this.handlers.push(handler);
+    return () => {
+      this.handlers = this.handlers.filter((item) => item !== handler);
+    };
+  }
+
+  /**
+   * @param {Promise<V>} value
+   * @returns {Promise<V>}
+   */
+  run(value) {
+    return this.handlers.reduce(
+      (result, { fulfilled, rejected }) =>
+        result.then(fulfilled, rejected && ((error) => rejected(normalizeError(error)))),
+      value,
+    );
+  }
+}
+
+/**
+ * @param {string} baseUrl
+ * @param {string} url
+ * @param {RequestConfig['params']} [params]
+ * @returns {string}
+ */
+const buildUrl = (baseUrl, url, params = {}) => {
+  const base = /^https?:\/\//.test(url) ? url : `${baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+  // URLSearchParams is incomplete in React Native
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`)
+    .join('&');
+  return query ? `${base}${base.includes('?') ? '&' : '?'}${query}` : base;
+};
+
+/**
+ * @param {Response} response
+ * @returns {Promise<unknown>}
+ */
+const parseBody = async (response) => {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  // Invalid JSON throws a SyntaxError, which becomes an ApiError of kind "parse"
+  return (response.headers.get('Content-Type') ?? '').includes('json') ? JSON.parse(text) : text;
+};
+
+/**
+ * Create an API client on top of fetch: bearer token from the token store, one token
+ * refresh at a time for any number of failing requests, timeouts, cancellation through
+ * `signal`, and ApiError for every failure.
+ * @param {HttpClientOptions} options
+ */
+export function createHttpClient({ baseUrl, timeout = 0, tokenStore, refreshTokens, onUnauthorized }) {
+  const interceptors = {
+    /** @type {Interceptors<RequestConfig>} */
+    request: new Interceptors(),
+    /** @type {Interceptors<ApiResponse<unknown>>} */
+    response: new Interceptors(),
+  };
+  /** @type {Promise<string | null> | null} */
+  let refreshing = null;
+
+  /**
+   * Requests failing with 401 while a refresh runs wait for it instead of starting their own
+   * @returns {Promise<string | null>} The new access token, or null when the session is over
+   */
+  const refreshAccessToken = () => {
+    if (refreshing) {
+      return refreshing;
+    }
+    refreshing = (async () => {
+      const refreshToken = await tokenStore?.getRefreshToken();
+      try {
+        if (!refreshToken || !refreshTokens) throw new Error('No refresh token');
+        const tokens = await refreshTokens(refreshToken);
+        await tokenStore?.setTokens(tokens);
+        return tokens.accessToken;
+      } catch {
+        await tokenStore?.clearTokens();
+        onUnauthorized?.();
+        return null;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+    return refreshing;
+  };
+
+  /**
+   * @param {RequestConfig} config
+   * @returns {Promise<ApiResponse<unknown>>}
+   */
+  const send = async (config) => {
+    const { url, method = 'GET', params, body, signal, timeout: requestTimeout = timeout } = config;
+    /** @type {Record<string, string>} */
+    const headers = { Accept: 'application/json', ...config.headers };
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    const timer = requestTimeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, requestTimeout)
+      : null;
+    if (signal?.aborted) {
+      abort();
+    }
+    signal?.addEventListener('abort', abort);
+
+    try {
+      /** @type {string | FormData | undefined} */
+      let encoded;
+      if (typeof body === 'string' || body instanceof FormData) {
+        encoded = body;
+      } else if (body !== undefined && body !== null) {
+        encoded = JSON.stringify(body);
+        headers['Content-Type'] = headers['Content-Type'] ?? 'application/json';
+      }
+
+      const response = await fetch(buildUrl(baseUrl, url, params), { method, headers, body: encoded, signal: controller.signal });
+      const data = await parseBody(response);
+      if (!response.ok) {
+        throw httpError(response.status, data);
+      }
+      return { data, status: response.status, headers: response.headers };
+    } catch (error) {
+      throw timedOut ? new ApiError('timeout', `Request timed out after ${requestTimeout} ms`) : normalizeError(error);
+    } finally {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  };
+
+  /**
+   * @param {RequestConfig} config
+   * @param {string} token
+   * @returns {RequestConfig}
+   */
+  const withToken = (config, token) => ({
+    ...config,
+    headers: { ...config.headers, Authorization: `Bearer ${token}` },
+  });
+
+  /**
+   * @param {RequestConfig} config
+   * @returns {Promise<ApiResponse<unknown>>}
+   */
+  const sendAuthorized = async (config) => {
+    if (config.skipAuth || !tokenStore) {
+      return send(config);
+    }
+
+    // Wait for a running refresh rather than sending the token it replaces
+    if (refreshing) await refreshing;
+    const token = await tokenStore.getAccessToken();
+    try {
+      return await send(token ? withToken(config, token) : config);
+    } catch (error) {
+      if (!token || normalizeError(error).kind !== 'unauthorized') {
+        throw error;
+      }
+      // Another request may have refreshed the token already
+      const current = await tokenStore.getAccessToken();
+      const fresh = current && current !== token ? current : await refreshAccessToken();
+      if (!fresh) {
+        throw error;
+      }
+      return send(withToken(config, fresh));
+    }
+  };
+
+  /**
+   * Send a request through the interceptors
+   * @template T
+   * @param {RequestConfig} config
+   * @returns {Promise<ApiResponse<T>>}
+   */
+  const request = async (config) => {
+    try {
+      const intercepted = await interceptors.request.run(Promise.resolve(config));
+      return /** @type {ApiResponse<T>} */ (await interceptors.response.run(sendAuthorized(intercepted)));
+    } catch (error) {
+      throw normalizeError(error);
+    }
+  };
+
+  return {
+    interceptors,
+    request,
+    /**
+     * @template T
+     * @param {string} url
+     * @param {MethodConfig} [config]
+     * @returns {Promise<T>}
+     */
+    get: (url, config) => request({ ...config, url, method: 'GET' }).then((response) => /** @type {T} */ (response.data)),
+    /**
+     * @template T
+     * @param {string} url
+     * @param {unknown} [body]
+     * @param {MethodConfig} [config]
+     * @returns {Promise<T>}
+     */
+    post: (url, body, config) => request({ ...config, url, method: 'POST', body }).then((response) => /** @type {T} */ (response.data)),
+    /**
+     * @template T
+     * @param {string} url
+     * @param {unknown} [body]
+     * @param {MethodConfig} [config]
+     * @returns {Promise<T>}
+     */
+    put: (url, body, config) => request({ ...config, url, method: 'PUT', body }).then((response) => /** @type {T} */ (response.data)),
+    /**
+     * @template T
+     * @param {string} url
+     * @param {unknown} [body]
+     * @param {MethodConfig} [config]
+     * @returns {Promise<T>}
+     */
+    patch: (url, body, config) => request({ ...config, url, method: 'PATCH', body }).then((response) => /** @type {T} */ (response.data)),
+    /**
+     * @template T
+     * @param {string} url
+     * @param {MethodConfig} [config]
+     * @returns {Promise<T>}
+     */
+    delete: (url, config) => request({ ...config, url, method: 'DELETE' }).then((response) => /** @type {T} */ (response.data)),
+  };
+}
+<% endif %>
+
+/** @typedef {ReturnType<typeof createHttpClient>} HttpClient */
@@ -0,0 +1,211 @@
+/// <reference types="node" />
+// The mock server runs in the Jest process, so Node's types are needed here
+import { createServer } from 'http';
+import { createHttpClient } from '../http/client';
+import { ApiError } from '../http/errors';
+import { createTodosApi } from '../endpoints/todos';
+
+/**
+ * A local mock backend: /todos wants "Bearer valid-token", which /auth/refresh hands out
+ * for "refresh-token"
+ */
+/** @type {import('http').Server} */
+let server;
+/** @type {string} */
+let baseUrl;
+let refreshCalls = 0;
+
+/**
+ * @param {string} method
+ * @param {string} path
+ * @param {import('http').IncomingHttpHeaders} headers
+ * @param {Record<string, unknown> | null} body
+ * @returns {[number, unknown]}
+ */
+const route = (method, path, headers, body) => {
+  const authorized = headers.authorization === 'Bearer valid-token';
+  switch (`${method} ${path}`) {
+    case 'POST /auth/refresh':
+      refreshCalls += 1;
+      return body?.refreshToken === 'refresh-token'
+        ? [200, { accessToken: 'valid-token', refreshToken: 'refresh-token' }]
+        : [401, { message: 'Refresh token expired' }];
+    case 'GET /todos':
+      return authorized ? [200, [{ id: 1, title: 'Write tests', completed: false }]] : [401, { message: 'Unauthorized' }];
+    case 'POST /todos':
+      return authorized ? [201, { id: 2, ...body }] : [401, { message: 'Unauthorized' }];
+    case 'GET /echo':
+      return [200, { appVersion: headers['x-app-version'] ?? null }];
+    case 'GET /broken':
+      return [500, { message: 'Something broke' }];
+    default:
+      return [404, { message: 'Not found' }];
+  }
+};
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+const handle = (req, res) => {
+  let raw = '';
+  req.on('data', (chunk) => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    const path = (req.url ?? '').split('?')[0];
+    const [status, payload] = route(req.method ?? 'GET', path, req.headers, raw ? JSON.parse(raw) : null);
+    // /slow answers late, for the timeout and cancellation tests
+    setTimeout(() => {
+      if (!res.destroyed) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      }
+    }, path === '/slow' ? 300 : 0);
+  });
+};
+
+/**
+ * @param {import('../http/client').Tokens | null} initial
+ * @returns {import('../http/client').TokenStore & { tokens: import('../http/client').Tokens | null }}
+ */
+const memoryTokenStore = (initial) => ({
+  tokens: initial,
+  async getAccessToken() {
+    return this.tokens?.accessToken ?? null;
+  },
+  async getRefreshToken() {
+    return this.tokens?.refreshToken ?? null;
+  },
+  async setTokens(tokens) {
+    this.tokens = tokens;
+  },
+  async clearTokens() {
+    this.tokens = null;
+  },
+});
+
+/**
+ * @param {import('../http/client').Tokens | null} tokens
+ * @param {{ onUnauthorized?: () => void, timeout?: number }} [options]
+ */
+const createClient = (tokens, options = {}) => {
+  const tokenStore = memoryTokenStore(tokens);
+  /** @type {import('../http/client').HttpClient} */
+  const client = createHttpClient({
+    baseUrl,
+    tokenStore,
+    refreshTokens: (refreshToken) => client.post('/auth/refresh', { refreshToken }, { skipAuth: true }),
+    ...options,
+  });
+  return { client, tokenStore };
+};
+
+/**
+ * @param {Promise<unknown>} promise
+ * @returns {Promise<ApiError>}
+ */
+const rejection = (promise) =>
+  promise.then(
+    () => {
+      throw new Error('Expected the request to fail');
+    },
+    (error) => error,
+  );
+
+beforeAll(async () => {
+  server = createServer(handle);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+  baseUrl = `http://127.0.0.1:${/** @type {import('net').AddressInfo} */ (server.address()).port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  refreshCalls = 0;
+});
+
+describe('API client', () => {
+  it('sends the stored access token', async () => {
+    const { client } = createClient({ accessToken: 'valid-token', refreshToken: 'refresh-token' });
+
+    await expect(createTodosApi(client).list()).resolves.toEqual([{ id: 1, title: 'Write tests', completed: false }]);
+    expect(refreshCalls).toBe(0);
+  });
+
+  it('refreshes an expired token once for concurrent requests and retries them', async () => {
+    const { client, tokenStore } = createClient({ accessToken: 'expired-token', refreshToken: 'refresh-token' });
+    const todos = createTodosApi(client);
+
+    const [list, created] = await Promise.all([todos.list(), todos.create({ title: 'Ship it', completed: false }), todos.list()]);
+
+    expect(list).toHaveLength(1);
+    expect(created).toEqual({ id: 2, title: 'Ship it', completed: false });
+    expect(refreshCalls).toBe(1);
+    expect(tokenStore.tokens?.accessToken).toBe('valid-token');
+  });
+
+  it('clears the session when the token cannot be refreshed', async () => {
+    const onUnauthorized = jest.fn();
+    const { client, tokenStore } = createClient({ accessToken: 'expired-token', refreshToken: 'revoked' }, { onUnauthorized });
+
+    const error = await rejection(createTodosApi(client).list());
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ kind: 'unauthorized', status: 401 });
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+    expect(tokenStore.tokens).toBeNull();
+  });
+
+  it('normalizes error responses', async () => {
+    const { client } = createClient(null);
+
+    await expect(rejection(client.get('/broken'))).resolves.toMatchObject({ kind: 'http', status: 500, message: 'Something broke' });
+  });
+
+  it('cancels requests through their signal', async () => {
+    const { client } = createClient(null);
+    const controller = new AbortController();
+
+    const pending = rejection(client.get('/slow', { signal: controller.signal }));
+    controller.abort();
+
+    await expect(pending).resolves.toMatchObject({ kind: 'cancelled' });
+  });
+
+  it('fails slow requests with a timeout', async () => {
+    const { client } = createClient(null, { timeout: 50 });
+
+    await expect(rejection(client.get('/slow'))).resolves.toMatchObject({ kind: 'timeout' });
+  });
+
+  it('reports unreachable servers as network errors', async () => {
+    const client = createHttpClient({ baseUrl: 'http://127.0.0.1:1' });
+
+    await expect(rejection(client.get('/todos'))).resolves.toMatchObject({ kind: 'network' });
+  });
+
+  it('runs request and response interceptors', async () => {
+    const { client } = createClient(null);
+<% if axios %>
+    client.interceptors.request.use((config) => {
+      config.headers.set('X-App-Version', '1.0.0');
+      return config;
+    });
+<% else %>
+    client.interceptors.request.use((config) => ({ ...config, headers: { ...config.headers, 'X-App-Version': '1.0.0' } }));
+<% endif %>
+    /** @type {number[]} */
+    const seen = [];
+    client.interceptors.response.use((response) => {
+      seen.push(response.status);
+      return response;
+    });
+
+    await expect(client.get('/echo')).resolves.toEqual({ appVersion: '1.0.0' });
+    expect(seen).toEqual([200]);
+  });
+});
@@ -0,0 +1,330 @@
+<% if axios %>
+import axios from 'axios';
+import type { AxiosRequestConfig, AxiosResponse, InternalAxiosRequestConfig } from 'axios';
+<% endif %>
+import { ApiError, <% unless axios %>httpError, <% endunless %>normalizeError } from './errors';
+
+export interface Tokens {
+  accessToken: string;
+  refreshToken?: string | null;
+}
+
+/**
+ * Where the client reads the bearer token from and saves refreshed tokens to
+ */
+export interface TokenStore {
+  getAccessToken(): Promise<string | null>;
+  getRefreshToken(): Promise<string | null>;
+  setTokens(tokens: Tokens): Promise<void>;
+  clearTokens(): Promise<void>;
+}
+
+export interface HttpClientOptions {
+  baseUrl: string;
+  // Milliseconds before a request fails with kind "timeout"; 0 waits forever
+  timeout?: number;
+  tokenStore?: TokenStore;
+  // Exchange the refresh token for new tokens; without it a 401 is final
+  refreshTokens?: (refreshToken: string) => Promise<Tokens>;
+  // Called once the session cannot be refreshed, e.g. to go back to the login screen
+  onUnauthorized?: () => void;
+}
+
+<% if axios %>
+declare module 'axios' {
+  interface AxiosRequestConfig {
+    // Send the request without the bearer token, e.g. sign in and the refresh call
+    skipAuth?: boolean;
+  }
+}
+
+export type RequestConfig = AxiosRequestConfig;
+export type ApiResponse<T> = AxiosResponse<T>;
+type MethodConfig = Omit<RequestConfig, 'url' | 'method' | 'data'>;
+
+/**
+ * Create an API client on top of an axios instance: bearer token from the token store,
+ * one token refresh at a time for any number of failing requests, and ApiError for
+ * every failure. Add interceptors with client.interceptors.request/response.use().
+ */
+export function createHttpClient({ baseUrl, timeout = 0, tokenStore, refreshTokens, onUnauthorized }: HttpClientOptions) {
+  const instance = axios.create({ baseURL: baseUrl, timeout, headers: { Accept: 'application/json' } });
+  let refreshing: Promise<string | null> | null = null;
+
+  // Requests failing with 401 while a refresh runs wait for it instead of starting their own
+  const refreshAccessToken = (): Promise<string | null> => {
+    if (refreshing) {
+      return refreshing;
+    }
+    refreshing = (async () => {
+      const refreshToken = await tokenStore?.getRefreshToken();
+      try {
+        if (!refreshToken || !refreshTokens) throw new Error('No refresh token');
+        const tokens = await refreshTokens(refreshToken);
+        await tokenStore?.setTokens(tokens);
+        return tokens.accessToken;
+      } catch {
+        await tokenStore?.clearTokens();
+        onUnauthorized?.();
+        return null;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+    return refreshing;
+  };
+
+  instance.interceptors.request.use(async (config) => {
+    if (config.skipAuth || !tokenStore) {
+      return config;
+    }
+    // Wait for a running refresh rather than sending the token it replaces
+    if (refreshing) await refreshing;
+    const token = await tokenStore.getAccessToken();
+    if (token) {
+      config.headers.set('Authorization', `Bearer ${token}`);
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(undefined, async (error: unknown) => {
+    const apiError = normalizeError(error);
+    const config = axios.isAxiosError(error)
+      ? (error.config as (InternalAxiosRequestConfig & { retried?: boolean }) | undefined)
+      : undefined;
+    const sentToken = String(config?.headers.get('Authorization') ?? '').replace(/^Bearer /, '');
+    if (apiError.kind !== 'unauthorized' || !config || config.retried || !sentToken || !tokenStore) {
+      throw apiError;
+    }
+
+    // Another request may have refreshed the token already
+    const current = await tokenStore.getAccessToken();
+    const fresh = current && current !== sentToken ? current : await refreshAccessToken();
+    if (!fresh) {
+      throw apiError;
+    }
+    config.retried = true;
+    return instance.request(config);
+  });
+
+  const request = <T>(config: RequestConfig): Promise<ApiResponse<T>> => instance.request<T>(config);
+
+  return {
+    instance,
+    interceptors: instance.interceptors,
+    request,
+    get: <T>(url: string, config?: MethodConfig) => request<T>({ ...config, url, method: 'GET' }).then((response) => response.data),
+    post: <T>(url: string, body?: unknown, config?: MethodConfig) =>
+      request<T>({ ...config, url, method: 'POST', data: body }).then((response) => response.data),
+    put: <T>(url: string, body?: unknown, config?: MethodConfig) =>
+      request<T>({ ...config, url, method: 'PUT', data: body }).then((response) => response.data),
+    patch: <T>(url: string, body?: unknown, config?: MethodConfig) =>
+      request<T>({ ...config, url, method: 'PATCH', data: body }).then((response) => response.data),
+    delete: <T>(url: string, config?: MethodConfig) => request<T>({ ...config, url, method: 'DELETE' }).then((response) => response.data),
+  };
+}
+<% else %>
+export type HttpMethod = 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+
+export interface RequestConfig {
+  // Path relative to the base URL, or an absolute URL
+  url: string;
+  method?: HttpMethod;
+  params?: Record<string, string | number | boolean | null | undefined>;
+  // Sent as JSON, unless it is FormData or a string
+  body?: unknown;
+  headers?: Record<string, string>;
+  // Abort it to cancel the request
+  signal?: AbortSignal;
+  timeout?: number;
+  // Send the request without the bearer token, e.g. sign in and the refresh call
+  skipAuth?: boolean;
+}
+
+export interface ApiResponse<T> {
+  data: T;
+  status: number;
+  headers: Headers;
+}
+
+type MethodConfig = Omit<RequestConfig, 'url' | 'method' | 'body'>;
+
+/**
+ * Interceptors run in the order they are added, like promise handlers: `fulfilled` gets
+ * the request config (or response), `rejected` the ApiError of an earlier step.
+ * use() returns a function that removes the interceptor again.
+ */
+class Interceptors<V> {
+  handlers: Array<{
+    fulfilled?: (value: V) => V | Promise<V>;
+    rejected?: (error: ApiError) => V | Promise<V>;
+  }> = [];
+
+  use(fulfilled?: (value: V) => V | Promise<V>, rejected?: (error: ApiError) => V | Promise<V>): () => void {
+    const handler = { fulfilled, rejected };
+    this.handlers.push(handler);
+    return () => {
+      this.handlers = this.handlers.filter((item) => item !== handler);
+    };
+  }
+
+  run(value: Promise<V>): Promise<V> {
+    return this.handlers.reduce(
+      (result, { fulfilled, rejected }) =>
+        result.then(fulfilled, rejected && ((error: unknown) => rejected(normalizeError(error)))),
+      value,
+    );
+  }
+}
+
+const buildUrl = (baseUrl: string, url: string, params: RequestConfig['params'] = {}): string => {
+  const base = /^https?:\/\//.test(url) ? url : `${baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+  // URLSearchParams is incomplete in React Native
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`)
+    .join('&');
+  return query ? `${base}${base.includes('?') ? '&' : '?'}${query}` : base;
+};
+
+const parseBody = async (response: Response): Promise<unknown> => {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  // Invalid JSON throws a SyntaxError, which becomes an ApiError of kind "parse"
+  return (response.headers.get('Content-Type') ?? '').includes('json') ? JSON.parse(text) : text;
+};
+
+/**
+ * Create an API client on top of fetch: bearer token from the token store, one token
+ * refresh at a time for any number of failing requests, timeouts, cancellation through
+ * `signal`, and ApiError for every failure.
+ */
+export function createHttpClient({ baseUrl, timeout = 0, tokenStore, refreshTokens, onUnauthorized }: HttpClientOptions) {
+  const interceptors = {
+    request: new Interceptors<RequestConfig>(),
+    response: new Interceptors<ApiResponse<unknown>>(),
+  };
+  let refreshing: Promise<string | null> | null = null;
+
+  // Requests failing with 401 while a refresh runs wait for it instead of starting their own
+  const refreshAccessToken = (): Promise<string | null> => {
+    if (refreshing) {
+      return refreshing;
+    }
+    refreshing = (async () => {
+      const refreshToken = await tokenStore?.getRefreshToken();
+      try {
+        if (!refreshToken || !refreshTokens) throw new Error('No refresh token');
+        const tokens = await refreshTokens(refreshToken);
+        await tokenStore?.setTokens(tokens);
+        return tokens.accessToken;
+      } catch {
+        await tokenStore?.clearTokens();
+        onUnauthorized?.();
+        return null;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+    return refreshing;
+  };
+
+  const send = async (config: RequestConfig): Promise<ApiResponse<unknown>> => {
+    const { url, method = 'GET', params, body, signal, timeout: requestTimeout = timeout } = config;
+    const headers: Record<string, string> = { Accept: 'application/json', ...config.headers };
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let timedOut = false;
+    const timer = requestTimeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, requestTimeout)
+      : null;
+    if (signal?.aborted) {
+      abort();
+    }
+    signal?.addEventListener('abort', abort);
+
+    try {
+      let encoded: string | FormData | undefined;
+      if (typeof body === 'string' || body instanceof FormData) {
+        encoded = body;
+      } else if (body !== undefined && body !== null) {
+        encoded = JSON.stringify(body);
+        headers['Content-Type'] = headers['Content-Type'] ?? 'application/json';
+      }
+
+      const response = await fetch(buildUrl(baseUrl, url, params), { method, headers, body: encoded, signal: controller.signal });
+      const data = await parseBody(response);
+      if (!response.ok) {
+        throw httpError(response.status, data);
+      }
+      return { data, status: response.status, headers: response.headers };
+    } catch (error) {
+      throw timedOut ? new ApiError('timeout', `Request timed out after ${requestTimeout} ms`) : normalizeError(error);
+    } finally {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    }
+  };
+
+  const withToken = (config: RequestConfig, token: string): RequestConfig => ({
+    ...config,
+    headers: { ...config.headers, Authorization: `Bearer ${token}` },
+  });
+
+  const sendAuthorized = async (config: RequestConfig): Promise<ApiResponse<unknown>> => {
+    if (config.skipAuth || !tokenStore) {
+      return send(config);
+    }
+
+    // Wait for a running refresh rather than sending the token it replaces
+    if (refreshing) await refreshing;
+    const token = await tokenStore.getAccessToken();
+    try {
+      return await send(token ? withToken(config, token) : config);
+    } catch (error) {
+      if (!token || normalizeError(error).kind !== 'unauthorized') {
+        throw error;
+      }
+      // Another request may have refreshed the token already
+      const current = await tokenStore.getAccessToken();
+      const fresh = current && current !== token ? current : await refreshAccessToken();
+      if (!fresh) {
+        throw error;
+      }
+      return send(withToken(config, fresh));
+    }
+  };
+
+  /**
+   * Send a request through the interceptors
+   */
+  const request = async <T>(config: RequestConfig): Promise<ApiResponse<T>> => {
+    try {
+      const intercepted = await interceptors.request.run(Promise.resolve(config));
+      return (await interceptors.response.run(sendAuthorized(intercepted))) as ApiResponse<T>;
+    } catch (error) {
+      throw normalizeError(error);
+    }
+  };
+
+  return {
+    interceptors,
+    request,
+    get: <T>(url: string, config?: MethodConfig) => request<T>({ ...config, url, method: 'GET' }).then((response) => response.data),
+    post: <T>(url: string, body?: unknown, config?: MethodConfig) =>
+      request<T>({ ...config, url, method: 'POST', body }).then((response) => response.data),
+    put: <T>(url: string, body?: unknown, config?: MethodConfig) =>
+      request<T>({ ...config, url, method: 'PUT', body }).then((response) => response.data),
+    patch: <T>(url: string, body?: unknown, config?: MethodConfig) =>
+      request<T>({ ...config, url, method: 'PATCH', body }).then((response) => response.data),
+    delete: <T>(url: string, config?: MethodConfig) => request<T>({ ...config, url, method: 'DELETE' }).then((response) => response.data),
+  };
+}
+<% endif %>
+
+export type HttpClient = ReturnType<typeof createHttpClient>;
@@ -0,0 +1,26 @@
+<% if env %>
+import { Config } from '@constants/config';
+
+/**
+ * Settings of the API client, from the env file the app was built with (see env.schema.json)
+ */
+export const API_CONFIG = {
+  baseUrl: Config.API_URL,
+  // Requests taking longer fail with an ApiError of kind "timeout"; 0 disables it
+  timeout: Config.API_TIMEOUT,
+};
+<% else %>
+/**
+ * Settings of the API client per environment. Debug builds (__DEV__) use development.
+ */
+const ENVIRONMENTS = {
+  development: { baseUrl: '<%= apiBaseUrl %>' },
+  production: { baseUrl: '<%= apiBaseUrl %>' },
+};
+
+export const API_CONFIG = {
+  ...ENVIRONMENTS[__DEV__ ? 'development' : 'production'],
+  // Requests taking longer fail with an ApiError of kind "timeout"; 0 disables it
+  timeout: 15000,
+};
+<% endif %>
@@ -0,0 +1,99 @@
+<% if axios %>
+import axios from 'axios';
+
+<% endif %>
+/**
+ * @typedef {'http' | 'unauthorized' | 'timeout' | 'cancelled' | 'network' | 'parse' | 'unknown'} ApiErrorKind
+ * http: the server answered with an error status; unauthorized: 401, after a token refresh
+ * was tried; cancelled: aborted through the request's signal; network: no response, e.g.
+ * offline; parse: the response body is not valid JSON
+ */
+
+/**
+ * The only error the API client throws, whatever failed. Switch on `kind` instead of
+ * inspecting <% if axios %>axios<% else %>fetch<% endif %> errors.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {ApiErrorKind} kind
+   * @param {string} message
+   * @param {number | null} [status]
+   * @param {unknown} [data] - Response body
+   */
+  constructor(kind, message, status = null, data = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Message of a JSON error body such as { "message": "..." } or { "error": "..." }
+ * @param {unknown} data
+ * @returns {string | null}
+ */
+const messageFrom = (data) => {
+  if (data && typeof data === 'object') {
+    const { message, error } = /** @type {{ message?: unknown, error?: unknown }} */ (data);
+    if (typeof message === 'string') return message;
+    if (typeof error === 'string') return error;
+  }
+  return null;
+};
+
+/**
+ * Error of a response with an error status
+ * @param {number} status
+ * @param {unknown} data
+ * @returns {ApiError}
+ */
+export const httpError = (status, data) =>
+  new ApiError(
+    status === 401 ? 'unauthorized' : 'http',
+    messageFrom(data) ?? `Request failed with status ${status}`,
+    status,
+    data,
+  );
+
+/**
+ * Convert anything a request throws into an ApiError
+ * @param {unknown} error
+ * @returns {ApiError}
+ */
+export const normalizeError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+<% if axios %>
+  if (axios.isCancel(error)) {
+    return new ApiError('cancelled', 'Request was cancelled');
+  }
+  if (axios.isAxiosError(error)) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new ApiError('timeout', error.message);
+    }
+    if (error.response) {
+      return httpError(error.response.status, error.response.data);
+    }
+    return new ApiError('network', error.message);
+  }
+<% endif %>
+
+  // Compared by name: errors raised by the runtime's fetch may come from another realm
+  const { name, message } = /** @type {{ name?: string, message?: string }} */ (error ?? {});
+<% unless axios %>
+  if (name === 'AbortError') {
+    return new ApiError('cancelled', 'Request was cancelled');
+  }
+  // fetch rejects with a TypeError when no response arrives
+  if (name === 'TypeError') {
+    return new ApiError('network', message ?? 'Network request failed');
+  }
+<% endunless %>
+  if (name === 'SyntaxError') {
+    return new ApiError('parse', message ?? 'Invalid response body');
+  }
+  return new ApiError('unknown', message ?? String(error));
+};
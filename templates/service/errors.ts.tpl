@@ -0,0 +1,92 @@
+<% if axios %>
+import axios from 'axios';
+
+<% endif %>
+export type ApiErrorKind =
+  | 'http' // the server answered with an error status
+  | 'unauthorized' // 401, after a token refresh was tried
+  | 'timeout'
+  | 'cancelled' // aborted through the request's signal
+  | 'network' // no response, e.g. offline
+  | 'parse' // the response body is not valid JSON
+  | 'unknown';
+
+/**
+ * The only error the API client throws, whatever failed. Switch on `kind` instead of
+ * inspecting <% if axios %>axios<% else %>fetch<% endif %> errors.
+ */
+export class ApiError extends Error {
+  kind: ApiErrorKind;
+  status: number | null;
+  data: unknown;
+
+  constructor(kind: ApiErrorKind, message: string, status: number | null = null, data: unknown = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Message of a JSON error body such as { "message": "..." } or { "error": "..." }
+ */
+const messageFrom = (data: unknown): string | null => {
+  if (data && typeof data === 'object') {
+    const { message, error } = data as { message?: unknown; error?: unknown };
+    if (typeof message === 'string') return message;
+    if (typeof error === 'string') return error;
+  }
+  return null;
+};
+
+/**
+ * Error of a response with an error status
+ */
+export const httpError = (status: number, data: unknown): ApiError =>
+  new ApiError(
+    status === 401 ? 'unauthorized' : 'http',
+    messageFrom(data) ?? `Request failed with status ${status}`,
+    status,
+    data,
+  );
+
+/**
+ * Convert anything a request throws into an ApiError
+ */
+export const normalizeError = (error: unknown): ApiError => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+<% if axios %>
+  if (axios.isCancel(error)) {
+    return new ApiError('cancelled', 'Request was cancelled');
+  }
+  if (axios.isAxiosError(error)) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new ApiError('timeout', error.message);
+    }
+    if (error.response) {
+      return httpError(error.response.status, error.response.data);
+    }
+    return new ApiError('network', error.message);
+  }
+<% endif %>
+
+  // Compared by name: errors raised by the runtime's fetch may come from another realm
+  const { name, message } = (error ?? {}) as { name?: string; message?: string };
+<% unless axios %>
+  if (name === 'AbortError') {
+    return new ApiError('cancelled', 'Request was cancelled');
+  }
+  // fetch rejects with a TypeError when no response arrives
+  if (name === 'TypeError') {
+    return new ApiError('network', message ?? 'Network request failed');
+  }
+<% endunless %>
+  if (name === 'SyntaxError') {
+    return new ApiError('parse', message ?? 'Invalid response body');
+  }
+  return new ApiError('unknown', message ?? String(error));
+};
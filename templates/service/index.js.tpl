@@ -0,0 +1,20 @@
+import { API_CONFIG } from './config';
+import { createHttpClient } from './http/client';
+import { tokenStorage } from './http/tokenStorage';
+import { createTodosApi } from './endpoints/todos';
+
+/**
+ * The app's API client. Adjust refreshTokens to your backend's refresh endpoint.
+ * @type {import('./http/client').HttpClient}
+ */
+export const apiClient = createHttpClient({
+  baseUrl: API_CONFIG.baseUrl,
+  timeout: API_CONFIG.timeout,
+  tokenStore: tokenStorage,
+  refreshTokens: (refreshToken) => apiClient.post('/auth/refresh', { refreshToken }, { skipAuth: true }),
+});
+
+export const todosApi = createTodosApi(apiClient);
+
+export { ApiError } from './http/errors';
+export { tokenStorage };
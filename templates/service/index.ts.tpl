@@ -0,0 +1,22 @@
+import { API_CONFIG } from './config';
+import { createHttpClient } from './http/client';
+import type { HttpClient, Tokens } from './http/client';
+import { tokenStorage } from './http/tokenStorage';
+import { createTodosApi } from './endpoints/todos';
+
+/**
+ * The app's API client. Adjust refreshTokens to your backend's refresh endpoint.
+ */
+export const apiClient: HttpClient = createHttpClient({
+  baseUrl: API_CONFIG.baseUrl,
+  timeout: API_CONFIG.timeout,
+  tokenStore: tokenStorage,
+  refreshTokens: (refreshToken) => apiClient.post<Tokens>('/auth/refresh', { refreshToken }, { skipAuth: true }),
+});
+
+export const todosApi = createTodosApi(apiClient);
+
+export { ApiError } from './http/errors';
+export type { ApiErrorKind } from './http/errors';
+export { tokenStorage };
+export type { Todo, NewTodo } from './endpoints/todos';
@@ -0,0 +1,43 @@
+/**
+ * @typedef {object} Todo
+ * @property {number} id
+ * @property {string} title
+ * @property {boolean} completed
+ */
+
+/** @typedef {Omit<Todo, 'id'>} NewTodo */
+
+/**
+ * Example endpoint module: one typed function per call, on top of any HttpClient.
+ * Pass a signal to cancel a call, e.g. from the cleanup of a useEffect.
+ * @param {import('../http/client').HttpClient} client
+ */
+export const createTodosApi = (client) => ({
+  /**
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Todo[]>}
+   */
+  list: (signal) => client.get('/todos', { signal }),
+  /**
+   * @param {number} id
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Todo>}
+   */
+  get: (id, signal) => client.get(`/todos/${id}`, { signal }),
+  /**
+   * @param {NewTodo} todo
+   * @returns {Promise<Todo>}
+   */
+  create: (todo) => client.post('/todos', todo),
+  /**
+   * @param {number} id
+   * @param {Partial<NewTodo>} changes
+   * @returns {Promise<Todo>}
+   */
+  update: (id, changes) => client.patch(`/todos/${id}`, changes),
+  /**
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  remove: (id) => client.delete(`/todos/${id}`),
+});
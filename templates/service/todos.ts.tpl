@@ -0,0 +1,21 @@
+import type { HttpClient } from '../http/client';
+
+export interface Todo {
+  id: number;
+  title: string;
+  completed: boolean;
+}
+
+export type NewTodo = Omit<Todo, 'id'>;
+
+/**
+ * Example endpoint module: one typed function per call, on top of any HttpClient.
+ * Pass a signal to cancel a call, e.g. from the cleanup of a useEffect.
+ */
+export const createTodosApi = (client: HttpClient) => ({
+  list: (signal?: AbortSignal) => client.get<Todo[]>('/todos', { signal }),
+  get: (id: number, signal?: AbortSignal) => client.get<Todo>(`/todos/${id}`, { signal }),
+  create: (todo: NewTodo) => client.post<Todo>('/todos', todo),
+  update: (id: number, changes: Partial<NewTodo>) => client.patch<Todo>(`/todos/${id}`, changes),
+  remove: (id: number) => client.delete<void>(`/todos/${id}`),
+});
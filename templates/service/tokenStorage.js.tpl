@@ -0,0 +1,47 @@
+<% if storageUtil %>
+import <%= storageUtil %> from '<%= storageImport %>';
+<% endif %>
+
+<% if storageUtil %>
+const ACCESS_TOKEN_KEY = 'auth.accessToken';
+const REFRESH_TOKEN_KEY = 'auth.refreshToken';
+
+/**
+ * Tokens saved with <%= storageUtil %>, so the session survives restarts.
+ * Consider the device keychain (e.g. react-native-keychain) for sensitive apps.
+ * @type {import('./client').TokenStore}
+ */
+export const tokenStorage = {
+  getAccessToken: () => Promise.resolve(<%= storageUtil %>.getItem(ACCESS_TOKEN_KEY)),
+  getRefreshToken: () => Promise.resolve(<%= storageUtil %>.getItem(REFRESH_TOKEN_KEY)),
+  setTokens: async ({ accessToken, refreshToken }) => {
+    await <%= storageUtil %>.setItem(ACCESS_TOKEN_KEY, accessToken);
+    if (refreshToken) {
+      await <%= storageUtil %>.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    }
+  },
+  clearTokens: async () => {
+    await <%= storageUtil %>.deleteItem(ACCESS_TOKEN_KEY);
+    await <%= storageUtil %>.deleteItem(REFRESH_TOKEN_KEY);
+  },
+};
+<% else %>
+/** @type {import('./client').Tokens | null} */
+let tokens = null;
+
+/**
+ * Tokens kept in memory only: the session ends when the app is closed.
+ * Back it with a storage solution (`rn-scaffold add storage`) to keep it.
+ * @type {import('./client').TokenStore}
+ */
+export const tokenStorage = {
+  getAccessToken: () => Promise.resolve(tokens?.accessToken ?? null),
+  getRefreshToken: () => Promise.resolve(tokens?.refreshToken ?? null),
+  setTokens: async (next) => {
+    tokens = { ...next, refreshToken: next.refreshToken ?? tokens?.refreshToken ?? null };
+  },
+  clearTokens: async () => {
+    tokens = null;
+  },
+};
+<% endif %>
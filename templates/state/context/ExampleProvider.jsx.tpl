@@ -0,0 +1,133 @@
+<% if persist %>
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import persistStorage from '@utils/persistStorage';
+
+/**
+ * @typedef {object} ExampleState
+ * @property {number} value
+ */
+
+/**
+ * @typedef {ExampleState & { increment: () => void, decrement: () => void }} ExampleContextType
+ */
+
+/**
+ * @typedef {object} PersistedState
+ * @property {number} version
+ * @property {Partial<ExampleState>} state
+ */
+
+const STORAGE_KEY = 'example-context';
+// Bump when the shape of the saved state changes, and handle the old shape in migrate()
+const STORAGE_VERSION = <%= persistVersion %>;
+// Only these fields are saved; the others start from initialState on every launch
+/** @type {Array<keyof ExampleState>} */
+const PERSISTED_KEYS = [<%= persistKeyList %>];
+
+/** @type {ExampleState} */
+const initialState = {
+  value: 0,
+};
+
+/**
+ * Bring state saved by an older version of the app to the current shape.
+ * State saved by a newer version (after a downgrade) is dropped.
+ * @param {PersistedState} saved
+ * @returns {Partial<ExampleState>}
+ */
+const migrate = ({ version, state }) => {
+  if (version > STORAGE_VERSION) return {};
+  return state;
+};
+
+const ExampleContext = createContext(/** @type {ExampleContextType | undefined} */ (undefined));
+
+/**
+ * Restores the saved state on mount, then saves the persisted fields after every change.
+ * @param {{ children: import('react').ReactNode, fallback?: import('react').ReactNode }} props
+ *   fallback is rendered while the saved state is restored (nothing by default)
+ */
+const ExampleProvider = ({ children, fallback = null }) => {
+  const [state, setState] = useState(initialState);
+  const [rehydrated, setRehydrated] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    persistStorage
+      .getItem(STORAGE_KEY)
+      .then((saved) => {
+        if (active && saved) {
+          const restored = migrate(JSON.parse(saved));
+          setState((current) => ({ ...current, ...restored }));
+        }
+      })
+      .catch((error) => console.error('❌ Error restoring the saved example state:', error))
+      .finally(() => {
+        if (active) setRehydrated(true);
+      });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    // Saving before the restore finished would overwrite the saved state with initialState
+    if (!rehydrated) return;
+    /** @type {PersistedState} */
+    const saved = {
+      version: STORAGE_VERSION,
+      state: PERSISTED_KEYS.reduce((picked, key) => ({ ...picked, [key]: state[key] }), {}),
+    };
+    persistStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  }, [rehydrated, state]);
+
+  const increment = () => setState((prev) => ({ ...prev, value: prev.value + 1 }));
+  const decrement = () => setState((prev) => ({ ...prev, value: prev.value - 1 }));
+
+  if (!rehydrated) return <>{fallback}</>;
+
+  return (
+    <ExampleContext.Provider value={{ ...state, increment, decrement }}>
+      {children}
+    </ExampleContext.Provider>
+  );
+};
+<% else %>
+import React, { createContext, useContext, useState } from 'react';
+
+/**
+ * @typedef {object} ExampleContextType
+ * @property {number} value
+ * @property {() => void} increment
+ * @property {() => void} decrement
+ */
+
+const ExampleContext = createContext(/** @type {ExampleContextType | undefined} */ (undefined));
+
+/**
+ * @param {{ children: import('react').ReactNode }} props
+ */
+const ExampleProvider = ({ children }) => {
+  const [value, setValue] = useState(0);
+
+  const increment = () => setValue((prev) => prev + 1);
+  const decrement = () => setValue((prev) => prev - 1);
+
+  return (
+    <ExampleContext.Provider value={{ value, increment, decrement }}>
+      {children}
+    </ExampleContext.Provider>
+  );
+};
+<% endif %>
+
+/**
+ * @returns {ExampleContextType}
+ */
+const useExampleContext = () => {
+  const context = useContext(ExampleContext);
+  if (!context) throw new Error('useExampleContext must be used within an ExampleProvider');
+  return context;
+};
+
+export { ExampleProvider, useExampleContext };
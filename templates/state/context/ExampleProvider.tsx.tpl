@@ -0,0 +1,124 @@
+<% if persist %>
+import React, { createContext, useContext, useEffect, useState, ReactNode } from 'react';
+import persistStorage from '@utils/persistStorage';
+
+type ExampleState = {
+  value: number;
+};
+
+type ExampleContextType = ExampleState & {
+  increment: () => void;
+  decrement: () => void;
+};
+
+type PersistedState = {
+  version: number;
+  state: Partial<ExampleState>;
+};
+
+const STORAGE_KEY = 'example-context';
+// Bump when the shape of the saved state changes, and handle the old shape in migrate()
+const STORAGE_VERSION = <%= persistVersion %>;
+// Only these fields are saved; the others start from initialState on every launch
+const PERSISTED_KEYS: Array<keyof ExampleState> = [<%= persistKeyList %>];
+
+const initialState: ExampleState = {
+  value: 0,
+};
+
+/**
+ * Bring state saved by an older version of the app to the current shape.
+ * State saved by a newer version (after a downgrade) is dropped.
+ */
+const migrate = ({ version, state }: PersistedState): Partial<ExampleState> => {
+  if (version > STORAGE_VERSION) return {};
+  return state;
+};
+
+const ExampleContext = createContext<ExampleContextType | undefined>(undefined);
+
+type ExampleProviderProps = {
+  children: ReactNode;
+  /** Rendered while the saved state is restored (nothing by default) */
+  fallback?: ReactNode;
+};
+
+/**
+ * Restores the saved state on mount, then saves the persisted fields after every change.
+ */
+const ExampleProvider = ({ children, fallback = null }: ExampleProviderProps) => {
+  const [state, setState] = useState<ExampleState>(initialState);
+  const [rehydrated, setRehydrated] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    persistStorage
+      .getItem(STORAGE_KEY)
+      .then((saved) => {
+        if (active && saved) {
+          const restored = migrate(JSON.parse(saved) as PersistedState);
+          setState((current) => ({ ...current, ...restored }));
+        }
+      })
+      .catch((error) => console.error('❌ Error restoring the saved example state:', error))
+      .finally(() => {
+        if (active) setRehydrated(true);
+      });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    // Saving before the restore finished would overwrite the saved state with initialState
+    if (!rehydrated) return;
+    const saved: PersistedState = {
+      version: STORAGE_VERSION,
+      state: PERSISTED_KEYS.reduce((picked, key) => ({ ...picked, [key]: state[key] }), {} as Partial<ExampleState>),
+    };
+    persistStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  }, [rehydrated, state]);
+
+  const increment = () => setState((prev) => ({ ...prev, value: prev.value + 1 }));
+  const decrement = () => setState((prev) => ({ ...prev, value: prev.value - 1 }));
+
+  if (!rehydrated) return <>{fallback}</>;
+
+  return (
+    <ExampleContext.Provider value={{ ...state, increment, decrement }}>
+      {children}
+    </ExampleContext.Provider>
+  );
+};
+<% else %>
+import React, { createContext, useContext, useState, ReactNode } from 'react';
+
+type ExampleContextType = {
+  value: number;
+  increment: () => void;
+  decrement: () => void;
+};
+
+const ExampleContext = createContext<ExampleContextType | undefined>(undefined);
+
+const ExampleProvider = ({ children }: { children: ReactNode }) => {
+  const [value, setValue] = useState(0);
+
+  const increment = () => setValue((prev) => prev + 1);
+  const decrement = () => setValue((prev) => prev - 1);
+
+  return (
+    <ExampleContext.Provider value={{ value, increment, decrement }}>
+      {children}
+    </ExampleContext.Provider>
+  );
+};
+<% endif %>
+
+const useExampleContext = () => {
+  const context = useContext(ExampleContext);
+  if (!context) throw new Error('useExampleContext must be used within an ExampleProvider');
+  return context;
+};
+
+export { ExampleProvider, useExampleContext };
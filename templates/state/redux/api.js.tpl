@@ -0,0 +1,41 @@
+import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react';
+<% if env %>
+import { Config } from '@constants/config';
+<% endif %>
+
+<% if env %>
+export const API_BASE_URL = Config.API_URL;
+<% else %>
+export const API_BASE_URL = '<%= apiBaseUrl %>';
+<% endif %>
+
+/** @type {string | null} */
+let authToken = null;
+
+/**
+ * Set the token sent as `Authorization: Bearer <token>` with every request;
+ * call it after sign in, and with null on sign out
+ * @param {string | null} token
+ */
+export const setAuthToken = (token) => {
+  authToken = token;
+};
+
+/**
+ * The app's RTK Query API. Add endpoints here, or from a feature with
+ * api.injectEndpoints({ endpoints: (builder) => ({ ... }) }).
+ */
+export const api = createApi({
+  reducerPath: 'api',
+  baseQuery: fetchBaseQuery({
+    baseUrl: API_BASE_URL,
+    prepareHeaders: (headers) => {
+      if (authToken) {
+        headers.set('Authorization', `Bearer ${authToken}`);
+      }
+      return headers;
+    },
+  }),
+  tagTypes: [],
+  endpoints: () => ({}),
+});
@@ -0,0 +1,9 @@
+import { useDispatch, useSelector } from 'react-redux';
+
+// Use these instead of plain useDispatch and useSelector, which know nothing about the store
+
+/** @type {() => import('@store/index').AppDispatch} */
+export const useAppDispatch = useDispatch;
+
+/** @type {import('react-redux').TypedUseSelectorHook<import('@store/index').RootState>} */
+export const useAppSelector = useSelector;
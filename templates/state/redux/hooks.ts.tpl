@@ -0,0 +1,9 @@
+import { useDispatch, useSelector } from 'react-redux';
+import type { TypedUseSelectorHook } from 'react-redux';
+import type { AppDispatch, RootState } from '@store/index';
+
+// Use these instead of plain useDispatch and useSelector, which know nothing about the store
+
+export const useAppDispatch: () => AppDispatch = useDispatch;
+
+export const useAppSelector: TypedUseSelectorHook<RootState> = useSelector;
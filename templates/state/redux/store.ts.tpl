@@ -0,0 +1,86 @@
+import { combineReducers, configureStore } from '@reduxjs/toolkit';
+<% if rtkQuery %>
+import { setupListeners } from '@reduxjs/toolkit/query';
+<% endif %>
+<% if persist %>
+import {
+  FLUSH,
+  PAUSE,
+  PERSIST,
+  PURGE,
+  REGISTER,
+  REHYDRATE,
+  createMigrate,
+  persistReducer,
+  persistStore,
+} from 'redux-persist';
+import type { MigrationManifest } from 'redux-persist';
+import persistStorage from '@utils/persistStorage';
+<% endif %>
+<% if rtkQuery %>
+import { api } from '@service/api';
+<% endif %>
+import exampleReducer from './slices/exampleSlice';
+<% if auth %>
+import authReducer from './slices/authSlice';
+<% endif %>
+
+// Slices created with `rn-scaffold generate feature` are registered here. Exported for the test store of utils/test-utils.
+export const rootReducer = combineReducers({
+  example: exampleReducer,
+<% if auth %>
+  auth: authReducer,
+<% endif %>
+<% if rtkQuery %>
+  [api.reducerPath]: api.reducer,
+<% endif %>
+});
+
+<% if persist %>
+/**
+ * Migrations of the persisted state, keyed by the version they upgrade to. When the shape
+ * of a persisted reducer changes, bump persistConfig.version and add an entry, e.g.
+ *   2: (state) => ({ ...state, example: { ...state.example, label: '' } }),
+ */
+const migrations: MigrationManifest = {};
+
+const persistConfig = {
+  key: 'root',
+  version: <%= persistVersion %>,
+  storage: persistStorage,
+  // Only these reducers are saved; the others start from their initial state on every launch
+  whitelist: [<%= persistKeyList %>],
+  migrate: createMigrate(migrations, { debug: __DEV__ }),
+};
+
+export const store = configureStore({
+  reducer: persistReducer(persistConfig, rootReducer),
+  middleware: (getDefaultMiddleware) =>
+    getDefaultMiddleware({
+      // redux-persist dispatches actions carrying functions while saving and rehydrating
+      serializableCheck: {
+        ignoredActions: [FLUSH, REHYDRATE, PAUSE, PERSIST, PURGE, REGISTER],
+      },
+    })<% if rtkQuery %>.concat(api.middleware)<% endif %>,
+});
+
+/**
+ * Restores the saved state; App waits for it with <PersistGate persistor={persistor}>
+ */
+export const persistor = persistStore(store);
+<% else %>
+export const store = configureStore({
+  reducer: rootReducer,
+<% if rtkQuery %>
+  middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(api.middleware),
+<% endif %>
+});
+<% endif %>
+<% if rtkQuery %>
+
+// Enables refetchOnFocus / refetchOnReconnect for the API queries
+setupListeners(store.dispatch);
+<% endif %>
+
+export type RootState = ReturnType<typeof store.getState>;
+export type AppDispatch = typeof store.dispatch;
@@ -0,0 +1,47 @@
+import { create } from 'zustand';
+<% if persist %>
+import { createJSONStorage, persist } from 'zustand/middleware';
+import persistStorage from '@utils/persistStorage';
+<% endif %>
+
+/**
+ * @typedef {object} ExampleState
+ * @property {number} value
+ * @property {() => void} increment
+ * @property {() => void} decrement
+ */
+
+<% if persist %>
+/** @type {import('zustand').UseBoundStore<import('zustand').StoreApi<ExampleState>>} */
+const useExampleStore = create(
+  persist(
+    (set) => ({
+      value: 0,
+      increment: () => set((state) => ({ value: state.value + 1 })),
+      decrement: () => set((state) => ({ value: state.value - 1 })),
+    }),
+    {
+      name: 'example-store',
+      storage: createJSONStorage(() => persistStorage),
+      version: <%= persistVersion %>,
+      // Only these fields are saved; actions and everything else come from the initializer
+      partialize: (state) => ({
+<% each persistKeys %>
+        <%= this %>: state.<%= this %>,
+<% endeach %>
+      }),
+      // Runs when the saved version is older than `version`: return the saved fields in their current shape
+      migrate: (persistedState) => /** @type {Partial<ExampleState>} */ (persistedState),
+    },
+  ),
+);
+<% else %>
+/** @type {import('zustand').UseBoundStore<import('zustand').StoreApi<ExampleState>>} */
+const useExampleStore = create((set) => ({
+  value: 0,
+  increment: () => set((state) => ({ value: state.value + 1 })),
+  decrement: () => set((state) => ({ value: state.value - 1 })),
+}));
+<% endif %>
+
+export default useExampleStore;
@@ -0,0 +1,44 @@
+import { create } from 'zustand';
+<% if persist %>
+import { createJSONStorage, persist } from 'zustand/middleware';
+import persistStorage from '@utils/persistStorage';
+<% endif %>
+
+type ExampleState = {
+  value: number;
+  increment: () => void;
+  decrement: () => void;
+};
+
+<% if persist %>
+const useExampleStore = create<ExampleState>()(
+  persist(
+    (set) => ({
+      value: 0,
+      increment: () => set((state) => ({ value: state.value + 1 })),
+      decrement: () => set((state) => ({ value: state.value - 1 })),
+    }),
+    {
+      name: 'example-store',
+      storage: createJSONStorage(() => persistStorage),
+      version: <%= persistVersion %>,
+      // Only these fields are saved; actions and everything else come from the initializer
+      partialize: (state) => ({
+<% each persistKeys %>
+        <%= this %>: state.<%= this %>,
+<% endeach %>
+      }),
+      // Runs when the saved version is older than `version`: return the saved fields in their current shape
+      migrate: (persistedState) => persistedState as Pick<ExampleState, <%= persistKeyUnion %>>,
+    },
+  ),
+);
+<% else %>
+const useExampleStore = create<ExampleState>()((set) => ({
+  value: 0,
+  increment: () => set((state) => ({ value: state.value + 1 })),
+  decrement: () => set((state) => ({ value: state.value - 1 })),
+}));
+<% endif %>
+
+export default useExampleStore;
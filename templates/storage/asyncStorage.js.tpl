@@ -0,0 +1,63 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * A utility class for managing AsyncStorage.
+ */
+class StorageUtil {
+  /**
+   * Set a value in AsyncStorage
+   * @param {string} key - The key to store the value under
+   * @param {string} value - The value to store
+   */
+  static async setItem(key, value) {
+    try {
+      await AsyncStorage.setItem(key, value);
+      console.log(`✅ Successfully saved item with key: ${key}`);
+    } catch (error) {
+      console.error(`❌ Error saving item to AsyncStorage with key ${key}:`, error);
+    }
+  }
+
+  /**
+   * Get a value from AsyncStorage
+   * @param {string} key - The key to fetch value from
+   * @returns {Promise<string | null>} The value or null if not found
+   */
+  static async getItem(key) {
+    try {
+      const value = await AsyncStorage.getItem(key);
+      console.log(`✅ Successfully fetched item with key: ${key}`);
+      return value;
+    } catch (error) {
+      console.error(`❌ Error fetching item from AsyncStorage with key ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete an item from AsyncStorage
+   * @param {string} key - The key to delete
+   */
+  static async deleteItem(key) {
+    try {
+      await AsyncStorage.removeItem(key);
+      console.log(`✅ Successfully deleted item with key: ${key}`);
+    } catch (error) {
+      console.error(`❌ Error deleting item from AsyncStorage with key ${key}:`, error);
+    }
+  }
+
+  /**
+   * Clear all items in AsyncStorage
+   */
+  static async clearAll() {
+    try {
+      await AsyncStorage.clear();
+      console.log('✅ Successfully cleared all AsyncStorage items');
+    } catch (error) {
+      console.error('❌ Error clearing AsyncStorage:', error);
+    }
+  }
+}
+
+export default StorageUtil;
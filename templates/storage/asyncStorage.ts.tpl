@@ -0,0 +1,63 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * A utility class for managing AsyncStorage.
+ */
+class StorageUtil {
+  /**
+   * Set a value in AsyncStorage
+   * @param key - The key to store the value under
+   * @param value - The value to store
+   */
+  static async setItem(key: string, value: string): Promise<void> {
+    try {
+      await AsyncStorage.setItem(key, value);
+      console.log(`✅ Successfully saved item with key: ${key}`);
+    } catch (error) {
+      console.error(`❌ Error saving item to AsyncStorage with key ${key}:`, error);
+    }
+  }
+
+  /**
+   * Get a value from AsyncStorage
+   * @param key - The key to fetch value from
+   * @returns The value or null if not found
+   */
+  static async getItem(key: string): Promise<string | null> {
+    try {
+      const value = await AsyncStorage.getItem(key);
+      console.log(`✅ Successfully fetched item with key: ${key}`);
+      return value;
+    } catch (error) {
+      console.error(`❌ Error fetching item from AsyncStorage with key ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete an item from AsyncStorage
+   * @param key - The key to delete
+   */
+  static async deleteItem(key: string): Promise<void> {
+    try {
+      await AsyncStorage.removeItem(key);
+      console.log(`✅ Successfully deleted item with key: ${key}`);
+    } catch (error) {
+      console.error(`❌ Error deleting item from AsyncStorage with key ${key}:`, error);
+    }
+  }
+
+  /**
+   * Clear all items in AsyncStorage
+   */
+  static async clearAll(): Promise<void> {
+    try {
+      await AsyncStorage.clear();
+      console.log('✅ Successfully cleared all AsyncStorage items');
+    } catch (error) {
+      console.error('❌ Error clearing AsyncStorage:', error);
+    }
+  }
+}
+
+export default StorageUtil;
@@ -0,0 +1,65 @@
+import { MMKV } from 'react-native-mmkv';
+
+const storage = new MMKV();
+
+/**
+ * A utility class for managing MMKV storage.
+ */
+class MMKVStorageUtil {
+  /**
+   * Set a value in MMKV storage.
+   * @param {string} key - The key to store the value under.
+   * @param {string} value - The value to store.
+   */
+  static setItem(key, value) {
+    try {
+      storage.set(key, value);
+      console.log(`✅ Successfully saved item with key: ${key}`);
+    } catch (error) {
+      console.error(`❌ Error saving item to MMKV with key ${key}:`, error);
+    }
+  }
+
+  /**
+   * Get a value from MMKV storage.
+   * @param {string} key - The key to fetch value from.
+   * @returns {string | null} The value or null if not found.
+   */
+  static getItem(key) {
+    try {
+      const value = storage.getString(key);
+      console.log(`✅ Successfully fetched item with key: ${key}`);
+      return value ?? null;
+    } catch (error) {
+      console.error(`❌ Error fetching item from MMKV with key ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete an item from MMKV storage.
+   * @param {string} key - The key to delete.
+   */
+  static deleteItem(key) {
+    try {
+      storage.delete(key);
+      console.log(`✅ Successfully deleted item with key: ${key}`);
+    } catch (error) {
+      console.error(`❌ Error deleting item from MMKV with key ${key}:`, error);
+    }
+  }
+
+  /**
+   * Clear all data in MMKV storage.
+   */
+  static clearAll() {
+    try {
+      storage.clearAll();
+      console.log('✅ Successfully cleared all MMKV storage items');
+    } catch (error) {
+      console.error('❌ Error clearing MMKV storage:', error);
+    }
+  }
+}
+
+export default MMKVStorageUtil;
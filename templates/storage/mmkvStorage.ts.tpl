@@ -0,0 +1,65 @@
+import { MMKV } from 'react-native-mmkv';
+
+const storage = new MMKV();
+
+/**
+ * A utility class for managing MMKV storage.
+ */
+class MMKVStorageUtil {
+  /**
+   * Set a value in MMKV storage.
+   * @param key - The key to store the value under.
+   * @param value - The value to store.
+   */
+  static setItem(key: string, value: string): void {
+    try {
+      storage.set(key, value);
+      console.log(`✅ Successfully saved item with key: ${key}`);
+    } catch (error) {
+      console.error(`❌ Error saving item to MMKV with key ${key}:`, error);
+    }
+  }
+
+  /**
+   * Get a value from MMKV storage.
+   * @param key - The key to fetch value from.
+   * @returns The value or null if not found.
+   */
+  static getItem(key: string): string | null {
+    try {
+      const value = storage.getString(key);
+      console.log(`✅ Successfully fetched item with key: ${key}`);
+      return value ?? null;
+    } catch (error) {
+      console.error(`❌ Error fetching item from MMKV with key ${key}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete an item from MMKV storage.
+   * @param key - The key to delete.
+   */
+  static deleteItem(key: string): void {
+    try {
+      storage.delete(key);
+      console.log(`✅ Successfully deleted item with key: ${key}`);
+    } catch (error) {
+      console.error(`❌ Error deleting item from MMKV with key ${key}:`, error);
+    }
+  }
+
+  /**
+   * Clear all data in MMKV storage.
+   */
+  static clearAll(): void {
+    try {
+      storage.clearAll();
+      console.log('✅ Successfully cleared all MMKV storage items');
+    } catch (error) {
+      console.error('❌ Error clearing MMKV storage:', error);
+    }
+  }
+}
+
+export default MMKVStorageUtil;
@@ -0,0 +1,59 @@
+<% if persistMmkv %>
+import { MMKV } from 'react-native-mmkv';
+
+const storage = new MMKV();
+
+/**
+ * Storage the persisted state is saved to, backed by react-native-mmkv.
+ * Fits both the `storage` option of redux-persist and zustand's createJSONStorage().
+ * It talks to MMKV directly instead of through MMKVStorageUtil, so a failed write rejects
+ * and reaches redux-persist or zustand, and state changes are not logged.
+ */
+const persistStorage = {
+  /**
+   * @param {string} key
+   * @returns {Promise<string | null>}
+   */
+  getItem: async (key) => storage.getString(key) ?? null,
+  /**
+   * @param {string} key
+   * @param {string} value
+   * @returns {Promise<void>}
+   */
+  setItem: async (key, value) => storage.set(key, value),
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  removeItem: async (key) => storage.delete(key),
+};
+<% else %>
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Storage the persisted state is saved to, backed by AsyncStorage.
+ * Fits both the `storage` option of redux-persist and zustand's createJSONStorage().
+ * It talks to AsyncStorage directly instead of through StorageUtil, so a failed write rejects
+ * and reaches redux-persist or zustand, and state changes are not logged.
+ */
+const persistStorage = {
+  /**
+   * @param {string} key
+   * @returns {Promise<string | null>}
+   */
+  getItem: (key) => AsyncStorage.getItem(key),
+  /**
+   * @param {string} key
+   * @param {string} value
+   * @returns {Promise<void>}
+   */
+  setItem: (key, value) => AsyncStorage.setItem(key, value),
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  removeItem: (key) => AsyncStorage.removeItem(key),
+};
+<% endif %>
+
+export default persistStorage;
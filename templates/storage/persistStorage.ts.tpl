@@ -0,0 +1,33 @@
+<% if persistMmkv %>
+import { MMKV } from 'react-native-mmkv';
+
+const storage = new MMKV();
+
+/**
+ * Storage the persisted state is saved to, backed by react-native-mmkv.
+ * Fits both the `storage` option of redux-persist and zustand's createJSONStorage().
+ * It talks to MMKV directly instead of through MMKVStorageUtil, so a failed write rejects
+ * and reaches redux-persist or zustand, and state changes are not logged.
+ */
+const persistStorage = {
+  getItem: async (key: string): Promise<string | null> => storage.getString(key) ?? null,
+  setItem: async (key: string, value: string): Promise<void> => storage.set(key, value),
+  removeItem: async (key: string): Promise<void> => storage.delete(key),
+};
+<% else %>
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Storage the persisted state is saved to, backed by AsyncStorage.
+ * Fits both the `storage` option of redux-persist and zustand's createJSONStorage().
+ * It talks to AsyncStorage directly instead of through StorageUtil, so a failed write rejects
+ * and reaches redux-persist or zustand, and state changes are not logged.
+ */
+const persistStorage = {
+  getItem: (key: string): Promise<string | null> => AsyncStorage.getItem(key),
+  setItem: (key: string, value: string): Promise<void> => AsyncStorage.setItem(key, value),
+  removeItem: (key: string): Promise<void> => AsyncStorage.removeItem(key),
+};
+<% endif %>
+
+export default persistStorage;
@@ -0,0 +1,100 @@
+<% if storageUtil %>
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+<% else %>
+import React, { createContext, useContext, useMemo, useState } from 'react';
+<% endif %>
+import { useColorScheme } from 'react-native';
+<% if storageUtil %>
+import <%= storageUtil %> from '<%= storageImport %>';
+<% endif %>
+import { darkTheme, lightTheme } from './themes';
+
+/**
+ * "system" follows the device appearance
+ * @typedef {'system' | 'light' | 'dark'} ThemeMode
+ */
+
+/**
+ * @typedef {object} ThemeContextType
+ * @property {import('./themes').Theme} theme
+ * @property {ThemeMode} mode
+ * @property {(mode: ThemeMode) => void} setMode
+ */
+
+<% if storageUtil %>
+const THEME_MODE_KEY = 'settings.themeMode';
+
+/**
+ * @param {unknown} value
+ * @returns {value is ThemeMode}
+ */
+const isThemeMode = (value) => value === 'system' || value === 'light' || value === 'dark';
+
+<% endif %>
+const ThemeContext = createContext(/** @type {ThemeContextType | undefined} */ (undefined));
+
+<% if storageUtil %>
+/**
+ * Provides the light or dark theme: the device appearance, unless the user picked a mode
+ * with setMode(). The picked mode is saved with <%= storageUtil %> and restored on launch.
+ * @param {object} props
+ * @param {React.ReactNode} props.children
+ * @param {ThemeMode} [props.initialMode] - Mode until the user picks one
+ * @param {React.ReactNode} [props.fallback] - Rendered while the saved mode is restored (nothing by default)
+ */
+const ThemeProvider = ({ children, initialMode = 'system', fallback = null }) => {
+  const colorScheme = useColorScheme();
+  const [mode, setModeState] = useState(initialMode);
+  const [restored, setRestored] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    Promise.resolve(<%= storageUtil %>.getItem(THEME_MODE_KEY))
+      .then((saved) => {
+        if (active && isThemeMode(saved)) setModeState(saved);
+      })
+      .finally(() => {
+        if (active) setRestored(true);
+      });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const setMode = useCallback((/** @type {ThemeMode} */ next) => {
+    setModeState(next);
+    <%= storageUtil %>.setItem(THEME_MODE_KEY, next);
+  }, []);
+<% else %>
+/**
+ * Provides the light or dark theme: the device appearance, unless the user picked a mode
+ * with setMode(). Choose a storage solution (`rn-scaffold add storage`) to keep the
+ * picked mode across restarts.
+ * @param {object} props
+ * @param {React.ReactNode} props.children
+ * @param {ThemeMode} [props.initialMode] - Mode until the user picks one
+ */
+const ThemeProvider = ({ children, initialMode = 'system' }) => {
+  const colorScheme = useColorScheme();
+  const [mode, setMode] = useState(initialMode);
+<% endif %>
+
+  const value = useMemo(() => {
+    const dark = mode === 'dark' || (mode === 'system' && colorScheme === 'dark');
+    return { theme: dark ? darkTheme : lightTheme, mode, setMode };
+  }, [colorScheme, mode, setMode]);
+
+<% if storageUtil %>
+  if (!restored) return <>{fallback}</>;
+
+<% endif %>
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (!context) throw new Error('useTheme must be used within a ThemeProvider');
+  return context;
+};
+
+export { ThemeProvider, useTheme };
@@ -0,0 +1,98 @@
+<% if storageUtil %>
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+<% else %>
+import React, { createContext, useContext, useMemo, useState } from 'react';
+<% endif %>
+import type { ReactNode } from 'react';
+import { useColorScheme } from 'react-native';
+<% if storageUtil %>
+import <%= storageUtil %> from '<%= storageImport %>';
+<% endif %>
+import { darkTheme, lightTheme } from './themes';
+import type { Theme } from './themes';
+
+// "system" follows the device appearance
+export type ThemeMode = 'system' | 'light' | 'dark';
+
+type ThemeContextType = {
+  theme: Theme;
+  mode: ThemeMode;
+  setMode: (mode: ThemeMode) => void;
+};
+
+<% if storageUtil %>
+const THEME_MODE_KEY = 'settings.themeMode';
+
+const isThemeMode = (value: unknown): value is ThemeMode => value === 'system' || value === 'light' || value === 'dark';
+
+<% endif %>
+const ThemeContext = createContext<ThemeContextType | undefined>(undefined);
+
+type ThemeProviderProps = {
+  children: ReactNode;
+  /** Mode until the user picks one */
+  initialMode?: ThemeMode;
+<% if storageUtil %>
+  /** Rendered while the saved mode is restored (nothing by default) */
+  fallback?: ReactNode;
+<% endif %>
+};
+
+<% if storageUtil %>
+/**
+ * Provides the light or dark theme: the device appearance, unless the user picked a mode
+ * with setMode(). The picked mode is saved with <%= storageUtil %> and restored on launch.
+ */
+const ThemeProvider = ({ children, initialMode = 'system', fallback = null }: ThemeProviderProps) => {
+  const colorScheme = useColorScheme();
+  const [mode, setModeState] = useState<ThemeMode>(initialMode);
+  const [restored, setRestored] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    Promise.resolve(<%= storageUtil %>.getItem(THEME_MODE_KEY))
+      .then((saved) => {
+        if (active && isThemeMode(saved)) setModeState(saved);
+      })
+      .finally(() => {
+        if (active) setRestored(true);
+      });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const setMode = useCallback((next: ThemeMode) => {
+    setModeState(next);
+    <%= storageUtil %>.setItem(THEME_MODE_KEY, next);
+  }, []);
+<% else %>
+/**
+ * Provides the light or dark theme: the device appearance, unless the user picked a mode
+ * with setMode(). Choose a storage solution (`rn-scaffold add storage`) to keep the
+ * picked mode across restarts.
+ */
+const ThemeProvider = ({ children, initialMode = 'system' }: ThemeProviderProps) => {
+  const colorScheme = useColorScheme();
+  const [mode, setMode] = useState<ThemeMode>(initialMode);
+<% endif %>
+
+  const value = useMemo(() => {
+    const dark = mode === 'dark' || (mode === 'system' && colorScheme === 'dark');
+    return { theme: dark ? darkTheme : lightTheme, mode, setMode };
+  }, [colorScheme, mode, setMode]);
+
+<% if storageUtil %>
+  if (!restored) return <>{fallback}</>;
+
+<% endif %>
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (!context) throw new Error('useTheme must be used within a ThemeProvider');
+  return context;
+};
+
+export { ThemeProvider, useTheme };
@@ -0,0 +1,6 @@
+export { ThemeProvider, useTheme } from './ThemeProvider';
+export { makeStyles } from './makeStyles';
+export { darkTheme, lightTheme } from './themes';
+
+/** @typedef {import('./themes').Theme} Theme */
+/** @typedef {import('./ThemeProvider').ThemeMode} ThemeMode */
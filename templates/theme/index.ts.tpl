@@ -0,0 +1,5 @@
+export { ThemeProvider, useTheme } from './ThemeProvider';
+export type { ThemeMode } from './ThemeProvider';
+export { makeStyles } from './makeStyles';
+export { darkTheme, lightTheme } from './themes';
+export type { Theme } from './themes';
@@ -0,0 +1,22 @@
+import { useMemo } from 'react';
+import { StyleSheet } from 'react-native';
+import { useTheme } from './ThemeProvider';
+
+/**
+ * Create a hook returning styles made from the current theme. They are rebuilt only when
+ * the theme changes, e.g. when the device switches to dark mode.
+ *
+ *   const useStyles = makeStyles((theme) => ({
+ *     container: { backgroundColor: theme.colors.background, padding: theme.spacing.md },
+ *   }));
+ *
+ *   const styles = useStyles(); // inside the component
+ *
+ * @template {import('react-native').StyleSheet.NamedStyles<T>} T
+ * @param {(theme: import('./themes').Theme) => T} factory
+ * @returns {() => T}
+ */
+export const makeStyles = (factory) => () => {
+  const { theme } = useTheme();
+  return useMemo(() => StyleSheet.create(factory(theme)), [theme]);
+};
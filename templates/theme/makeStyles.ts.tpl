@@ -0,0 +1,22 @@
+import { useMemo } from 'react';
+import { StyleSheet } from 'react-native';
+import type { ImageStyle, TextStyle, ViewStyle } from 'react-native';
+import { useTheme } from './ThemeProvider';
+import type { Theme } from './themes';
+
+type NamedStyles<T> = { [P in keyof T]: ViewStyle | TextStyle | ImageStyle };
+
+/**
+ * Create a hook returning styles made from the current theme. They are rebuilt only when
+ * the theme changes, e.g. when the device switches to dark mode.
+ *
+ *   const useStyles = makeStyles((theme) => ({
+ *     container: { backgroundColor: theme.colors.background, padding: theme.spacing.md },
+ *   }));
+ *
+ *   const styles = useStyles(); // inside the component
+ */
+export const makeStyles = <T extends NamedStyles<T>>(factory: (theme: Theme) => T) => () => {
+  const { theme } = useTheme();
+  return useMemo(() => StyleSheet.create(factory(theme)), [theme]);
+};
@@ -0,0 +1,18 @@
+import { darkColors, lightColors, radius, spacing, typography } from './tokens';
+
+export const lightTheme = {
+  dark: false,
+  colors: lightColors,
+  spacing,
+  radius,
+  typography,
+};
+
+/** @typedef {typeof lightTheme} Theme */
+
+/** @type {Theme} */
+export const darkTheme = {
+  ...lightTheme,
+  dark: true,
+  colors: darkColors,
+};
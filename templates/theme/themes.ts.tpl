@@ -0,0 +1,17 @@
+import { darkColors, lightColors, radius, spacing, typography } from './tokens';
+
+export const lightTheme = {
+  dark: false,
+  colors: lightColors,
+  spacing,
+  radius,
+  typography,
+};
+
+export type Theme = typeof lightTheme;
+
+export const darkTheme: Theme = {
+  ...lightTheme,
+  dark: true,
+  colors: darkColors,
+};
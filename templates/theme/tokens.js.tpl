@@ -0,0 +1,21 @@
+<% if source %>
+// Imported from <%= source %>. After it changes, run: rn-scaffold theme import
+<% endif %>
+export const lightColors = <%= lightColors %>;
+
+/**
+ * Every light color needs a dark value, under the same name
+ * @type {typeof lightColors}
+ */
+export const darkColors = <%= darkColors %>;
+
+export const spacing = <%= spacing %>;
+
+export const radius = <%= radius %>;
+
+/**
+ * @typedef {<%= typographyVariants %>} TypographyVariant
+ */
+
+/** @type {Record<TypographyVariant, import('react-native').TextStyle>} */
+export const typography = <%= typography %>;
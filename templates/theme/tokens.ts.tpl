@@ -0,0 +1,17 @@
+<% if source %>
+// Imported from <%= source %>. After it changes, run: rn-scaffold theme import
+<% endif %>
+import type { TextStyle } from 'react-native';
+
+export const lightColors = <%= lightColors %>;
+
+// Every light color needs a dark value, under the same name
+export const darkColors: typeof lightColors = <%= darkColors %>;
+
+export const spacing = <%= spacing %>;
+
+export const radius = <%= radius %>;
+
+export type TypographyVariant = <%= typographyVariants %>;
+
+export const typography: Record<TypographyVariant, TextStyle> = <%= typography %>;
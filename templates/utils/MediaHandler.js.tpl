@@ -0,0 +1,185 @@
+import { <%= adapter %> } from './media/<%= adapter %>';
+import { MediaError } from './media/types';
+import { isGranted, requestPermission } from './permissions';
+
+export { MediaError };
+
+/** @typedef {import('./media/types').MediaAsset} MediaAsset */
+/** @typedef {import('./media/types').MediaErrorCode} MediaErrorCode */
+/** @typedef {import('./media/types').MediaPickerAdapter} MediaPickerAdapter */
+/** @typedef {import('./media/types').MediaType} MediaType */
+/** @typedef {import('./media/types').PickOptions} PickOptions */
+/** @typedef {import('./media/types').ResolvedPickOptions} ResolvedPickOptions */
+
+/**
+ * Photos are resized to fit 1920x1920 and compressed, which keeps uploads small
+ * @type {ResolvedPickOptions}
+ */
+export const DEFAULT_PICK_OPTIONS = {
+  mediaType: 'photo',
+  selectionLimit: 1,
+  maxWidth: 1920,
+  maxHeight: 1920,
+  quality: 0.8,
+};
+
+/**
+ * @typedef {object} MediaValidation
+ * @property {number} [maxFileSize] - In bytes (default: 10 MB)
+ * @property {string[]} [allowedTypes] - MIME types, or wildcards such as "image/*"; empty to allow any
+ */
+
+export const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Types MediaHandler accepts when no allowedTypes are given
+ * @type {Record<MediaType, string[]>}
+ */
+const ALLOWED_TYPES = {
+  photo: ['image/*'],
+  video: ['video/*'],
+  mixed: ['image/*', 'video/*'],
+};
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatFileSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+/**
+ * @param {string} mimeType
+ * @param {string} allowed
+ * @returns {boolean}
+ */
+const matchesType = (mimeType, allowed) =>
+  allowed.endsWith('/*') ? mimeType.startsWith(allowed.slice(0, -1)) : mimeType === allowed;
+
+/**
+ * Check a file's type and size; throws a MediaError ('unsupported-type' or 'file-too-large')
+ * @param {MediaAsset} asset
+ * @param {MediaValidation} [validation]
+ */
+export function validateMedia(asset, { maxFileSize = MAX_FILE_SIZE, allowedTypes = [] } = {}) {
+  if (allowedTypes.length > 0 && !allowedTypes.some((allowed) => matchesType(asset.mimeType, allowed))) {
+    throw new MediaError('unsupported-type', `${asset.fileName} is not a supported file type (${asset.mimeType || 'unknown'})`, asset);
+  }
+  if (asset.fileSize !== null && asset.fileSize > maxFileSize) {
+    throw new MediaError(
+      'file-too-large',
+      `${asset.fileName} is ${formatFileSize(asset.fileSize)}, the limit is ${formatFileSize(maxFileSize)}`,
+      asset,
+    );
+  }
+}
+
+/**
+ * @typedef {object} FormDataOptions
+ * @property {string} [fieldName] - Field the files are sent in
+ * @property {Record<string, string>} [fields] - Other fields sent along, e.g. { albumId: '42' }
+ */
+
+/**
+ * Upload-ready multipart body. React Native sends { uri, name, type } entries as files,
+ * so pass it straight to fetch or axios.
+ * @param {MediaAsset | MediaAsset[]} assets
+ * @param {FormDataOptions} [options]
+ * @returns {FormData}
+ */
+export function toFormData(assets, { fieldName = 'file', fields = {} } = {}) {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+  (Array.isArray(assets) ? assets : [assets]).forEach((asset) => {
+    // Cast: the DOM typings of FormData only know strings and Blobs
+    const file = /** @type {any} */ ({ uri: asset.uri, name: asset.fileName, type: asset.mimeType || 'application/octet-stream' });
+    formData.append(fieldName, file);
+  });
+  return formData;
+}
+
+/**
+ * @typedef {MediaValidation & {
+ *   adapter?: MediaPickerAdapter,
+ *   defaults?: PickOptions,
+ *   onBlocked?: import('./permissions').PermissionRequestOptions['onBlocked'],
+ * }} MediaHandlerOptions
+ * adapter: picker library to use (default: <%= adapter %>); defaults: pick options used
+ * when a call leaves them out
+ */
+
+/** @type {Record<import('./permissions').AppPermission, string>} */
+const PERMISSION_NAMES = {
+  camera: 'camera',
+  photoLibrary: 'photo library',
+};
+
+/**
+ * Pick photos with the camera or from the library. Permissions are asked first, and picked
+ * files are checked against the size limit and the allowed types (by default, the picked
+ * media type). Both methods resolve with an empty list when the user cancels, and throw a
+ * MediaError when something fails.
+ * @param {MediaHandlerOptions} [options]
+ */
+export function createMediaHandler({ adapter = <%= adapter %>, defaults = {}, onBlocked, ...validation } = {}) {
+  /**
+   * @param {import('./permissions').AppPermission} permission
+   */
+  const ensurePermission = async (permission) => {
+    const status = await requestPermission(permission, { onBlocked });
+    const name = PERMISSION_NAMES[permission];
+    if (status === 'blocked') {
+      throw new MediaError('permission-blocked', `Access to the ${name} is turned off in Settings`);
+    }
+    if (status === 'unavailable') {
+      throw new MediaError('unavailable', `The ${name} is not available on this device`);
+    }
+    if (!isGranted(status)) {
+      throw new MediaError('permission-denied', `Access to the ${name} was denied`);
+    }
+  };
+
+  /**
+   * @param {PickOptions} options
+   * @returns {ResolvedPickOptions}
+   */
+  const resolve = (options) => ({ ...DEFAULT_PICK_OPTIONS, ...defaults, ...options });
+
+  /**
+   * @param {MediaAsset[]} assets
+   * @param {ResolvedPickOptions} options
+   */
+  const validated = (assets, { mediaType }) => {
+    const { maxFileSize, allowedTypes = ALLOWED_TYPES[mediaType] } = validation;
+    assets.forEach((asset) => validateMedia(asset, { maxFileSize, allowedTypes }));
+    return assets;
+  };
+
+  return {
+    /**
+     * @param {PickOptions} [options]
+     * @returns {Promise<MediaAsset[]>}
+     */
+    async pickFromCamera(options = {}) {
+      await ensurePermission('camera');
+      const resolved = { ...resolve(options), selectionLimit: 1 };
+      return validated(await adapter.openCamera(resolved), resolved);
+    },
+
+    /**
+     * @param {PickOptions} [options]
+     * @returns {Promise<MediaAsset[]>}
+     */
+    async pickFromLibrary(options = {}) {
+      if (adapter.requiresLibraryPermission) {
+        await ensurePermission('photoLibrary');
+      }
+      const resolved = resolve(options);
+      return validated(await adapter.openLibrary(resolved), resolved);
+    },
+  };
+}
+
+/** @typedef {ReturnType<typeof createMediaHandler>} MediaHandler */
+
+export const mediaHandler = createMediaHandler();
@@ -0,0 +1,142 @@
+import { <%= adapter %> } from './media/<%= adapter %>';
+import { MediaError } from './media/types';
+import type { MediaAsset, MediaPickerAdapter, MediaType, PickOptions, ResolvedPickOptions } from './media/types';
+import { isGranted, requestPermission } from './permissions';
+import type { AppPermission, PermissionRequestOptions } from './permissions';
+
+export { MediaError };
+export type { MediaAsset, MediaErrorCode, MediaPickerAdapter, MediaType, PickOptions } from './media/types';
+
+/**
+ * Photos are resized to fit 1920x1920 and compressed, which keeps uploads small
+ */
+export const DEFAULT_PICK_OPTIONS: ResolvedPickOptions = {
+  mediaType: 'photo',
+  selectionLimit: 1,
+  maxWidth: 1920,
+  maxHeight: 1920,
+  quality: 0.8,
+};
+
+export interface MediaValidation {
+  /** In bytes (default: 10 MB) */
+  maxFileSize?: number;
+  /** MIME types, or wildcards such as "image/*"; empty to allow any */
+  allowedTypes?: string[];
+}
+
+export const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Types MediaHandler accepts when no allowedTypes are given
+ */
+const ALLOWED_TYPES: Record<MediaType, string[]> = {
+  photo: ['image/*'],
+  video: ['video/*'],
+  mixed: ['image/*', 'video/*'],
+};
+
+const formatFileSize = (bytes: number): string =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+const matchesType = (mimeType: string, allowed: string): boolean =>
+  allowed.endsWith('/*') ? mimeType.startsWith(allowed.slice(0, -1)) : mimeType === allowed;
+
+/**
+ * Check a file's type and size; throws a MediaError ('unsupported-type' or 'file-too-large')
+ */
+export function validateMedia(asset: MediaAsset, { maxFileSize = MAX_FILE_SIZE, allowedTypes = [] }: MediaValidation = {}): void {
+  if (allowedTypes.length > 0 && !allowedTypes.some((allowed) => matchesType(asset.mimeType, allowed))) {
+    throw new MediaError('unsupported-type', `${asset.fileName} is not a supported file type (${asset.mimeType || 'unknown'})`, asset);
+  }
+  if (asset.fileSize !== null && asset.fileSize > maxFileSize) {
+    throw new MediaError(
+      'file-too-large',
+      `${asset.fileName} is ${formatFileSize(asset.fileSize)}, the limit is ${formatFileSize(maxFileSize)}`,
+      asset,
+    );
+  }
+}
+
+export interface FormDataOptions {
+  /** Field the files are sent in */
+  fieldName?: string;
+  /** Other fields sent along, e.g. { albumId: '42' } */
+  fields?: Record<string, string>;
+}
+
+/**
+ * Upload-ready multipart body. React Native sends { uri, name, type } entries as files,
+ * so pass it straight to fetch or axios.
+ */
+export function toFormData(assets: MediaAsset | MediaAsset[], { fieldName = 'file', fields = {} }: FormDataOptions = {}): FormData {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([name, value]) => formData.append(name, value));
+  (Array.isArray(assets) ? assets : [assets]).forEach((asset) => {
+    formData.append(fieldName, { uri: asset.uri, name: asset.fileName, type: asset.mimeType || 'application/octet-stream' });
+  });
+  return formData;
+}
+
+export interface MediaHandlerOptions extends MediaValidation {
+  /** Picker library to use (default: <%= adapter %>) */
+  adapter?: MediaPickerAdapter;
+  /** Pick options used when a call leaves them out */
+  defaults?: PickOptions;
+  onBlocked?: PermissionRequestOptions['onBlocked'];
+}
+
+const PERMISSION_NAMES: Record<AppPermission, string> = {
+  camera: 'camera',
+  photoLibrary: 'photo library',
+};
+
+/**
+ * Pick photos with the camera or from the library. Permissions are asked first, and picked
+ * files are checked against the size limit and the allowed types (by default, the picked
+ * media type). Both methods resolve with an empty list when the user cancels, and throw a
+ * MediaError when something fails.
+ */
+export function createMediaHandler({ adapter = <%= adapter %>, defaults = {}, onBlocked, ...validation }: MediaHandlerOptions = {}) {
+  const ensurePermission = async (permission: AppPermission) => {
+    const status = await requestPermission(permission, { onBlocked });
+    const name = PERMISSION_NAMES[permission];
+    if (status === 'blocked') {
+      throw new MediaError('permission-blocked', `Access to the ${name} is turned off in Settings`);
+    }
+    if (status === 'unavailable') {
+      throw new MediaError('unavailable', `The ${name} is not available on this device`);
+    }
+    if (!isGranted(status)) {
+      throw new MediaError('permission-denied', `Access to the ${name} was denied`);
+    }
+  };
+
+  const resolve = (options: PickOptions): ResolvedPickOptions => ({ ...DEFAULT_PICK_OPTIONS, ...defaults, ...options });
+
+  const validated = (assets: MediaAsset[], { mediaType }: ResolvedPickOptions) => {
+    const { maxFileSize, allowedTypes = ALLOWED_TYPES[mediaType] } = validation;
+    assets.forEach((asset) => validateMedia(asset, { maxFileSize, allowedTypes }));
+    return assets;
+  };
+
+  return {
+    async pickFromCamera(options: PickOptions = {}): Promise<MediaAsset[]> {
+      await ensurePermission('camera');
+      const resolved = { ...resolve(options), selectionLimit: 1 };
+      return validated(await adapter.openCamera(resolved), resolved);
+    },
+
+    async pickFromLibrary(options: PickOptions = {}): Promise<MediaAsset[]> {
+      if (adapter.requiresLibraryPermission) {
+        await ensurePermission('photoLibrary');
+      }
+      const resolved = resolve(options);
+      return validated(await adapter.openLibrary(resolved), resolved);
+    },
+  };
+}
+
+export type MediaHandler = ReturnType<typeof createMediaHandler>;
+
+export const mediaHandler = createMediaHandler();
@@ -0,0 +1,80 @@
+import { Platform } from 'react-native';
+import ImagePicker from 'react-native-image-crop-picker';
+import { MediaError } from './types';
+
+/** @typedef {import('react-native-image-crop-picker').ImageOrVideo} ImageOrVideo */
+/** @typedef {import('react-native-image-crop-picker').PickerErrorCode} PickerErrorCode */
+/** @typedef {import('./types').MediaAsset} MediaAsset */
+
+const MEDIA_TYPES = /** @type {const} */ ({ photo: 'photo', video: 'video', mixed: 'any' });
+
+/** @type {Partial<Record<PickerErrorCode, import('./types').MediaErrorCode>>} */
+const ERROR_CODES = {
+  E_NO_CAMERA_PERMISSION: 'permission-denied',
+  E_NO_LIBRARY_PERMISSION: 'permission-denied',
+  E_PICKER_CANNOT_RUN_CAMERA_ON_SIMULATOR: 'unavailable',
+  E_CAMERA_IS_NOT_AVAILABLE: 'unavailable',
+};
+
+/**
+ * @param {ImageOrVideo} file
+ * @returns {MediaAsset}
+ */
+const toAsset = (file) => ({
+  uri: file.path,
+  fileName: file.filename ?? file.path.split('/').pop() ?? 'file',
+  mimeType: file.mime,
+  fileSize: file.size,
+  width: file.width,
+  height: file.height,
+});
+
+/**
+ * @param {import('./types').ResolvedPickOptions} options
+ * @returns {import('react-native-image-crop-picker').Options}
+ */
+const toOptions = ({ mediaType, selectionLimit, maxWidth, maxHeight, quality, cropping = false }) => {
+  const multiple = selectionLimit !== 1;
+  return /** @type {import('react-native-image-crop-picker').Options} */ ({
+    mediaType: MEDIA_TYPES[mediaType],
+    multiple,
+    maxFiles: multiple && selectionLimit > 0 ? selectionLimit : undefined,
+    // The cropper handles one photo at a time
+    cropping: cropping && !multiple && mediaType === 'photo',
+    compressImageMaxWidth: maxWidth,
+    compressImageMaxHeight: maxHeight,
+    compressImageQuality: Math.min(Math.max(quality, 0), 1),
+  });
+};
+
+/**
+ * @param {() => Promise<ImageOrVideo | ImageOrVideo[]>} open
+ * @returns {Promise<MediaAsset[]>}
+ */
+const pick = async (open) => {
+  try {
+    const result = await open();
+    return (Array.isArray(result) ? result : [result]).map(toAsset);
+  } catch (error) {
+    const { code, message } = /** @type {{ code?: PickerErrorCode, message?: string }} */ (error ?? {});
+    if (code === 'E_PICKER_CANCELLED') {
+      return [];
+    }
+    throw new MediaError((code && ERROR_CODES[code]) || 'picker-failed', message ?? 'Image picker failed');
+  }
+};
+
+/**
+ * react-native-image-crop-picker: its own library picker with multiple selection and cropping
+ * @type {import('./types').MediaPickerAdapter}
+ */
+export const cropPickerAdapter = {
+  // Its iOS picker reads the photo library itself; on Android it uses the system picker
+  requiresLibraryPermission: Platform.OS === 'ios',
+  openCamera(options) {
+    return pick(() => ImagePicker.openCamera({ ...toOptions(options), multiple: false }));
+  },
+  openLibrary(options) {
+    return pick(() => ImagePicker.openPicker(toOptions(options)));
+  },
+};
@@ -0,0 +1,64 @@
+import { Platform } from 'react-native';
+import ImagePicker from 'react-native-image-crop-picker';
+import type { ImageOrVideo, Options, PickerErrorCode } from 'react-native-image-crop-picker';
+import { MediaError } from './types';
+import type { MediaAsset, MediaErrorCode, MediaPickerAdapter, ResolvedPickOptions } from './types';
+
+const MEDIA_TYPES = { photo: 'photo', video: 'video', mixed: 'any' } as const;
+
+const ERROR_CODES: Partial<Record<PickerErrorCode, MediaErrorCode>> = {
+  E_NO_CAMERA_PERMISSION: 'permission-denied',
+  E_NO_LIBRARY_PERMISSION: 'permission-denied',
+  E_PICKER_CANNOT_RUN_CAMERA_ON_SIMULATOR: 'unavailable',
+  E_CAMERA_IS_NOT_AVAILABLE: 'unavailable',
+};
+
+const toAsset = (file: ImageOrVideo): MediaAsset => ({
+  uri: file.path,
+  fileName: file.filename ?? file.path.split('/').pop() ?? 'file',
+  mimeType: file.mime,
+  fileSize: file.size,
+  width: file.width,
+  height: file.height,
+});
+
+const toOptions = ({ mediaType, selectionLimit, maxWidth, maxHeight, quality, cropping = false }: ResolvedPickOptions): Options => {
+  const multiple = selectionLimit !== 1;
+  return {
+    mediaType: MEDIA_TYPES[mediaType],
+    multiple,
+    maxFiles: multiple && selectionLimit > 0 ? selectionLimit : undefined,
+    // The cropper handles one photo at a time
+    cropping: cropping && !multiple && mediaType === 'photo',
+    compressImageMaxWidth: maxWidth,
+    compressImageMaxHeight: maxHeight,
+    compressImageQuality: Math.min(Math.max(quality, 0), 1),
+  } as Options;
+};
+
+const pick = async (open: () => Promise<ImageOrVideo | ImageOrVideo[]>): Promise<MediaAsset[]> => {
+  try {
+    const result = await open();
+    return (Array.isArray(result) ? result : [result]).map(toAsset);
+  } catch (error) {
+    const { code, message } = (error ?? {}) as { code?: PickerErrorCode; message?: string };
+    if (code === 'E_PICKER_CANCELLED') {
+      return [];
+    }
+    throw new MediaError((code && ERROR_CODES[code]) || 'picker-failed', message ?? 'Image picker failed');
+  }
+};
+
+/**
+ * react-native-image-crop-picker: its own library picker with multiple selection and cropping
+ */
+export const cropPickerAdapter: MediaPickerAdapter = {
+  // Its iOS picker reads the photo library itself; on Android it uses the system picker
+  requiresLibraryPermission: Platform.OS === 'ios',
+  openCamera(options) {
+    return pick(() => ImagePicker.openCamera({ ...toOptions(options), multiple: false }));
+  },
+  openLibrary(options) {
+    return pick(() => ImagePicker.openPicker(toOptions(options)));
+  },
+};
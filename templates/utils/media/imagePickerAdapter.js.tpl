@@ -0,0 +1,65 @@
+import { launchCamera, launchImageLibrary } from 'react-native-image-picker';
+import { MediaError } from './types';
+
+/** @typedef {import('react-native-image-picker').ImagePickerResponse} ImagePickerResponse */
+/** @typedef {import('./types').MediaAsset} MediaAsset */
+/** @typedef {import('./types').ResolvedPickOptions} ResolvedPickOptions */
+
+/** @type {Record<NonNullable<ImagePickerResponse['errorCode']>, import('./types').MediaErrorCode>} */
+const ERROR_CODES = {
+  camera_unavailable: 'unavailable',
+  permission: 'permission-denied',
+  others: 'picker-failed',
+};
+
+/**
+ * @param {import('react-native-image-picker').Asset} asset
+ * @returns {MediaAsset}
+ */
+const toAsset = (asset) => ({
+  uri: asset.uri ?? '',
+  fileName: asset.fileName ?? asset.uri?.split('/').pop() ?? 'file',
+  mimeType: asset.type ?? '',
+  fileSize: asset.fileSize ?? null,
+  width: asset.width ?? null,
+  height: asset.height ?? null,
+});
+
+/**
+ * @param {ImagePickerResponse} response
+ * @returns {MediaAsset[]}
+ */
+const toAssets = (response) => {
+  if (response.didCancel) {
+    return [];
+  }
+  if (response.errorCode) {
+    throw new MediaError(ERROR_CODES[response.errorCode], response.errorMessage ?? `Image picker failed (${response.errorCode})`);
+  }
+  return (response.assets ?? []).filter((asset) => asset.uri).map(toAsset);
+};
+
+/**
+ * @param {ResolvedPickOptions} options
+ */
+const commonOptions = ({ mediaType, maxWidth, maxHeight, quality }) => ({
+  mediaType,
+  maxWidth,
+  maxHeight,
+  // The picker takes the quality in steps of 0.1
+  quality: /** @type {import('react-native-image-picker').PhotoQuality} */ (Math.round(Math.min(Math.max(quality, 0), 1) * 10) / 10),
+});
+
+/**
+ * react-native-image-picker: the system photo picker for the library, the system camera app for photos
+ * @type {import('./types').MediaPickerAdapter}
+ */
+export const imagePickerAdapter = {
+  requiresLibraryPermission: false,
+  async openCamera(options) {
+    return toAssets(await launchCamera({ ...commonOptions(options), saveToPhotos: false }));
+  },
+  async openLibrary(options) {
+    return toAssets(await launchImageLibrary({ ...commonOptions(options), selectionLimit: options.selectionLimit }));
+  },
+};
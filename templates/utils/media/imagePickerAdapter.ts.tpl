@@ -0,0 +1,50 @@
+import { launchCamera, launchImageLibrary } from 'react-native-image-picker';
+import type { Asset, ImagePickerResponse, PhotoQuality } from 'react-native-image-picker';
+import { MediaError } from './types';
+import type { MediaAsset, MediaErrorCode, MediaPickerAdapter, ResolvedPickOptions } from './types';
+
+const ERROR_CODES: Record<NonNullable<ImagePickerResponse['errorCode']>, MediaErrorCode> = {
+  camera_unavailable: 'unavailable',
+  permission: 'permission-denied',
+  others: 'picker-failed',
+};
+
+const toAsset = (asset: Asset): MediaAsset => ({
+  uri: asset.uri ?? '',
+  fileName: asset.fileName ?? asset.uri?.split('/').pop() ?? 'file',
+  mimeType: asset.type ?? '',
+  fileSize: asset.fileSize ?? null,
+  width: asset.width ?? null,
+  height: asset.height ?? null,
+});
+
+const toAssets = (response: ImagePickerResponse): MediaAsset[] => {
+  if (response.didCancel) {
+    return [];
+  }
+  if (response.errorCode) {
+    throw new MediaError(ERROR_CODES[response.errorCode], response.errorMessage ?? `Image picker failed (${response.errorCode})`);
+  }
+  return (response.assets ?? []).filter((asset) => asset.uri).map(toAsset);
+};
+
+const commonOptions = ({ mediaType, maxWidth, maxHeight, quality }: ResolvedPickOptions) => ({
+  mediaType,
+  maxWidth,
+  maxHeight,
+  // The picker takes the quality in steps of 0.1
+  quality: (Math.round(Math.min(Math.max(quality, 0), 1) * 10) / 10) as PhotoQuality,
+});
+
+/**
+ * react-native-image-picker: the system photo picker for the library, the system camera app for photos
+ */
+export const imagePickerAdapter: MediaPickerAdapter = {
+  requiresLibraryPermission: false,
+  async openCamera(options) {
+    return toAssets(await launchCamera({ ...commonOptions(options), saveToPhotos: false }));
+  },
+  async openLibrary(options) {
+    return toAssets(await launchImageLibrary({ ...commonOptions(options), selectionLimit: options.selectionLimit }));
+  },
+};
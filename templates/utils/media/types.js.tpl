@@ -0,0 +1,61 @@
+/** @typedef {'photo' | 'video' | 'mixed'} MediaType */
+
+/**
+ * A picked file, the same whichever picker library returned it
+ * @typedef {object} MediaAsset
+ * @property {string} uri
+ * @property {string} fileName
+ * @property {string} mimeType
+ * @property {number | null} fileSize - In bytes; null when the picker does not report it
+ * @property {number | null} width
+ * @property {number | null} height
+ */
+
+/**
+ * @typedef {object} PickOptions
+ * @property {MediaType} [mediaType]
+ * @property {number} [selectionLimit] - How many files can be picked from the library; 0 for no limit. The camera always takes one.
+ * @property {number} [maxWidth] - Images are resized to fit these bounds (in pixels), keeping their aspect ratio
+ * @property {number} [maxHeight]
+ * @property {number} [quality] - JPEG compression, from 0 (smallest file) to 1 (best quality)
+<% if cropPicker %>
+ * @property {boolean} [cropping] - Let the user crop the picked image (single photos only)
+<% endif %>
+ */
+
+/**
+ * Pick options with the defaults filled in, as adapters receive them
+ * @typedef {PickOptions & Required<Pick<PickOptions, 'mediaType' | 'selectionLimit' | 'quality'>>} ResolvedPickOptions
+ */
+
+/**
+ * What MediaHandler needs from a picker library. Adapters resolve with an empty list
+ * when the user cancels, and throw a MediaError otherwise.
+ * @typedef {object} MediaPickerAdapter
+ * @property {boolean} requiresLibraryPermission - Whether picking from the library needs the photo library permission (system pickers do not)
+ * @property {(options: ResolvedPickOptions) => Promise<MediaAsset[]>} openCamera
+ * @property {(options: ResolvedPickOptions) => Promise<MediaAsset[]>} openLibrary
+ */
+
+/**
+ * @typedef {'permission-denied' | 'permission-blocked' | 'unavailable' | 'file-too-large' | 'unsupported-type' | 'picker-failed'} MediaErrorCode
+ * permission-blocked: only the Settings app can grant it now; unavailable: e.g. no camera,
+ * or the simulator
+ */
+
+/**
+ * The only error MediaHandler throws. Switch on `code` instead of inspecting picker errors.
+ */
+export class MediaError extends Error {
+  /**
+   * @param {MediaErrorCode} code
+   * @param {string} message
+   * @param {MediaAsset | null} [asset] - The file that failed validation
+   */
+  constructor(code, message, asset = null) {
+    super(message);
+    this.name = 'MediaError';
+    this.code = code;
+    this.asset = asset;
+  }
+}
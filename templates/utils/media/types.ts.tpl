@@ -0,0 +1,68 @@
+export type MediaType = 'photo' | 'video' | 'mixed';
+
+/**
+ * A picked file, the same whichever picker library returned it
+ */
+export interface MediaAsset {
+  uri: string;
+  fileName: string;
+  mimeType: string;
+  /** In bytes; null when the picker does not report it */
+  fileSize: number | null;
+  width: number | null;
+  height: number | null;
+}
+
+export interface PickOptions {
+  mediaType?: MediaType;
+  /** How many files can be picked from the library; 0 for no limit. The camera always takes one. */
+  selectionLimit?: number;
+  /** Images are resized to fit these bounds (in pixels), keeping their aspect ratio */
+  maxWidth?: number;
+  maxHeight?: number;
+  /** JPEG compression, from 0 (smallest file) to 1 (best quality) */
+  quality?: number;
+<% if cropPicker %>
+  /** Let the user crop the picked image (single photos only) */
+  cropping?: boolean;
+<% endif %>
+}
+
+/**
+ * Pick options with the defaults filled in, as adapters receive them
+ */
+export type ResolvedPickOptions = PickOptions & Required<Pick<PickOptions, 'mediaType' | 'selectionLimit' | 'quality'>>;
+
+/**
+ * What MediaHandler needs from a picker library. Adapters resolve with an empty list
+ * when the user cancels, and throw a MediaError otherwise.
+ */
+export interface MediaPickerAdapter {
+  /** Whether picking from the library needs the photo library permission (system pickers do not) */
+  requiresLibraryPermission: boolean;
+  openCamera: (options: ResolvedPickOptions) => Promise<MediaAsset[]>;
+  openLibrary: (options: ResolvedPickOptions) => Promise<MediaAsset[]>;
+}
+
+export type MediaErrorCode =
+  | 'permission-denied'
+  | 'permission-blocked' // only the Settings app can grant it now
+  | 'unavailable' // e.g. no camera, or the simulator
+  | 'file-too-large'
+  | 'unsupported-type'
+  | 'picker-failed';
+
+/**
+ * The only error MediaHandler throws. Switch on `code` instead of inspecting picker errors.
+ */
+export class MediaError extends Error {
+  code: MediaErrorCode;
+  asset: MediaAsset | null;
+
+  constructor(code: MediaErrorCode, message: string, asset: MediaAsset | null = null) {
+    super(message);
+    this.name = 'MediaError';
+    this.code = code;
+    this.asset = asset;
+  }
+}
@@ -0,0 +1,84 @@
+import { Alert, Platform } from 'react-native';
+import { check, openSettings, PERMISSIONS, request, RESULTS } from 'react-native-permissions';
+
+/** @typedef {'camera' | 'photoLibrary'} AppPermission */
+/** @typedef {import('react-native-permissions').PermissionStatus} PermissionStatus */
+
+/**
+ * The platform permission behind each app permission (null where there is none)
+ * @param {AppPermission} permission
+ * @returns {import('react-native-permissions').Permission | null}
+ */
+const platformPermission = (permission) => {
+  switch (permission) {
+    case 'camera':
+      return Platform.select({ ios: PERMISSIONS.IOS.CAMERA, android: PERMISSIONS.ANDROID.CAMERA }) ?? null;
+    case 'photoLibrary':
+      return (
+        Platform.select({
+          ios: PERMISSIONS.IOS.PHOTO_LIBRARY,
+          // Android 13 split storage access by media type
+          android: Number(Platform.Version) >= 33 ? PERMISSIONS.ANDROID.READ_MEDIA_IMAGES : PERMISSIONS.ANDROID.READ_EXTERNAL_STORAGE,
+        }) ?? null
+      );
+    default:
+      return null;
+  }
+};
+
+/** @type {Record<AppPermission, string>} */
+const BLOCKED_MESSAGES = {
+  camera: 'Camera access is turned off for this app. You can turn it on in Settings.',
+  photoLibrary: 'Photo access is turned off for this app. You can turn it on in Settings.',
+};
+
+/**
+ * Default reaction to a blocked permission: explain it and offer to open the app's settings
+ * @param {AppPermission} permission
+ */
+export const showBlockedAlert = (permission) => {
+  Alert.alert('Permission needed', BLOCKED_MESSAGES[permission], [
+    { text: 'Cancel', style: 'cancel' },
+    { text: 'Open Settings', onPress: () => openSettings().catch(() => undefined) },
+  ]);
+};
+
+/**
+ * @typedef {object} PermissionRequestOptions
+ * @property {import('react-native-permissions').Rationale} [rationale] - Android only: explanation shown before the system dialog
+ * @property {(permission: AppPermission) => void} [onBlocked] - Called when the system will not ask anymore; shows showBlockedAlert by default
+ */
+
+/**
+ * Check a permission and ask for it when it can still be asked, the same way on Android and iOS.
+ * Resolves with the final status:
+ * - granted, or limited (iOS access to selected photos only): the feature can be used
+ * - denied: the user said no, and can be asked again later
+ * - blocked: the system will not ask again (Android after two refusals, iOS after one), onBlocked is called
+ * - unavailable: the device does not have the feature
+ * @param {AppPermission} permission
+ * @param {PermissionRequestOptions} [options]
+ * @returns {Promise<PermissionStatus>}
+ */
+export async function requestPermission(permission, { rationale, onBlocked = showBlockedAlert } = {}) {
+  const target = platformPermission(permission);
+  if (!target) {
+    return RESULTS.UNAVAILABLE;
+  }
+
+  let status = await check(target);
+  if (status === RESULTS.DENIED) {
+    status = await request(target, rationale);
+  }
+  if (status === RESULTS.BLOCKED) {
+    onBlocked(permission);
+  }
+  return status;
+}
+
+/**
+ * Whether a status lets the app use the feature
+ * @param {PermissionStatus} status
+ * @returns {boolean}
+ */
+export const isGranted = (status) => status === RESULTS.GRANTED || status === RESULTS.LIMITED;
@@ -0,0 +1,137 @@
+import { useMemo } from 'react';
+import { Dimensions, PixelRatio, useWindowDimensions } from 'react-native';
+
+/**
+ * Size of the screen the designs are drawn for (in points). Sizes from the mockups are
+ * scaled from it to the actual window.
+ */
+export const DESIGN_BASELINE = { width: <%= designWidth %>, height: <%= designHeight %> };
+
+// Tablets and unfolded foldables would scale everything up to twice the size;
+// past this factor they get more room instead of bigger elements
+const MAX_SCALE = 1.3;
+
+// Window width classes, as in Material's window size classes: one pane below 600,
+// two panes from 840 (tablets, unfolded foldables, wide split screens)
+const MEDIUM_WIDTH = 600;
+const EXPANDED_WIDTH = 840;
+
+// Android's definition of a tablet: the shortest side is at least 600 dp
+const TABLET_SHORTEST_SIDE = 600;
+
+// Unfolded foldables have a nearly square screen (Galaxy Z Fold, Pixel Fold: about 1.2)
+const SQUARE_ASPECT_RATIO = 1.3;
+
+/** @typedef {'portrait' | 'landscape'} Orientation */
+/** @typedef {'compact' | 'medium' | 'expanded'} WindowClass */
+/** @typedef {'phone' | 'tablet' | 'foldable'} FormFactor */
+/** @typedef {{ width: number, height: number }} WindowSize */
+
+/**
+ * @typedef {object} ResponsiveScreen
+ * @property {number} width
+ * @property {number} height
+ * @property {Orientation} orientation
+ * @property {WindowClass} windowClass
+ * @property {FormFactor} formFactor
+ * @property {boolean} isTablet
+ * @property {(percent: number | string) => number} wp - Percentage of the window width, e.g. wp(50) or wp('50%')
+ * @property {(percent: number | string) => number} hp - Percentage of the window height
+ * @property {(size: number) => number} scale - Scale a horizontal size (width, padding, icon size) from the design baseline
+ * @property {(size: number) => number} verticalScale - Scale a vertical size (height, vertical margins) from the design baseline
+ * @property {(size: number, factor?: number) => number} moderateScale - Scale only part of the way (factor 0.5 by default), for sizes that should not grow much
+ * @property {(size: number) => number} fontSize - Font size from the design baseline; the system font size setting still applies on top
+ */
+
+/**
+ * @param {number | string} percent
+ * @returns {number}
+ */
+const toPercent = (percent) => {
+  const value = typeof percent === 'number' ? percent : parseFloat(percent);
+  if (Number.isNaN(value)) {
+    throw new TypeError(`Expected a percentage, got ${JSON.stringify(percent)}`);
+  }
+  return value;
+};
+
+/**
+ * @param {number} size
+ * @returns {number}
+ */
+const round = (size) => PixelRatio.roundToNearestPixel(size);
+
+/**
+ * Responsive helpers for a window size. Scaling compares the shortest side with the
+ * baseline width (and the longest with its height), so sizes stay the same on rotation.
+ * @param {WindowSize} size
+ * @param {WindowSize} [baseline]
+ * @returns {ResponsiveScreen}
+ */
+export function createResponsiveScreen({ width, height }, baseline = DESIGN_BASELINE) {
+  const shortSide = Math.min(width, height);
+  const longSide = Math.max(width, height);
+  const horizontalRatio = Math.min(shortSide / baseline.width, MAX_SCALE);
+  const verticalRatio = Math.min(longSide / baseline.height, MAX_SCALE);
+  const isTablet = shortSide >= TABLET_SHORTEST_SIDE;
+
+  /** @type {FormFactor} */
+  let formFactor = 'phone';
+  if (isTablet) {
+    formFactor = longSide / shortSide < SQUARE_ASPECT_RATIO ? 'foldable' : 'tablet';
+  }
+
+  /** @param {number} size */
+  const scale = (size) => round(size * horizontalRatio);
+  /**
+   * @param {number} size
+   * @param {number} [factor]
+   */
+  const moderateScale = (size, factor = 0.5) => round(size + (size * horizontalRatio - size) * factor);
+
+  return {
+    width,
+    height,
+    orientation: width > height ? 'landscape' : 'portrait',
+    windowClass: width >= EXPANDED_WIDTH ? 'expanded' : width >= MEDIUM_WIDTH ? 'medium' : 'compact',
+    formFactor,
+    isTablet,
+    wp: (percent) => round((width * toPercent(percent)) / 100),
+    hp: (percent) => round((height * toPercent(percent)) / 100),
+    scale,
+    verticalScale: (size) => round(size * verticalRatio),
+    moderateScale,
+    fontSize: (size) => moderateScale(size),
+  };
+}
+
+/**
+ * Responsive helpers for the current window, updated when it changes: rotation,
+ * folding or unfolding, split screen and window resizing
+ * @returns {ResponsiveScreen}
+ */
+export function useResponsiveScreen() {
+  const { width, height } = useWindowDimensions();
+  return useMemo(() => createResponsiveScreen({ width, height }), [width, height]);
+}
+
+// The helpers below read the window size when called. Styles created once at module
+// level keep the size they were created with; use useResponsiveScreen() for styles
+// that should follow rotation and foldables.
+const current = () => createResponsiveScreen(Dimensions.get('window'));
+
+/** @param {number | string} percent */
+export const wp = (percent) => current().wp(percent);
+/** @param {number | string} percent */
+export const hp = (percent) => current().hp(percent);
+/** @param {number} size */
+export const scale = (size) => current().scale(size);
+/** @param {number} size */
+export const verticalScale = (size) => current().verticalScale(size);
+/**
+ * @param {number} size
+ * @param {number} [factor]
+ */
+export const moderateScale = (size, factor) => current().moderateScale(size, factor);
+/** @param {number} size */
+export const fontSize = (size) => current().fontSize(size);
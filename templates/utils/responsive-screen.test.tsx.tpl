@@ -0,0 +1,108 @@
+import React from 'react';
+import { Dimensions } from 'react-native';
+import renderer, { act } from 'react-test-renderer';
+import { createResponsiveScreen, DESIGN_BASELINE, hp, useResponsiveScreen, wp } from '../responsive-screen';
+import type { ResponsiveScreen } from '../responsive-screen';
+
+// Fixed baseline, so the expectations do not depend on the configured design size
+const baseline = { width: 375, height: 812 };
+
+const setWindow = (width: number, height: number) => {
+  Dimensions.set({ window: { width, height, scale: 2, fontScale: 1 } });
+};
+
+describe('createResponsiveScreen', () => {
+  it('keeps sizes on a screen the size of the baseline', () => {
+    const screen = createResponsiveScreen({ width: 375, height: 812 }, baseline);
+
+    expect(screen.scale(16)).toBe(16);
+    expect(screen.verticalScale(40)).toBe(40);
+    expect(screen.fontSize(14)).toBe(14);
+    expect(screen).toMatchObject({ orientation: 'portrait', windowClass: 'compact', formFactor: 'phone', isTablet: false });
+  });
+
+  it('scales sizes to larger and smaller phones', () => {
+    const large = createResponsiveScreen({ width: 430, height: 932 }, baseline);
+    const small = createResponsiveScreen({ width: 320, height: 568 }, baseline);
+
+    // Rounded to the nearest physical pixel (the test pixel ratio is 2)
+    expect(large.scale(10)).toBe(11.5);
+    expect(small.scale(75)).toBe(64);
+    expect(small.verticalScale(812)).toBe(568);
+    // Moderate scaling goes half the way by default
+    expect(small.moderateScale(75)).toBe(69.5);
+    expect(small.moderateScale(75, 0)).toBe(75);
+  });
+
+  it('keeps sizes the same in landscape', () => {
+    const portrait = createResponsiveScreen({ width: 390, height: 844 }, baseline);
+    const landscape = createResponsiveScreen({ width: 844, height: 390 }, baseline);
+
+    expect(landscape.orientation).toBe('landscape');
+    expect(landscape.scale(20)).toBe(portrait.scale(20));
+    expect(landscape.verticalScale(20)).toBe(portrait.verticalScale(20));
+    expect(landscape.wp(50)).toBe(422);
+  });
+
+  it('caps scaling on tablets', () => {
+    const tablet = createResponsiveScreen({ width: 820, height: 1180 }, baseline);
+
+    expect(tablet).toMatchObject({ windowClass: 'medium', formFactor: 'tablet', isTablet: true });
+    expect(tablet.scale(10)).toBe(13);
+    expect(tablet.verticalScale(10)).toBe(13);
+  });
+
+  it('detects folded and unfolded foldables', () => {
+    const folded = createResponsiveScreen({ width: 344, height: 882 }, baseline);
+    const unfolded = createResponsiveScreen({ width: 884, height: 1104 }, baseline);
+
+    expect(folded).toMatchObject({ formFactor: 'phone', windowClass: 'compact' });
+    expect(unfolded).toMatchObject({ formFactor: 'foldable', windowClass: 'expanded', isTablet: true });
+  });
+
+  it('returns percentages of the window', () => {
+    const screen = createResponsiveScreen({ width: 400, height: 800 }, baseline);
+
+    expect(screen.wp(25)).toBe(100);
+    expect(screen.wp('50%')).toBe(200);
+    expect(screen.hp('12.5%')).toBe(100);
+    expect(() => screen.wp('half')).toThrow(TypeError);
+  });
+});
+
+describe('responsive helpers', () => {
+  afterEach(() => {
+    setWindow(DESIGN_BASELINE.width, DESIGN_BASELINE.height);
+  });
+
+  it('read the current window size', () => {
+    setWindow(400, 800);
+    expect(wp(50)).toBe(200);
+
+    setWindow(800, 400);
+    expect(wp(50)).toBe(400);
+    expect(hp(50)).toBe(200);
+  });
+
+  it('updates the hook when the window changes', () => {
+    let screen: ResponsiveScreen | undefined;
+    const Probe = () => {
+      screen = useResponsiveScreen();
+      return null;
+    };
+
+    setWindow(390, 844);
+    let tree: renderer.ReactTestRenderer | undefined;
+    act(() => {
+      tree = renderer.create(<Probe />);
+    });
+    expect(screen).toMatchObject({ width: 390, orientation: 'portrait' });
+
+    act(() => {
+      setWindow(844, 390);
+    });
+    expect(screen).toMatchObject({ width: 844, orientation: 'landscape' });
+
+    act(() => tree?.unmount());
+  });
+});
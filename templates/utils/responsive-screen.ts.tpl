@@ -0,0 +1,117 @@
+import { useMemo } from 'react';
+import { Dimensions, PixelRatio, useWindowDimensions } from 'react-native';
+
+/**
+ * Size of the screen the designs are drawn for (in points). Sizes from the mockups are
+ * scaled from it to the actual window.
+ */
+export const DESIGN_BASELINE = { width: <%= designWidth %>, height: <%= designHeight %> };
+
+// Tablets and unfolded foldables would scale everything up to twice the size;
+// past this factor they get more room instead of bigger elements
+const MAX_SCALE = 1.3;
+
+// Window width classes, as in Material's window size classes: one pane below 600,
+// two panes from 840 (tablets, unfolded foldables, wide split screens)
+const MEDIUM_WIDTH = 600;
+const EXPANDED_WIDTH = 840;
+
+// Android's definition of a tablet: the shortest side is at least 600 dp
+const TABLET_SHORTEST_SIDE = 600;
+
+// Unfolded foldables have a nearly square screen (Galaxy Z Fold, Pixel Fold: about 1.2)
+const SQUARE_ASPECT_RATIO = 1.3;
+
+export type Orientation = 'portrait' | 'landscape';
+export type WindowClass = 'compact' | 'medium' | 'expanded';
+export type FormFactor = 'phone' | 'tablet' | 'foldable';
+
+export interface WindowSize {
+  width: number;
+  height: number;
+}
+
+export interface ResponsiveScreen extends WindowSize {
+  orientation: Orientation;
+  windowClass: WindowClass;
+  formFactor: FormFactor;
+  isTablet: boolean;
+  /** Percentage of the window width, e.g. wp(50) or wp('50%') */
+  wp: (percent: number | string) => number;
+  /** Percentage of the window height */
+  hp: (percent: number | string) => number;
+  /** Scale a horizontal size (width, padding, icon size) from the design baseline */
+  scale: (size: number) => number;
+  /** Scale a vertical size (height, vertical margins) from the design baseline */
+  verticalScale: (size: number) => number;
+  /** Scale only part of the way (factor 0.5 by default), for sizes that should not grow much */
+  moderateScale: (size: number, factor?: number) => number;
+  /** Font size from the design baseline; the system font size setting still applies on top */
+  fontSize: (size: number) => number;
+}
+
+const toPercent = (percent: number | string): number => {
+  const value = typeof percent === 'number' ? percent : parseFloat(percent);
+  if (Number.isNaN(value)) {
+    throw new TypeError(`Expected a percentage, got ${JSON.stringify(percent)}`);
+  }
+  return value;
+};
+
+const round = (size: number): number => PixelRatio.roundToNearestPixel(size);
+
+/**
+ * Responsive helpers for a window size. Scaling compares the shortest side with the
+ * baseline width (and the longest with its height), so sizes stay the same on rotation.
+ */
+export function createResponsiveScreen({ width, height }: WindowSize, baseline: WindowSize = DESIGN_BASELINE): ResponsiveScreen {
+  const shortSide = Math.min(width, height);
+  const longSide = Math.max(width, height);
+  const horizontalRatio = Math.min(shortSide / baseline.width, MAX_SCALE);
+  const verticalRatio = Math.min(longSide / baseline.height, MAX_SCALE);
+  const isTablet = shortSide >= TABLET_SHORTEST_SIDE;
+
+  let formFactor: FormFactor = 'phone';
+  if (isTablet) {
+    formFactor = longSide / shortSide < SQUARE_ASPECT_RATIO ? 'foldable' : 'tablet';
+  }
+
+  const scale = (size: number) => round(size * horizontalRatio);
+  const moderateScale = (size: number, factor = 0.5) => round(size + (size * horizontalRatio - size) * factor);
+
+  return {
+    width,
+    height,
+    orientation: width > height ? 'landscape' : 'portrait',
+    windowClass: width >= EXPANDED_WIDTH ? 'expanded' : width >= MEDIUM_WIDTH ? 'medium' : 'compact',
+    formFactor,
+    isTablet,
+    wp: (percent) => round((width * toPercent(percent)) / 100),
+    hp: (percent) => round((height * toPercent(percent)) / 100),
+    scale,
+    verticalScale: (size) => round(size * verticalRatio),
+    moderateScale,
+    fontSize: (size) => moderateScale(size),
+  };
+}
+
+/**
+ * Responsive helpers for the current window, updated when it changes: rotation,
+ * folding or unfolding, split screen and window resizing
+ */
+export function useResponsiveScreen(): ResponsiveScreen {
+  const { width, height } = useWindowDimensions();
+  return useMemo(() => createResponsiveScreen({ width, height }), [width, height]);
+}
+
+// The helpers below read the window size when called. Styles created once at module
+// level keep the size they were created with; use useResponsiveScreen() for styles
+// that should follow rotation and foldables.
+const current = () => createResponsiveScreen(Dimensions.get('window'));
+
+export const wp = (percent: number | string) => current().wp(percent);
+export const hp = (percent: number | string) => current().hp(percent);
+export const scale = (size: number) => current().scale(size);
+export const verticalScale = (size: number) => current().verticalScale(size);
+export const moderateScale = (size: number, factor?: number) => current().moderateScale(size, factor);
+export const fontSize = (size: number) => current().fontSize(size);
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { createProject, readFile, runCli } = require('./helpers');
+
+test('switching storage does not ask to update imports of files add rewrites', async () => {
+    const dir = createProject();
+    await runCli(['--cwd', dir, '-y', '--storage', 'mmkv', '--state', 'redux', '--persist', '--theme']);
+
+    const { output } = await runCli(['add', 'storage', 'async-storage', '--cwd', dir, '-y']);
+
+    assert.match(output, /Removed storage file: src\/utils\/mmkvStorage\.ts/);
+    assert.match(output, /Updated persistence file: src\/utils\/persistStorage\.ts/);
+    assert.match(output, /src\/theme\/ThemeProvider\.tsx/);
+    assert.doesNotMatch(output, /Still imported by/);
+});
+
+test('switching storage lists edited files that still import the old util', async () => {
+    const dir = createProject();
+    await runCli(['--cwd', dir, '-y', '--storage', 'mmkv', '--state', 'redux', '--persist']);
+    fs.outputFileSync(path.join(dir, 'src/screens/Settings.ts'), "import MMKVStorageUtil from '@utils/mmkvStorage';\n");
+
+    const { output } = await runCli(['add', 'storage', 'async-storage', '--cwd', dir, '-y']);
+
+    assert.match(output, /Still imported by src\/screens\/Settings\.ts: update these imports/);
+    assert.doesNotMatch(output, /Still imported by .*persistStorage/);
+});
+
+test('add navigation rewires the generated app entry', async () => {
+    const dir = createProject();
+    await runCli(['--cwd', dir, '-y', '--no-navigation', '--state', 'none', '--theme']);
+    assert.doesNotMatch(readFile(dir, 'App.tsx'), /NavigationContainer/);
+
+    const { exitCode } = await runCli(['add', 'navigation', '--cwd', dir, '-y']);
+
+    assert.strictEqual(exitCode, 0);
+    const app = readFile(dir, 'App.tsx');
+    assert.match(app, /<NavigationContainer ref=\{navigationRef\} theme=\{navigationTheme\}>/);
+    assert.match(app, /<RootNavigator isSignedIn=\{isSignedIn\} \/>/);
+    assert.ok(fs.existsSync(path.join(dir, 'src/navigation/RootNavigator.tsx')));
+    assert.strictEqual(JSON.parse(readFile(dir, '.rn-maker/config.json')).navigation, true);
+});
+
+test('add state redux mounts the store and keeps the other options', async () => {
+    const dir = createProject();
+    await runCli(['--cwd', dir, '-y', '--navigation', '--state', 'none', '--theme']);
+
+    await runCli(['add', 'state', 'redux', '--cwd', dir, '-y']);
+
+    const app = readFile(dir, 'App.tsx');
+    assert.match(app, /<Provider store=\{store\}>/);
+    assert.match(app, /<ThemeProvider>/);
+    assert.match(app, /<NavigationContainer ref=\{navigationRef\}/);
+    assert.ok(fs.existsSync(path.join(dir, 'src/store/index.ts')));
+    assert.ok(JSON.parse(readFile(dir, 'package.json')).dependencies['@reduxjs/toolkit']);
+});
+
+test('add keeps an edited app entry and wraps it instead', async () => {
+    const dir = createProject();
+    await runCli(['--cwd', dir, '-y', '--no-navigation', '--state', 'none', '--theme']);
+    fs.appendFileSync(path.join(dir, 'App.tsx'), '// edited\n');
+
+    await runCli(['add', 'state', 'zustand', '--cwd', dir, '-y']);
+    await runCli(['add', 'navigation', '--cwd', dir, '-y']);
+
+    const app = readFile(dir, 'App.tsx');
+    assert.match(app, /\/\/ edited/);
+    assert.match(app, /<NavigationContainer ref=\{navigationRef\}>\n {4}<App \/>/);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { patchAppEntry } = require('../lib/app-entry');
+const { createProject, readFile, runCli } = require('./helpers');
+
+// Shape of the App.tsx the React Native template ships
+const TEMPLATE_APP = `import React from 'react';
+import { SafeAreaView, Text } from 'react-native';
+
+function App(): React.JSX.Element {
+  return (
+    <SafeAreaView>
+      <Text>Welcome</Text>
+    </SafeAreaView>
+  );
+}
+
+export default App;
+`;
+
+test('the default export of an existing app entry is wrapped in the providers', () => {
+    const patched = patchAppEntry(TEMPLATE_APP, { navigationSetup: true, i18n: true });
+
+    assert.match(patched, /^import '@i18n\/index';$/m);
+    assert.match(patched, /^import \{ NavigationContainer \} from '@react-navigation\/native';$/m);
+    assert.match(patched, /^import \{ navigationRef \} from '@navigation\/NavigationRef';$/m);
+    assert.match(patched, /<NavigationContainer ref=\{navigationRef\}>\n {4}<App \/>\n {2}<\/NavigationContainer>/);
+    assert.match(patched, /^export default ScaffoldedApp;$/m);
+    assert.doesNotMatch(patched, /^export default App;$/m);
+});
+
+test('re-patching replaces the wrapper and merges the store import', () => {
+    const first = patchAppEntry(TEMPLATE_APP, { navigationSetup: true, redux: true });
+    const second = patchAppEntry(first, { navigationSetup: true, redux: true, persist: true, theme: true });
+
+    assert.strictEqual(second.match(/const ScaffoldedApp/g).length, 1);
+    assert.match(second, /^import \{ store, persistor \} from '@store\/index';$/m);
+    assert.match(second, /<ThemeProvider>\n {4}<Provider store=\{store\}>\n {6}<PersistGate loading=\{null\} persistor=\{persistor\}>/);
+    assert.match(second, / {10}<App \/>/);
+    assert.strictEqual(patchAppEntry(second, { navigationSetup: true, redux: true, persist: true, theme: true }), second);
+});
+
+test('providers the app entry renders itself are not mounted again', () => {
+    const themed = TEMPLATE_APP.replace('    <SafeAreaView>', '    <ThemeProvider>\n    <SafeAreaView>');
+    const patched = patchAppEntry(themed, { navigationSetup: true, theme: true });
+
+    assert.strictEqual(patched.match(/<ThemeProvider>/g).length, 1);
+    assert.doesNotMatch(patched, /import \{ ThemeProvider \}/);
+    assert.match(patched, /const ScaffoldedApp = \(\) => \(\n {2}<NavigationContainer ref=\{navigationRef\}>\n {4}<App \/>/);
+});
+
+test('default-exported declarations keep their name', () => {
+    const patched = patchAppEntry('export default function Root() {\n  return null;\n}\n', { navigationSetup: true });
+
+    assert.match(patched, /^function Root\(\) \{$/m);
+    assert.match(patched, /<Root \/>/);
+    assert.strictEqual(patchAppEntry('module.exports = App;\n', { navigationSetup: true }), null);
+});
+
+test('scaffolding with --yes mounts navigation and the store in the template app entry', async () => {
+    const dir = createProject({ 'App.tsx': TEMPLATE_APP });
+
+    const { output } = await runCli(['--cwd', dir, '-y', '--navigation', '--state', 'redux', '--storage', 'mmkv', '--persist']);
+    const app = readFile(dir, 'App.tsx');
+
+    assert.match(app, /<Provider store=\{store\}>/);
+    assert.match(app, /<PersistGate loading=\{null\} persistor=\{persistor\}>/);
+    assert.match(app, /<NavigationContainer ref=\{navigationRef\}>/);
+    assert.match(app, /<Text>Welcome<\/Text>/);
+    assert.match(output, /App\.tsx now mounts NavigationContainer: render <RootNavigator \/>/);
+});
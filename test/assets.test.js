@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prepareSvg } = require('../lib/assets');
+const { createProject, runCli } = require('./helpers');
+
+test('a self-closing svg root is an SVG', () => {
+    assert.strictEqual(prepareSvg('<svg/>', false), '<svg/>');
+    assert.strictEqual(prepareSvg('<?xml version="1.0"?>\n<svg viewBox="0 0 24 24"/>', false), '<svg viewBox="0 0 24 24"/>');
+});
+
+test('an icon without colors is drawn in currentColor, self-closing or not', () => {
+    assert.strictEqual(prepareSvg('<svg/>', true), '<svg fill="currentColor"/>');
+    assert.strictEqual(prepareSvg('<svg viewBox="0 0 24 24"><path d="M0 0"/></svg>', true),
+        '<svg fill="currentColor" viewBox="0 0 24 24"><path d="M0 0"/></svg>');
+});
+
+test('content that is not an SVG is skipped', () => {
+    assert.strictEqual(prepareSvg('<svgfoo/>', false), null);
+    assert.strictEqual(prepareSvg('<html></html>', false), null);
+});
+
+test('the react-native-svg reminder uses the package manager of the project', async () => {
+    const dir = createProject({ 'yarn.lock': '', 'src/assets/icons/svgIcons/check.svg': '<svg viewBox="0 0 24 24"><path d="M0 0"/></svg>' });
+
+    const { output } = await runCli(['assets', '--cwd', dir, '-y']);
+
+    assert.match(output, /The SVG components need react-native-svg: yarn add react-native-svg/);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mergeBabelConfig } = require('../lib/babel-config');
+
+const ALIASES = { '@store': './src/store' };
+
+test('the resolver plugin is indented like the plugins array', () => {
+    const source = "module.exports = {\n    presets: ['module:@react-native/babel-preset'],\n    plugins: [\n        'react-native-reanimated/plugin',\n    ],\n};\n";
+
+    assert.strictEqual(mergeBabelConfig(source, ALIASES), [
+        'module.exports = {',
+        "    presets: ['module:@react-native/babel-preset'],",
+        '    plugins: [',
+        '        [',
+        "            'module-resolver',",
+        '            {',
+        "                root: ['./src'],",
+        '                alias: {',
+        "                    '@store': './src/store',",
+        '                },',
+        '            },',
+        '        ],',
+        "        'react-native-reanimated/plugin',",
+        '    ],',
+        '};',
+        ''
+    ].join('\n'));
+});
+
+test('a single-line plugins array gets one plugin per line', () => {
+    const source = "module.exports = {\n  presets: ['module:@react-native/babel-preset'],\n  plugins: ['react-native-reanimated/plugin'],\n};\n";
+
+    const merged = mergeBabelConfig(source, ALIASES);
+
+    assert.match(merged, /\n {2}plugins: \[\n {4}\[\n {6}'module-resolver',/);
+    assert.match(merged, /\n {4}\],\n {4}'react-native-reanimated\/plugin',\n {2}\],\n\};\n$/);
+});
+
+test('missing aliases line up with the existing ones', () => {
+    const source = "module.exports = {\n  plugins: [\n    ['module-resolver', {\n      alias: {\n        '@a': './src/a',\n      },\n    }],\n  ],\n};\n";
+
+    assert.match(mergeBabelConfig(source, ALIASES), /\n {8}'@a': '\.\/src\/a',\n {8}'@store': '\.\/src\/store',\n {6}\},\n/);
+    assert.strictEqual(mergeBabelConfig(mergeBabelConfig(source, ALIASES), ALIASES), mergeBabelConfig(source, ALIASES));
+});
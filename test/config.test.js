@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseTabs } = require('../lib/config');
+
+test('tab icons default to the tab name and may hold dashes', () => {
+    const tabs = parseTabs('Home,Search:SearchScreen:search-outline', 'the tab list');
+
+    assert.deepStrictEqual(tabs.map(tab => tab.icon), ['home', 'search-outline']);
+});
+
+test('icon names that would break the generated code are rejected', () => {
+    ["Home::it's", 'Home::back\\slash', 'Home::two words'].forEach(value => {
+        assert.throws(() => parseTabs(value, 'the tab list'), /Invalid icon name/);
+    });
+    assert.throws(() => parseTabs([{ name: 'Home', icon: "'); alert(1); ('" }], '.rnmakerrc'), /Invalid icon name .* in \.rnmakerrc/);
+});
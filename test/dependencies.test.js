@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { findInstallRoot, detectPackageManager } = require('../lib/dependencies');
+const { createFixture } = require('./helpers');
+
+test('an app inside a yarn workspace installs from the workspace root', () => {
+    const root = createFixture({
+        'package.json': { private: true, workspaces: ['apps/*'] },
+        'yarn.lock': '',
+        'apps/mobile/package.json': { name: 'mobile', dependencies: { 'react-native': '0.74.0' } }
+    });
+
+    assert.deepStrictEqual(findInstallRoot(path.join(root, 'apps/mobile')), { packageManager: 'yarn', installPath: root });
+});
+
+test('a pnpm workspace without a lockfile yet is found by pnpm-workspace.yaml', () => {
+    const root = createFixture({
+        'pnpm-workspace.yaml': 'packages:\n  - apps/*\n',
+        'package.json': { private: true },
+        'apps/mobile/package.json': { name: 'mobile' }
+    });
+
+    assert.deepStrictEqual(findInstallRoot(path.join(root, 'apps/mobile')), { packageManager: 'pnpm', installPath: root });
+});
+
+test('a workspace root without a lockfile uses its packageManager field', () => {
+    const root = createFixture({
+        'package.json': { private: true, workspaces: ['apps/*'], packageManager: 'bun@1.1.0' },
+        'apps/mobile/package.json': { name: 'mobile' }
+    });
+
+    assert.deepStrictEqual(findInstallRoot(path.join(root, 'apps/mobile')), { packageManager: 'bun', installPath: root });
+});
+
+test('a lockfile of the app itself wins over the parent directories', () => {
+    const root = createFixture({
+        'yarn.lock': '',
+        'apps/mobile/package.json': { name: 'mobile' },
+        'apps/mobile/package-lock.json': '{}'
+    });
+    const app = path.join(root, 'apps/mobile');
+
+    assert.deepStrictEqual(findInstallRoot(app), { packageManager: 'npm', installPath: app });
+});
+
+test('the walk stops at the repository root', () => {
+    const root = createFixture({ 'package.json': { name: 'app' } });
+
+    assert.strictEqual(detectPackageManager(root), 'npm');
+    assert.strictEqual(findInstallRoot(root).installPath, root);
+});
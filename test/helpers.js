@@ -0,0 +1,82 @@
+/**
+ * Shared fixtures of the tests: temporary projects, removed after each test file, and a
+ * way to run the CLI in them.
+ */
+const { after } = require('node:test');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { run } = require('../lib/cli');
+
+const fixtures = [];
+after(() => fixtures.forEach(dir => fs.removeSync(dir)));
+
+/**
+ * Create files in a new temporary directory. It holds a .git folder, so lookups that walk
+ * up to the repository root (e.g. findInstallRoot()) stop there.
+ * @param {object} files - Contents by relative path (objects are written as JSON)
+ * @returns {string} The directory
+ */
+function createFixture(files = {}) {
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'rn-maker-')));
+    fixtures.push(dir);
+    fs.ensureDirSync(path.join(dir, '.git'));
+    Object.entries(files).forEach(([file, content]) => {
+        const filePath = path.join(dir, file);
+        if (typeof content === 'string') {
+            fs.outputFileSync(filePath, content);
+        } else {
+            fs.outputJsonSync(filePath, content, { spaces: 2 });
+        }
+    });
+    return dir;
+}
+
+/**
+ * A TypeScript React Native project, not scaffolded yet
+ * @param {object} [files] - Further files, see createFixture()
+ * @returns {string} Its root
+ */
+function createProject(files = {}) {
+    return createFixture({
+        'package.json': {
+            name: 'app',
+            dependencies: { 'react': '18.2.0', 'react-native': '0.74.0' },
+            devDependencies: { typescript: '5.0.4' }
+        },
+        ...files
+    });
+}
+
+/**
+ * Run the CLI and collect what it logs. The exit code it sets is returned, not kept.
+ * @param {string[]} argv
+ * @returns {Promise<{output: string, exitCode: number}>} The output without colors
+ */
+async function runCli(argv) {
+    const lines = [];
+    const { log, error } = console;
+    console.log = (...args) => lines.push(args.join(' '));
+    console.error = console.log;
+    process.exitCode = 0;
+    try {
+        await run(argv);
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+    const exitCode = process.exitCode;
+    process.exitCode = 0;
+    return { output: lines.join('\n').replace(/\u001b\[\d+m/g, ''), exitCode };
+}
+
+/**
+ * @param {string} dir - Project root
+ * @param {string} file - Path relative to it
+ * @returns {string} The file content
+ */
+function readFile(dir, file) {
+    return fs.readFileSync(path.join(dir, file), 'utf8');
+}
+
+module.exports = { createFixture, createProject, runCli, readFile };
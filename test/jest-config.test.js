@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createProject, runCli, readFile } = require('./helpers');
+
+/**
+ * Packages the transformIgnorePatterns pattern of a config lets through
+ * @param {string} source - jest.config.js
+ * @returns {string}
+ */
+const transformed = source => source.match(/transformIgnorePatterns: \['node_modules\/\(\?!\((.*)\)\/\)'\]/)[1];
+
+test('add state and add navigation after add jest let Babel transform their packages', async () => {
+    const dir = createProject();
+    await runCli(['--cwd', dir, '-y', '--state', 'none', '--storage', 'none', '--no-navigation', '--no-jest']);
+    await runCli(['add', 'jest', '--cwd', dir, '-y']);
+    assert.doesNotMatch(transformed(readFile(dir, 'jest.config.js')), /immer/);
+
+    await runCli(['add', 'state', 'redux', '--cwd', dir, '-y']);
+    assert.match(transformed(readFile(dir, 'jest.config.js')), /\|@reduxjs\/\.\*\|immer\|react-redux\|redux-persist$/);
+
+    await runCli(['add', 'navigation', '--cwd', dir, '-y']);
+    const packages = transformed(readFile(dir, 'jest.config.js'));
+    assert.match(packages, /^\(jest-\)\?react-native\(-\.\*\)\?\|@react-native\(-community\)\?\|/);
+    assert.match(packages, /\|@react-navigation\/\.\*$/);
+    assert.strictEqual(packages.split('|immer|').length, 2);
+});
+
+test('the jest field of package.json gets the missing packages in its pattern', async () => {
+    const dir = createProject();
+    await runCli(['--cwd', dir, '-y', '--state', 'redux', '--storage', 'none', '--no-navigation', '--no-jest']);
+    const packageJson = JSON.parse(readFile(dir, 'package.json'));
+    packageJson.jest = { preset: 'react-native', transformIgnorePatterns: ['node_modules/(?!(react-native|@react-native)/)'] };
+    require('fs').writeFileSync(`${dir}/package.json`, JSON.stringify(packageJson, null, 2));
+
+    await runCli(['add', 'jest', '--cwd', dir, '-y']);
+
+    const { jest } = JSON.parse(readFile(dir, 'package.json'));
+    assert.deepStrictEqual(jest.transformIgnorePatterns, [
+        'node_modules/(?!(react-native|@react-native|(jest-)?react-native(-.*)?|@react-native(-community)?|@reduxjs/.*|immer|react-redux|redux-persist)/)'
+    ]);
+});
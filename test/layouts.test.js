@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { loadLayout } = require('../lib/layouts');
+const { createFixture, createProject, runCli } = require('./helpers');
+
+const MOVED_COMPONENTS = 'extends: layered\nroles:\n  components: ui\n';
+
+test('roles inside a moved role move along with it', () => {
+    const dir = createFixture({ 'layout.yml': MOVED_COMPONENTS });
+
+    const layout = loadLayout(dir, 'layout.yml');
+
+    assert.strictEqual(layout.roles.components, 'ui');
+    assert.strictEqual(layout.roles.forms, 'ui/forms');
+    assert.ok(layout.folders.some(folder => folder.path === 'ui/forms'));
+});
+
+test('roles set in the layout file stay where they are set', () => {
+    const dir = createFixture({ 'layout.yml': `${MOVED_COMPONENTS}  forms: ui/inputs\n` });
+
+    assert.strictEqual(loadLayout(dir, 'layout.yml').roles.forms, 'ui/inputs');
+});
+
+test('a forms folder outside the aliased folders is rejected', () => {
+    const dir = createFixture({ 'layout.yml': 'roles:\n  forms: forms\n' });
+
+    assert.throws(() => loadLayout(dir, 'layout.yml'), /The forms folder "forms" in layout\.yml must be inside a folder with an alias/);
+});
+
+test('the auth forms are generated in the moved components folder', async () => {
+    const dir = createProject({ 'layout.yml': MOVED_COMPONENTS });
+
+    const { exitCode } = await runCli(['--cwd', dir, '-y', '--layout', 'layout.yml', '--navigation', '--auth']);
+
+    assert.strictEqual(exitCode, 0);
+    assert.ok(fs.existsSync(path.join(dir, 'src/ui/forms/TextField/TextField.tsx')));
+    assert.ok(!fs.existsSync(path.join(dir, 'src/components')));
+});
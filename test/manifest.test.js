@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { loadManifest } = require('../lib/manifest');
+const { createProject, readFile, runCli } = require('./helpers');
+
+test('the first run adds the manifest and the backups to .gitignore', async () => {
+    const dir = createProject({ '.gitignore': 'node_modules/\n' });
+
+    await runCli(['--cwd', dir, '-y', '--state', 'zustand']);
+    await runCli(['add', 'storage', 'mmkv', '--cwd', dir, '-y']);
+
+    const gitignore = readFile(dir, '.gitignore');
+    assert.match(gitignore, /^node_modules\/\n\n# .*\n\.rn-maker\/manifest\.json\n\.rn-maker\/backups\/\n$/);
+    assert.ok(loadManifest(dir).runs[0].files.some(file => file.path === '.gitignore'));
+});
+
+test('undo reverts the latest run and restores the files it changed', async () => {
+    const dir = createProject();
+    await runCli(['--cwd', dir, '-y', '--state', 'zustand']);
+    const packageJson = readFile(dir, 'package.json');
+
+    await runCli(['add', 'storage', 'mmkv', '--cwd', dir, '-y']);
+    assert.ok(fs.existsSync(path.join(dir, 'src/utils/mmkvStorage.ts')));
+
+    const { output, exitCode } = await runCli(['undo', '--cwd', dir]);
+
+    assert.strictEqual(exitCode, 0);
+    assert.match(output, /Undid "add storage mmkv"/);
+    assert.ok(!fs.existsSync(path.join(dir, 'src/utils/mmkvStorage.ts')));
+    assert.strictEqual(readFile(dir, 'package.json'), packageJson);
+    assert.strictEqual(loadManifest(dir).runs.length, 1);
+});
+
+test('undoing every run leaves no manifest, backups or .gitignore entries', async () => {
+    const dir = createProject();
+    await runCli(['--cwd', dir, '-y', '--state', 'zustand']);
+    fs.outputFileSync(path.join(dir, 'src/screens/Edited.ts'), 'export {};\n');
+
+    await runCli(['undo', '--cwd', dir]);
+
+    assert.ok(!fs.existsSync(path.join(dir, '.rn-maker')));
+    assert.ok(!fs.existsSync(path.join(dir, '.gitignore')));
+    assert.ok(fs.existsSync(path.join(dir, 'src/screens/Edited.ts')));
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ReactNativeProjectScaffolder = require('../scaffolder-script');
+
+/**
+ * A scaffolder whose questions are answered by a function instead of the terminal
+ * @param {Function} answer - Receives each question, returns its answer
+ * @returns {{ scaffolder: ReactNativeProjectScaffolder, questions: Array<object> }}
+ */
+function withAnswers(answer) {
+    const scaffolder = new ReactNativeProjectScaffolder('.', {});
+    const questions = [];
+    scaffolder.ask = async question => {
+        questions.push(question);
+        return answer(question);
+    };
+    return { scaffolder, questions };
+}
+
+test('a preset design width is kept and only the height is asked', async () => {
+    const { scaffolder, questions } = withAnswers(() => '896');
+    scaffolder.config.designWidth = 414;
+    scaffolder.presetKeys.add('designWidth');
+
+    await scaffolder.promptDesignBaseline();
+
+    assert.deepStrictEqual(questions.map(question => question.name), ['designHeight']);
+    assert.strictEqual(scaffolder.config.designWidth, 414);
+    assert.strictEqual(scaffolder.config.designHeight, 896);
+});
+
+test('without a preset side the design size is asked as a whole', async () => {
+    const { scaffolder, questions } = withAnswers(() => '390x844');
+
+    await scaffolder.promptDesignBaseline();
+
+    assert.deepStrictEqual(questions.map(question => question.name), ['designBaseline']);
+    assert.deepStrictEqual([scaffolder.config.designWidth, scaffolder.config.designHeight], [390, 844]);
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createProject, readFile, runCli } = require('./helpers');
+
+// React Native 0.72 ships TypeScript 4.8, which has no `satisfies`
+test('the typography tokens are typed without satisfies', async () => {
+    const dir = createProject();
+
+    await runCli(['--cwd', dir, '-y', '--theme']);
+    const tokens = readFile(dir, 'src/theme/tokens.ts');
+
+    assert.doesNotMatch(tokens, /satisfies/);
+    assert.match(tokens, /^export type TypographyVariant = 'h1' \| .*'body'.*;$/m);
+    assert.match(tokens, /^export const typography: Record<TypographyVariant, TextStyle> = \{$/m);
+});
+
+test('the typography tokens of a JavaScript project are typed without @satisfies', async () => {
+    const dir = createProject();
+
+    await runCli(['--cwd', dir, '-y', '--theme', '--language', 'js']);
+    const tokens = readFile(dir, 'src/theme/tokens.js');
+
+    assert.doesNotMatch(tokens, /satisfies/);
+    assert.match(tokens, /\/\*\* @type \{Record<TypographyVariant, import\('react-native'\)\.TextStyle>\} \*\/\nexport const typography = \{/);
+});